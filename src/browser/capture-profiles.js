@@ -95,6 +95,14 @@ const CAPTURE_PROFILES = Object.freeze({
         includeText: true,
         includeSelectors: true
       })
+    }),
+    extract_markdown: Object.freeze({
+      low: Object.freeze({
+        maxChars: 6000
+      }),
+      high: Object.freeze({
+        maxChars: 10000
+      })
     })
   }),
   balanced: Object.freeze({
@@ -193,6 +201,14 @@ const CAPTURE_PROFILES = Object.freeze({
         includeText: true,
         includeSelectors: true
       })
+    }),
+    extract_markdown: Object.freeze({
+      low: Object.freeze({
+        maxChars: 12000
+      }),
+      high: Object.freeze({
+        maxChars: 20000
+      })
     })
   }),
   full: Object.freeze({
@@ -291,6 +307,14 @@ const CAPTURE_PROFILES = Object.freeze({
         includeText: true,
         includeSelectors: true
       })
+    }),
+    extract_markdown: Object.freeze({
+      low: Object.freeze({
+        maxChars: 40000
+      }),
+      high: Object.freeze({
+        maxChars: 60000
+      })
     })
   })
 });
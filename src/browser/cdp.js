@@ -1,34 +1,112 @@
 // Lightweight CDP helpers (DevTools-style) built on Playwright's CDPSession.
 // This keeps our MCP as a single server while enabling uid-based DOM interactions.
 
-const sessionByPage = new WeakMap(); // Page -> CDPSession
+const sessionByTarget = new WeakMap(); // Page | Frame (out-of-process iframe) -> CDPSession
+const pendingByTarget = new WeakMap(); // target -> Promise<CDPSession> while the session is being created
 const enabledDomainsBySession = new WeakMap(); // CDPSession -> Set(domainName)
+const frameTargetCache = new WeakMap(); // Frame -> { url, ownsTarget }
 
-export async function getOrCreateCdpSession(page) {
-  if (!page) throw new Error('CDP requires a Playwright page.');
-  const existing = sessionByPage.get(page);
+function ownerPage(target) {
+  return typeof target.page === 'function' ? target.page() : target;
+}
+
+// target is a Page, or the Frame of an out-of-process iframe (which has a CDP target of its own).
+export async function getOrCreateCdpSession(target) {
+  if (!target) throw new Error('CDP requires a Playwright page.');
+  const existing = sessionByTarget.get(target);
   if (existing) return existing;
+  // Concurrent first callers (e.g. observability and network emulation on a new page) share one session.
+  const pending = pendingByTarget.get(target);
+  if (pending) return pending;
 
-  const context = page.context();
-  const session = await context.newCDPSession(page);
-  sessionByPage.set(page, session);
+  const page = ownerPage(target);
+  const creating = page.context().newCDPSession(target);
+  pendingByTarget.set(target, creating);
+  let session;
+  try {
+    session = await creating;
+  } finally {
+    pendingByTarget.delete(target);
+  }
+  sessionByTarget.set(target, session);
   enabledDomainsBySession.set(session, new Set());
 
-  page.once('close', async () => {
+  const dispose = async () => {
+    page.off('framedetached', onFrameDetached);
     try {
       await session.detach();
     } catch {
       // ignore
     }
-    sessionByPage.delete(page);
+    sessionByTarget.delete(target);
     enabledDomainsBySession.delete(session);
-  });
+  };
+  const onFrameDetached = (frame) => {
+    if (frame === target) dispose();
+  };
+  page.once('close', dispose);
+  if (target !== page) page.on('framedetached', onFrameDetached);
 
   return session;
 }
 
-export async function ensureCdpDomains(page, domains) {
-  const session = await getOrCreateCdpSession(page);
+async function ownsCdpTarget(frame) {
+  const cached = frameTargetCache.get(frame);
+  if (cached && cached.url === frame.url()) return cached.ownsTarget;
+  let ownsTarget = false;
+  try {
+    // Playwright refuses frames that share their parent's process.
+    await getOrCreateCdpSession(frame);
+    ownsTarget = true;
+  } catch {
+    ownsTarget = false;
+  }
+  frameTargetCache.set(frame, { url: frame.url(), ownsTarget });
+  return ownsTarget;
+}
+
+// The CDP target that hosts a frame: the nearest out-of-process iframe at or above it, else the page.
+export async function getCdpTargetForFrame(page, frame) {
+  let current = frame;
+  while (current && current !== page.mainFrame()) {
+    if (await ownsCdpTarget(current)) return current;
+    current = current.parentFrame();
+  }
+  return page;
+}
+
+const withoutFragment = (url) => String(url || '').split('#')[0];
+
+// Playwright does not expose CDP frame ids, so the frame is found in its target's Page.getFrameTree
+// by walking down from the target root and matching children on name + URL (then position).
+export async function getCdpFrameId(page, frame) {
+  const target = await getCdpTargetForFrame(page, frame);
+  const session = await getOrCreateCdpSession(target);
+  const { frameTree } = await session.send('Page.getFrameTree');
+  const rootFrame = target === page ? page.mainFrame() : target;
+
+  const path = [];
+  for (let current = frame; current && current !== rootFrame; current = current.parentFrame()) path.unshift(current);
+
+  let node = frameTree;
+  for (const step of path) {
+    const siblings = [];
+    for (const child of step.parentFrame().childFrames()) {
+      if (child === step || !(await ownsCdpTarget(child))) siblings.push(child);
+    }
+    const sameKey = (candidateName, candidateUrl) =>
+      candidateName === step.name() && withoutFragment(candidateUrl) === withoutFragment(step.url());
+    const rank = siblings.filter((child) => sameKey(child.name(), child.url())).indexOf(step);
+    const children = node?.childFrames || [];
+    const matches = children.filter((child) => sameKey(child.frame.name || '', child.frame.url));
+    node = matches[rank] || children[siblings.indexOf(step)];
+    if (!node) return null;
+  }
+  return node.frame.id;
+}
+
+export async function ensureCdpDomains(target, domains) {
+  const session = await getOrCreateCdpSession(target);
   const enabled = enabledDomainsBySession.get(session) || new Set();
 
   const want = Array.isArray(domains) ? domains : [];
@@ -49,6 +127,17 @@ export async function ensureCdpDomains(page, domains) {
   return session;
 }
 
+// backendNodeId of the <iframe> element that hosts a child frame, in the parent frame's target.
+export async function getFrameOwnerBackendNodeId(page, frame) {
+  const parent = frame.parentFrame();
+  if (!parent) return null;
+  const cdpFrameId = await getCdpFrameId(page, frame);
+  if (!cdpFrameId) return null;
+  const session = await getOrCreateCdpSession(await getCdpTargetForFrame(page, parent));
+  const owner = await session.send('DOM.getFrameOwner', { frameId: cdpFrameId });
+  return owner?.backendNodeId ?? null;
+}
+
 export async function scrollIntoViewIfNeeded(page, backendNodeId) {
   if (!backendNodeId || typeof backendNodeId !== 'number') {
     throw new Error('scrollIntoViewIfNeeded requires a numeric backendNodeId.');
@@ -74,6 +163,22 @@ export async function resolveObjectId(page, backendNodeId) {
   return objectId;
 }
 
+// False once the node left the document (removed, or its document was replaced by a navigation).
+export async function isBackendNodeConnected(page, backendNodeId) {
+  try {
+    const session = await ensureCdpDomains(page, ['DOM', 'Runtime']);
+    const objectId = await resolveObjectId(page, backendNodeId);
+    const result = await session.send('Runtime.callFunctionOn', {
+      objectId,
+      functionDeclaration: 'function() { return Boolean(this && this.isConnected); }',
+      returnByValue: true
+    });
+    return result?.result?.value === true;
+  } catch {
+    return false;
+  }
+}
+
 export async function clickByBackendNodeId(page, backendNodeId) {
   await scrollIntoViewIfNeeded(page, backendNodeId);
   const session = await ensureCdpDomains(page, ['DOM', 'Runtime']);
@@ -182,18 +287,22 @@ export async function setValueByBackendNodeId(page, backendNodeId, value) {
       const isTextarea = (typeof HTMLTextAreaElement !== 'undefined') && (el instanceof HTMLTextAreaElement);
       const isSelect = (typeof HTMLSelectElement !== 'undefined') && (el instanceof HTMLSelectElement);
 
+      // type/autocomplete let the audit log tell password fields apart without a second lookup.
+      const type = el && el.getAttribute ? el.getAttribute('type') : null;
+      const autocomplete = el && el.getAttribute ? el.getAttribute('autocomplete') : null;
+
       if (isInput || isTextarea || isSelect) {
         try { el.value = String(v ?? ''); } catch (e) {}
         try { el.dispatchEvent(new Event('input', { bubbles: true })); } catch (e) {}
         try { el.dispatchEvent(new Event('change', { bubbles: true })); } catch (e) {}
-        try { return { ok: true, value: String(el.value ?? '') }; } catch (e) { return { ok: true, value: '' }; }
+        try { return { ok: true, value: String(el.value ?? ''), type, autocomplete }; } catch (e) { return { ok: true, value: '', type, autocomplete }; }
       }
 
       if (el && el.isContentEditable) {
         try { el.textContent = String(v ?? ''); } catch (e) {}
         try { el.dispatchEvent(new Event('input', { bubbles: true })); } catch (e) {}
         try { el.dispatchEvent(new Event('change', { bubbles: true })); } catch (e) {}
-        return { ok: true, value: String(el.textContent ?? '') };
+        return { ok: true, value: String(el.textContent ?? ''), type, autocomplete };
       }
 
       return { ok: false, value: null };
@@ -214,3 +323,69 @@ export async function setValueByBackendNodeId(page, backendNodeId, value) {
   }
   return payload;
 }
+
+// Role/name and a CSS fallback for the node behind a uid, so recorded steps survive a fresh page load.
+export async function describeBackendNode(page, backendNodeId) {
+  const session = await ensureCdpDomains(page, ['DOM', 'Runtime', 'Accessibility']);
+
+  let role = '';
+  let name = '';
+  try {
+    const ax = await session.send('Accessibility.getPartialAXTree', { backendNodeId, fetchRelatives: false });
+    const node = Array.isArray(ax?.nodes) ? ax.nodes.find((n) => n.backendDOMNodeId === backendNodeId) || ax.nodes[0] : null;
+    role = String(node?.role?.value || '').toLowerCase();
+    name = String(node?.name?.value || '').replace(/\s+/g, ' ').trim();
+  } catch {
+    // Accessibility may be unavailable for detached nodes; the CSS fallback still applies.
+  }
+
+  const objectId = await resolveObjectId(page, backendNodeId);
+  const fn = `
+    function() {
+      const el = this;
+      if (!el || el.nodeType !== 1) return { selector: null, tag: null, type: null, autocomplete: null };
+      const esc = (v) => (window.CSS && CSS.escape ? CSS.escape(v) : String(v).replace(/["\\\\]/g, '\\\\$&'));
+      const unique = (sel) => {
+        try { return document.querySelectorAll(sel).length === 1; } catch (e) { return false; }
+      };
+      const tag = el.tagName.toLowerCase();
+      const type = el.getAttribute('type');
+      const autocomplete = el.getAttribute('autocomplete');
+      if (el.id && unique('#' + esc(el.id))) return { selector: '#' + esc(el.id), tag, type, autocomplete };
+      for (const attr of ['data-testid', 'name', 'aria-label', 'placeholder']) {
+        const v = el.getAttribute(attr);
+        if (!v) continue;
+        const sel = tag + '[' + attr + '="' + v.replace(/"/g, '\\\\"') + '"]';
+        if (unique(sel)) return { selector: sel, tag, type, autocomplete };
+      }
+      const parts = [];
+      let node = el;
+      while (node && node.nodeType === 1 && node !== document.body) {
+        if (node !== el && node.id && unique('#' + esc(node.id))) {
+          parts.unshift('#' + esc(node.id));
+          break;
+        }
+        const nodeTag = node.tagName.toLowerCase();
+        const parent = node.parentElement;
+        const siblings = parent ? Array.from(parent.children).filter((c) => c.tagName === node.tagName) : [];
+        parts.unshift(siblings.length > 1 ? nodeTag + ':nth-of-type(' + (siblings.indexOf(node) + 1) + ')' : nodeTag);
+        node = parent;
+      }
+      return { selector: parts.join(' > ') || tag, tag, type, autocomplete };
+    }
+  `;
+  const result = await session.send('Runtime.callFunctionOn', {
+    objectId,
+    functionDeclaration: fn,
+    returnByValue: true
+  });
+  const value = result?.result?.value || {};
+  return {
+    role,
+    name,
+    selector: value.selector || null,
+    tag: value.tag || null,
+    type: value.type || null,
+    autocomplete: value.autocomplete || null
+  };
+}
@@ -0,0 +1,117 @@
+// Context emulation (browser.launch options + browser.emulate): Playwright device descriptors, locale,
+// timezone, geolocation, media features and permission grants, turned into newContext() options.
+
+import { devices } from 'playwright';
+
+export const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+export const REDUCED_MOTION_MODES = ['reduce', 'no-preference'];
+
+// Fields that can change on a live context; anything else needs a new one.
+export const LIVE_EMULATION_FIELDS = ['geolocation', 'permissions'];
+
+export const EMULATION_FIELDS = [
+  'device',
+  'viewport',
+  'userAgent',
+  'locale',
+  'timezoneId',
+  'geolocation',
+  'colorScheme',
+  'reducedMotion',
+  'permissions'
+];
+
+export function listDeviceNames() {
+  return Object.keys(devices);
+}
+
+export function resolveDevice(name) {
+  if (devices[name]) return devices[name];
+  const wanted = String(name || '').toLowerCase();
+  const exact = Object.keys(devices).find((key) => key.toLowerCase() === wanted);
+  if (exact) return devices[exact];
+  const similar = Object.keys(devices)
+    .filter((key) => key.toLowerCase().includes(wanted.split(' ')[0]))
+    .slice(0, 8);
+  const hint = similar.length ? ` Similar: ${similar.join(', ')}.` : '';
+  throw new Error(`Unknown device "${name}".${hint}`);
+}
+
+function assertTimezone(timezoneId) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezoneId });
+  } catch {
+    throw new Error(`Unknown timezoneId "${timezoneId}". Use an IANA name such as "Asia/Dubai".`);
+  }
+}
+
+function assertGeolocation({ latitude, longitude, accuracy }) {
+  if (!(latitude >= -90 && latitude <= 90)) throw new Error('geolocation.latitude must be between -90 and 90.');
+  if (!(longitude >= -180 && longitude <= 180)) throw new Error('geolocation.longitude must be between -180 and 180.');
+  if (accuracy !== undefined && !(accuracy >= 0)) throw new Error('geolocation.accuracy must be >= 0.');
+}
+
+// Drops undefined fields so a partial update can be merged over the current settings.
+export function mergeEmulation(current, update) {
+  const merged = { ...(current || {}) };
+  for (const key of EMULATION_FIELDS) {
+    if (update?.[key] !== undefined) merged[key] = update[key];
+  }
+  return merged;
+}
+
+export function validateEmulation(emulation) {
+  if (emulation.device) resolveDevice(emulation.device);
+  if (emulation.timezoneId) assertTimezone(emulation.timezoneId);
+  if (emulation.geolocation) assertGeolocation(emulation.geolocation);
+  return emulation;
+}
+
+export function needsNewContext(current, next) {
+  return EMULATION_FIELDS.filter((key) => !LIVE_EMULATION_FIELDS.includes(key)).some(
+    (key) => JSON.stringify(current?.[key] ?? null) !== JSON.stringify(next?.[key] ?? null)
+  );
+}
+
+// Geolocation is only readable by pages with the permission, so it is granted alongside.
+export function effectivePermissions(emulation) {
+  const permissions = new Set(emulation.permissions || []);
+  if (emulation.geolocation) permissions.add('geolocation');
+  return [...permissions];
+}
+
+// Explicit viewport/userAgent win over the device descriptor.
+export function buildContextOptions(emulation, { defaultViewport } = {}) {
+  const options = {};
+  if (emulation.device) {
+    const { defaultBrowserType, ...descriptor } = resolveDevice(emulation.device);
+    Object.assign(options, descriptor);
+  }
+  options.viewport = emulation.viewport ?? options.viewport ?? defaultViewport;
+  if (emulation.userAgent) options.userAgent = emulation.userAgent;
+  if (emulation.locale) options.locale = emulation.locale;
+  if (emulation.timezoneId) options.timezoneId = emulation.timezoneId;
+  if (emulation.geolocation) options.geolocation = emulation.geolocation;
+  if (emulation.colorScheme) options.colorScheme = emulation.colorScheme;
+  if (emulation.reducedMotion) options.reducedMotion = emulation.reducedMotion;
+  const permissions = effectivePermissions(emulation);
+  if (permissions.length) options.permissions = permissions;
+  return options;
+}
+
+export function describeEmulation(emulation, options) {
+  return {
+    device: emulation.device || null,
+    viewport: options.viewport,
+    userAgent: options.userAgent || null,
+    isMobile: Boolean(options.isMobile),
+    hasTouch: Boolean(options.hasTouch),
+    deviceScaleFactor: options.deviceScaleFactor ?? 1,
+    locale: emulation.locale || null,
+    timezoneId: emulation.timezoneId || null,
+    geolocation: emulation.geolocation || null,
+    colorScheme: emulation.colorScheme || null,
+    reducedMotion: emulation.reducedMotion || null,
+    permissions: options.permissions || []
+  };
+}
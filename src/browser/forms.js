@@ -1,3 +1,5 @@
+import { describeShadowPath } from './shadow-dom.js';
+
 function cleanText(value) {
   return String(value || '').replace(/\s+/g, ' ').trim();
 }
@@ -11,8 +13,18 @@ export async function auditForm(page, opts = {}) {
   const maxItems = clampNumber(opts.maxItems, 1, 1000, 200);
   const includeSelectors = opts.includeSelectors ?? true;
   const maxLabelChars = clampNumber(opts.maxLabelChars, 20, 500, 180);
+  const pierceShadow = opts.pierceShadow ?? true;
+
+  const describeHandle = await page.evaluateHandle(`(${describeShadowPath})`);
+  try {
+    return await auditWithShadowPaths(page, { maxItems, includeSelectors, maxLabelChars, pierceShadow, describeShadowPath: describeHandle });
+  } finally {
+    await describeHandle.dispose().catch(() => {});
+  }
+}
 
-  return await page.evaluate(({ maxItems, includeSelectors, maxLabelChars }) => {
+async function auditWithShadowPaths(page, args) {
+  return await page.evaluate(({ maxItems, includeSelectors, maxLabelChars, pierceShadow, describeShadowPath }) => {
     const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim();
     const trunc = (s) => {
       const t = clean(s);
@@ -21,10 +33,7 @@ export async function auditForm(page, opts = {}) {
       return t.slice(0, maxLabelChars - 3) + '...';
     };
 
-    const escapeCss = (value) => {
-      if (window.CSS && CSS.escape) return CSS.escape(value);
-      return String(value || '').replace(/([ #;?%&,.+*~':"!^$\\[\\]()=>|\/@])/g, '\\\\$1');
-    };
+    const escapeCss = (value) => CSS.escape(String(value || ''));
 
     const makeSelectorHint = (el) => {
       if (!includeSelectors) return null;
@@ -39,12 +48,25 @@ export async function auditForm(page, opts = {}) {
       return null;
     };
 
+    // Shadow-DOM controls take the chained selector and host list from describeShadowPath, as browser.list does.
+    const selectorFor = (el) => {
+      if (!includeSelectors) return null;
+      const path = describeShadowPath(el);
+      return path ? path.selector : makeSelectorHint(el);
+    };
+
+    // Missing items from a shadow root carry the host chain.
+    const report = (el, item) => {
+      const path = describeShadowPath(el);
+      missing.push(path ? { ...item, shadowHosts: path.shadowHosts } : item);
+    };
+
     const labelFromAriaLabelledBy = (el) => {
       const ids = clean(el.getAttribute('aria-labelledby') || '');
       if (!ids) return '';
       const texts = ids
         .split(/\s+/)
-        .map((id) => document.getElementById(id))
+        .map((id) => el.getRootNode().getElementById(id))
         .filter(Boolean)
         .map((n) => clean(n.textContent))
         .filter(Boolean);
@@ -93,20 +115,39 @@ export async function auditForm(page, opts = {}) {
     const missing = [];
 
     // Native controls
-    const controls = Array.from(document.querySelectorAll('input, textarea, select, [contenteditable="true"]'));
+    const controlSelector = 'input, textarea, select, [contenteditable="true"]';
+    const controls = [];
+    // Document order, descending into open shadow roots where they sit.
+    const collect = (root) => {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+      let current = walker.currentNode;
+      while (current) {
+        if (current.matches && current.matches(controlSelector)) controls.push(current);
+        if (pierceShadow && current.shadowRoot) collect(current.shadowRoot);
+        current = walker.nextNode();
+      }
+    };
+    collect(document);
 
     // Handle radio groups separately to avoid listing each radio input.
-    const radioByName = new Map();
+    // A name only groups radios within one tree, so two components can both use name="choice".
+    const radioGroups = new Map(); // root node -> name -> radios
+    const radioGroupOf = (el, name) => {
+      const root = el.getRootNode();
+      if (!radioGroups.has(root)) radioGroups.set(root, new Map());
+      const byName = radioGroups.get(root);
+      if (!byName.has(name)) byName.set(name, []);
+      return byName.get(name);
+    };
     for (const el of controls) {
       if (!(el instanceof HTMLInputElement)) continue;
       if ((el.getAttribute('type') || '').toLowerCase() !== 'radio') continue;
       const name = clean(el.getAttribute('name') || '');
       if (!name) continue;
-      if (!radioByName.has(name)) radioByName.set(name, []);
-      radioByName.get(name).push(el);
+      radioGroupOf(el, name).push(el);
     }
 
-    const seen = new Set();
+    const seen = new Set(); // radio groups already reported, keyed by the same (root, name) group
 
     for (const el of controls) {
       if (missing.length >= maxItems) break;
@@ -115,10 +156,11 @@ export async function auditForm(page, opts = {}) {
         const type = (el.getAttribute('type') || '').toLowerCase();
         if (type === 'radio') {
           const name = clean(el.getAttribute('name') || '');
-          if (!name || seen.has(`radio:${name}`)) continue;
-          seen.add(`radio:${name}`);
+          if (!name) continue;
+          const group = radioGroupOf(el, name);
+          if (seen.has(group)) continue;
+          seen.add(group);
 
-          const group = radioByName.get(name) || [];
           const required = group.some((r) => isRequired(r));
           if (!required) continue;
           const answered = group.some((r) => r.checked);
@@ -133,10 +175,10 @@ export async function auditForm(page, opts = {}) {
           }
           if (!label) label = getLabel(el);
 
-          missing.push({
+          report(el, {
             kind: 'radio',
             label: trunc(label || name || 'radio'),
-            selector: makeSelectorHint(el),
+            selector: selectorFor(el),
             groupName: name
           });
           continue;
@@ -145,10 +187,10 @@ export async function auditForm(page, opts = {}) {
         if (type === 'checkbox') {
           if (!isRequired(el)) continue;
           if (el.checked) continue;
-          missing.push({
+          report(el, {
             kind: 'checkbox',
             label: getLabel(el),
-            selector: makeSelectorHint(el)
+            selector: selectorFor(el)
           });
           continue;
         }
@@ -156,10 +198,10 @@ export async function auditForm(page, opts = {}) {
         if (!isRequired(el)) continue;
         const val = clean(el.value || '');
         if (val) continue;
-        missing.push({
+        report(el, {
           kind: 'text',
           label: getLabel(el),
-          selector: makeSelectorHint(el)
+          selector: selectorFor(el)
         });
         continue;
       }
@@ -168,10 +210,10 @@ export async function auditForm(page, opts = {}) {
         if (!isRequired(el)) continue;
         const val = clean(el.value || '');
         if (val) continue;
-        missing.push({
+        report(el, {
           kind: 'textarea',
           label: getLabel(el),
-          selector: makeSelectorHint(el)
+          selector: selectorFor(el)
         });
         continue;
       }
@@ -180,10 +222,10 @@ export async function auditForm(page, opts = {}) {
         if (!isRequired(el)) continue;
         const value = clean(el.value || '');
         if (value) continue;
-        missing.push({
+        report(el, {
           kind: 'select',
           label: getLabel(el),
-          selector: makeSelectorHint(el)
+          selector: selectorFor(el)
         });
         continue;
       }
@@ -193,10 +235,10 @@ export async function auditForm(page, opts = {}) {
         if (!isRequired(el)) continue;
         const val = clean(el.textContent || '');
         if (val) continue;
-        missing.push({
+        report(el, {
           kind: 'contenteditable',
           label: getLabel(el),
-          selector: makeSelectorHint(el)
+          selector: selectorFor(el)
         });
       }
     }
@@ -207,7 +249,7 @@ export async function auditForm(page, opts = {}) {
       missingCount: missing.length,
       missing
     };
-  }, { maxItems, includeSelectors, maxLabelChars });
+  }, args);
 }
 
 async function detectControlKind(locator) {
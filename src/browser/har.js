@@ -0,0 +1,192 @@
+// HAR 1.2 builder for entries captured by observability.js.
+// CDP ResourceTiming offsets are ms relative to timing.requestTime; timestamps are monotonic seconds.
+
+const HTTP_VERSIONS = {
+  'http/0.9': 'HTTP/0.9',
+  'http/1.0': 'HTTP/1.0',
+  'http/1.1': 'HTTP/1.1',
+  h2: 'HTTP/2.0',
+  h3: 'HTTP/3.0'
+};
+
+function httpVersion(protocol) {
+  const key = String(protocol || '').toLowerCase();
+  if (!key) return 'HTTP/1.1';
+  return HTTP_VERSIONS[key] || key.toUpperCase();
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function headerList(headers) {
+  if (!headers) return [];
+  const out = [];
+  for (const [name, value] of Object.entries(headers)) {
+    // CDP joins repeated headers (e.g. Set-Cookie) with newlines.
+    for (const line of String(value ?? '').split('\n')) out.push({ name, value: line });
+  }
+  return out;
+}
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+  const wanted = name.toLowerCase();
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === wanted) return String(value ?? '');
+  }
+  return null;
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function splitPair(text) {
+  const eq = text.indexOf('=');
+  if (eq < 0) return { name: text.trim(), value: '' };
+  return { name: text.slice(0, eq).trim(), value: text.slice(eq + 1).trim() };
+}
+
+function requestCookies(headers) {
+  const cookie = headerValue(headers, 'cookie');
+  if (!cookie) return [];
+  return cookie
+    .split(';')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map(splitPair);
+}
+
+function responseCookies(headers) {
+  const setCookie = headerValue(headers, 'set-cookie');
+  if (!setCookie) return [];
+  return setCookie
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => splitPair(line.split(';')[0]));
+}
+
+function byteLength(body) {
+  if (!body) return 0;
+  return body.base64Encoded ? Buffer.from(body.text, 'base64').length : Buffer.byteLength(body.text, 'utf8');
+}
+
+export function computeTimings(entry) {
+  const total = entry.endTs != null && entry.startTs != null ? Math.max(0, (entry.endTs - entry.startTs) * 1000) : 0;
+  const t = entry.response?.timing;
+  if (!t || entry.startTs == null) {
+    // Cache hits, data: URLs and failed requests have no ResourceTiming.
+    return { time: round(total), timings: { blocked: -1, dns: -1, connect: -1, send: 0, wait: round(total), receive: 0, ssl: -1 } };
+  }
+  const queued = Math.max(0, (t.requestTime - entry.startTs) * 1000);
+  const firstPhase = [t.dnsStart, t.connectStart, t.sendStart].find((value) => value >= 0) ?? 0;
+  const timings = {
+    blocked: round(queued + firstPhase),
+    dns: t.dnsStart >= 0 ? round(t.dnsEnd - t.dnsStart) : -1,
+    connect: t.connectStart >= 0 ? round(t.connectEnd - t.connectStart) : -1,
+    send: round(Math.max(0, t.sendEnd - t.sendStart)),
+    wait: round(Math.max(0, t.receiveHeadersEnd - t.sendEnd)),
+    receive: entry.endTs != null ? round(Math.max(0, (entry.endTs - t.requestTime) * 1000 - t.receiveHeadersEnd)) : 0,
+    ssl: t.sslStart >= 0 ? round(t.sslEnd - t.sslStart) : -1
+  };
+  // ssl is already part of connect, so it is not added to the total.
+  const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive'].reduce(
+    (sum, key) => sum + Math.max(0, timings[key]),
+    0
+  );
+  return { time: round(time), timings };
+}
+
+// body: { text, base64Encoded } | { omitted: reason } | undefined
+export function toHarEntry(entry, { pageref, body } = {}) {
+  const res = entry.response;
+  const { time, timings } = computeTimings(entry);
+  // Prefer the on-the-wire headers; the plain CDP events leave out cookies.
+  const requestHeaders = entry.rawRequestHeaders || entry.requestHeaders;
+  const responseHeaders = entry.rawResponseHeaders || res?.responseHeaders;
+  const requestMime = headerValue(requestHeaders, 'content-type') || '';
+
+  const request = {
+    method: entry.method,
+    url: entry.url,
+    httpVersion: httpVersion(res?.protocol),
+    cookies: requestCookies(requestHeaders),
+    headers: headerList(requestHeaders),
+    queryString: queryString(entry.url),
+    headersSize: -1,
+    bodySize: entry.postData !== null && entry.postData !== undefined ? Buffer.byteLength(entry.postData, 'utf8') : 0
+  };
+  if (entry.postData !== null && entry.postData !== undefined) {
+    request.postData = { mimeType: requestMime, text: entry.postData };
+  }
+
+  const content = {
+    size: body?.text !== undefined ? byteLength(body) : entry.dataLength || 0,
+    mimeType: res?.mimeType || headerValue(responseHeaders, 'content-type') || 'x-unknown'
+  };
+  if (body?.text !== undefined) {
+    content.text = body.text;
+    if (body.base64Encoded) content.encoding = 'base64';
+  } else if (body?.omitted) {
+    content.comment = body.omitted;
+  }
+
+  const response = {
+    status: res?.status ?? 0,
+    statusText: res?.statusText || '',
+    httpVersion: httpVersion(res?.protocol),
+    cookies: responseCookies(responseHeaders),
+    headers: headerList(responseHeaders),
+    content,
+    redirectURL: headerValue(responseHeaders, 'location') || '',
+    headersSize: -1,
+    bodySize: entry.redirectHop ? 0 : (entry.encodedDataLength ?? -1)
+  };
+  if (entry.failed) response._error = entry.errorText || 'failed';
+
+  const harEntry = {
+    startedDateTime: new Date(entry.wallTime).toISOString(),
+    time,
+    request,
+    response,
+    cache: {},
+    timings,
+    _resourceType: entry.type ? entry.type.toLowerCase() : 'other',
+    _requestId: entry.requestId
+  };
+  if (pageref) harEntry.pageref = pageref;
+  if (res?.remoteIPAddress) harEntry.serverIPAddress = res.remoteIPAddress.replace(/^\[|\]$/g, '');
+  if (res?.remotePort) harEntry.connection = String(res.remotePort);
+  return harEntry;
+}
+
+// pages: [{ id, title, entries: [{ entry, body }] }]
+export function buildHar(pages, { creator } = {}) {
+  const harPages = [];
+  const entries = [];
+  for (const page of pages) {
+    const harEntries = page.entries.map(({ entry, body }) => toHarEntry(entry, { pageref: page.id, body }));
+    const firstStart = harEntries.length ? harEntries[0].startedDateTime : new Date().toISOString();
+    harPages.push({
+      startedDateTime: firstStart,
+      id: page.id,
+      title: page.title || '',
+      pageTimings: { onContentLoad: -1, onLoad: -1 }
+    });
+    entries.push(...harEntries);
+  }
+  entries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+  return {
+    log: {
+      version: '1.2',
+      creator: creator || { name: 'playwright-browser', version: '1.0.0' },
+      pages: harPages,
+      entries
+    }
+  };
+}
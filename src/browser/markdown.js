@@ -0,0 +1,299 @@
+// Page-to-Markdown conversion (browser.extract_markdown). The converter runs inside the page so it sees
+// live form state, open shadow roots and computed visibility; the main-content pick is a readability-style
+// score over paragraph-bearing containers, penalized by link density and boilerplate class names.
+
+import { ensureCdpDomains, resolveObjectId } from './cdp.js';
+
+export const MARKDOWN_SOURCES = ['root', 'main', 'article', 'scored', 'body'];
+
+// Runs inside the page. root is the element to convert; with opts.detectMain it is only the search scope
+// for the main content. opts.mainContent also drops nav/header/footer/aside inside whatever is converted.
+export function renderMarkdown(root, opts = {}) {
+  const BOILERPLATE = 'nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="search"]';
+  const NEVER = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'CANVAS', 'IFRAME', 'OBJECT', 'HEAD', 'META', 'LINK']);
+  const NEGATIVE = /nav|menu|footer|header|sidebar|cookie|consent|banner|promo|related|share|social|breadcrumb|comment|newsletter|subscribe|popup|modal/i;
+  const POSITIVE = /content|article|main|post|story|description|detail|body|job|entry|text/i;
+
+  const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+  const hintOf = (el) => `${el.id || ''} ${typeof el.className === 'string' ? el.className : ''}`;
+  const classWeight = (el) => {
+    let weight = 0;
+    if (NEGATIVE.test(hintOf(el))) weight -= 25;
+    if (POSITIVE.test(hintOf(el))) weight += 25;
+    return weight;
+  };
+  const isHidden = (el) => {
+    if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+    const style = window.getComputedStyle(el);
+    if (style.display === 'contents') return false; // no box of its own, but its children render
+    if (typeof el.checkVisibility === 'function') return !el.checkVisibility();
+    return style.display === 'none' || style.visibility === 'hidden';
+  };
+  const textLength = (el) => clean(el.innerText || el.textContent).length;
+  const linkDensity = (el) => {
+    const total = textLength(el);
+    if (!total) return 1;
+    let links = 0;
+    for (const a of el.querySelectorAll('a')) links += clean(a.innerText || a.textContent).length;
+    return Math.min(1, links / total);
+  };
+  // Landmarks always go; link lists and banners only when their class or id says so.
+  const isBoilerplate = (el) =>
+    Boolean(opts.mainContent) && (el.matches(BOILERPLATE) || (NEGATIVE.test(hintOf(el)) && linkDensity(el) > 0.5));
+
+  const pickMain = (scope) => {
+    const landmarks = Array.from(scope.querySelectorAll('main, [role="main"]')).filter((el) => !isHidden(el) && textLength(el) >= 100);
+    if (landmarks.length === 1) return { el: landmarks[0], source: 'main' };
+    const articles = Array.from(scope.querySelectorAll('article')).filter((el) => !isHidden(el) && textLength(el) >= 100);
+    if (articles.length === 1) return { el: articles[0], source: 'article' };
+
+    // Each paragraph scores its parent in full and its grandparent in half.
+    const scores = new Map();
+    const paragraphs = Array.from(scope.querySelectorAll('p, pre, li, td, blockquote')).slice(0, 3000);
+    for (const p of paragraphs) {
+      const text = clean(p.innerText || p.textContent);
+      if (text.length < 25) continue;
+      const points = 1 + text.split(',').length + Math.min(3, Math.floor(text.length / 100));
+      const parent = p.parentElement;
+      const grandparent = parent?.parentElement;
+      if (parent) scores.set(parent, (scores.get(parent) || 0) + points);
+      if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + points / 2);
+    }
+    let best = null;
+    let bestScore = 0;
+    for (const [el, score] of scores) {
+      if (el === document.body || el === document.documentElement) continue;
+      if (el.closest(BOILERPLATE)) continue;
+      const final = (score + classWeight(el)) * (1 - linkDensity(el));
+      if (final > bestScore) {
+        best = el;
+        bestScore = final;
+      }
+    }
+    return best && bestScore >= 10 ? { el: best, source: 'scored' } : { el: scope, source: 'body' };
+  };
+
+  const labelOf = (control) => {
+    const fromLabels = control.labels ? Array.from(control.labels).map((l) => clean(l.innerText || l.textContent)).filter(Boolean) : [];
+    if (fromLabels.length) return fromLabels.join(' ');
+    const labelledBy = clean(control.getAttribute('aria-labelledby'));
+    if (labelledBy) {
+      const text = labelledBy
+        .split(/\s+/)
+        .map((id) => control.getRootNode().getElementById?.(id))
+        .filter(Boolean)
+        .map((n) => clean(n.textContent))
+        .join(' ');
+      if (text) return text;
+    }
+    return clean(control.getAttribute('aria-label') || control.getAttribute('placeholder') || control.getAttribute('name') || '');
+  };
+
+  const renderControl = (el) => {
+    const tag = el.tagName.toLowerCase();
+    const type = tag === 'input' ? (el.getAttribute('type') || 'text').toLowerCase() : tag;
+    if (type === 'hidden') return '';
+    const label = labelOf(el);
+    const required = el.required || el.getAttribute('aria-required') === 'true' ? ', required' : '';
+    if (type === 'checkbox') return `- [${el.checked ? 'x' : ' '}] ${label}${required ? ' (required)' : ''}`;
+    if (type === 'radio') return `- (${el.checked ? 'x' : ' '}) ${label}${required ? ' (required)' : ''}`;
+    if (['submit', 'button', 'reset', 'image'].includes(type)) return `[${clean(el.value || el.getAttribute('alt') || type)}]`;
+    if (tag === 'select') {
+      const options = Array.from(el.options).map((o) => clean(o.textContent)).filter(Boolean);
+      const shown = options.slice(0, 10).join(' | ') + (options.length > 10 ? ` | … (${options.length} options)` : '');
+      return `${label || 'Select'}: [select${required}: ${shown}]`;
+    }
+    return `${label || type}: [${type}${required}]`;
+  };
+
+  // A label wrapping its control renders as the control; a label pointing elsewhere is read by that control.
+  const labelledControl = (el) => (el.tagName === 'LABEL' && el.control ? el.control : null);
+
+  const childNodesOf = (node) => {
+    if (node.shadowRoot) return Array.from(node.shadowRoot.childNodes);
+    if (node.tagName === 'SLOT') {
+      const assigned = node.assignedNodes({ flatten: true });
+      return assigned.length ? assigned : Array.from(node.childNodes);
+    }
+    return Array.from(node.childNodes);
+  };
+  // SVG and MathML carry no readable text worth the tokens.
+  // An explicit root is converted even when it is itself a landmark such as <nav>.
+  const skip = (el) =>
+    el.namespaceURI !== 'http://www.w3.org/1999/xhtml' || NEVER.has(el.tagName) || isHidden(el) || (el !== root && isBoilerplate(el));
+
+  const inline = (nodes) => {
+    let out = '';
+    for (const child of nodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        out += child.textContent.replace(/\s+/g, ' ');
+        continue;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE || skip(child)) continue;
+      const tag = child.tagName;
+      const control = labelledControl(child);
+      if (control) {
+        if (child.contains(control)) out += ` ${renderControl(control)} `;
+      } else if (tag === 'BR') {
+        out += '\n';
+      } else if (tag === 'A' && child.hasAttribute('href')) {
+        const text = inlineText(childNodesOf(child)).replace(/ {2}\n/g, ' ');
+        const href = child.href;
+        out += text && href && !/^javascript:/i.test(href) ? `[${text}](${href})` : text;
+      } else if (tag === 'STRONG' || tag === 'B') {
+        const text = inlineText(childNodesOf(child));
+        out += text ? `**${text}**` : '';
+      } else if (tag === 'EM' || tag === 'I') {
+        const text = inlineText(childNodesOf(child));
+        out += text ? `_${text}_` : '';
+      } else if (tag === 'CODE') {
+        const text = clean(child.textContent);
+        out += text ? `\`${text}\`` : '';
+      } else if (tag === 'IMG') {
+        const alt = clean(child.getAttribute('alt'));
+        const src = child.currentSrc || child.src || '';
+        if (alt) out += src && !src.startsWith('data:') ? `![${alt}](${src})` : alt;
+      } else if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') {
+        out += ` ${renderControl(child)} `;
+      } else {
+        out += inline(childNodesOf(child));
+      }
+    }
+    return out;
+  };
+  // <br> is the only newline left after whitespace collapsing; it becomes a Markdown hard break.
+  const inlineText = (nodes) =>
+    inline(nodes)
+      .split('\n')
+      .map((line) => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('  \n');
+
+  const renderTable = (table) => {
+    const rows = Array.from(table.rows).filter((row) => !isHidden(row));
+    if (!rows.length) return '';
+    const cells = rows.map((row) =>
+      Array.from(row.cells).map((cell) => inlineText(childNodesOf(cell)).replace(/ {2}\n/g, ' ').replace(/\|/g, '\\|'))
+    );
+    const width = Math.max(...cells.map((row) => row.length));
+    const line = (row) => `| ${Array.from({ length: width }, (_, i) => row[i] || '').join(' | ')} |`;
+    return [line(cells[0]), `|${' --- |'.repeat(width)}`, ...cells.slice(1).map(line)].join('\n');
+  };
+
+  // Item text follows the marker; nested lists arrive already indented one level deeper.
+  const renderList = (list, depth) => {
+    const ordered = list.tagName === 'OL';
+    const pad = '  '.repeat(depth);
+    const lines = [];
+    let index = Number(list.getAttribute('start')) || 1;
+    for (const item of Array.from(list.children)) {
+      if (item.tagName !== 'LI' || isHidden(item)) continue;
+      const marker = ordered ? `${index}. ` : '- ';
+      index += 1;
+      const parts = block(item, depth + 1);
+      if (!parts.length) continue;
+      const nested = (part) => /^\s+(- |\d+\. )/.test(part);
+      const [first, ...rest] = nested(parts[0]) ? ['', ...parts] : parts;
+      lines.push(`${pad}${marker}${first.replace(/\n/g, `\n${pad}  `)}`.trimEnd());
+      for (const part of rest) lines.push(nested(part) ? part : `${pad}  ${part.replace(/\n/g, `\n${pad}  `)}`);
+    }
+    return lines.join('\n');
+  };
+
+  const HEADINGS = { H1: 1, H2: 2, H3: 3, H4: 4, H5: 5, H6: 6 };
+  const BLOCKS = new Set([
+    'P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'NAV', 'ASIDE', 'FORM', 'FIELDSET', 'LEGEND',
+    'FIGURE', 'FIGCAPTION', 'DETAILS', 'SUMMARY', 'DL', 'DT', 'DD', 'ADDRESS', 'BODY', 'LI'
+  ]);
+  const isBlock = (el) => {
+    if (BLOCKS.has(el.tagName) || el.shadowRoot) return true;
+    const display = window.getComputedStyle(el).display;
+    return display === 'block' || display === 'flex' || display === 'grid' || display === 'list-item' || display === 'table';
+  };
+
+  // Returns Markdown blocks; runs of inline content between blocks become paragraphs.
+  const blockNodes = (nodes, depth) => {
+    const out = [];
+    let pending = [];
+    const flush = () => {
+      const text = inlineText(pending);
+      if (text) out.push(text);
+      pending = [];
+    };
+    const push = (markdown) => {
+      flush();
+      if (markdown) out.push(markdown);
+    };
+    for (const child of nodes) {
+      if (child.nodeType !== Node.ELEMENT_NODE) {
+        pending.push(child);
+        continue;
+      }
+      if (skip(child)) continue;
+      const tag = child.tagName;
+      const control = labelledControl(child);
+      if (control) {
+        if (child.contains(control)) push(renderControl(control));
+      } else if (HEADINGS[tag]) {
+        const text = inlineText(childNodesOf(child)).replace(/ {2}\n/g, ' ');
+        push(text ? `${'#'.repeat(HEADINGS[tag])} ${text}` : '');
+      } else if (tag === 'UL' || tag === 'OL') {
+        push(renderList(child, depth));
+      } else if (tag === 'TABLE') {
+        push(renderTable(child));
+      } else if (tag === 'PRE') {
+        const code = child.textContent.replace(/\n+$/, '');
+        push(code.trim() ? `\`\`\`\n${code}\n\`\`\`` : '');
+      } else if (tag === 'BLOCKQUOTE') {
+        const inner = block(child, depth).join('\n\n');
+        push(inner ? inner.split('\n').map((line) => `> ${line}`.trimEnd()).join('\n') : '');
+      } else if (tag === 'HR') {
+        push('---');
+      } else if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') {
+        push(renderControl(child));
+      } else if (isBlock(child)) {
+        flush();
+        out.push(...block(child, depth));
+      } else {
+        pending.push(child);
+      }
+    }
+    flush();
+    return out;
+  };
+  const block = (node, depth = 0) => blockNodes(childNodesOf(node), depth);
+
+  let target = root;
+  let source = 'root';
+  if (opts.detectMain) {
+    const picked = opts.mainContent ? pickMain(root) : { el: root, source: 'body' };
+    target = picked.el;
+    source = picked.source;
+  }
+  const markdown = blockNodes([target], 0).join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+  return { markdown, source, rootTag: target.tagName ? target.tagName.toLowerCase() : null };
+}
+
+// uid subtrees live behind a CDP target (page or OOPIF), so the converter is called on the resolved node.
+export async function renderMarkdownForBackendNode(target, backendNodeId, opts = {}) {
+  const session = await ensureCdpDomains(target, ['DOM', 'Runtime']);
+  const objectId = await resolveObjectId(target, backendNodeId);
+  const result = await session.send('Runtime.callFunctionOn', {
+    objectId,
+    functionDeclaration: `function(opts) { return (${renderMarkdown.toString()})(this, opts); }`,
+    arguments: [{ value: opts }],
+    returnByValue: true
+  });
+  if (result?.exceptionDetails) {
+    throw new Error(`Markdown conversion failed: ${result.exceptionDetails.exception?.description || result.exceptionDetails.text}`);
+  }
+  return result?.result?.value || { markdown: '', source: 'root', rootTag: null };
+}
+
+// Cuts at the last block boundary before maxChars when one is close, so a table or list is not left half-open.
+export function truncateMarkdown(markdown, maxChars) {
+  if (maxChars <= 0 || markdown.length <= maxChars) return { markdown, truncated: false };
+  const cut = markdown.slice(0, maxChars);
+  const boundary = cut.lastIndexOf('\n\n');
+  return { markdown: (boundary >= maxChars * 0.8 ? cut.slice(0, boundary) : cut).trimEnd(), truncated: true };
+}
@@ -0,0 +1,53 @@
+// Network throttling via CDP Network.emulateNetworkConditions (browser.emulate_network).
+// CDP takes throughput in bytes/s (-1 = unlimited); the tool speaks kbps like DevTools.
+
+import { ensureCdpDomains } from './cdp.js';
+
+// Same numbers as the Chrome DevTools throttling presets ("Fast 3G" is kept as an alias of "Slow 4G").
+export const NETWORK_PRESETS = {
+  'No throttling': { offline: false, latencyMs: 0, downloadKbps: -1, uploadKbps: -1 },
+  'Slow 3G': { offline: false, latencyMs: 2000, downloadKbps: 400, uploadKbps: 400 },
+  'Fast 3G': { offline: false, latencyMs: 562.5, downloadKbps: 1440, uploadKbps: 675 },
+  'Slow 4G': { offline: false, latencyMs: 562.5, downloadKbps: 1440, uploadKbps: 675 },
+  'Fast 4G': { offline: false, latencyMs: 165, downloadKbps: 8100, uploadKbps: 1350 },
+  Offline: { offline: true, latencyMs: 0, downloadKbps: -1, uploadKbps: -1 }
+};
+
+export const NETWORK_PRESET_NAMES = Object.keys(NETWORK_PRESETS);
+
+// Explicit values override the preset; no preset means no throttling as the base.
+export function resolveNetworkConditions({ preset, offline, latencyMs, downloadKbps, uploadKbps } = {}) {
+  const base = NETWORK_PRESETS[preset || 'No throttling'];
+  if (!base) throw new Error(`Unknown network preset "${preset}". Use one of: ${NETWORK_PRESET_NAMES.join(', ')}.`);
+  const conditions = {
+    preset: preset || null,
+    offline: offline ?? base.offline,
+    latencyMs: latencyMs ?? base.latencyMs,
+    downloadKbps: downloadKbps ?? base.downloadKbps,
+    uploadKbps: uploadKbps ?? base.uploadKbps
+  };
+  for (const key of ['downloadKbps', 'uploadKbps']) {
+    if (conditions[key] === 0 || conditions[key] < -1) {
+      throw new Error(`${key} must be positive, or -1 for unlimited.`);
+    }
+  }
+  if (conditions.latencyMs < 0) throw new Error('latencyMs must be >= 0.');
+  return conditions;
+}
+
+export function isThrottled(conditions) {
+  if (!conditions) return false;
+  return conditions.offline || conditions.latencyMs > 0 || conditions.downloadKbps > 0 || conditions.uploadKbps > 0;
+}
+
+const toBytesPerSecond = (kbps) => (kbps > 0 ? (kbps * 1000) / 8 : -1);
+
+export async function applyNetworkConditions(page, conditions) {
+  const session = await ensureCdpDomains(page, ['Network']);
+  await session.send('Network.emulateNetworkConditions', {
+    offline: Boolean(conditions?.offline),
+    latency: conditions?.latencyMs ?? 0,
+    downloadThroughput: toBytesPerSecond(conditions?.downloadKbps ?? -1),
+    uploadThroughput: toBytesPerSecond(conditions?.uploadKbps ?? -1)
+  });
+}
@@ -23,6 +23,21 @@ function pushRing(arr, item, maxItems) {
 
 const observerByPage = new WeakMap(); // Page -> observer
 
+function responseDetails(res = {}) {
+  return {
+    status: typeof res.status === 'number' ? res.status : null,
+    statusText: cleanText(res.statusText || ''),
+    mimeType: cleanText(res.mimeType || ''),
+    responseHeaders: res.headers || null,
+    fromDiskCache: Boolean(res.fromDiskCache),
+    fromServiceWorker: Boolean(res.fromServiceWorker),
+    protocol: res.protocol || null,
+    remoteIPAddress: res.remoteIPAddress || null,
+    remotePort: typeof res.remotePort === 'number' ? res.remotePort : null,
+    timing: res.timing || null
+  };
+}
+
 async function getOrCreateObserver(page, opts = {}) {
   const existing = observerByPage.get(page);
   if (existing) return existing;
@@ -39,7 +54,14 @@ async function getOrCreateObserver(page, opts = {}) {
     console: [], // { ts, type, level, text }
     exceptions: [], // { ts, text, url, line, column }
     networkOrder: [], // requestId in order
-    network: new Map() // requestId -> details
+    network: new Map(), // requestId -> details
+    pendingRawHeaders: new Map(), // requestId -> raw request headers seen before requestWillBeSent
+    inflight: new Map(), // requestId -> { url, type, since } until loadingFinished/loadingFailed
+    lastNetworkActivity: Date.now()
+  };
+
+  const settle = (requestId) => {
+    if (observer.inflight.delete(requestId)) observer.lastNetworkActivity = Date.now();
   };
 
   const addRequestId = (requestId) => {
@@ -87,8 +109,24 @@ async function getOrCreateObserver(page, opts = {}) {
   session.on('Network.requestWillBeSent', (evt) => {
     const requestId = evt?.requestId;
     if (!requestId) return;
-    if (!observer.network.has(requestId)) addRequestId(requestId);
+    const previous = observer.network.get(requestId);
+    if (!previous) addRequestId(requestId);
+    // A redirect reuses the requestId; keep the earlier hops so HAR export can list them.
+    const redirects = [];
+    if (previous && evt.redirectResponse) {
+      const { redirects: earlier, ...hop } = previous;
+      redirects.push(...(earlier || []), {
+        ...hop,
+        response: responseDetails(evt.redirectResponse),
+        finished: true,
+        endTs: typeof evt.timestamp === 'number' ? evt.timestamp : null
+      });
+    }
     const req = evt?.request || {};
+    if (!observer.inflight.has(requestId)) {
+      observer.inflight.set(requestId, { url: cleanText(req.url || ''), type: cleanText(evt?.type || ''), since: Date.now() });
+    }
+    observer.lastNetworkActivity = Date.now();
     observer.network.set(requestId, {
       requestId,
       url: cleanText(req.url || ''),
@@ -96,13 +134,41 @@ async function getOrCreateObserver(page, opts = {}) {
       requestHeaders: req.headers || null,
       postData: typeof req.postData === 'string' ? req.postData : null,
       ts: Date.now(),
+      wallTime: typeof evt.wallTime === 'number' ? Math.round(evt.wallTime * 1000) : Date.now(),
+      startTs: typeof evt.timestamp === 'number' ? evt.timestamp : null,
+      endTs: null,
       type: cleanText(evt?.type || ''),
       response: null,
       finished: false,
       failed: false,
       errorText: null,
-      encodedDataLength: null
+      encodedDataLength: null,
+      dataLength: 0,
+      rawRequestHeaders: observer.pendingRawHeaders.get(requestId) || null,
+      rawResponseHeaders: null,
+      redirects
     });
+    observer.pendingRawHeaders.delete(requestId);
+  });
+
+  // ExtraInfo events carry the headers as sent on the wire, including Cookie and Set-Cookie.
+  session.on('Network.requestWillBeSentExtraInfo', (evt) => {
+    const requestId = evt?.requestId;
+    if (!requestId || !evt.headers) return;
+    const entry = observer.network.get(requestId);
+    if (entry && !entry.response) {
+      entry.rawRequestHeaders = evt.headers;
+    } else {
+      observer.pendingRawHeaders.set(requestId, evt.headers);
+      if (observer.pendingRawHeaders.size > observer.networkLimit) {
+        observer.pendingRawHeaders.delete(observer.pendingRawHeaders.keys().next().value);
+      }
+    }
+  });
+
+  session.on('Network.responseReceivedExtraInfo', (evt) => {
+    const entry = evt?.requestId ? observer.network.get(evt.requestId) : null;
+    if (entry && evt.headers) entry.rawResponseHeaders = evt.headers;
   });
 
   session.on('Network.responseReceived', (evt) => {
@@ -110,33 +176,34 @@ async function getOrCreateObserver(page, opts = {}) {
     if (!requestId) return;
     const entry = observer.network.get(requestId);
     if (!entry) return;
-    const res = evt?.response || {};
-    entry.response = {
-      status: typeof res.status === 'number' ? res.status : null,
-      statusText: cleanText(res.statusText || ''),
-      mimeType: cleanText(res.mimeType || ''),
-      responseHeaders: res.headers || null,
-      fromDiskCache: Boolean(res.fromDiskCache),
-      fromServiceWorker: Boolean(res.fromServiceWorker)
-    };
+    entry.response = responseDetails(evt?.response);
+  });
+
+  session.on('Network.dataReceived', (evt) => {
+    const entry = evt?.requestId ? observer.network.get(evt.requestId) : null;
+    if (entry && typeof evt.dataLength === 'number') entry.dataLength += evt.dataLength;
   });
 
   session.on('Network.loadingFinished', (evt) => {
     const requestId = evt?.requestId;
     if (!requestId) return;
+    settle(requestId);
     const entry = observer.network.get(requestId);
     if (!entry) return;
     entry.finished = true;
     entry.encodedDataLength = typeof evt.encodedDataLength === 'number' ? evt.encodedDataLength : null;
+    entry.endTs = typeof evt.timestamp === 'number' ? evt.timestamp : null;
   });
 
   session.on('Network.loadingFailed', (evt) => {
     const requestId = evt?.requestId;
     if (!requestId) return;
+    settle(requestId);
     const entry = observer.network.get(requestId);
     if (!entry) return;
     entry.failed = true;
     entry.errorText = cleanText(evt?.errorText || '');
+    entry.endTs = typeof evt.timestamp === 'number' ? evt.timestamp : null;
   });
 
   observerByPage.set(page, observer);
@@ -151,6 +218,21 @@ export async function listConsoleMessages(page, opts = {}) {
   return merged.slice(-limit);
 }
 
+// In-flight requests are tracked apart from the capture buffer, so evicted entries still count.
+export async function getNetworkActivity(page, opts = {}) {
+  const observer = await getOrCreateObserver(page, opts);
+  const now = Date.now();
+  return {
+    inflight: [...observer.inflight.entries()].map(([requestId, req]) => ({
+      requestId,
+      url: truncateText(req.url, 300),
+      type: req.type,
+      ageMs: now - req.since
+    })),
+    lastActivityTs: observer.lastNetworkActivity
+  };
+}
+
 export async function ensureObservability(page, opts = {}) {
   await getOrCreateObserver(page, opts);
   return { status: 'enabled' };
@@ -172,7 +254,9 @@ export async function listNetworkRequests(page, opts = {}) {
       url: truncateText(entry.url, 300),
       status: entry.response?.status ?? null,
       failed: entry.failed,
-      finished: entry.finished
+      finished: entry.finished,
+      // Interception aborts report as "net::ERR_BLOCKED_BY_CLIENT.Inspector".
+      blocked: String(entry.errorText || '').startsWith('net::ERR_BLOCKED_BY_CLIENT')
     });
   }
 
@@ -222,3 +306,57 @@ export async function getNetworkRequest(page, requestId, opts = {}) {
     bodyBase64
   };
 }
+
+// Full captured entries (redirect hops first) for HAR export; since/until are epoch ms on the request start.
+export async function listNetworkEntries(page, opts = {}) {
+  const observer = await getOrCreateObserver(page, opts);
+  const contains = cleanText(opts.urlContains || '').toLowerCase();
+  const inWindow = (item) =>
+    (!contains || item.url.toLowerCase().includes(contains)) &&
+    (opts.since === undefined || item.wallTime >= opts.since) &&
+    (opts.until === undefined || item.wallTime <= opts.until);
+
+  const out = [];
+  for (const requestId of observer.networkOrder) {
+    const entry = observer.network.get(requestId);
+    if (!entry) continue;
+    const { redirects, ...final } = entry;
+    for (const hop of redirects || []) {
+      if (inWindow(hop)) out.push({ ...hop, redirectHop: true });
+    }
+    if (inWindow(final)) out.push({ ...final, redirectHop: false });
+  }
+  return out;
+}
+
+export function hasNetworkRequest(page, requestId) {
+  const observer = observerByPage.get(page);
+  return Boolean(observer && observer.network.has(requestId));
+}
+
+export function listFinishedRequestIds(page, limit = 50) {
+  const observer = observerByPage.get(page);
+  if (!observer) return [];
+  const out = [];
+  for (const requestId of observer.networkOrder) {
+    const entry = observer.network.get(requestId);
+    if (!entry || !entry.finished || entry.failed) continue;
+    out.push({ requestId, url: entry.url, mimeType: entry.response?.mimeType || null });
+  }
+  return out.slice(-limit);
+}
+
+// Full, untruncated response body for resource reads (getNetworkRequest caps it for tool output).
+export async function getNetworkResponseBody(page, requestId) {
+  const observer = await getOrCreateObserver(page);
+  const entry = observer.network.get(requestId);
+  if (!entry) throw new Error(`Unknown requestId "${requestId}".`);
+  const session = await getOrCreateCdpSession(page);
+  const res = await session.send('Network.getResponseBody', { requestId });
+  return {
+    body: typeof res?.body === 'string' ? res.body : '',
+    base64Encoded: Boolean(res?.base64Encoded),
+    mimeType: entry.response?.mimeType || null,
+    url: entry.url
+  };
+}
@@ -0,0 +1,70 @@
+// Output schemas for the shared tool envelope (see buildEnvelope in mcp-browser-server.js).
+// Payload budget truncation may drop any non-envelope field or trim nested object keys,
+// so tool-specific fields are always optional and nested objects are loose.
+
+import * as z from 'zod/v4';
+
+export const ERROR_CODES = ['TIMEOUT', 'PERMISSION', 'STALE_REF', 'NAVIGATION', 'NOT_FOUND', 'CANCELLED', 'INTERNAL'];
+
+// Mirrors normalizeError(): details only carries string fields such as name/cause.
+export const NORMALIZED_ERROR_SCHEMA = z.object({
+  code: z.enum(ERROR_CODES),
+  message: z.string(),
+  details: z.record(z.string(), z.unknown()).optional()
+});
+
+export const ENVELOPE_OUTPUT_SHAPE = {
+  ok: z.boolean(),
+  requestId: z.string(),
+  timestamp: z.string().optional(),
+  pageId: z.number().nullable().optional(),
+  url: z.string().nullable().optional(),
+  title: z.string().nullable().optional(),
+  domVersion: z.string().nullable().optional(),
+  activeFrameId: z.string().nullable().optional(),
+  // Present while browser.add_route rules are active on the session's context.
+  activeRoutes: z
+    .array(z.looseObject({ routeId: z.string(), pattern: z.string(), action: z.string(), hits: z.number() }).partial())
+    .optional(),
+  error: NORMALIZED_ERROR_SCHEMA.optional(),
+  // Failed calls also echo the error as payload (renamed on collision); budget trimming may drop its keys.
+  payloadError: NORMALIZED_ERROR_SCHEMA.partial().optional(),
+  // Added by enforceResponseCeiling when the response had to be shrunk.
+  truncated: z.boolean().optional(),
+  truncationReason: z.string().optional(),
+  maxPayloadBytes: z.number().optional(),
+  originalBytes: z.number().optional(),
+  retryWith: z.record(z.string(), z.unknown()).optional(),
+  omittedContent: z.array(z.looseObject({})).optional()
+};
+
+function optionalShape(shape) {
+  const out = {};
+  for (const [key, schema] of Object.entries(shape)) {
+    out[key] = schema.optional();
+  }
+  return out;
+}
+
+// Nested object whose keys may be trimmed by the payload budget.
+export function looseObject(shape = {}) {
+  return z.looseObject(optionalShape(shape));
+}
+
+export function looseArray(shape = {}) {
+  return z.array(looseObject(shape));
+}
+
+// Full tool output: envelope fields plus the tool's own (optional) payload fields.
+// Payload keys that collide with envelope keys are renamed by buildEnvelope (url -> payloadUrl).
+export function toolOutput(shape = {}) {
+  return z.looseObject({ ...ENVELOPE_OUTPUT_SHAPE, ...optionalShape(shape) });
+}
+
+// Window/container scroll metrics returned by the scroll tools.
+export const SCROLL_METRICS_SHAPE = {
+  scrollTop: z.number(),
+  scrollHeight: z.number(),
+  clientHeight: z.number(),
+  atBottom: z.boolean()
+};
@@ -364,3 +364,55 @@ export function enforcePayloadCeiling(payload, opts = {}) {
     finalBytes
   };
 }
+
+function estimateBlockBytes(block) {
+  if (!block || typeof block !== 'object') return 0;
+  if (typeof block.data === 'string') return Buffer.byteLength(block.data, 'utf8');
+  return estimateBytes(block);
+}
+
+// Non-text content blocks (e.g. inline images) share the same byte budget as the JSON envelope.
+// Blocks that do not fit are dropped and described in `omittedContent` so the caller can retry smaller.
+export function enforceResponseCeiling(payload, content = [], opts = {}) {
+  const maxBytes = typeof opts.maxBytes === 'number' && opts.maxBytes > 1024
+    ? Math.floor(opts.maxBytes)
+    : 280000;
+  const blocks = Array.isArray(content) ? content : [];
+  if (!blocks.length) {
+    return { ...enforcePayloadCeiling(payload, { maxBytes }), content: [], contentBytes: 0 };
+  }
+
+  // Keep enough room for a compact envelope even when images are large.
+  const reserveBytes = Math.min(estimateBytes(payload), Math.max(2048, Math.floor(maxBytes / 8)));
+  const kept = [];
+  const omitted = [];
+  let contentBytes = 0;
+  for (const block of blocks) {
+    const bytes = estimateBlockBytes(block);
+    if (contentBytes + bytes + reserveBytes <= maxBytes) {
+      kept.push(block);
+      contentBytes += bytes;
+    } else {
+      omitted.push({ type: block?.type || 'unknown', mimeType: block?.mimeType || null, bytes });
+    }
+  }
+
+  let candidate = payload;
+  if (omitted.length && candidate && typeof candidate === 'object' && !Array.isArray(candidate)) {
+    candidate = {
+      ...candidate,
+      omittedContent: omitted,
+      truncated: true,
+      truncationReason: 'response_payload_budget_exceeded',
+      maxPayloadBytes: maxBytes
+    };
+  }
+
+  const result = enforcePayloadCeiling(candidate, { maxBytes: maxBytes - contentBytes });
+  return {
+    ...result,
+    truncated: result.truncated || omitted.length > 0,
+    content: kept,
+    contentBytes
+  };
+}
@@ -0,0 +1,112 @@
+// MCP progress notifications and request cancellation for long-running tools.
+// Progress is reported in elapsed milliseconds so it always increases, with the tool timeout as total.
+
+const DEFAULT_HEARTBEAT_MS = 1000;
+
+export function createAbortError(message = 'Operation cancelled by the client.') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+export function isAbortError(error) {
+  return Boolean(error && typeof error === 'object' && error.name === 'AbortError');
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw createAbortError();
+}
+
+// Settles with `promise`, or rejects as soon as `signal` aborts. onAbort runs first so callers can
+// detach listeners; the losing promise is silenced because Playwright calls cannot be interrupted.
+export function raceAbort(promise, signal, onAbort) {
+  if (!signal) return promise;
+  if (signal.aborted) {
+    onAbort?.();
+    void Promise.resolve(promise).catch(() => {});
+    return Promise.reject(createAbortError());
+  }
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      onAbort?.();
+      void Promise.resolve(promise).catch(() => {});
+      reject(createAbortError());
+    };
+    signal.addEventListener('abort', abort, { once: true });
+    Promise.resolve(promise).then(
+      (value) => {
+        signal.removeEventListener('abort', abort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener('abort', abort);
+        reject(error);
+      }
+    );
+  });
+}
+
+export function abortableDelay(ms, signal) {
+  if (signal?.aborted) return Promise.reject(createAbortError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Sends notifications/progress while a tool runs when the request carried a progressToken.
+// A heartbeat fires every intervalMs; report() adds an explicit step message. No-op without a token.
+export function startProgress(extra, opts = {}) {
+  const progressToken = extra?._meta?.progressToken;
+  const canSend = progressToken !== undefined && typeof extra?.sendNotification === 'function';
+  const total = typeof opts.total === 'number' && opts.total > 0 ? opts.total : undefined;
+  const startedAt = Date.now();
+  let lastProgress = 0;
+  let lastMessage = opts.message || '';
+  let stopped = false;
+
+  const send = (message) => {
+    if (!canSend || stopped) return;
+    // Clients require strictly increasing progress, so stay quiet once total is reached.
+    let progress = Math.max(lastProgress + 1, Date.now() - startedAt);
+    if (total && progress > total) {
+      if (lastProgress >= total) return;
+      progress = total;
+    }
+    lastProgress = progress;
+    if (message) lastMessage = message;
+    void extra
+      .sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress,
+          ...(total ? { total } : {}),
+          ...(lastMessage ? { message: lastMessage } : {})
+        }
+      })
+      .catch(() => {});
+  };
+
+  let timer = null;
+  if (canSend) {
+    send();
+    timer = setInterval(() => send(), opts.intervalMs ?? DEFAULT_HEARTBEAT_MS);
+    timer.unref?.();
+  }
+
+  return {
+    report: (message) => send(message),
+    stop: () => {
+      stopped = true;
+      if (timer) clearInterval(timer);
+    }
+  };
+}
@@ -0,0 +1,164 @@
+// Session recorder: keeps the state-changing tool calls of a flow and exports them as a @playwright/test spec.
+// Steps store resolved targets (role/name, CSS selector or text) instead of uids/elementIds, which only
+// live as long as one snapshot.
+
+import { looksSensitive } from '../security/audit-log.js';
+
+const VALUE_ACTIONS = new Set(['fill', 'type', 'formText']);
+
+function quote(value) {
+  const escaped = String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+  return `'${escaped}'`;
+}
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function questionPattern(question, exact) {
+  const source = exact ? `^\\s*${escapeRegex(question)}\\s*$` : escapeRegex(question);
+  return String(new RegExp(source, 'i'));
+}
+
+function isSecretStep(step) {
+  if (!VALUE_ACTIONS.has(step.action)) return false;
+  const target = step.target || {};
+  if (target.inputType === 'password') return true;
+  return [target.name, target.selector, target.text, step.question].some((hint) => looksSensitive(hint));
+}
+
+export function locatorCode(target) {
+  const base = target.frame ? `page.frameLocator(${quote(target.frame)})` : 'page';
+  if (target.kind === 'role') {
+    return `${base}.getByRole(${quote(target.role)}, { name: ${quote(target.name)}, exact: true }).first()`;
+  }
+  if (target.kind === 'text') {
+    return `${base}.getByText(${quote(target.text)}).first()`;
+  }
+  return `${base}.locator(${quote(target.selector)}).first()`;
+}
+
+function valueCode(step) {
+  return step.secret ? `process.env.${step.secret} ?? ''` : quote(step.value);
+}
+
+function stepLines(step) {
+  if (step.target?.kind === 'unresolved') {
+    return [`// ${step.tool}: target could not be resolved while recording (${step.target.reason}).`];
+  }
+  const form = step.question !== undefined ? `formQuestion(page, ${questionPattern(step.question, step.exact)})` : null;
+  switch (step.action) {
+    case 'goto':
+      return [`await page.goto(${quote(step.url)});`];
+    case 'click':
+      // Label-backed radios/checkboxes were clicked through their <label>; a DOM click event matches that.
+      return step.via === 'label'
+        ? [`await ${locatorCode(step.target)}.dispatchEvent('click');`]
+        : [`await ${locatorCode(step.target)}.click();`];
+    case 'fill':
+      return [`await ${locatorCode(step.target)}.fill(${valueCode(step)});`];
+    case 'type': {
+      const lines = step.clear ? [`await ${locatorCode(step.target)}.fill('');`] : [];
+      lines.push(`await ${locatorCode(step.target)}.pressSequentially(${valueCode(step)});`);
+      return lines;
+    }
+    case 'press':
+      return step.target
+        ? [`await ${locatorCode(step.target)}.press(${quote(step.key)});`]
+        : [`await page.keyboard.press(${quote(step.key)});`];
+    case 'setInputFiles':
+      return [`await ${locatorCode(step.target)}.setInputFiles([${step.files.map(quote).join(', ')}]);`];
+    case 'formText':
+      return [
+        `await ${form}.locator('textarea, input[type=text], input[type=email], input[type=url], input[type=date], input:not([type])').first().fill(${valueCode(step)});`
+      ];
+    case 'formDropdown':
+      return [
+        `await ${form}.locator('[role=listbox], [role=combobox]').first().click();`,
+        `await page.getByRole('option', { name: ${quote(step.option)}, exact: true }).filter({ visible: true }).first().click();`
+      ];
+    case 'formCheckbox':
+      return [
+        `await ${form}.getByRole('checkbox', { name: ${quote(step.option)}, exact: true }).first().setChecked(${step.checked ? 'true' : 'false'});`
+      ];
+    case 'formRadio':
+      return [`await ${form}.getByRole('radio', { name: ${quote(step.option)}, exact: true }).first().check();`];
+    default:
+      return [`// Unsupported step "${step.action}" from ${step.tool}.`];
+  }
+}
+
+export function buildPlaywrightSpec(steps, { title = 'recorded flow', recordedAt = new Date() } = {}) {
+  const secrets = steps.filter((step) => step.secret).map((step) => step.secret);
+  const needsForms = steps.some((step) => step.question !== undefined);
+
+  const lines = [`// Recorded with mcp-playwright-browser on ${recordedAt.toISOString()} (${steps.length} steps).`];
+  if (secrets.length) {
+    lines.push(`// Sensitive values were not recorded. Set ${secrets.join(', ')} before running.`);
+  }
+  lines.push("import { test } from '@playwright/test';", '');
+  if (needsForms) {
+    lines.push(
+      'function formQuestion(page, title) {',
+      "  return page.locator('div.Qr7Oae').filter({ has: page.locator('[role=heading]').filter({ hasText: title }) }).first();",
+      '}',
+      ''
+    );
+  }
+  lines.push(`test(${quote(title)}, async ({ page }) => {`);
+  for (const step of steps) {
+    for (const line of stepLines(step)) lines.push(`  ${line}`);
+  }
+  lines.push('});', '');
+  return { code: lines.join('\n'), secrets };
+}
+
+export function createRecorder() {
+  let active = false;
+  let name = null;
+  let startedAt = null;
+  let steps = [];
+  let secretSeq = 0;
+
+  const status = () => ({
+    active,
+    name,
+    startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+    stepCount: steps.length
+  });
+
+  return {
+    isActive: () => active,
+    start: (opts = {}) => {
+      active = true;
+      name = opts.name || null;
+      startedAt = Date.now();
+      steps = [];
+      secretSeq = 0;
+      return status();
+    },
+    stop: () => {
+      active = false;
+      return status();
+    },
+    add: (step) => {
+      if (!active) return null;
+      const stored = { index: steps.length + 1, at: new Date().toISOString(), ...step };
+      if (isSecretStep(stored)) {
+        secretSeq += 1;
+        stored.secret = `RECORDED_SECRET_${secretSeq}`;
+        delete stored.value;
+      }
+      steps.push(stored);
+      return stored;
+    },
+    getSteps: () => steps.map((step) => ({ ...step })),
+    status
+  };
+}
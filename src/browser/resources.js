@@ -0,0 +1,40 @@
+// URI scheme and content helpers for artefacts published as MCP resources.
+// Resources let clients pull full data on demand instead of paying for it in every tool response.
+
+export const RESOURCE_URI_TEMPLATES = {
+  snapshot: 'browser://page/{pageId}/snapshot/latest',
+  networkBody: 'browser://network/{requestId}/body',
+  download: 'browser://download/{downloadId}'
+};
+
+export function snapshotUri(pageId) {
+  return `browser://page/${pageId}/snapshot/latest`;
+}
+
+export function networkBodyUri(requestId) {
+  return `browser://network/${encodeURIComponent(requestId)}/body`;
+}
+
+export function downloadUri(downloadId) {
+  return `browser://download/${encodeURIComponent(downloadId)}`;
+}
+
+export function isTextMimeType(mimeType) {
+  const mime = String(mimeType || '').toLowerCase();
+  if (!mime) return false;
+  if (mime.startsWith('text/')) return true;
+  return /(json|javascript|ecmascript|xml|csv|yaml|x-www-form-urlencoded|svg)/.test(mime);
+}
+
+// Builds one entry of a resources/read `contents` array, choosing text or base64 blob by mime type.
+export function buildResourceContent(uri, { mimeType, text, buffer }) {
+  const resolvedMime = mimeType || (typeof text === 'string' ? 'text/plain' : 'application/octet-stream');
+  if (typeof text === 'string') {
+    return { uri, mimeType: resolvedMime, text };
+  }
+  const data = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer || '');
+  if (isTextMimeType(resolvedMime)) {
+    return { uri, mimeType: resolvedMime, text: data.toString('utf8') };
+  }
+  return { uri, mimeType: resolvedMime, blob: data.toString('base64') };
+}
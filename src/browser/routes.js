@@ -0,0 +1,241 @@
+// Per-context request interception rules (browser.add_route): abort, fulfill or continue with edited headers.
+// One catch-all context.route() handler dispatches to the rules; newer rules win, unmatched requests fall back.
+// The same handler applies the resource blocking policy (browser.set_blocking) to requests no rule claimed.
+
+export const ROUTE_ACTIONS = ['abort', 'fulfill', 'continue'];
+
+export const BLOCKABLE_RESOURCE_TYPES = ['image', 'media', 'font', 'stylesheet'];
+
+export const ABORT_ERROR_CODES = [
+  'failed',
+  'aborted',
+  'accessdenied',
+  'addressunreachable',
+  'blockedbyclient',
+  'blockedbyresponse',
+  'connectionaborted',
+  'connectionclosed',
+  'connectionfailed',
+  'connectionrefused',
+  'connectionreset',
+  'internetdisconnected',
+  'namenotresolved',
+  'timedout'
+];
+
+// Case-insensitive substring by default, RegExp when regex=true (shared with browser.expect_event).
+export function buildUrlMatcher(pattern, regex) {
+  if (!pattern) return () => true;
+  if (regex) {
+    let compiled;
+    try {
+      compiled = new RegExp(pattern);
+    } catch {
+      throw new Error(`Invalid regex pattern "${pattern}".`);
+    }
+    return (url) => compiled.test(String(url || ''));
+  }
+  const needle = String(pattern || '').toLowerCase();
+  return (url) => String(url || '').toLowerCase().includes(needle);
+}
+
+function lowerKeys(headers) {
+  const out = {};
+  for (const [key, value] of Object.entries(headers || {})) out[key.toLowerCase()] = String(value);
+  return out;
+}
+
+function originOf(url) {
+  try {
+    const origin = new URL(url).origin;
+    return origin === 'null' ? null : origin.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+// "doubleclick.net" also covers "stats.g.doubleclick.net".
+function hostMatches(host, blocked) {
+  return host === blocked || host.endsWith(`.${blocked}`);
+}
+
+// Accepts full URLs or bare origins; anything unparsable is kept as typed.
+export function normalizeBlockPolicy({ resourceTypes, hosts, allowOrigins } = {}) {
+  const unique = (values) => [...new Set(values)];
+  return {
+    resourceTypes: unique((resourceTypes || []).map((type) => String(type).trim().toLowerCase()).filter(Boolean)),
+    hosts: unique(
+      (hosts || [])
+        .map((host) => String(host).trim().toLowerCase())
+        .filter(Boolean)
+        .map((host) => hostOf(host.includes('://') ? host : `http://${host}`) || host)
+    ),
+    allowOrigins: unique(
+      (allowOrigins || [])
+        .map((origin) => String(origin).trim())
+        .filter(Boolean)
+        .map((origin) => originOf(origin) || origin.toLowerCase())
+    )
+  };
+}
+
+function describeRule(rule) {
+  const { matches, ...rest } = rule;
+  return rest;
+}
+
+export function createRouteTable() {
+  let rules = [];
+  let seq = 0;
+  let installedOn = null;
+  let blockPolicy = normalizeBlockPolicy();
+  let blocked = { total: 0, byType: {}, byHost: {} };
+
+  const blockingActive = () => blockPolicy.resourceTypes.length > 0 || blockPolicy.hosts.length > 0;
+
+  // Exceptions cover both the request's own origin and the origin of the frame that asked for it.
+  const blockReason = (request) => {
+    const url = request.url();
+    if (url.startsWith('data:') || url.startsWith('blob:')) return null;
+    if (blockPolicy.allowOrigins.length) {
+      let frameUrl = '';
+      try {
+        frameUrl = request.frame().url();
+      } catch {
+        // service worker requests have no frame
+      }
+      const origins = [originOf(url), originOf(frameUrl)];
+      if (origins.some((origin) => origin && blockPolicy.allowOrigins.includes(origin))) return null;
+    }
+    const host = hostOf(url);
+    const hostRule = blockPolicy.hosts.find((candidate) => hostMatches(host, candidate));
+    if (hostRule) return { type: request.resourceType(), host };
+    if (blockPolicy.resourceTypes.includes(request.resourceType())) return { type: request.resourceType(), host };
+    return null;
+  };
+
+  const findRule = (url, method) => {
+    for (let i = rules.length - 1; i >= 0; i -= 1) {
+      const rule = rules[i];
+      if (rule.method && rule.method !== method) continue;
+      if (rule.matches(url)) return rule;
+    }
+    return null;
+  };
+
+  const handle = async (route) => {
+    const request = route.request();
+    const rule = findRule(request.url(), request.method());
+    if (!rule) {
+      const reason = blockingActive() ? blockReason(request) : null;
+      if (!reason) return route.fallback();
+      blocked.total += 1;
+      blocked.byType[reason.type] = (blocked.byType[reason.type] || 0) + 1;
+      blocked.byHost[reason.host] = (blocked.byHost[reason.host] || 0) + 1;
+      return route.abort('blockedbyclient');
+    }
+    rule.hits += 1;
+    if (rule.times && rule.hits >= rule.times) {
+      rules = rules.filter((candidate) => candidate !== rule);
+    }
+    if (rule.action === 'abort') return route.abort(rule.errorCode);
+    if (rule.action === 'fulfill') {
+      return route.fulfill({
+        status: rule.status,
+        headers: rule.headers || undefined,
+        contentType: rule.contentType || undefined,
+        body: rule.body ?? ''
+      });
+    }
+    // fallback (not continue) so HAR routes and later handlers still see the edited request.
+    const headers = { ...request.headers(), ...lowerKeys(rule.setHeaders) };
+    for (const name of rule.removeHeaders || []) delete headers[name.toLowerCase()];
+    return route.fallback({ headers });
+  };
+
+  return {
+    // The handler is bound to one context; a replaced context keeps a handler that only falls back.
+    // force re-registers after context.unrouteAll() dropped the handler.
+    install: async (context, { force = false } = {}) => {
+      if (installedOn === context && !force) return;
+      const owner = context;
+      await context.route('**/*', async (route) => {
+        try {
+          if (installedOn !== owner) return await route.fallback();
+          await handle(route);
+        } catch {
+          // page or context closed mid-request
+        }
+      });
+      installedOn = context;
+    },
+    add: (spec) => {
+      seq += 1;
+      const rule = {
+        routeId: `route-${seq}`,
+        pattern: spec.pattern,
+        regex: Boolean(spec.regex),
+        method: spec.method ? spec.method.toUpperCase() : null,
+        action: spec.action,
+        hits: 0,
+        times: spec.times ?? null,
+        createdAt: new Date().toISOString(),
+        matches: buildUrlMatcher(spec.pattern, spec.regex)
+      };
+      if (spec.action === 'abort') rule.errorCode = spec.errorCode || 'failed';
+      if (spec.action === 'fulfill') {
+        rule.status = spec.status ?? 200;
+        rule.body = spec.body ?? '';
+        rule.headers = spec.headers || null;
+        rule.contentType = spec.contentType || null;
+      }
+      if (spec.action === 'continue') {
+        rule.setHeaders = spec.setHeaders || null;
+        rule.removeHeaders = spec.removeHeaders || null;
+      }
+      rules.push(rule);
+      return describeRule(rule);
+    },
+    remove: (routeId) => {
+      const before = rules.length;
+      rules = rules.filter((rule) => rule.routeId !== routeId);
+      return before - rules.length;
+    },
+    clear: () => {
+      const removed = rules.length;
+      rules = [];
+      return removed;
+    },
+    list: () => rules.map(describeRule),
+    // Compact form for the response envelope.
+    summary: () => rules.map((rule) => ({ routeId: rule.routeId, pattern: rule.pattern, action: rule.action, hits: rule.hits })),
+    size: () => rules.length,
+    // Needs install() as well; returns the normalized policy.
+    setBlocking: (policy) => {
+      blockPolicy = normalizeBlockPolicy(policy);
+      return { ...blockPolicy };
+    },
+    blocking: () => ({ ...blockPolicy, active: blockingActive() }),
+    blockingActive,
+    blockedCounts: () => ({ total: blocked.total, byType: { ...blocked.byType }, byHost: { ...blocked.byHost } }),
+    // browser.emulate rebuilds the context under the same agent, so its rules are carried over (hits included).
+    saveRules: () => [...rules],
+    restoreRules: (saved) => {
+      rules = [...saved];
+    },
+    // A new context drops the rules and counters; the blocking policy carries over.
+    reset: () => {
+      rules = [];
+      installedOn = null;
+      blocked = { total: 0, byType: {}, byHost: {} };
+    }
+  };
+}
@@ -0,0 +1,88 @@
+// Inline screenshot capture for MCP image content blocks.
+// Uses CDP Page.captureScreenshot so JPEG quality and downscaling happen inside Chrome (no image deps).
+
+import { getOrCreateCdpSession } from './cdp.js';
+
+const DEFAULT_MAX_DIMENSION = 1568;
+const DEFAULT_JPEG_QUALITY = 70;
+
+function clamp(value, min, max, fallback) {
+  if (typeof value !== 'number' || Number.isNaN(value)) return fallback;
+  return Math.min(max, Math.max(min, value));
+}
+
+export function normalizeImageOptions(opts = {}) {
+  const format = opts.format === 'png' ? 'png' : 'jpeg';
+  return {
+    format,
+    quality: format === 'jpeg' ? Math.round(clamp(opts.quality, 1, 100, DEFAULT_JPEG_QUALITY)) : null,
+    scale: clamp(opts.scale, 0.05, 1, 1),
+    maxDimension: Math.round(clamp(opts.maxDimension, 64, 8000, DEFAULT_MAX_DIMENSION))
+  };
+}
+
+async function getCaptureRect(page, session, fullPage) {
+  const metrics = await session.send('Page.getLayoutMetrics');
+  const viewport = metrics.cssVisualViewport || metrics.visualViewport || {};
+  if (fullPage) {
+    const size = metrics.cssContentSize || metrics.contentSize || {};
+    return {
+      x: 0,
+      y: 0,
+      width: Math.max(1, Math.ceil(size.width || viewport.clientWidth || 1)),
+      height: Math.max(1, Math.ceil(size.height || viewport.clientHeight || 1))
+    };
+  }
+  return {
+    x: viewport.pageX || 0,
+    y: viewport.pageY || 0,
+    width: Math.max(1, Math.floor(viewport.clientWidth || page.viewportSize()?.width || 1)),
+    height: Math.max(1, Math.floor(viewport.clientHeight || page.viewportSize()?.height || 1))
+  };
+}
+
+// Returns an MCP image content block plus the geometry needed to map image pixels back to CSS px.
+export async function captureImageContent(page, opts = {}) {
+  const { format, quality, scale, maxDimension } = normalizeImageOptions(opts);
+  const session = await getOrCreateCdpSession(page);
+  const rect = await getCaptureRect(page, session, Boolean(opts.fullPage));
+  const dpr = await page.evaluate(() => window.devicePixelRatio || 1).catch(() => 1);
+
+  // imageScale is output px per CSS px; CDP clip.scale multiplies on top of devicePixelRatio.
+  const fitScale = maxDimension / Math.max(rect.width, rect.height);
+  const imageScale = Math.min(scale, fitScale);
+  const params = {
+    format,
+    clip: { ...rect, scale: imageScale / dpr },
+    captureBeyondViewport: Boolean(opts.fullPage)
+  };
+  if (quality !== null) params.quality = quality;
+
+  const timeoutMs = clamp(opts.timeoutMs, 1000, 300000, 30000);
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Screenshot capture timeout after ${timeoutMs}ms.`)), timeoutMs);
+  });
+  let result;
+  try {
+    result = await Promise.race([session.send('Page.captureScreenshot', params), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const data = String(result?.data || '');
+  const mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
+  return {
+    block: { type: 'image', data, mimeType },
+    image: {
+      mimeType,
+      width: Math.max(1, Math.round(rect.width * imageScale)),
+      height: Math.max(1, Math.round(rect.height * imageScale)),
+      imageScale: Number(imageScale.toFixed(4)),
+      quality,
+      bytes: Buffer.byteLength(data, 'utf8'),
+      clip: rect,
+      coordSpace: opts.fullPage ? 'page' : 'viewport'
+    }
+  };
+}
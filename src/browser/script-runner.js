@@ -0,0 +1,141 @@
+// Runs a list of tool calls as one deterministic macro, with optional per-step assertions.
+// Tool execution is injected (executeStep) so steps go through the same handlers as direct calls.
+
+import { abortableDelay, throwIfAborted } from './progress.js';
+import { waitForSelector, waitForText } from './wait.js';
+
+const ASSERT_POLL_MS = 100;
+
+function clampNumber(value, min, max, fallback) {
+  if (typeof value !== 'number' || Number.isNaN(value)) return fallback;
+  return Math.max(min, Math.min(max, value));
+}
+
+function errorMessage(error) {
+  return error && typeof error === 'object' && 'message' in error ? String(error.message) : String(error);
+}
+
+async function pollUntil(check, { timeoutMs, signal }) {
+  const start = Date.now();
+  let last = await check();
+  while (!last.ok && Date.now() - start < timeoutMs) {
+    await abortableDelay(ASSERT_POLL_MS, signal);
+    last = await check();
+  }
+  return last;
+}
+
+// Each assertion retries until timeoutMs so steps that trigger navigation or async rendering can settle.
+export async function checkStepAssertions(page, expect, { signal } = {}) {
+  if (!expect) return [];
+  const timeoutMs = clampNumber(expect.timeoutMs, 0, 120000, 5000);
+  const results = [];
+
+  if (typeof expect.urlContains === 'string') {
+    const needle = expect.urlContains;
+    const check = async () => {
+      const actual = page.url();
+      return { ok: actual.includes(needle), actual };
+    };
+    const { ok, actual } = await pollUntil(check, { timeoutMs, signal });
+    results.push({ type: 'urlContains', expected: needle, ok, actual });
+  }
+
+  if (typeof expect.urlMatches === 'string') {
+    let pattern;
+    try {
+      pattern = new RegExp(expect.urlMatches);
+    } catch {
+      throw new Error(`Invalid urlMatches regex "${expect.urlMatches}".`);
+    }
+    const check = async () => {
+      const actual = page.url();
+      return { ok: pattern.test(actual), actual };
+    };
+    const { ok, actual } = await pollUntil(check, { timeoutMs, signal });
+    results.push({ type: 'urlMatches', expected: expect.urlMatches, ok, actual });
+  }
+
+  if (typeof expect.titleContains === 'string') {
+    const needle = expect.titleContains;
+    const check = async () => {
+      const actual = await page.title().catch(() => '');
+      return { ok: actual.includes(needle), actual };
+    };
+    const { ok, actual } = await pollUntil(check, { timeoutMs, signal });
+    results.push({ type: 'titleContains', expected: needle, ok, actual });
+  }
+
+  // wait.js clamps timeouts to at least 1s, which is also the floor for visibility checks.
+  if (typeof expect.textVisible === 'string') {
+    let ok = true;
+    let actual = null;
+    try {
+      await waitForText(page, expect.textVisible, { timeoutMs: Math.max(timeoutMs, 1000), state: 'visible', signal });
+    } catch (error) {
+      if (error?.name === 'AbortError') throw error;
+      ok = false;
+      actual = errorMessage(error);
+    }
+    results.push({ type: 'textVisible', expected: expect.textVisible, ok, actual });
+  }
+
+  if (typeof expect.selectorVisible === 'string') {
+    let ok = true;
+    let actual = null;
+    try {
+      await waitForSelector(page, expect.selectorVisible, { timeoutMs: Math.max(timeoutMs, 1000), state: 'visible', signal });
+    } catch (error) {
+      if (error?.name === 'AbortError') throw error;
+      ok = false;
+      actual = errorMessage(error);
+    }
+    results.push({ type: 'selectorVisible', expected: expect.selectorVisible, ok, actual });
+  }
+
+  return results;
+}
+
+// executeStep(step) resolves to { ok, error?, ...envelope/payload }; verifyStep(step) to assertion results.
+// Stops at the first step that fails or whose assertions fail; later steps are reported as skipped.
+export async function runScript(steps, { executeStep, verifyStep, onStep, signal } = {}) {
+  const results = [];
+  let failedStep = null;
+
+  for (let i = 0; i < steps.length; i += 1) {
+    const step = steps[i];
+    const index = i + 1;
+    if (failedStep !== null) {
+      results.push({ index, tool: step.tool, status: 'skipped' });
+      continue;
+    }
+    throwIfAborted(signal);
+    onStep?.(index, step);
+
+    const startedAt = Date.now();
+    const outcome = await executeStep(step, index);
+    const entry = { index, tool: step.tool, status: outcome.ok ? 'passed' : 'failed', ...outcome };
+
+    if (outcome.ok && step.expect) {
+      try {
+        entry.assertions = await verifyStep(step, index);
+      } catch (error) {
+        if (error?.name === 'AbortError') throw error;
+        entry.assertions = [{ type: 'error', expected: null, ok: false, actual: errorMessage(error) }];
+      }
+      if (entry.assertions.some((assertion) => !assertion.ok)) entry.status = 'failed';
+    }
+    entry.durationMs = Date.now() - startedAt;
+
+    if (entry.status === 'failed') failedStep = index;
+    results.push(entry);
+  }
+
+  return {
+    status: failedStep === null ? 'completed' : 'failed',
+    failedStep,
+    stepsRun: results.filter((entry) => entry.status !== 'skipped').length,
+    stepsTotal: steps.length,
+    steps: results
+  };
+}
@@ -0,0 +1,65 @@
+// Open shadow roots in browser.list, browser.visual_snapshot and browser.form_audit.
+// Playwright CSS selectors already pierce open shadow roots, but a selector built inside a component is only
+// unique within its own shadow root, so cached selectors are chained per tree: "host >> ... >> element".
+
+// Runs inside the page on an element handle. Returns null for light-DOM elements; otherwise the chained
+// selector plus the host selectors from the outermost host inward.
+export function describeShadowPath(node) {
+  const escapeCss = (value) => CSS.escape(String(value || ''));
+
+  const selectorInTree = (el) => {
+    const root = el.getRootNode();
+    const tag = el.tagName.toLowerCase();
+    const unique = (selector) => {
+      try {
+        return root.querySelectorAll(selector).length === 1;
+      } catch {
+        return false;
+      }
+    };
+    const candidates = [];
+    if (el.id) candidates.push(`#${escapeCss(el.id)}`);
+    const testId = el.getAttribute('data-testid');
+    if (testId) candidates.push(`[data-testid="${escapeCss(testId)}"]`);
+    const aria = el.getAttribute('aria-label');
+    if (aria && aria.length <= 120) candidates.push(`${tag}[aria-label="${escapeCss(aria)}"]`);
+    const name = el.getAttribute('name');
+    if (name && name.length <= 120) candidates.push(`${tag}[name="${escapeCss(name)}"]`);
+    candidates.push(tag);
+    const found = candidates.find(unique);
+    if (found) return found;
+
+    // nth-of-type path up to the top of this tree (a shadow root has no parentElement above it).
+    const parts = [];
+    let cur = el;
+    while (cur && cur.nodeType === 1 && cur !== document.body && cur !== document.documentElement) {
+      let part = cur.tagName.toLowerCase();
+      const parent = cur.parentElement;
+      const siblings = Array.from(parent ? parent.children : root.children).filter((n) => n.tagName === cur.tagName);
+      if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(cur) + 1})`;
+      parts.unshift(part);
+      cur = parent;
+    }
+    return parts.join(' > ');
+  };
+
+  if (!(node.getRootNode() instanceof ShadowRoot)) return null;
+  const scopes = [];
+  let cur = node;
+  while (cur) {
+    scopes.unshift(selectorInTree(cur));
+    const root = cur.getRootNode();
+    cur = root instanceof ShadowRoot ? root.host : null;
+  }
+  return { selector: scopes.join(' >> '), shadowHosts: scopes.slice(0, -1) };
+}
+
+// Light-DOM elements skip the extra round trip; inShadow comes from the item's own evaluate.
+export async function resolveShadowPath(handle, inShadow) {
+  if (!inShadow) return null;
+  try {
+    return await handle.evaluate(describeShadowPath);
+  } catch {
+    return null; // detached between collection and description
+  }
+}
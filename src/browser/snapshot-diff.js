@@ -0,0 +1,59 @@
+// Diffs successive take_snapshot results (browser.take_snapshot mode="diff").
+// Nodes are keyed by uid, which is derived from backendDOMNodeId and stays the same for the life of the DOM node.
+
+export const SNAPSHOT_MODES = ['full', 'diff'];
+
+export const DIFF_FALLBACKS = ['no-baseline', 'navigated', 'options-changed', 'truncated'];
+
+export const SNAPSHOT_DIFF_FIELDS = ['name', 'value', 'checked', 'expanded', 'disabled'];
+
+// optionsKey covers every input that changes which nodes are returned; a diff across two filters is noise.
+export function createSnapshotBaseline(nodes, { documentNodeId = null, optionsKey = '', truncated = false } = {}) {
+  const entries = new Map();
+  for (const node of nodes) entries.set(node.uid, node);
+  return { entries, documentNodeId, optionsKey, truncated, capturedAt: new Date().toISOString() };
+}
+
+// Returns the reason a diff against the baseline would be meaningless, or null.
+// A tree cut off by maxNodes on either side would report the missing tail as added or removed.
+export function baselineMismatch(baseline, { documentNodeId = null, optionsKey = '', truncated = false } = {}) {
+  if (!baseline) return 'no-baseline';
+  if (baseline.documentNodeId !== documentNodeId) return 'navigated';
+  if (baseline.optionsKey !== optionsKey) return 'options-changed';
+  if (truncated || baseline.truncated) return 'truncated';
+  return null;
+}
+
+export function diffSnapshot(baseline, nodes) {
+  const added = [];
+  const changed = [];
+  const seen = new Set();
+  let unchanged = 0;
+
+  for (const node of nodes) {
+    seen.add(node.uid);
+    const before = baseline.entries.get(node.uid);
+    if (!before) {
+      added.push(node);
+      continue;
+    }
+    const changes = {};
+    for (const field of SNAPSHOT_DIFF_FIELDS) {
+      if ((before[field] ?? null) !== (node[field] ?? null)) {
+        changes[field] = { from: before[field] ?? null, to: node[field] ?? null };
+      }
+    }
+    if (Object.keys(changes).length) {
+      changed.push({ uid: node.uid, role: node.role, name: node.name, changes });
+    } else {
+      unchanged += 1;
+    }
+  }
+
+  const removed = [];
+  for (const [uid, node] of baseline.entries) {
+    if (!seen.has(uid)) removed.push({ uid: node.uid, role: node.role, name: node.name });
+  }
+
+  return { added, removed, changed, unchanged };
+}
@@ -1,4 +1,5 @@
-import { ensureCdpDomains } from './cdp.js';
+import { ensureCdpDomains, getCdpFrameId, getCdpTargetForFrame, getFrameOwnerBackendNodeId } from './cdp.js';
+import { getDomContext } from './dom-version.js';
 
 const INTERESTING_ROLES = new Set([
   'button',
@@ -49,6 +50,8 @@ function getBoolProperty(node, name) {
   if (!v || typeof v !== 'object') return null;
   if (v.type === 'boolean') return Boolean(v.value);
   if (typeof v.value === 'boolean') return Boolean(v.value);
+  // checked/pressed are tristate: "true", "false" or "mixed".
+  if (v.value === 'true' || v.value === 'false') return v.value === 'true';
   return null;
 }
 
@@ -63,21 +66,36 @@ function isInteresting(node) {
   return false;
 }
 
-export async function takeA11ySnapshot(page, opts = {}) {
-  const {
-    interestingOnly = true,
-    maxNodes = 400,
-    maxNameChars = 120,
-    query = null,
-    maxDepth = 24
-  } = opts;
+// AX nodeIds are renumbered on every getFullAXTree call; backendDOMNodeId lives as long as the DOM node,
+// so uids built from it survive re-snapshots. Nodes without a DOM node (rare) fall back to the AX id.
+// backendDOMNodeIds are only unique per renderer, so nodes outside the main frame carry their frameId.
+export function buildAxUid(node, frameId = 'main') {
+  const prefix = frameId && frameId !== 'main' ? `ax-${frameId}-` : 'ax-';
+  if (typeof node?.backendDOMNodeId === 'number') return `${prefix}${node.backendDOMNodeId}`;
+  return `${prefix}n${String(node?.nodeId)}`;
+}
 
-  const session = await ensureCdpDomains(page, ['Accessibility']);
-  const response = await session.send('Accessibility.getFullAXTree');
-  const nodes = Array.isArray(response?.nodes) ? response.nodes : [];
+// Inverse of buildAxUid; null for uids that do not point at a DOM node.
+export function parseAxUid(uid) {
+  const match = /^ax-(?:(f\d+)-)?(\d+)$/.exec(String(uid || ''));
+  if (!match) return null;
+  return { frameId: match[1] || 'main', backendNodeId: Number(match[2]) };
+}
 
-  const q = query ? cleanText(query).toLowerCase() : null;
-  const depthLimit = typeof maxDepth === 'number' && maxDepth > 0 ? maxDepth : 24;
+// Depth-annotated AX nodes of one frame, in CDP order. Frames that share their target's process are read
+// through it with an explicit frameId; the target's own root frame needs none.
+async function readFrameAxNodes(page, frame) {
+  const target = await getCdpTargetForFrame(page, frame);
+  const session = await ensureCdpDomains(target, ['Accessibility']);
+  const rootFrame = target === page ? page.mainFrame() : target;
+  const params = {};
+  if (frame !== rootFrame) {
+    const cdpFrameId = await getCdpFrameId(page, frame);
+    if (!cdpFrameId) throw new Error(`No CDP frame found for ${frame.url()}.`);
+    params.frameId = cdpFrameId;
+  }
+  const response = await session.send('Accessibility.getFullAXTree', params);
+  const nodes = Array.isArray(response?.nodes) ? response.nodes : [];
 
   const childIds = new Set();
   for (const node of nodes) {
@@ -111,21 +129,67 @@ export async function takeA11ySnapshot(page, opts = {}) {
     }
   }
 
+  const rootNode = nodeById.get(roots[0]);
+  return {
+    entries: nodes.filter(Boolean).map((node) => ({ node, depth: depthByNodeId.get(node.nodeId) ?? 0 })),
+    documentNodeId: typeof rootNode?.backendDOMNodeId === 'number' ? rootNode.backendDOMNodeId : null
+  };
+}
+
+// Splices each child frame's tree in right after its <iframe> node, one level deeper.
+async function collectFrameEntries(page, frame, baseDepth, includeFrames, skippedFrames) {
+  const frameId = getDomContext(page, frame).frameId;
+  const { entries, documentNodeId } = await readFrameAxNodes(page, frame);
+  // maxDepth applies per document (localDepth); depth places frame content under its <iframe>.
+  const tagged = entries.map((entry) => ({ ...entry, localDepth: entry.depth, depth: entry.depth + baseDepth, frameId }));
+  if (!includeFrames) return { entries: tagged, documentNodeId };
+
+  for (const child of frame.childFrames()) {
+    try {
+      const ownerId = await getFrameOwnerBackendNodeId(page, child);
+      const at = tagged.findIndex((entry) => ownerId && entry.node.backendDOMNodeId === ownerId);
+      const childBase = at >= 0 ? tagged[at].depth + 1 : baseDepth + 1;
+      const nested = await collectFrameEntries(page, child, childBase, includeFrames, skippedFrames);
+      tagged.splice(at >= 0 ? at + 1 : tagged.length, 0, ...nested.entries);
+    } catch {
+      // Detached mid-snapshot, or not yet loaded.
+      skippedFrames.push(getDomContext(page, child).frameId);
+    }
+  }
+  return { entries: tagged, documentNodeId };
+}
+
+export async function takeA11ySnapshot(page, opts = {}) {
+  const {
+    frame = null,
+    includeFrames = true,
+    interestingOnly = true,
+    maxNodes = 400,
+    maxNameChars = 120,
+    query = null,
+    maxDepth = 24
+  } = opts;
+
+  const skippedFrames = [];
+  const { entries, documentNodeId } = await collectFrameEntries(page, frame || page.mainFrame(), 0, includeFrames, skippedFrames);
+
+  const q = query ? cleanText(query).toLowerCase() : null;
+  const depthLimit = typeof maxDepth === 'number' && maxDepth > 0 ? maxDepth : 24;
+
   const out = [];
   const uidToBackend = new Map();
   let truncated = false;
 
-  for (const node of nodes) {
-    if (!node || node.ignored) continue;
-    const depth = depthByNodeId.get(node.nodeId) ?? 0;
-    if (depth > depthLimit) continue;
+  for (const { node, depth, localDepth, frameId } of entries) {
+    if (node.ignored) continue;
+    if (localDepth > depthLimit) continue;
     if (interestingOnly && !isInteresting(node)) continue;
 
     const role = cleanText(getAxValue(node.role)).toLowerCase();
     const name = truncateText(getAxValue(node.name), maxNameChars);
     if (q && !name.toLowerCase().includes(q)) continue;
 
-    const uid = `ax-${String(node.nodeId)}`;
+    const uid = buildAxUid(node, frameId);
     const backendDOMNodeId = typeof node.backendDOMNodeId === 'number' ? node.backendDOMNodeId : null;
     if (backendDOMNodeId) uidToBackend.set(uid, backendDOMNodeId);
 
@@ -138,6 +202,7 @@ export async function takeA11ySnapshot(page, opts = {}) {
 
     out.push({
       uid,
+      frameId,
       role,
       name,
       depth,
@@ -155,5 +220,68 @@ export async function takeA11ySnapshot(page, opts = {}) {
     }
   }
 
-  return { nodes: out, uidToBackend, truncated };
+  // documentNodeId (the root RootWebArea's backend id) changes whenever the snapshot's root document is replaced.
+  return { nodes: out, uidToBackend, truncated, documentNodeId, skippedFrames };
+}
+
+// Accessibility.queryAXTree for one frame. A target's root frame is its whole document; a child frame in the
+// same process is queried from the content document of its <iframe>, since queryAXTree stops at frame borders.
+async function queryFrameAxTree(page, frame, params) {
+  const target = await getCdpTargetForFrame(page, frame);
+  const session = await ensureCdpDomains(target, ['DOM', 'Accessibility']);
+  const rootFrame = target === page ? page.mainFrame() : target;
+  let scope;
+  if (frame === rootFrame) {
+    const { root } = await session.send('DOM.getDocument', { depth: 0 });
+    scope = { nodeId: root.nodeId };
+  } else {
+    const ownerId = await getFrameOwnerBackendNodeId(page, frame);
+    const owner = ownerId ? await session.send('DOM.describeNode', { backendNodeId: ownerId }) : null;
+    const documentId = owner?.node?.contentDocument?.backendNodeId;
+    if (!documentId) throw new Error(`No document found for ${frame.url()}.`);
+    scope = { backendNodeId: documentId };
+  }
+  const response = await session.send('Accessibility.queryAXTree', { ...scope, ...params });
+  return Array.isArray(response?.nodes) ? response.nodes : [];
+}
+
+// Role/name lookup without a full snapshot (browser.wait_for role mode). CDP matches accessibleName exactly,
+// so a substring match asks for the role only and filters names here. Like take_snapshot, it covers the frame
+// and every frame below it, in document order, with frame-qualified uids.
+export async function queryAxNodes(page, { role, name = null, exact = false, maxNameChars = 120, frame = null } = {}) {
+  const params = { role };
+  if (name && exact) params.accessibleName = name;
+  const wanted = name ? cleanText(name).toLowerCase() : null;
+  const startFrame = frame || page.mainFrame();
+
+  const out = [];
+  const visit = async (current) => {
+    const frameId = getDomContext(page, current).frameId;
+    let nodes;
+    try {
+      nodes = await queryFrameAxTree(page, current, params);
+    } catch (err) {
+      if (current === startFrame) throw err;
+      return; // Detached mid-query, or not yet loaded; the next poll sees it again.
+    }
+    for (const node of nodes) {
+      if (!node || node.ignored) continue;
+      const nodeName = cleanText(getAxValue(node.name));
+      if (wanted && !exact && !nodeName.toLowerCase().includes(wanted)) continue;
+      out.push({
+        uid: buildAxUid(node, frameId),
+        frameId,
+        backendDOMNodeId: typeof node.backendDOMNodeId === 'number' ? node.backendDOMNodeId : null,
+        role: cleanText(getAxValue(node.role)).toLowerCase(),
+        name: truncateText(nodeName, maxNameChars),
+        checked: getBoolProperty(node, 'checked'),
+        disabled: getBoolProperty(node, 'disabled'),
+        expanded: getBoolProperty(node, 'expanded'),
+        hidden: getBoolProperty(node, 'hidden')
+      });
+    }
+    for (const child of current.childFrames()) await visit(child);
+  };
+  await visit(startFrame);
+  return out;
 }
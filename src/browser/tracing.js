@@ -0,0 +1,73 @@
+// Session tracer: wraps context.tracing so a failed run leaves a Playwright trace to inspect with
+// `npx playwright show-trace`. Auto mode 'retain-on-error' keeps the zip only if a tool call failed.
+
+export const TRACE_MODES = ['off', 'on', 'retain-on-error'];
+
+export function normalizeTraceMode(value) {
+  const mode = String(value ?? '').trim().toLowerCase();
+  if (mode === 'true' || mode === '1') return 'on';
+  return TRACE_MODES.includes(mode) ? mode : 'off';
+}
+
+export function traceFileName(name, now = new Date()) {
+  const stamp = now.toISOString().replace(/[:.]/g, '-');
+  const base = String(name || 'trace')
+    .replace(/[^a-z0-9_-]+/gi, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .toLowerCase();
+  return `${base || 'trace'}-${stamp}.zip`;
+}
+
+export function createTracer() {
+  let context = null;
+  let mode = null; // 'manual' | 'on' | 'retain-on-error'
+  let name = null;
+  let startedAt = null;
+  let errorCount = 0;
+
+  const status = () => ({
+    active: context !== null,
+    mode,
+    name,
+    startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+    errorCount
+  });
+
+  return {
+    isActive: () => context !== null,
+    start: async (target, opts = {}) => {
+      if (context) {
+        throw new Error('Tracing is already running. Call browser.stop_tracing first.');
+      }
+      await target.tracing.start({ screenshots: true, snapshots: true, sources: true, title: opts.name || undefined });
+      context = target;
+      mode = opts.mode || 'manual';
+      name = opts.name || null;
+      startedAt = Date.now();
+      errorCount = 0;
+      return status();
+    },
+    noteError: () => {
+      if (context) errorCount += 1;
+    },
+    // Auto traces in retain-on-error mode are only worth keeping when something went wrong.
+    shouldKeep: () => mode !== 'retain-on-error' || errorCount > 0,
+    // Without a path Playwright discards the recorded trace.
+    stop: async ({ path } = {}) => {
+      if (!context) {
+        throw new Error('Tracing is not running. Call browser.start_tracing first.');
+      }
+      const target = context;
+      const finished = { ...status(), active: false, durationMs: Date.now() - startedAt };
+      context = null;
+      mode = null;
+      name = null;
+      startedAt = null;
+      errorCount = 0;
+      await target.tracing.stop(path ? { path } : undefined);
+      return finished;
+    },
+    status
+  };
+}
@@ -1,34 +1,68 @@
 import { ensureCdpDomains } from './cdp.js';
+import { getNetworkActivity } from './observability.js';
+import { queryAxNodes } from './snapshot.js';
+import { abortableDelay, raceAbort, throwIfAborted } from './progress.js';
 
-async function delay(ms) {
-  await new Promise((resolve) => setTimeout(resolve, ms));
-}
+// Playwright waiters cannot be cancelled, so long waits run as short slices that re-check the abort signal.
+const WAIT_SLICE_MS = 500;
+const QUIET_POLL_MS = 100;
 
 function clampNumber(value, min, max, fallback) {
   if (typeof value !== 'number' || Number.isNaN(value)) return fallback;
   return Math.max(min, Math.min(max, value));
 }
 
+function isTimeoutError(error) {
+  return Boolean(error && typeof error === 'object' && error.name === 'TimeoutError');
+}
+
+async function waitInSlices(waitOnce, { timeoutMs, signal, describe }) {
+  const start = Date.now();
+  for (;;) {
+    throwIfAborted(signal);
+    const remaining = timeoutMs - (Date.now() - start);
+    if (remaining <= 0) {
+      throw new Error(`Timeout waiting for ${describe} (${timeoutMs}ms).`);
+    }
+    try {
+      return await waitOnce(Math.min(WAIT_SLICE_MS, remaining));
+    } catch (err) {
+      if (!isTimeoutError(err)) throw err;
+    }
+  }
+}
+
+async function waitForEnabled(locator, { timeoutMs, signal, describe }) {
+  const start = Date.now();
+  await waitInSlices((slice) => locator.waitFor({ state: 'visible', timeout: slice }), { timeoutMs, signal, describe });
+  while (Date.now() - start < timeoutMs) {
+    try {
+      if (await locator.isEnabled()) return;
+    } catch {
+      // ignore and retry
+    }
+    await abortableDelay(100, signal);
+  }
+  throw new Error(`Timeout waiting for ${describe} to become enabled (${timeoutMs}ms).`);
+}
+
+// opts.frame scopes the wait to a child frame; opts.signal aborts it between slices.
 export async function waitForSelector(page, selector, opts = {}) {
   const timeoutMs = clampNumber(opts.timeoutMs, 1000, 300000, 15000);
   const state = opts.state || 'visible';
+  const scope = opts.frame || page;
+  const describe = `selector "${selector}"`;
 
   if (state === 'enabled') {
-    const locator = page.locator(selector).first();
-    await locator.waitFor({ state: 'visible', timeout: timeoutMs });
-    const start = Date.now();
-    while (Date.now() - start < timeoutMs) {
-      try {
-        if (await locator.isEnabled()) return { status: 'ready', kind: 'selector', selector, state: 'enabled' };
-      } catch {
-        // ignore and retry
-      }
-      await delay(100);
-    }
-    throw new Error(`Timeout waiting for selector "${selector}" to become enabled (${timeoutMs}ms).`);
+    await waitForEnabled(scope.locator(selector).first(), { timeoutMs, signal: opts.signal, describe });
+    return { status: 'ready', kind: 'selector', selector, state: 'enabled' };
   }
 
-  await page.waitForSelector(selector, { timeout: timeoutMs, state });
+  await waitInSlices((slice) => scope.waitForSelector(selector, { timeout: slice, state }), {
+    timeoutMs,
+    signal: opts.signal,
+    describe
+  });
   return { status: 'ready', kind: 'selector', selector, state };
 }
 
@@ -36,24 +70,17 @@ export async function waitForText(page, text, opts = {}) {
   const timeoutMs = clampNumber(opts.timeoutMs, 1000, 300000, 15000);
   const state = opts.state || 'visible';
   const exact = opts.exact ?? false;
+  const scope = opts.frame || page;
+  const describe = `text "${text}"`;
 
-  const locator = page.getByText(text, { exact }).first();
+  const locator = scope.getByText(text, { exact }).first();
 
   if (state === 'enabled') {
-    await locator.waitFor({ state: 'visible', timeout: timeoutMs });
-    const start = Date.now();
-    while (Date.now() - start < timeoutMs) {
-      try {
-        if (await locator.isEnabled()) return { status: 'ready', kind: 'text', text, exact, state: 'enabled' };
-      } catch {
-        // ignore and retry
-      }
-      await delay(100);
-    }
-    throw new Error(`Timeout waiting for text "${text}" to become enabled (${timeoutMs}ms).`);
+    await waitForEnabled(locator, { timeoutMs, signal: opts.signal, describe });
+    return { status: 'ready', kind: 'text', text, exact, state: 'enabled' };
   }
 
-  await locator.waitFor({ state, timeout: timeoutMs });
+  await waitInSlices((slice) => locator.waitFor({ state, timeout: slice }), { timeoutMs, signal: opts.signal, describe });
   return { status: 'ready', kind: 'text', text, exact, state };
 }
 
@@ -65,16 +92,236 @@ export async function waitForBackendNode(page, backendNodeId, opts = {}) {
   const start = Date.now();
   let lastError = null;
   while (Date.now() - start < timeoutMs) {
+    throwIfAborted(opts.signal);
     try {
       await session.send('DOM.resolveNode', { backendNodeId });
       return { status: 'ready', kind: 'uid', backendNodeId };
     } catch (err) {
       lastError = err;
     }
-    await delay(pollMs);
+    await abortableDelay(pollMs, opts.signal);
   }
 
   const msg = lastError && typeof lastError === 'object' && 'message' in lastError ? String(lastError.message) : String(lastError || '');
   throw new Error(`Timeout waiting for backendNodeId ${backendNodeId} (${timeoutMs}ms). ${msg}`.trim());
 }
 
+// Resolves once no request has been in flight for quietMs. Long-lived requests (EventSource, long polling)
+// keep the page busy, so the timeout message lists what is still pending.
+export async function waitForNetworkIdle(page, opts = {}) {
+  const timeoutMs = clampNumber(opts.timeoutMs, 1000, 300000, 15000);
+  const quietMs = clampNumber(opts.quietMs, 100, 60000, 500);
+  const start = Date.now();
+  let activity = await getNetworkActivity(page);
+  while (Date.now() - start < timeoutMs) {
+    throwIfAborted(opts.signal);
+    activity = await getNetworkActivity(page);
+    const quietFor = Date.now() - Math.max(activity.lastActivityTs, start);
+    if (!activity.inflight.length && quietFor >= quietMs) {
+      return { status: 'ready', kind: 'network-idle', networkIdleMs: quietMs, waitedMs: Date.now() - start };
+    }
+    await abortableDelay(QUIET_POLL_MS, opts.signal);
+  }
+  const pending = activity.inflight.slice(0, 5).map((req) => req.url);
+  const detail = pending.length ? ` ${activity.inflight.length} request(s) still in flight: ${pending.join(', ')}` : '';
+  throw new Error(`Timeout waiting for network idle (${timeoutMs}ms).${detail}`);
+}
+
+// Runs inside each frame: one MutationObserver per document, counting mutations under a random token
+// so a navigated frame (new document, counter back to 0) is told apart from a quiet one. The reader sits on
+// a non-enumerable, read-only Symbol.for key so page scripts neither trip over it nor reset the count.
+function readMutationClock() {
+  const key = Symbol.for('mcp-playwright-browser.mutationClock');
+  if (typeof window[key] !== 'function') {
+    const token = Math.random().toString(36).slice(2);
+    let count = 0;
+    new MutationObserver((records) => {
+      count += records.length;
+    }).observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+    Object.defineProperty(window, key, { value: () => `${token}:${count}`, enumerable: false, writable: false, configurable: false });
+  }
+  return window[key]();
+}
+
+const TIMED_OUT = Symbol('timed-out');
+
+// Settles with TIMED_OUT after ms, so a busy or hung frame cannot hold the wait past its timeout.
+function withinMs(promise, ms) {
+  let timer = null;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(TIMED_OUT), Math.max(0, ms));
+  });
+  void promise.catch(() => {});
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Resolves once no frame's DOM has changed for quietMs. Mutations are timed on the Node side, so the page's
+// clock (or a mocked Date) does not matter. opts.frame limits the check to one frame.
+export async function waitForDomStable(page, opts = {}) {
+  const timeoutMs = clampNumber(opts.timeoutMs, 1000, 300000, 15000);
+  const quietMs = clampNumber(opts.quietMs, 100, 60000, 500);
+  const start = Date.now();
+  const seen = new Map(); // Frame -> last clock reading
+  let lastChange = start;
+  let seeded = false;
+  while (Date.now() - start < timeoutMs) {
+    throwIfAborted(opts.signal);
+    const frames = opts.frame ? [opts.frame] : page.frames();
+    for (const frame of frames) {
+      const remaining = timeoutMs - (Date.now() - start);
+      let reading = TIMED_OUT;
+      try {
+        if (remaining > 0) reading = await raceAbort(withinMs(frame.evaluate(readMutationClock), remaining), opts.signal);
+      } catch (error) {
+        if (error?.name === 'AbortError') throw error;
+        continue; // detached or navigating; the next poll picks up the new document
+      }
+      // Out of time mid-poll: a frame we could not read is not known to be quiet.
+      if (reading === TIMED_OUT) {
+        throw new Error(`Timeout waiting for DOM stability (${timeoutMs}ms); a frame did not respond in time.`);
+      }
+      // The first pass only installs the observers; frames that show up later count as a change.
+      if (seen.get(frame) !== reading) {
+        if (seeded || seen.has(frame)) lastChange = Date.now();
+        seen.set(frame, reading);
+      }
+    }
+    seeded = true;
+    if (Date.now() - lastChange >= quietMs) {
+      return { status: 'ready', kind: 'dom-stable', domStableMs: quietMs, waitedMs: Date.now() - start };
+    }
+    await abortableDelay(QUIET_POLL_MS, opts.signal);
+  }
+  throw new Error(`Timeout waiting for DOM stability (${timeoutMs}ms); last mutation ${Date.now() - lastChange}ms ago.`);
+}
+
+export const AX_WAIT_STATES = ['visible', 'attached', 'enabled', 'checked', 'expanded', 'detached'];
+
+const AX_STATE_TESTS = {
+  visible: (node) => node.hidden !== true,
+  attached: () => true,
+  enabled: (node) => node.hidden !== true && node.disabled !== true,
+  checked: (node) => node.checked === true,
+  expanded: (node) => node.expanded === true
+};
+
+// Polls Accessibility.queryAXTree until a node with role (and name, substring unless exact) is in the wanted
+// state; 'detached' waits until none is left. The AX tree is rebuilt by the browser, so no DOM events to hook.
+// opts.frame narrows the search to that frame and the frames inside it.
+export async function waitForAxNode(page, opts = {}) {
+  const timeoutMs = clampNumber(opts.timeoutMs, 1000, 300000, 15000);
+  const pollMs = clampNumber(opts.pollMs, 50, 2000, 200);
+  const state = opts.state || 'visible';
+  if (!AX_WAIT_STATES.includes(state)) {
+    throw new Error(`state "${state}" is not supported with role. Use one of: ${AX_WAIT_STATES.join(', ')}.`);
+  }
+  const role = String(opts.role || '').trim().toLowerCase();
+  const name = opts.name ?? null;
+  const exact = opts.exact ?? false;
+  const describe = name ? `role "${role}" named "${name}"` : `role "${role}"`;
+  const base = { kind: 'role', role, name, exact, state };
+
+  const start = Date.now();
+  let matches = [];
+  while (Date.now() - start < timeoutMs) {
+    throwIfAborted(opts.signal);
+    matches = await queryAxNodes(page, { role, name, exact, frame: opts.frame });
+    if (state === 'detached') {
+      if (!matches.length) return { status: 'ready', ...base, matches: 0 };
+    } else {
+      const node = matches.find((candidate) => candidate.backendDOMNodeId && AX_STATE_TESTS[state](candidate));
+      if (node) {
+        return {
+          status: 'ready',
+          ...base,
+          uid: node.uid,
+          frameId: node.frameId,
+          backendNodeId: node.backendDOMNodeId,
+          nodeName: node.name,
+          matches: matches.length
+        };
+      }
+    }
+    await abortableDelay(pollMs, opts.signal);
+  }
+  const seen = matches.length ? ` ${matches.length} match(es) found, none ${state}.` : ' No match found.';
+  throw new Error(`Timeout waiting for ${describe} to be ${state} (${timeoutMs}ms).${state === 'detached' ? '' : seen}`);
+}
+
+// Event waiter with its own listener so an abort detaches it immediately (page.waitForEvent cannot be cancelled).
+export function waitForPageEvent(page, eventName, opts = {}) {
+  const timeoutMs = clampNumber(opts.timeoutMs, 1000, 300000, 30000);
+  const predicate = typeof opts.predicate === 'function' ? opts.predicate : () => true;
+  const signal = opts.signal;
+
+  let cleanup = () => {};
+  const promise = new Promise((resolve, reject) => {
+    const onEvent = (value) => {
+      let matched = false;
+      try {
+        matched = Boolean(predicate(value));
+      } catch (err) {
+        cleanup();
+        reject(err);
+        return;
+      }
+      if (!matched) return;
+      cleanup();
+      resolve(value);
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error(`Page closed while waiting for event "${eventName}".`));
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Timeout waiting for event "${eventName}" (${timeoutMs}ms).`));
+    }, timeoutMs);
+    cleanup = () => {
+      clearTimeout(timer);
+      page.off(eventName, onEvent);
+      page.off('close', onClose);
+    };
+    page.on(eventName, onEvent);
+    page.on('close', onClose);
+  });
+
+  return raceAbort(promise, signal, () => cleanup());
+}
+
+// Resolves on the next main-frame navigation (or immediately if the URL already matches `matchesUrl`),
+// once the new document reaches domcontentloaded. Returns the navigation response when one was seen.
+export async function waitForMainFrameNavigation(page, opts = {}) {
+  const timeoutMs = clampNumber(opts.timeoutMs, 1000, 300000, 30000);
+  const matchesUrl = typeof opts.matchesUrl === 'function' ? opts.matchesUrl : null;
+  const start = Date.now();
+
+  let response = null;
+  const onResponse = (res) => {
+    try {
+      if (res.frame() === page.mainFrame() && res.request().isNavigationRequest()) response = res;
+    } catch {
+      // frame may already be detached
+    }
+  };
+  page.on('response', onResponse);
+  try {
+    const alreadyThere = matchesUrl ? matchesUrl(page.url()) : false;
+    if (!alreadyThere) {
+      await waitForPageEvent(page, 'framenavigated', {
+        timeoutMs,
+        signal: opts.signal,
+        predicate: (frame) => frame === page.mainFrame() && (!matchesUrl || matchesUrl(frame.url()))
+      });
+    }
+    const remaining = Math.max(1, timeoutMs - (Date.now() - start));
+    await waitInSlices((slice) => page.waitForLoadState('domcontentloaded', { timeout: slice }), {
+      timeoutMs: remaining,
+      signal: opts.signal,
+      describe: 'domcontentloaded'
+    });
+    return { url: page.url(), response };
+  } finally {
+    page.off('response', onResponse);
+  }
+}
@@ -1,5 +1,7 @@
 ﻿import fs from 'node:fs/promises';
 import path from 'node:path';
+import { abortableDelay, isAbortError, raceAbort } from './browser/progress.js';
+import { waitForSelector } from './browser/wait.js';
 
 const INVALID_FILENAME_CHARS = /[<>:"/\\|?*]+/g;
 
@@ -66,8 +68,8 @@ export async function saveSearchResultsToTxt(results, dir) {
   return { dir: targetDir, files };
 }
 
-export async function extractIndeedJobs(page, { limit = 20 } = {}) {
-  await page.waitForLoadState('domcontentloaded');
+export async function extractIndeedJobs(page, { limit = 20, signal } = {}) {
+  await raceAbort(page.waitForLoadState('domcontentloaded'), signal);
 
   const selectors = [
     '[data-testid="job-card"]',
@@ -78,9 +80,10 @@ export async function extractIndeedJobs(page, { limit = 20 } = {}) {
 
   for (const selector of selectors) {
     try {
-      await page.waitForSelector(selector, { timeout: 8000 });
+      await waitForSelector(page, selector, { timeoutMs: 8000, signal });
       break;
-    } catch {
+    } catch (err) {
+      if (isAbortError(err)) throw err;
       // try next selector
     }
   }
@@ -183,9 +186,9 @@ export async function extractIndeedJobs(page, { limit = 20 } = {}) {
   return uniqueJobs;
 }
 
-export async function detectIndeedAccessIssue(page) {
+export async function detectIndeedAccessIssue(page, { signal } = {}) {
+  await abortableDelay(1000, signal);
   try {
-    await page.waitForTimeout(1000);
     const text = await page.evaluate(() => document.body?.innerText || '');
     if (/Request Blocked|Cloudflare/i.test(text)) {
       return {
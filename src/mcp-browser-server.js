@@ -1,20 +1,85 @@
-﻿import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+﻿import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import * as z from 'zod/v4';
 import { chromium } from 'playwright';
 import fs from 'node:fs/promises';
+import { AsyncLocalStorage } from 'node:async_hooks';
 import path from 'node:path';
 import { spawn } from 'node:child_process';
 import { createPageManager } from './browser/pages.js';
-import { takeA11ySnapshot } from './browser/snapshot.js';
+import { parseAxUid, takeA11ySnapshot } from './browser/snapshot.js';
+import { DIFF_FALLBACKS, SNAPSHOT_MODES, baselineMismatch, createSnapshotBaseline, diffSnapshot } from './browser/snapshot-diff.js';
+import { resolveShadowPath } from './browser/shadow-dom.js';
+import { MARKDOWN_SOURCES, renderMarkdown, renderMarkdownForBackendNode, truncateMarkdown } from './browser/markdown.js';
 import { ensureDomTracker, getDomContext, listFrames as listDomFrames, getFrameById as getDomFrameById } from './browser/dom-version.js';
 import { getCaptureDefaults, listCaptureProfiles, normalizeCaptureProfile } from './browser/capture-profiles.js';
-import { enforcePayloadCeiling } from './browser/payload-budget.js';
-import { clickByBackendNodeId, hoverByBackendNodeId, scrollIntoViewIfNeeded, setValueByBackendNodeId } from './browser/cdp.js';
-import { waitForBackendNode, waitForSelector, waitForText } from './browser/wait.js';
-import { assertAllowedReadPath, assertAllowedWritePath } from './security/paths.js';
+import { enforceResponseCeiling } from './browser/payload-budget.js';
+import { captureImageContent } from './browser/screenshot.js';
+import { NORMALIZED_ERROR_SCHEMA, SCROLL_METRICS_SHAPE, looseArray, looseObject, toolOutput } from './browser/output-schema.js';
+import {
+  clickByBackendNodeId,
+  describeBackendNode,
+  getCdpTargetForFrame,
+  hoverByBackendNodeId,
+  isBackendNodeConnected,
+  scrollIntoViewIfNeeded,
+  setValueByBackendNodeId
+} from './browser/cdp.js';
+import { buildPlaywrightSpec, createRecorder } from './browser/recorder.js';
+import { checkStepAssertions, runScript } from './browser/script-runner.js';
+import { TRACE_MODES, createTracer, normalizeTraceMode, traceFileName } from './browser/tracing.js';
+import {
+  COLOR_SCHEMES,
+  REDUCED_MOTION_MODES,
+  buildContextOptions,
+  describeEmulation,
+  effectivePermissions,
+  mergeEmulation,
+  needsNewContext,
+  validateEmulation
+} from './browser/emulation.js';
+import {
+  NETWORK_PRESET_NAMES,
+  applyNetworkConditions,
+  isThrottled,
+  resolveNetworkConditions
+} from './browser/network-emulation.js';
+import { ABORT_ERROR_CODES, BLOCKABLE_RESOURCE_TYPES, ROUTE_ACTIONS, buildUrlMatcher, createRouteTable } from './browser/routes.js';
+import {
+  AX_WAIT_STATES,
+  waitForAxNode,
+  waitForBackendNode,
+  waitForDomStable,
+  waitForMainFrameNavigation,
+  waitForNetworkIdle,
+  waitForPageEvent,
+  waitForSelector,
+  waitForText
+} from './browser/wait.js';
+import { abortableDelay, isAbortError, raceAbort, startProgress, throwIfAborted } from './browser/progress.js';
+import { AUDIT_LOG_DIR, WORKSPACE_DIR, assertAllowedReadPath, assertAllowedWritePath } from './security/paths.js';
+import { createAuditLog, isSecretInput, redactArgs, redactSecretValues } from './security/audit-log.js';
 import { auditForm, fillForm } from './browser/forms.js';
-import { ensureObservability, getNetworkRequest, listConsoleMessages, listNetworkRequests } from './browser/observability.js';
+import { startHttpTransport } from './transport/http.js';
+import {
+  ensureObservability,
+  getNetworkRequest,
+  getNetworkResponseBody,
+  hasNetworkRequest,
+  listConsoleMessages,
+  listFinishedRequestIds,
+  listNetworkEntries,
+  listNetworkRequests
+} from './browser/observability.js';
+import { buildHar } from './browser/har.js';
+import {
+  RESOURCE_URI_TEMPLATES,
+  buildResourceContent,
+  downloadUri,
+  networkBodyUri,
+  snapshotUri
+} from './browser/resources.js';
 import {
   extractIndeedJobs,
   saveJobsToTxt,
@@ -23,17 +88,13 @@ import {
   extractGoogleResults,
   detectGoogleBlocked,
   saveSearchResultsToTxt,
-  tryAcceptGoogleConsent
+  tryAcceptGoogleConsent,
+  sanitizeFileName
 } from './extractors.js';
 
-const state = {
+// Browser-level state shared by every MCP session (one browser per server process).
+const sharedState = {
   browser: null,
-  context: null,
-  page: null, // legacy alias of the active page
-  elements: new Map(),
-  elementCacheContext: null,
-  pageManager: createPageManager(),
-  uidMaps: new WeakMap(),
   persistent: false,
   cdpConnected: false,
   cdpManaged: false,
@@ -41,21 +102,127 @@ const state = {
   chromeProcess: null,
   lastLaunch: null,
   requestSeq: 0,
-  contextGeneration: 0,
-  pageEventAttached: new WeakSet(),
-  dialogs: [],
-  dialogById: new Map(),
-  dialogSeq: 0,
-  downloads: [],
-  downloadById: new Map(),
-  downloadSeq: 0,
-  popups: [],
-  popupSeq: 0,
-  captureProfile: 'light',
-  responseBudgetBytes: 280000
+  primaryContext: null, // context created by launch/connect; adopted by one session at a time
+  primaryContextSessionId: null
 };
 
+// Per-session keys: each MCP session gets its own context, pages, element caches and queues.
+const SESSION_STATE_KEYS = new Set([
+  'context',
+  'ownsContext',
+  'page',
+  'elements',
+  'elementCacheContext',
+  'pageManager',
+  'uidMaps',
+  'contextGeneration',
+  'pageEventAttached',
+  'dialogs',
+  'dialogById',
+  'dialogSeq',
+  'downloads',
+  'downloadById',
+  'downloadSeq',
+  'popups',
+  'popupSeq',
+  'captureProfile',
+  'responseBudgetBytes',
+  'snapshots',
+  'recorder',
+  'tracer',
+  'videos',
+  'recordVideo',
+  'harRoutes',
+  'routeTable',
+  'networkEmulation',
+  'emulation'
+]);
+
+const DEFAULT_SESSION_ID = 'default';
+const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+const SESSION_SWEEP_INTERVAL_MS = 60 * 1000;
+const SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+const sessions = new Map(); // sessionId -> session state
+const sessionScope = new AsyncLocalStorage();
+
+function createSessionState(sessionId) {
+  const now = Date.now();
+  return {
+    sessionId,
+    createdAt: now,
+    lastActivityAt: now,
+    activeCalls: 0,
+    context: null,
+    ownsContext: false,
+    page: null, // legacy alias of the active page
+    elements: new Map(),
+    elementCacheContext: null,
+    pageManager: createPageManager(),
+    uidMaps: new WeakMap(),
+    contextGeneration: 0,
+    pageEventAttached: new WeakSet(),
+    dialogs: [],
+    dialogById: new Map(),
+    dialogSeq: 0,
+    downloads: [],
+    downloadById: new Map(),
+    downloadSeq: 0,
+    popups: [],
+    popupSeq: 0,
+    captureProfile: normalizeCaptureProfile(ENV_DEFAULTS.captureProfile || 'light'),
+    responseBudgetBytes: clampNumber(ENV_DEFAULTS.maxResponseBytes, 32768, 2_000_000, 280000),
+    snapshots: new Map(), // pageId -> latest full take_snapshot result (served as a resource)
+    recorder: createRecorder(),
+    tracer: createTracer(),
+    videos: new Map(), // pageId -> { page, video } for contexts launched with recordVideo
+    recordVideo: null, // recordVideo option of the current context, so a rebuilt context keeps recording
+    harRoutes: [], // HAR files served by browser.route_from_har on the current context
+    routeTable: createRouteTable(), // browser.add_route rules + browser.set_blocking policy for the current context
+    networkEmulation: null, // { context, conditions } while browser.emulate_network throttles the whole context
+    emulation: {}, // device/locale/timezone/... settings the current context was built with
+    server: null, // McpServer bound to this session, used for resource notifications
+    resourceSubscriptions: new Set()
+  };
+}
+
+function getOrCreateSession(sessionId) {
+  const id = sessionId ? String(sessionId) : DEFAULT_SESSION_ID;
+  let session = sessions.get(id);
+  if (!session) {
+    session = createSessionState(id);
+    sessions.set(id, session);
+  }
+  return session;
+}
+
+function getCurrentSession() {
+  return sessionScope.getStore() || getOrCreateSession(DEFAULT_SESSION_ID);
+}
+
+// Handlers keep using `state.*`; per-session keys resolve against the calling MCP session.
+const state = new Proxy(sharedState, {
+  get(target, key) {
+    if (SESSION_STATE_KEYS.has(key)) return getCurrentSession()[key];
+    return target[key];
+  },
+  set(target, key, value) {
+    if (SESSION_STATE_KEYS.has(key)) {
+      getCurrentSession()[key] = value;
+    } else {
+      target[key] = value;
+    }
+    return true;
+  }
+});
+
 const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
+const INLINE_IMAGE_INPUT_SCHEMA = {
+  inline: z.boolean().optional(),
+  imageFormat: z.enum(['jpeg', 'png']).optional(),
+  quality: z.number().optional(),
+  scale: z.number().optional(),
+  maxDimension: z.number().optional()
+};
 const TOOL_META_KEY = '__meta';
 const INTERACTIVE_AX_ROLES = new Set([
   'button',
@@ -74,15 +241,21 @@ const INTERACTIVE_AX_ROLES = new Set([
   'slider'
 ]);
 
-function respond(data) {
-  return {
+// Object payloads are also returned as structuredContent so clients can skip re-parsing the text block.
+function respond(data, extraContent = []) {
+  const result = {
     content: [
       {
         type: 'text',
         text: typeof data === 'string' ? data : JSON.stringify(data, null, 2)
-      }
+      },
+      ...extraContent
     ]
   };
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    result.structuredContent = data;
+  }
+  return result;
 }
 
 function withToolMeta(payload, meta = {}) {
@@ -112,6 +285,12 @@ function nextRequestId() {
   return `req-${Date.now()}-${state.requestSeq}`;
 }
 
+// Blocks after the JSON text (e.g. inline screenshots) pass through the envelope untouched.
+function extractExtraContent(result) {
+  if (!result || typeof result !== 'object' || !Array.isArray(result.content)) return [];
+  return result.content.slice(1).filter((block) => block && typeof block === 'object' && block.type !== 'text');
+}
+
 function unwrapToolPayload(result) {
   if (result === undefined) return {};
   if (result && typeof result === 'object' && Array.isArray(result.content)) {
@@ -129,6 +308,7 @@ function unwrapToolPayload(result) {
 function classifyErrorCode(error) {
   const msg = String(error?.message || error || '').toLowerCase();
   if (!msg) return 'INTERNAL';
+  if (error?.name === 'AbortError') return 'CANCELLED';
   if (msg.includes('timeout')) return 'TIMEOUT';
   if (msg.includes('not allowed') || msg.includes('permission') || msg.includes('forbidden')) return 'PERMISSION';
   if (
@@ -243,6 +423,10 @@ async function buildEnvelope(payload, meta = {}) {
     domVersion: ctx.domVersion,
     activeFrameId: ctx.activeFrameId
   };
+  // Interception silently changes what pages see, so every response says which rules are live.
+  if (state.routeTable.size()) {
+    base.activeRoutes = state.routeTable.summary();
+  }
 
   if (!base.ok && meta.error) {
     base.error = meta.error;
@@ -330,6 +514,15 @@ function escapeRegex(text) {
 function ensurePage() {
   const page = state.pageManager?.getActivePage?.() || state.page;
   if (!page) {
+    if (
+      sharedState.primaryContext &&
+      !sharedState.browser &&
+      sharedState.primaryContextSessionId !== getCurrentSession().sessionId
+    ) {
+      throw new Error(
+        'The browser was launched with a persistent userDataDir and its context belongs to another session. Relaunch without userDataDir (or use browser.connect_cdp) to give each session its own context.'
+      );
+    }
     throw new Error('Browser is not launched. Run browser.launch or browser.connect_cdp first.');
   }
   ensureDomTracker(page);
@@ -373,6 +566,74 @@ async function resolveFrame(page, opts = {}) {
   return page.mainFrame();
 }
 
+// Roles too vague to replay with getByRole; such nodes are recorded by CSS selector instead.
+const RECORD_VAGUE_ROLES = new Set(['generic', 'group', 'none', 'presentation', 'statictext', 'paragraph']);
+
+async function describeFrameForRecording(page, frame, frameSelector) {
+  if (!frame || frame === page.mainFrame()) return null;
+  if (frameSelector) return frameSelector;
+  try {
+    const handle = await frame.frameElement();
+    const selector = await handle.evaluate((el) => {
+      const tag = el.tagName.toLowerCase();
+      if (el.id) return `#${CSS.escape(el.id)}`;
+      const name = el.getAttribute('name');
+      if (name) return `${tag}[name="${name.replace(/"/g, '\\"')}"]`;
+      const src = el.getAttribute('src');
+      return src ? `${tag}[src="${src.replace(/"/g, '\\"')}"]` : null;
+    });
+    await handle.dispose();
+    if (selector) return selector;
+  } catch {
+    // fall through to the URL-based guess
+  }
+  return `iframe[src="${frame.url()}"]`;
+}
+
+// Resolves what a uid/elementId/selector/text points at while recording. Runs before the action,
+// because a click can navigate away and take the node with it.
+async function resolveRecordTarget(page, frame, { uid, elementId, selector, text, frameSelector }) {
+  if (!state.recorder.isActive()) return null;
+  // The input type decides whether a filled value is kept out of the recording (password fields).
+  const inputTypeOf = async (cssSelector) => {
+    try {
+      return await getFrameScope(page, frame).locator(cssSelector).first().getAttribute('type', { timeout: 1000 });
+    } catch {
+      return null;
+    }
+  };
+  try {
+    if (uid) {
+      const node = await resolveUid(page, uid);
+      const uidFrameRef = await describeFrameForRecording(page, node.frame, node.frame === frame ? frameSelector : null);
+      const info = await describeBackendNode(node.target, node.backendNodeId);
+      if (info.role && info.name && !RECORD_VAGUE_ROLES.has(info.role)) {
+        return { frame: uidFrameRef, kind: 'role', role: info.role, name: info.name, inputType: info.type };
+      }
+      if (!info.selector) return { kind: 'unresolved', reason: `uid ${uid} has no role/name or selector` };
+      return { frame: uidFrameRef, kind: 'css', selector: info.selector, inputType: info.type };
+    }
+    const frameRef = await describeFrameForRecording(page, frame, frameSelector);
+    if (elementId) {
+      const cached = getCachedElement(page, frame, elementId);
+      if (cached.selector) {
+        return { frame: frameRef, kind: 'css', selector: cached.selector, inputType: cached.type || (await inputTypeOf(cached.selector)) };
+      }
+      if (cached.text) return { frame: frameRef, kind: 'text', text: cached.text };
+      return { kind: 'unresolved', reason: `elementId ${elementId} has no selector or text` };
+    }
+    if (selector) return { frame: frameRef, kind: 'css', selector, inputType: await inputTypeOf(selector) };
+    if (text) return { frame: frameRef, kind: 'text', text };
+  } catch (error) {
+    return { kind: 'unresolved', reason: normalizeError(error).message };
+  }
+  return null;
+}
+
+function recordStep(step) {
+  if (state.recorder.isActive()) state.recorder.add(step);
+}
+
 function clearElementCache() {
   state.elements.clear();
   state.elementCacheContext = null;
@@ -426,64 +687,65 @@ function resolveRootScopeSelector(page, frame, opts = {}) {
 function getOrCreateUidStore(page) {
   let store = state.uidMaps.get(page);
   if (!store) {
-    store = { frames: new Map() };
+    store = { frames: new Map(), baselines: new Map() }; // baselines: frameId -> last snapshot for mode="diff"
     state.uidMaps.set(page, store);
   }
   return store;
 }
 
-function setUidMapForFrame(page, frame, uidToBackend) {
+// uids are derived from backendDOMNodeId, so a new snapshot of the same document adds to the map instead of
+// replacing it; uids handed out earlier keep resolving until their node is detached.
+function setUidMapForFrame(page, frame, uidToBackend, { documentNodeId = null } = {}) {
   const ctx = getDomContext(page, frame);
   const store = getOrCreateUidStore(page);
+  const previous = store.frames.get(ctx.frameId);
+  const sameDocument =
+    previous && (!documentNodeId || !previous.documentNodeId || previous.documentNodeId === documentNodeId);
   store.frames.set(ctx.frameId, {
     createdAt: Date.now(),
     url: page.url(),
     domVersion: ctx.domVersion,
-    uidToBackend
+    documentNodeId: documentNodeId ?? previous?.documentNodeId ?? null,
+    uidToBackend: sameDocument ? new Map([...previous.uidToBackend, ...uidToBackend]) : uidToBackend
   });
   return ctx;
 }
 
-function getBackendNodeIdForUid(page, uid, frame = null) {
-  const store = state.uidMaps.get(page);
-  const frames = store?.frames;
-  const requestedCtx = getDomContext(page, frame);
-  const mainCtx = getDomContext(page, page.mainFrame());
+// Adds one uid to its frame's map without dropping the uids of the last snapshot.
+function rememberUid(page, frame, uid, backendNodeId) {
+  setUidMapForFrame(page, frame, new Map([[uid, backendNodeId]]));
+}
 
+// Finds the node behind a uid and the CDP target (page or out-of-process iframe) to act on it through.
+// Snapshots cover every frame, so the uid's own frame qualifier decides where it lives, not the frame args.
+// requireAttached=false lets browser.wait_for resolve a uid whose node is already gone (state "detached").
+async function resolveUid(page, uid, { requireAttached = true } = {}) {
+  const frames = state.uidMaps.get(page)?.frames;
   if (!frames) {
     throw new Error('No uid map available for this page. Run browser.take_snapshot first.');
   }
 
-  const resolveEntry = (ctx) => {
-    const entry = frames.get(ctx.frameId);
-    if (!entry) return null;
-    if (entry.domVersion && entry.domVersion !== ctx.domVersion) {
-      throw new Error('Stale uid map detected after DOM change. Run browser.take_snapshot again.');
-    }
-    return entry;
-  };
-
-  let entry = resolveEntry(requestedCtx);
-  if (!entry && requestedCtx.frameId !== mainCtx.frameId) {
-    entry = resolveEntry(mainCtx);
+  let mapped = null;
+  for (const entry of frames.values()) {
+    mapped = entry.uidToBackend?.get(uid);
+    if (mapped) break;
   }
-  if (!entry) {
-    throw new Error(`No uid map available for frame "${requestedCtx.frameId}". Run browser.take_snapshot first.`);
-  }
-
-  let mapped = entry.uidToBackend?.get(uid);
-  if (!mapped && requestedCtx.frameId !== mainCtx.frameId) {
-    const mainEntry = resolveEntry(mainCtx);
-    mapped = mainEntry?.uidToBackend?.get(uid);
-  }
-
   const backendNodeId =
     mapped && typeof mapped === 'object' ? mapped.backendNodeId : mapped;
 
   if (!backendNodeId) {
     throw new Error(`Unknown uid "${uid}". Run browser.take_snapshot again and use a current uid.`);
   }
-  return backendNodeId;
+  const uidFrameId = parseAxUid(uid)?.frameId || 'main';
+  const frame = uidFrameId === 'main' ? page.mainFrame() : getDomFrameById(page, uidFrameId);
+  if (!frame) {
+    throw new Error(`Stale uid "${uid}": frame "${uidFrameId}" is gone. Run browser.take_snapshot again.`);
+  }
+  const target = await getCdpTargetForFrame(page, frame);
+  if (requireAttached && !(await isBackendNodeConnected(target, backendNodeId))) {
+    throw new Error(`Stale uid "${uid}": the element is no longer in the document. Run browser.take_snapshot again.`);
+  }
+  return { backendNodeId, frame, target };
 }
 
 function withFrameMeta(page, frame, payload) {
@@ -501,19 +763,309 @@ const EXPECT_EVENT_ACTION_ALLOWLIST = new Set([
   'browser.hover'
 ]);
 
-function resetRuntimeQueues() {
-  clearElementCache();
-  state.contextGeneration += 1;
-  state.uidMaps = new WeakMap();
-  state.pageEventAttached = new WeakSet();
-  state.dialogs = [];
-  state.dialogById = new Map();
-  state.dialogSeq = 0;
-  state.downloads = [];
-  state.downloadById = new Map();
-  state.downloadSeq = 0;
-  state.popups = [];
-  state.popupSeq = 0;
+// Page actions browser.batch may run back to back; reads, lifecycle and file tools stay separate calls.
+const BATCH_ACTION_ALLOWLIST = new Set([
+  ...EXPECT_EVENT_ACTION_ALLOWLIST,
+  'browser.fill',
+  'browser.type',
+  'browser.set_input_files',
+  'browser.scroll_by',
+  'browser.scroll_to',
+  'browser.scroll_to_uid',
+  'browser.wait',
+  'browser.wait_for',
+  'forms.google_set_text',
+  'forms.google_set_dropdown',
+  'forms.google_set_checkbox',
+  'forms.google_set_radio',
+  'forms.google_set_grid'
+]);
+
+function resetRuntimeQueues(session = getCurrentSession()) {
+  for (const entry of session.dialogs) {
+    if (entry?._timer) clearTimeout(entry._timer);
+  }
+  session.elements.clear();
+  session.elementCacheContext = null;
+  session.contextGeneration += 1;
+  session.uidMaps = new WeakMap();
+  session.pageEventAttached = new WeakSet();
+  session.dialogs = [];
+  session.dialogById = new Map();
+  session.dialogSeq = 0;
+  session.downloads = [];
+  session.downloadById = new Map();
+  session.downloadSeq = 0;
+  session.popups = [];
+  session.popupSeq = 0;
+  session.snapshots = new Map();
+  session.harRoutes = [];
+  session.routeTable.reset();
+  session.networkEmulation = null;
+}
+
+function notifyResourceUpdated(uri, session = getCurrentSession()) {
+  if (!session.server || !session.resourceSubscriptions.has(uri)) return;
+  void session.server.server.sendResourceUpdated({ uri }).catch(() => {});
+}
+
+function notifyResourceListChanged(session = getCurrentSession()) {
+  if (!session.server?.isConnected?.()) return;
+  try {
+    session.server.sendResourceListChanged();
+  } catch {
+    // best effort
+  }
+}
+
+async function addStealthInitScript(context) {
+  await context.addInitScript(() => {
+    Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
+    Object.defineProperty(navigator, 'languages', { get: () => ['en-US', 'en'] });
+    Object.defineProperty(navigator, 'platform', { get: () => 'Win32' });
+  });
+}
+
+function claimPrimaryContext(context) {
+  const session = getCurrentSession();
+  sharedState.primaryContext = context;
+  sharedState.primaryContextSessionId = session.sessionId;
+  session.ownsContext = false;
+}
+
+const TRACE_DIR = path.join(WORKSPACE_DIR, 'Auto', 'logs', 'traces');
+
+async function startSessionTrace(session, mode, name = `session-${session.sessionId}`) {
+  try {
+    await session.tracer.start(session.context, { mode, name });
+    return null;
+  } catch (error) {
+    return `Tracing could not start: ${error?.message || error}`;
+  }
+}
+
+// A trace is only written when tracing stops, so stop it before the context goes away.
+async function finishSessionTrace(session) {
+  if (!session.tracer.isActive()) return null;
+  const { name } = session.tracer.status();
+  const tracePath = session.tracer.shouldKeep()
+    ? await assertAllowedWritePath(path.join(TRACE_DIR, traceFileName(name)))
+    : null;
+  try {
+    if (tracePath) await ensureDir(tracePath);
+    await session.tracer.stop({ path: tracePath });
+    return tracePath;
+  } catch {
+    // context already closed; the trace is lost
+    return null;
+  }
+}
+
+const VIDEO_DIR = path.join(WORKSPACE_DIR, 'Auto', 'output', 'videos');
+
+// Playwright writes each page's video under a random name; browser.get_video copies it out by pageId.
+async function resolveRecordVideo(enabled, size) {
+  if (!enabled) return undefined;
+  const dir = await assertAllowedWritePath(path.join(VIDEO_DIR, 'raw'));
+  await fs.mkdir(dir, { recursive: true });
+  return size ? { dir, size } : { dir };
+}
+
+// Videos are looked up by pageId, so each new context starts a fresh map (pageIds restart at 1).
+function trackPageVideos(session, context, recordVideo = null) {
+  const videos = new Map();
+  session.videos = videos;
+  session.recordVideo = recordVideo || null;
+  const track = (page) => {
+    const video = page.video?.();
+    const pageId = session.pageManager.getPageId(page);
+    if (video && pageId !== null) videos.set(pageId, { page, video });
+  };
+  for (const page of context.pages()) track(page);
+  context.on('page', track);
+}
+
+function defaultVideoPath(pageId) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(VIDEO_DIR, `page-${pageId}-${stamp}.webm`);
+}
+
+// Copies a finished video out and deletes the raw recording, which would otherwise pile up in videos/raw.
+async function saveVideo(entry, absPath) {
+  await ensureDir(absPath);
+  const rawPath = await entry.video.path();
+  try {
+    await entry.video.saveAs(absPath);
+  } catch {
+    // saveAs needs the browser connection; after browser.close the finished file is still on disk.
+    await fs.copyFile(rawPath, absPath);
+  }
+  await fs.rm(rawPath, { force: true });
+  const { size } = await fs.stat(absPath);
+  return size;
+}
+
+// Videos of a context that was just closed, saved to their default paths.
+async function saveClosedVideos(videos) {
+  const saved = [];
+  for (const [pageId, entry] of videos) {
+    try {
+      const absPath = defaultVideoPath(pageId);
+      saved.push({ pageId, path: absPath, bytes: await saveVideo(entry, absPath), pageUrl: entry.page.url() });
+    } catch {
+      // Nothing was written for this page, so there is nothing to save.
+    }
+  }
+  videos.clear();
+  return saved;
+}
+
+// newContext() options for a session's emulation settings (browser.launch, browser.emulate).
+function contextOptionsFor(emulation) {
+  return buildContextOptions(emulation || {}, { defaultViewport: DEFAULT_VIEWPORT });
+}
+
+// Arm resource blocking on a fresh context before its pages start loading.
+async function applyRequestBlocking(session, context) {
+  if (session.routeTable.blockingActive()) {
+    await session.routeTable.install(context);
+  }
+}
+
+// browser.emulate swaps the context under the agent, so its network setup has to follow:
+// browser.add_route rules, browser.route_from_har replays and context-scope browser.emulate_network.
+function saveNetworkSetup(session) {
+  return {
+    rules: session.routeTable.saveRules(),
+    harRoutes: [...session.harRoutes],
+    conditions: session.networkEmulation?.conditions || null
+  };
+}
+
+async function restoreNetworkSetup(session, context, saved) {
+  if (saved.rules.length) {
+    session.routeTable.restoreRules(saved.rules);
+    await session.routeTable.install(context);
+  }
+  for (const harRoute of saved.harRoutes) {
+    await applyHarRoute(context, harRoute);
+  }
+  session.harRoutes = [...saved.harRoutes];
+  if (saved.conditions) {
+    followContextNetworkConditions(session, context, saved.conditions);
+    for (const page of context.pages()) {
+      await applyNetworkConditions(page, saved.conditions);
+    }
+  }
+  return { routes: saved.rules.length, harRoutes: saved.harRoutes.length, networkEmulation: Boolean(saved.conditions) };
+}
+
+async function releaseSessionContext(session) {
+  await finishSessionTrace(session);
+  if (session.context && session.ownsContext) {
+    try {
+      await session.context.close();
+    } catch {
+      // best effort
+    }
+  }
+  if (sharedState.primaryContextSessionId === session.sessionId) {
+    sharedState.primaryContextSessionId = null;
+  }
+  session.context = null;
+  session.ownsContext = false;
+  session.page = null;
+  session.pageManager.reset();
+  resetRuntimeQueues(session);
+}
+
+// The browser is shared, so relaunching or closing it detaches every other session first.
+async function detachOtherSessions() {
+  const current = getCurrentSession();
+  for (const session of sessions.values()) {
+    if (session === current) continue;
+    await releaseSessionContext(session);
+  }
+}
+
+async function closeBrowserForRelaunch() {
+  await detachOtherSessions();
+  await finishSessionTrace(getCurrentSession());
+  if (state.context) {
+    await state.context.close();
+  } else if (state.browser) {
+    await state.browser.close();
+  }
+  sharedState.primaryContext = null;
+  sharedState.primaryContextSessionId = null;
+}
+
+// Give a session its own context on first use: adopt the unclaimed launch context, else create one.
+async function ensureSessionAttached(session) {
+  if (session.context) return;
+  let context = null;
+  let ownsContext = false;
+  if (sharedState.primaryContext && !sharedState.primaryContextSessionId) {
+    context = sharedState.primaryContext;
+    sharedState.primaryContextSessionId = session.sessionId;
+  } else if (sharedState.browser) {
+    context = await sharedState.browser.newContext({
+      ...contextOptionsFor(sharedState.lastLaunch?.emulation),
+      recordVideo: sharedState.lastLaunch?.recordVideo || undefined
+    });
+    ownsContext = true;
+    if (sharedState.lastLaunch?.stealth) {
+      await addStealthInitScript(context);
+    }
+  } else {
+    return;
+  }
+
+  session.context = context;
+  session.ownsContext = ownsContext;
+  session.emulation = sharedState.lastLaunch?.emulation || {};
+  if (ownsContext && sharedState.lastLaunch?.trace && sharedState.lastLaunch.trace !== 'off') {
+    await startSessionTrace(session, sharedState.lastLaunch.trace);
+  }
+  session.pageManager.reset();
+  resetRuntimeQueues(session);
+  session.routeTable.setBlocking(sharedState.lastLaunch?.block);
+  await applyRequestBlocking(session, context);
+  await session.pageManager.attachContext(context);
+  trackPageVideos(session, context, sharedState.lastLaunch?.recordVideo);
+  session.page = session.pageManager.getActivePage();
+  try {
+    for (const p of context.pages()) {
+      await ensureObservability(p);
+      await ensurePageEventListeners(p);
+    }
+  } catch {
+    // best effort
+  }
+}
+
+async function disposeSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+  sessions.delete(sessionId);
+  await releaseSessionContext(session);
+  return true;
+}
+
+// closeTransportSession ends the client's HTTP session as well (its onSessionClosed hook disposes the browser
+// session); otherwise the next call on that session id would silently start over with a blank context.
+async function cleanupIdleSessions(idleMs, closeTransportSession = null) {
+  const now = Date.now();
+  const disposed = [];
+  for (const session of [...sessions.values()]) {
+    if (session.sessionId === DEFAULT_SESSION_ID) continue;
+    if (session.activeCalls > 0) continue;
+    if (now - session.lastActivityAt < idleMs) continue;
+    if (closeTransportSession) await closeTransportSession(session.sessionId, { expired: true });
+    await disposeSession(session.sessionId);
+    disposed.push(session.sessionId);
+  }
+  return disposed;
 }
 
 function getPageIdSafe(page) {
@@ -538,8 +1090,11 @@ async function ensurePageEventListeners(page) {
   if (!page || state.pageEventAttached.has(page)) return;
   state.pageEventAttached.add(page);
   const listenerGeneration = state.contextGeneration;
+  // Playwright emits events outside the tool call, so re-enter the owning session explicitly.
+  const session = getCurrentSession();
+  const inSession = (listener) => (...args) => sessionScope.run(session, () => listener(...args));
 
-  page.on('dialog', async (dialog) => {
+  page.on('dialog', inSession(async (dialog) => {
     if (listenerGeneration !== state.contextGeneration) return;
     state.dialogSeq += 1;
     const dialogId = `dlg-${state.dialogSeq}`;
@@ -582,9 +1137,9 @@ async function ensurePageEventListeners(page) {
         entry.handledAt = new Date().toISOString();
       }
     }, timeoutMs);
-  });
+  }));
 
-  page.on('download', async (download) => {
+  page.on('download', inSession(async (download) => {
     if (listenerGeneration !== state.contextGeneration) return;
     state.downloadSeq += 1;
     const downloadId = `dl-${state.downloadSeq}`;
@@ -604,9 +1159,10 @@ async function ensurePageEventListeners(page) {
     for (const stale of dropped) {
       if (stale?.downloadId) state.downloadById.delete(stale.downloadId);
     }
-  });
+    notifyResourceListChanged();
+  }));
 
-  page.on('popup', async (popupPage) => {
+  page.on('popup', inSession(async (popupPage) => {
     if (listenerGeneration !== state.contextGeneration) return;
     try {
       state.pageManager.attachPage(popupPage);
@@ -630,26 +1186,11 @@ async function ensurePageEventListeners(page) {
         }
       })()
     }, 200);
-  });
+  }));
 
-  page.once('close', () => {
+  page.once('close', inSession(() => {
     state.pageEventAttached.delete(page);
-  });
-}
-
-function buildUrlMatcher(pattern, regex) {
-  if (!pattern) return () => true;
-  if (regex) {
-    let compiled;
-    try {
-      compiled = new RegExp(pattern);
-    } catch {
-      throw new Error(`Invalid regex pattern "${pattern}".`);
-    }
-    return (url) => compiled.test(String(url || ''));
-  }
-  const needle = String(pattern || '').toLowerCase();
-  return (url) => String(url || '').toLowerCase().includes(needle);
+  }));
 }
 
 async function runExpectAfterAction(page, afterAction) {
@@ -863,11 +1404,29 @@ const ENV_DEFAULTS = {
   evaluateTimeoutMs: parseEnvNumber('MCP_EVALUATE_TIMEOUT_MS', 'GEMINI_CLI_MCP_EVALUATE_TIMEOUT_MS'),
   evaluateMaxBytes: parseEnvNumber('MCP_EVALUATE_MAX_BYTES', 'GEMINI_CLI_MCP_EVALUATE_MAX_BYTES'),
   captureProfile: parseEnvString('MCP_CAPTURE_PROFILE', 'GEMINI_CLI_MCP_CAPTURE_PROFILE'),
-  maxResponseBytes: parseEnvNumber('MCP_MAX_RESPONSE_BYTES', 'GEMINI_CLI_MCP_MAX_RESPONSE_BYTES')
+  maxResponseBytes: parseEnvNumber('MCP_MAX_RESPONSE_BYTES', 'GEMINI_CLI_MCP_MAX_RESPONSE_BYTES'),
+  transport: parseEnvString('MCP_TRANSPORT', 'GEMINI_CLI_MCP_TRANSPORT'),
+  httpHost: parseEnvString('MCP_HTTP_HOST', 'GEMINI_CLI_MCP_HTTP_HOST'),
+  httpPort: parseEnvNumber('MCP_HTTP_PORT', 'GEMINI_CLI_MCP_HTTP_PORT'),
+  httpToken: parseEnvString('MCP_HTTP_TOKEN', 'GEMINI_CLI_MCP_HTTP_TOKEN'),
+  httpAllowedHosts: parseEnvArgs('MCP_HTTP_ALLOWED_HOSTS', 'GEMINI_CLI_MCP_HTTP_ALLOWED_HOSTS'),
+  sessionIdleMs: parseEnvNumber('MCP_SESSION_IDLE_MS', 'GEMINI_CLI_MCP_SESSION_IDLE_MS'),
+  auditLog: parseEnvBool('MCP_AUDIT_LOG', 'GEMINI_CLI_MCP_AUDIT_LOG'),
+  auditMaxBytes: parseEnvNumber('MCP_AUDIT_MAX_BYTES', 'GEMINI_CLI_MCP_AUDIT_MAX_BYTES'),
+  auditMaxFiles: parseEnvNumber('MCP_AUDIT_MAX_FILES', 'GEMINI_CLI_MCP_AUDIT_MAX_FILES'),
+  trace: parseEnvString('MCP_TRACE', 'GEMINI_CLI_MCP_TRACE'),
+  recordVideo: parseEnvBool('MCP_RECORD_VIDEO', 'GEMINI_CLI_MCP_RECORD_VIDEO'),
+  blockResources: parseEnvArgs('MCP_BLOCK_RESOURCES', 'GEMINI_CLI_MCP_BLOCK_RESOURCES'),
+  blockHosts: parseEnvArgs('MCP_BLOCK_HOSTS', 'GEMINI_CLI_MCP_BLOCK_HOSTS'),
+  blockAllowOrigins: parseEnvArgs('MCP_BLOCK_ALLOW_ORIGINS', 'GEMINI_CLI_MCP_BLOCK_ALLOW_ORIGINS')
 };
 
-state.captureProfile = normalizeCaptureProfile(ENV_DEFAULTS.captureProfile || state.captureProfile || 'light');
-state.responseBudgetBytes = clampNumber(ENV_DEFAULTS.maxResponseBytes, 32768, 2_000_000, state.responseBudgetBytes);
+const auditLog = createAuditLog({
+  dir: AUDIT_LOG_DIR,
+  enabled: ENV_DEFAULTS.auditLog ?? true,
+  maxFileBytes: clampNumber(ENV_DEFAULTS.auditMaxBytes, 64 * 1024, 1024 * 1024 * 1024, 10 * 1024 * 1024),
+  maxFiles: clampNumber(ENV_DEFAULTS.auditMaxFiles, 1, 10000, 30)
+});
 
 function hasDefaultChromeUserDataDir(userDataDir) {
   if (!userDataDir) return false;
@@ -929,34 +1488,292 @@ function buildArgs(baseArgs, profileDirectory) {
   return args;
 }
 
-const server = new McpServer({
+const SERVER_INFO = {
   name: 'playwright-browser',
   version: '1.0.0'
-});
+};
+
+const server = new McpServer(SERVER_INFO);
+
+// Every registered tool is recorded so per-session HTTP servers expose the same wrapped handlers.
+const toolRegistry = [];
 
 // Wrap every tool with a stable envelope + structured errors without rewriting each handler.
-const rawRegisterTool = server.registerTool.bind(server);
-server.registerTool = (name, definition, handler) =>
-  rawRegisterTool(name, definition, async (args, extra) => {
-    const requestId = nextRequestId();
-    try {
-      const result = await handler(args, extra);
-      const rawPayload = unwrapToolPayload(result);
-      const { payload, meta } = extractToolMeta(rawPayload);
-      const wrapped = await buildEnvelope(payload, { ok: true, requestId, ...(meta || {}) });
-      const budgeted = enforcePayloadCeiling(wrapped, {
-        maxBytes: state.responseBudgetBytes
-      });
-      return respond(budgeted.payload);
-    } catch (error) {
-      const normalized = normalizeError(error);
-      const wrapped = await buildEnvelope({ error: normalized }, { ok: false, requestId, error: normalized });
-      const budgeted = enforcePayloadCeiling(wrapped, {
-        maxBytes: state.responseBudgetBytes
-      });
-      return respond(budgeted.payload);
-    }
+// Lifecycle tools replace the shared browser, so they must not attach a throwaway context first.
+const SESSION_ATTACH_SKIP_TOOLS = new Set([
+  'browser.launch',
+  'browser.connect_cdp',
+  'browser.launch_chrome_cdp',
+  'browser.close',
+  'browser.list_sessions',
+  'browser.get_audit_log'
+]);
+
+// fill/type by uid, elementId or a plain selector say nothing about the field in their args, so their handlers
+// note the type/autocomplete of the element they acted on in the call's audit slot (see noteAuditInput).
+const AUDIT_VALUE_TOOLS = new Set(['browser.fill', 'browser.type']);
+const auditSlotScope = new AsyncLocalStorage();
+
+// browser.batch and browser.run_script reserve one slot per action/step so their own entry can redact each one.
+function reserveNestedAuditSlot(index) {
+  const slot = { input: null, nested: [], taken: false };
+  const parent = auditSlotScope.getStore();
+  if (parent) parent.nested[index] = slot;
+  return slot;
+}
+
+function takeAuditSlot() {
+  const reserved = auditSlotScope.getStore();
+  if (reserved && !reserved.taken) {
+    reserved.taken = true;
+    return reserved;
+  }
+  return { input: null, nested: [], taken: true };
+}
+
+function noteAuditInput(input) {
+  const slot = auditSlotScope.getStore();
+  if (slot) slot.input = input ? { type: input.type ?? null, autocomplete: input.autocomplete ?? null } : null;
+}
+
+// Reads the attributes off the locator the action just used, so it resolves at once; a field that is gone by then
+// (a submitted login form takes it along) stays unknown and is redacted.
+async function noteAuditInputOf(locator) {
+  if (!auditLog.enabled || !auditSlotScope.getStore()) return;
+  try {
+    noteAuditInput(
+      await locator.evaluate((el) => ({ type: el.getAttribute('type'), autocomplete: el.getAttribute('autocomplete') }), null, {
+        timeout: 500
+      })
+    );
+  } catch {
+    noteAuditInput(null);
+  }
+}
+
+// A target that was never reached (the call failed first, or a step did not run) is treated as secret.
+function redactValueCall(toolName, args, slot) {
+  if (!AUDIT_VALUE_TOOLS.has(toolName) || !args || typeof args !== 'object') return args;
+  const input = slot?.input;
+  return !input || isSecretInput(input) ? redactSecretValues(args) : args;
+}
+
+// Batch actions and script steps carry their own fill/type calls, each checked against its own slot.
+function redactNestedCalls(toolName, args, slot) {
+  const listKey = { 'browser.batch': 'actions', 'browser.run_script': 'steps' }[toolName];
+  if (listKey && Array.isArray(args?.[listKey])) {
+    const calls = args[listKey].map((call, i) => ({ ...call, args: redactNestedCalls(call?.tool, call?.args, slot?.nested[i]) }));
+    return { ...args, [listKey]: calls };
+  }
+  return redactValueCall(toolName, args, slot);
+}
+
+function resolveAuditArgs(toolName, args, slot) {
+  if (!auditLog.enabled) return null;
+  return redactArgs(redactNestedCalls(toolName, args, slot));
+}
+
+function recordAudit(toolName, args, session, envelope, startedAt) {
+  auditLog.record({
+    ts: envelope.timestamp,
+    requestId: envelope.requestId,
+    sessionId: session.sessionId,
+    tool: toolName,
+    args,
+    durationMs: Date.now() - startedAt,
+    ok: envelope.ok,
+    errorCode: envelope.ok ? null : envelope.error?.code || null,
+    pageId: envelope.pageId ?? null,
+    url: envelope.url ?? null,
+    domVersion: envelope.domVersion ?? null
   });
+}
+
+function wrapToolHandler(name, handler) {
+  return async (args, extra) => {
+    const session = getOrCreateSession(extra?.sessionId);
+    return sessionScope.run(session, async () => {
+      const requestId = nextRequestId();
+      const startedAt = Date.now();
+      session.lastActivityAt = startedAt;
+      session.activeCalls += 1;
+      const auditSlot = takeAuditSlot();
+      try {
+        if (!SESSION_ATTACH_SKIP_TOOLS.has(name)) {
+          await ensureSessionAttached(session);
+        }
+        const result = await auditSlotScope.run(auditSlot, () => handler(args, extra));
+        const rawPayload = unwrapToolPayload(result);
+        const { payload, meta } = extractToolMeta(rawPayload);
+        const wrapped = await buildEnvelope(payload, { ok: true, requestId, ...(meta || {}) });
+        if (wrapped.ok === false) session.tracer.noteError();
+        recordAudit(name, resolveAuditArgs(name, args || {}, auditSlot), session, wrapped, startedAt);
+        const budgeted = enforceResponseCeiling(wrapped, extractExtraContent(result), {
+          maxBytes: state.responseBudgetBytes
+        });
+        return respond(budgeted.payload, budgeted.content);
+      } catch (error) {
+        const normalized = normalizeError(error);
+        const wrapped = await buildEnvelope({ error: normalized }, { ok: false, requestId, error: normalized });
+        session.tracer.noteError();
+        recordAudit(name, resolveAuditArgs(name, args || {}, auditSlot), session, wrapped, startedAt);
+        const budgeted = enforceResponseCeiling(wrapped, [], {
+          maxBytes: state.responseBudgetBytes
+        });
+        return respond(budgeted.payload);
+      } finally {
+        session.activeCalls -= 1;
+        session.lastActivityAt = Date.now();
+      }
+    });
+  };
+}
+
+const rawRegisterTool = server.registerTool.bind(server);
+server.registerTool = (name, definition, handler) => {
+  const wrappedHandler = wrapToolHandler(name, handler);
+  // rawHandler skips the envelope so browser.batch can run many actions under one envelope.
+  toolRegistry.push({ name, definition, handler: wrappedHandler, rawHandler: handler });
+  return rawRegisterTool(name, definition, wrappedHandler);
+};
+
+function createSessionServer() {
+  const sessionServer = new McpServer(SERVER_INFO);
+  for (const tool of toolRegistry) {
+    sessionServer.registerTool(tool.name, tool.definition, tool.handler);
+  }
+  registerBrowserResources(sessionServer);
+  return sessionServer;
+}
+
+const MAX_DOWNLOAD_RESOURCE_BYTES = 25 * 1024 * 1024;
+
+function runInSession(extra, fn) {
+  const session = getOrCreateSession(extra?.sessionId);
+  session.lastActivityAt = Date.now();
+  return sessionScope.run(session, fn);
+}
+
+function listSessionPages() {
+  try {
+    return state.context ? state.context.pages() : [];
+  } catch {
+    return [];
+  }
+}
+
+async function readSnapshotResource(uri, { pageId }) {
+  const entry = state.snapshots.get(Number(pageId));
+  if (!entry) {
+    throw new Error(`No snapshot for pageId ${pageId}. Run browser.take_snapshot on that page first.`);
+  }
+  return { contents: [buildResourceContent(uri.href, { mimeType: 'application/json', text: JSON.stringify(entry, null, 2) })] };
+}
+
+async function readNetworkBodyResource(uri, { requestId }) {
+  const id = decodeURIComponent(String(requestId));
+  const page = listSessionPages().find((candidate) => hasNetworkRequest(candidate, id));
+  if (!page) {
+    throw new Error(`Unknown requestId "${id}".`);
+  }
+  const { body, base64Encoded, mimeType } = await getNetworkResponseBody(page, id);
+  if (base64Encoded) {
+    return { contents: [buildResourceContent(uri.href, { mimeType, buffer: Buffer.from(body, 'base64') })] };
+  }
+  return { contents: [buildResourceContent(uri.href, { mimeType: mimeType || 'text/plain', text: body })] };
+}
+
+async function readDownloadResource(uri, { downloadId }) {
+  const id = decodeURIComponent(String(downloadId));
+  const entry = state.downloadById.get(id);
+  if (!entry) {
+    throw new Error(`Unknown downloadId "${id}".`);
+  }
+  // Playwright keeps finished downloads in a temp file; remote CDP browsers only expose saved copies.
+  const filePath = entry.savedPath || (await entry._download.path().catch(() => null));
+  if (!filePath) {
+    throw new Error(`Download "${id}" is not available locally. Use browser.save_download first.`);
+  }
+  const stat = await fs.stat(filePath);
+  if (stat.size > MAX_DOWNLOAD_RESOURCE_BYTES) {
+    throw new Error(`Download "${id}" is ${stat.size} bytes (limit ${MAX_DOWNLOAD_RESOURCE_BYTES}). Use browser.save_download instead.`);
+  }
+  const buffer = await fs.readFile(filePath);
+  return { contents: [buildResourceContent(uri.href, { mimeType: entry.mimeType || 'application/octet-stream', buffer })] };
+}
+
+function registerBrowserResources(targetServer) {
+  targetServer.registerResource(
+    'page-snapshot',
+    new ResourceTemplate(RESOURCE_URI_TEMPLATES.snapshot, {
+      list: (extra) =>
+        runInSession(extra, () => ({
+          resources: [...state.snapshots.values()].map((entry) => ({
+            uri: snapshotUri(entry.pageId),
+            name: `page-${entry.pageId}-snapshot`,
+            description: `Latest browser.take_snapshot of ${entry.url || `page ${entry.pageId}`}`
+          }))
+        }))
+    }),
+    {
+      description: 'Full, untruncated result of the latest browser.take_snapshot for a page.',
+      mimeType: 'application/json'
+    },
+    (uri, variables, extra) => runInSession(extra, () => readSnapshotResource(uri, variables))
+  );
+
+  targetServer.registerResource(
+    'network-body',
+    new ResourceTemplate(RESOURCE_URI_TEMPLATES.networkBody, {
+      list: (extra) =>
+        runInSession(extra, () => ({
+          resources: listSessionPages()
+            .flatMap((page) => listFinishedRequestIds(page, 50))
+            .slice(-50)
+            .map((entry) => ({
+              uri: networkBodyUri(entry.requestId),
+              name: `network-${entry.requestId}-body`,
+              description: entry.url,
+              ...(entry.mimeType ? { mimeType: entry.mimeType } : {})
+            }))
+        }))
+    }),
+    { description: 'Full response body of a captured network request (see browser.list_network_requests).' },
+    (uri, variables, extra) => runInSession(extra, () => readNetworkBodyResource(uri, variables))
+  );
+
+  targetServer.registerResource(
+    'download',
+    new ResourceTemplate(RESOURCE_URI_TEMPLATES.download, {
+      list: (extra) =>
+        runInSession(extra, () => ({
+          resources: state.downloads.map((entry) => ({
+            uri: downloadUri(entry.downloadId),
+            name: entry.suggestedFilename || entry.downloadId,
+            description: entry.url
+          }))
+        }))
+    }),
+    { description: 'Contents of a captured download (see browser.wait_for_download).' },
+    (uri, variables, extra) => runInSession(extra, () => readDownloadResource(uri, variables))
+  );
+
+  targetServer.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+  targetServer.server.setRequestHandler(SubscribeRequestSchema, (request, extra) =>
+    runInSession(extra, () => {
+      getCurrentSession().resourceSubscriptions.add(request.params.uri);
+      return {};
+    })
+  );
+  targetServer.server.setRequestHandler(UnsubscribeRequestSchema, (request, extra) =>
+    runInSession(extra, () => {
+      getCurrentSession().resourceSubscriptions.delete(request.params.uri);
+      return {};
+    })
+  );
+}
+
+registerBrowserResources(server);
 
 server.registerTool(
   'browser.set_capture_profile',
@@ -965,7 +1782,14 @@ server.registerTool(
     inputSchema: {
       profile: z.enum(['light', 'balanced', 'full']),
       responseBudgetBytes: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      profile: z.string(),
+      availableProfiles: z.array(z.string()),
+      responseBudgetBytes: z.number(),
+      defaults: looseObject()
+    })
   },
   async ({ profile, responseBudgetBytes }) => {
     state.captureProfile = normalizeCaptureProfile(profile);
@@ -993,7 +1817,13 @@ server.registerTool(
   'browser.get_capture_profile',
   {
     description: 'Get the active capture profile and response payload budget.',
-    inputSchema: {}
+    inputSchema: {},
+    outputSchema: toolOutput({
+      profile: z.string(),
+      availableProfiles: z.array(z.string()),
+      responseBudgetBytes: z.number(),
+      defaults: looseObject()
+    })
   },
   async () => {
     const profile = getActiveCaptureProfile();
@@ -1027,6 +1857,60 @@ server.registerTool(
   }
 );
 
+// Shared by browser.launch and browser.emulate.
+const EMULATION_INPUT_SHAPE = {
+  device: z.string().optional(),
+  locale: z.string().optional(),
+  timezoneId: z.string().optional(),
+  geolocation: z
+    .object({
+      latitude: z.number(),
+      longitude: z.number(),
+      accuracy: z.number().optional()
+    })
+    .optional(),
+  colorScheme: z.enum(COLOR_SCHEMES).optional(),
+  reducedMotion: z.enum(REDUCED_MOTION_MODES).optional(),
+  permissions: z.array(z.string()).optional()
+};
+
+// Videos saved because browser.import_storage_state or browser.emulate closed their context.
+const SAVED_VIDEOS_OUTPUT = looseArray({ pageId: z.number(), path: z.string(), bytes: z.number(), pageUrl: z.string() });
+
+const EMULATION_OUTPUT = looseObject({
+  device: z.string().nullable(),
+  viewport: looseObject({ width: z.number(), height: z.number() }),
+  userAgent: z.string().nullable(),
+  isMobile: z.boolean(),
+  hasTouch: z.boolean(),
+  deviceScaleFactor: z.number(),
+  locale: z.string().nullable(),
+  timezoneId: z.string().nullable(),
+  geolocation: looseObject({ latitude: z.number(), longitude: z.number() }).nullable(),
+  colorScheme: z.string().nullable(),
+  reducedMotion: z.string().nullable(),
+  permissions: z.array(z.string())
+});
+
+const BLOCK_POLICY_INPUT = z.object({
+  resourceTypes: z.array(z.enum(BLOCKABLE_RESOURCE_TYPES)).optional(),
+  hosts: z.array(z.string()).optional(),
+  allowOrigins: z.array(z.string()).optional()
+});
+
+const BLOCK_POLICY_OUTPUT = looseObject({
+  resourceTypes: z.array(z.string()),
+  hosts: z.array(z.string()),
+  allowOrigins: z.array(z.string()),
+  active: z.boolean()
+});
+
+const BLOCKED_COUNTS_OUTPUT = looseObject({
+  total: z.number(),
+  byType: z.record(z.string(), z.number()),
+  byHost: z.record(z.string(), z.number())
+});
+
 server.registerTool(
   'browser.launch',
   {
@@ -1046,8 +1930,35 @@ server.registerTool(
         })
         .optional(),
       userAgent: z.string().optional(),
-      userDataDir: z.string().optional()
-    }
+      userDataDir: z.string().optional(),
+      trace: z.enum(TRACE_MODES).optional(),
+      recordVideo: z.boolean().optional(),
+      videoSize: z
+        .object({
+          width: z.number(),
+          height: z.number()
+        })
+        .optional(),
+      block: BLOCK_POLICY_INPUT.optional(),
+      ...EMULATION_INPUT_SHAPE
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      headless: z.boolean(),
+      viewport: looseObject({ width: z.number(), height: z.number() }),
+      persistent: z.boolean(),
+      browserVersion: z.string().nullable(),
+      channel: z.string().nullable(),
+      executablePath: z.string().nullable(),
+      userDataDir: z.string().nullable(),
+      profileDirectory: z.string().nullable(),
+      args: z.array(z.string()),
+      trace: z.enum(TRACE_MODES),
+      recordVideo: z.boolean(),
+      blocking: BLOCK_POLICY_OUTPUT,
+      emulation: EMULATION_OUTPUT,
+      warnings: z.array(z.string())
+    })
   },
   async ({
     headless,
@@ -1059,7 +1970,12 @@ server.registerTool(
     stealth,
     channel,
     executablePath,
-    profileDirectory
+    profileDirectory,
+    trace,
+    recordVideo,
+    videoSize,
+    block,
+    ...emulationArgs
   }) => {
     if (ENV_DEFAULTS.forceCdp) {
       throw new Error('browser.launch is disabled in CDP mode. Use browser.launch_chrome_cdp instead.');
@@ -1072,6 +1988,15 @@ server.registerTool(
     const resolvedExecutablePath = executablePath ?? ENV_DEFAULTS.executablePath;
     const resolvedUserDataDir = userDataDir ?? ENV_DEFAULTS.userDataDir;
     const resolvedProfileDirectory = profileDirectory ?? ENV_DEFAULTS.profileDirectory;
+    const resolvedTrace = trace ?? normalizeTraceMode(ENV_DEFAULTS.trace);
+    const resolvedRecordVideo = await resolveRecordVideo(recordVideo ?? ENV_DEFAULTS.recordVideo ?? false, videoSize);
+    const resolvedBlock = block ?? {
+      resourceTypes: ENV_DEFAULTS.blockResources,
+      hosts: ENV_DEFAULTS.blockHosts,
+      allowOrigins: ENV_DEFAULTS.blockAllowOrigins
+    };
+    const emulation = validateEmulation(mergeEmulation({}, { ...emulationArgs, viewport, userAgent }));
+    const contextOptions = contextOptionsFor(emulation);
     const normalized = normalizeProfilePath(resolvedUserDataDir, resolvedProfileDirectory);
     const normalizedUserDataDir = normalized.userDataDir;
     const normalizedProfileDirectory = normalized.profileDirectory;
@@ -1090,11 +2015,7 @@ server.registerTool(
         'Chrome blocks automation on the default "User Data" directory (Chrome 136+). Use a dedicated userDataDir (e.g. ChromeForMCP) or browser.launch_chrome_cdp.'
       );
     }
-    if (state.context) {
-      await state.context.close();
-    } else if (state.browser) {
-      await state.browser.close();
-    }
+    await closeBrowserForRelaunch();
     state.browser = null;
     state.context = null;
     state.page = null;
@@ -1117,18 +2038,22 @@ server.registerTool(
       executablePath: resolvedExecutablePath || null,
       userDataDir: normalizedUserDataDir || null,
       profileDirectory: normalizedProfileDirectory || null,
-      userAgent: userAgent || null,
-      viewport: viewport ?? DEFAULT_VIEWPORT
+      userAgent: contextOptions.userAgent || null,
+      viewport: contextOptions.viewport,
+      emulation,
+      trace: resolvedTrace,
+      recordVideo: resolvedRecordVideo || null,
+      block: state.routeTable.setBlocking(resolvedBlock)
     };
     if (normalizedUserDataDir) {
       state.context = await chromium.launchPersistentContext(normalizedUserDataDir, {
         headless: resolvedHeadless,
         slowMo: resolvedSlowMoMs,
-        viewport: viewport ?? DEFAULT_VIEWPORT,
-        userAgent: userAgent || undefined,
+        ...contextOptions,
         args: launchArgs,
         channel: resolvedChannel || undefined,
-        executablePath: resolvedExecutablePath || undefined
+        executablePath: resolvedExecutablePath || undefined,
+        recordVideo: resolvedRecordVideo
       });
       state.browser = state.context.browser();
       state.persistent = true;
@@ -1142,21 +2067,26 @@ server.registerTool(
       });
 
       state.context = await state.browser.newContext({
-        viewport: viewport ?? DEFAULT_VIEWPORT,
-        userAgent: userAgent || undefined
+        ...contextOptions,
+        recordVideo: resolvedRecordVideo
       });
     }
+    claimPrimaryContext(state.context);
+    state.emulation = emulation;
 
     if (resolvedStealth) {
-      await state.context.addInitScript(() => {
-        Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
-        Object.defineProperty(navigator, 'languages', { get: () => ['en-US', 'en'] });
-        Object.defineProperty(navigator, 'platform', { get: () => 'Win32' });
-      });
+      await addStealthInitScript(state.context);
+    }
+    const warnings = [];
+    if (resolvedTrace !== 'off') {
+      const traceWarning = await startSessionTrace(getCurrentSession(), resolvedTrace);
+      if (traceWarning) warnings.push(traceWarning);
     }
 
+    await applyRequestBlocking(getCurrentSession(), state.context);
     const prePages = state.context.pages();
     await state.pageManager.attachContext(state.context);
+    trackPageVideos(getCurrentSession(), state.context, resolvedRecordVideo);
     state.page = state.pageManager.getActivePage();
     if (resolvedStealth && prePages.length) {
       await state.page.reload({ waitUntil: 'domcontentloaded' });
@@ -1171,7 +2101,6 @@ server.registerTool(
       // best effort
     }
 
-    const warnings = [];
     warnings.push(...normalized.warnings);
     if (normalizedUserDataDir && hasDefaultChromeUserDataDir(normalizedUserDataDir)) {
       warnings.push(
@@ -1184,7 +2113,7 @@ server.registerTool(
     return respond({
       status: 'launched',
       headless: resolvedHeadless,
-      viewport: viewport ?? DEFAULT_VIEWPORT,
+      viewport: contextOptions.viewport,
       persistent: state.persistent,
       browserVersion,
       channel: resolvedChannel || null,
@@ -1192,6 +2121,10 @@ server.registerTool(
       userDataDir: normalizedUserDataDir || null,
       profileDirectory: normalizedProfileDirectory || null,
       args: launchArgs,
+      trace: resolvedTrace,
+      recordVideo: Boolean(resolvedRecordVideo),
+      blocking: state.routeTable.blocking(),
+      emulation: describeEmulation(emulation, contextOptions),
       warnings
     });
   }
@@ -1204,25 +2137,30 @@ server.registerTool(
     inputSchema: {
       endpoint: z.string().optional(),
       slowMoMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      endpoint: z.string(),
+      pages: z.number()
+    })
   },
   async ({ endpoint, slowMoMs }) => {
     const resolvedEndpoint =
       endpoint || ENV_DEFAULTS.cdpEndpoint || (ENV_DEFAULTS.cdpPort ? `http://127.0.0.1:${ENV_DEFAULTS.cdpPort}` : null);
     const url = resolvedEndpoint || 'http://127.0.0.1:9222';
-    if (state.context) {
-      await state.context.close();
-    } else if (state.browser) {
-      await state.browser.close();
-    }
+    await closeBrowserForRelaunch();
 
     state.browser = await chromium.connectOverCDP(url, { slowMo: slowMoMs ?? ENV_DEFAULTS.slowMoMs ?? 0 });
     const contexts = state.browser.contexts();
     state.context = contexts.length ? contexts[0] : await state.browser.newContext();
+    claimPrimaryContext(state.context);
+    state.emulation = {};
     resetRuntimeQueues();
     resetCaptureProfileToDefault();
     state.pageManager.reset();
+    await applyRequestBlocking(getCurrentSession(), state.context);
     await state.pageManager.attachContext(state.context);
+    trackPageVideos(getCurrentSession(), state.context);
     state.page = state.pageManager.getActivePage();
     try {
       for (const p of state.context.pages()) {
@@ -1260,7 +2198,18 @@ server.registerTool(
       stealth: z.boolean().optional(),
       waitMs: z.number().optional(),
       autoClose: z.boolean().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      chromePath: z.string(),
+      endpoint: z.string(),
+      userDataDir: z.string(),
+      persistent: z.boolean(),
+      browserVersion: z.string().nullable(),
+      profileDirectory: z.string().nullable(),
+      args: z.array(z.string()),
+      warnings: z.array(z.string())
+    })
   },
   async ({ chromePath, userDataDir, profileDirectory, port, args, headless, slowMoMs, stealth, waitMs, autoClose }) => {
     const resolvedChromePath = chromePath ?? ENV_DEFAULTS.chromePath;
@@ -1285,11 +2234,7 @@ server.registerTool(
         'Chrome blocks CDP automation on the default "User Data" directory (Chrome 136+). Use a dedicated userDataDir (e.g. ChromeForMCP).'
       );
     }
-    if (state.context) {
-      await state.context.close();
-    } else if (state.browser) {
-      await state.browser.close();
-    }
+    await closeBrowserForRelaunch();
 
     const resolvedChrome = await resolveChromePath(resolvedChromePath);
     if (!resolvedChrome) {
@@ -1355,18 +2300,18 @@ server.registerTool(
 
     const contexts = state.browser.contexts();
     state.context = contexts.length ? contexts[0] : await state.browser.newContext();
+    claimPrimaryContext(state.context);
+    state.emulation = {};
     resetRuntimeQueues();
     resetCaptureProfileToDefault();
     state.pageManager.reset();
     if (resolvedStealth) {
-      await state.context.addInitScript(() => {
-        Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
-        Object.defineProperty(navigator, 'languages', { get: () => ['en-US', 'en'] });
-        Object.defineProperty(navigator, 'platform', { get: () => 'Win32' });
-      });
+      await addStealthInitScript(state.context);
     }
+    await applyRequestBlocking(getCurrentSession(), state.context);
     const prePages = state.context.pages();
     await state.pageManager.attachContext(state.context);
+    trackPageVideos(getCurrentSession(), state.context);
     state.page = state.pageManager.getActivePage();
     if (resolvedStealth && prePages.length) {
       await state.page.reload({ waitUntil: 'domcontentloaded' });
@@ -1405,7 +2350,11 @@ server.registerTool(
   'browser.new_page',
   {
     description: 'Open a new page/tab in the current context.',
-    inputSchema: {}
+    inputSchema: {},
+    outputSchema: toolOutput({
+      status: z.string(),
+      payloadUrl: z.string()
+    })
   },
   async () => {
     if (!state.context) {
@@ -1432,7 +2381,13 @@ server.registerTool(
     inputSchema: {
       includeClosed: z.boolean().optional(),
       maxPages: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      activePageId: z.number().nullable(),
+      totalCount: z.number(),
+      count: z.number(),
+      pages: looseArray({ pageId: z.number(), active: z.boolean(), closed: z.boolean(), url: z.string(), title: z.string() })
+    })
   },
   async ({ includeClosed, maxPages }) => {
     if (!state.context) {
@@ -1466,13 +2421,146 @@ server.registerTool(
   }
 );
 
+server.registerTool(
+  'browser.list_sessions',
+  {
+    description: 'List MCP client sessions sharing this server and the browser context each one uses.',
+    inputSchema: {},
+    outputSchema: toolOutput({
+      sessionId: z.string(),
+      idleTimeoutMs: z.number(),
+      count: z.number(),
+      sessions: looseArray({
+        sessionId: z.string(),
+        current: z.boolean(),
+        createdAt: z.string(),
+        lastActivityAt: z.string(),
+        idleMs: z.number(),
+        pages: z.number(),
+        activePageId: z.number().nullable(),
+        captureProfile: z.string().nullable(),
+        isolation: z.enum(['detached', 'own-context', 'launch-context'])
+      })
+    })
+  },
+  async () => {
+    const current = getCurrentSession();
+    const now = Date.now();
+    const entries = [];
+    for (const session of sessions.values()) {
+      let pages = 0;
+      if (session.context) {
+        try {
+          pages = session.context.pages().length;
+        } catch {
+          pages = 0;
+        }
+      }
+      let isolation = 'detached';
+      if (session.context) {
+        isolation = session.ownsContext ? 'own-context' : 'launch-context';
+      }
+      entries.push({
+        sessionId: session.sessionId,
+        current: session === current,
+        createdAt: new Date(session.createdAt).toISOString(),
+        lastActivityAt: new Date(session.lastActivityAt).toISOString(),
+        idleMs: session.activeCalls > 0 ? 0 : now - session.lastActivityAt,
+        pages,
+        activePageId: session.pageManager.getActivePageId(),
+        captureProfile: session.captureProfile,
+        isolation
+      });
+    }
+    return respond({
+      sessionId: current.sessionId,
+      idleTimeoutMs: ENV_DEFAULTS.sessionIdleMs ?? DEFAULT_SESSION_IDLE_MS,
+      count: entries.length,
+      sessions: entries
+    });
+  }
+);
+
+server.registerTool(
+  'browser.get_audit_log',
+  {
+    description:
+      'Read recent entries from the tool-call audit log (newest first). Each entry has the tool, redacted args, duration, ok/error code, pageId, url and domVersion. Over HTTP only the calling session\'s entries are returned.',
+    inputSchema: {
+      limit: z.number().optional(),
+      toolName: z.string().optional(),
+      sessionId: z.string().optional(),
+      errorsOnly: z.boolean().optional(),
+      since: z.string().optional()
+    },
+    outputSchema: toolOutput({
+      enabled: z.boolean(),
+      dir: z.string(),
+      files: z.number(),
+      count: z.number(),
+      lastWriteError: z.string().nullable(),
+      entries: looseArray({
+        ts: z.string(),
+        requestId: z.string(),
+        sessionId: z.string(),
+        tool: z.string(),
+        args: z.record(z.string(), z.unknown()),
+        durationMs: z.number(),
+        ok: z.boolean(),
+        errorCode: z.string().nullable(),
+        pageId: z.number().nullable(),
+        url: z.string().nullable(),
+        domVersion: z.string().nullable()
+      })
+    })
+  },
+  async ({ limit, toolName, sessionId, errorsOnly, since }) => {
+    if (since && Number.isNaN(Date.parse(since))) {
+      throw new Error(`Invalid since timestamp "${since}". Use an ISO date such as 2025-01-31T09:00:00Z.`);
+    }
+    // HTTP clients share one log file; each may only read back its own calls.
+    const callerId = getCurrentSession().sessionId;
+    if (callerId !== DEFAULT_SESSION_ID && sessionId && sessionId !== callerId) {
+      throw new Error(`Reading audit entries of session ${sessionId} is not allowed from session ${callerId}.`);
+    }
+    const result = await auditLog.query({
+      limit: clampNumber(limit, 1, 500, 50),
+      toolName,
+      sessionId: callerId === DEFAULT_SESSION_ID ? sessionId : callerId,
+      errorsOnly: errorsOnly ?? false,
+      since
+    });
+    return respond({
+      enabled: auditLog.enabled,
+      dir: auditLog.dir,
+      files: result.files,
+      count: result.entries.length,
+      lastWriteError: auditLog.getLastError(),
+      entries: result.entries
+    });
+  }
+);
+
 server.registerTool(
   'browser.list_frames',
   {
     description: 'List frames for the active page (or a specified pageId).',
     inputSchema: {
       pageId: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      count: z.number(),
+      frames: looseArray({
+        frameId: z.string(),
+        parentFrameId: z.string().nullable(),
+        name: z.string(),
+        url: z.string(),
+        isMainFrame: z.boolean(),
+        frameDomVersion: z.number()
+      }),
+      pageDomVersion: z.number(),
+      payloadDomVersion: z.string()
+    })
   },
   async ({ pageId }) => {
     let page = ensurePage();
@@ -1497,7 +2585,12 @@ server.registerTool(
     description: 'Select the active page/tab by pageId.',
     inputSchema: {
       pageId: z.number()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      payloadPageId: z.number(),
+      payloadUrl: z.string()
+    })
   },
   async ({ pageId }) => {
     if (!state.context) {
@@ -1522,7 +2615,12 @@ server.registerTool(
     description: 'Close a page/tab by pageId (or the active page if omitted).',
     inputSchema: {
       pageId: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      closedPageId: z.number().nullable(),
+      activePageId: z.number().nullable()
+    })
   },
   async ({ pageId }) => {
     if (!state.context) {
@@ -1541,9 +2639,16 @@ server.registerTool(
     description: 'Close the current browser session.',
     inputSchema: {
       terminateChrome: z.boolean().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      tracePath: z.string().nullable()
+    })
   },
   async ({ terminateChrome }) => {
+    await detachOtherSessions();
+    const tracePath = await finishSessionTrace(getCurrentSession());
+    const primaryContext = sharedState.primaryContext;
     if (state.cdpConnected) {
       if (state.browser) {
         await state.browser.close();
@@ -1555,9 +2660,16 @@ server.registerTool(
           // ignore
         }
       }
-    } else if (state.context) {
-      await state.context.close();
+    } else {
+      if (state.context) {
+        await state.context.close();
+      }
+      if (primaryContext && primaryContext !== state.context) {
+        await primaryContext.close();
+      }
     }
+    sharedState.primaryContext = null;
+    sharedState.primaryContextSessionId = null;
     state.browser = null;
     state.context = null;
     state.page = null;
@@ -1567,10 +2679,11 @@ server.registerTool(
     state.cdpAutoClose = false;
     state.chromeProcess = null;
     state.lastLaunch = null;
+    state.emulation = {};
     state.pageManager.reset();
     resetRuntimeQueues();
     resetCaptureProfileToDefault();
-    return respond({ status: 'closed' });
+    return respond({ status: 'closed', tracePath });
   }
 );
 
@@ -1582,7 +2695,11 @@ server.registerTool(
       url: z.string(),
       waitUntil: z.string().optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      payloadUrl: z.string(),
+      payloadTitle: z.string()
+    })
   },
   async ({ url, waitUntil, timeoutMs }) => {
     const page = ensurePage();
@@ -1592,6 +2709,7 @@ server.registerTool(
     });
     state.uidMaps.delete(page);
     clearElementCache();
+    recordStep({ tool: 'browser.goto', action: 'goto', url });
     return respond({
       url: page.url(),
       title: await page.title()
@@ -1605,7 +2723,11 @@ server.registerTool(
     description: 'Go back in history.',
     inputSchema: {
       waitUntil: z.string().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      payloadUrl: z.string(),
+      payloadTitle: z.string()
+    })
   },
   async ({ waitUntil }) => {
     const page = ensurePage();
@@ -1622,7 +2744,11 @@ server.registerTool(
     description: 'Go forward in history.',
     inputSchema: {
       waitUntil: z.string().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      payloadUrl: z.string(),
+      payloadTitle: z.string()
+    })
   },
   async ({ waitUntil }) => {
     const page = ensurePage();
@@ -1640,7 +2766,12 @@ server.registerTool(
     inputSchema: {
       waitUntil: z.string().optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      payloadUrl: z.string(),
+      payloadTitle: z.string()
+    })
   },
   async ({ waitUntil, timeoutMs }) => {
     const page = ensurePage();
@@ -1665,7 +2796,12 @@ server.registerTool(
       ms: z.number().optional(),
       frameId: z.string().optional(),
       frameSelector: z.string().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.enum(['selector-ready', 'waited', 'no-op']),
+      selector: z.string(),
+      ms: z.number()
+    })
   },
   async ({ selector, timeoutMs, ms, frameId, frameSelector }) => {
     const page = ensurePage();
@@ -1686,88 +2822,99 @@ server.registerTool(
 server.registerTool(
   'browser.wait_for',
   {
-    description: 'Wait for a selector, text, or uid to be ready. Prefer this over fixed sleeps.',
+    description:
+      'Wait for a selector, text, or uid to be ready, for an accessibility node by role (+ name, substring unless exact) in any frame that returns a fresh frame-qualified uid, for networkIdleMs with no request in flight, or for domStableMs without DOM mutations (all frames, or frameId/frameSelector). Prefer this over fixed sleeps.',
     inputSchema: {
       selector: z.string().optional(),
       text: z.string().optional(),
       exact: z.boolean().optional(),
       uid: z.string().optional(),
+      role: z.string().optional(),
+      name: z.string().optional(),
+      networkIdleMs: z.number().optional(),
+      domStableMs: z.number().optional(),
       timeoutMs: z.number().optional(),
-      state: z.enum(['attached', 'visible', 'hidden', 'detached', 'enabled']).optional(),
+      state: z.enum(['attached', 'visible', 'hidden', 'detached', 'enabled', 'checked', 'expanded']).optional(),
       frameId: z.string().optional(),
       frameSelector: z.string().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      kind: z.enum(['selector', 'text', 'uid', 'role', 'network-idle', 'dom-stable']),
+      selector: z.string(),
+      text: z.string(),
+      exact: z.boolean(),
+      state: z.string(),
+      uid: z.string(),
+      frameId: z.string(),
+      backendNodeId: z.number(),
+      role: z.string(),
+      name: z.string().nullable(),
+      nodeName: z.string(),
+      matches: z.number(),
+      networkIdleMs: z.number(),
+      domStableMs: z.number(),
+      waitedMs: z.number()
+    })
   },
-  async ({ selector, text, exact, uid, timeoutMs, state, frameId, frameSelector }) => {
+  async ({ selector, text, exact, uid, role, name, networkIdleMs, domStableMs, timeoutMs, state, frameId, frameSelector }, extra) => {
     const page = ensurePage();
     const frame = await resolveFrame(page, { frameId, frameSelector, timeoutMs });
     const resolvedTimeout = clampNumber(timeoutMs, 1000, 300000, 15000);
     const resolvedState = state || 'visible';
 
-    const modes = [Boolean(selector), Boolean(text), Boolean(uid)].filter(Boolean).length;
+    const modes = [selector, text, uid, role, networkIdleMs, domStableMs].filter((value) => value !== undefined && value !== '').length;
     if (modes !== 1) {
-      throw new Error('Provide exactly one of selector, text, or uid.');
+      throw new Error('Provide exactly one of selector, text, uid, role, networkIdleMs, or domStableMs.');
     }
-
-    if (selector) {
-      let result;
-      if (frame === page.mainFrame()) {
-        result = await waitForSelector(page, selector, { timeoutMs: resolvedTimeout, state: resolvedState });
-      } else if (resolvedState === 'enabled') {
-        const locator = frame.locator(selector).first();
-        await locator.waitFor({ state: 'visible', timeout: resolvedTimeout });
-        const start = Date.now();
-        while (Date.now() - start < resolvedTimeout) {
-          try {
-            if (await locator.isEnabled()) {
-              result = { status: 'ready', kind: 'selector', selector, state: 'enabled' };
-              break;
-            }
-          } catch {
-            // retry
-          }
-          await page.waitForTimeout(100);
-        }
-        if (!result) throw new Error(`Timeout waiting for selector "${selector}" to become enabled (${resolvedTimeout}ms).`);
-      } else {
-        await frame.waitForSelector(selector, { timeout: resolvedTimeout, state: resolvedState });
-        result = { status: 'ready', kind: 'selector', selector, state: resolvedState };
-      }
-      return respond(withFrameMeta(page, frame, result));
+    if (name !== undefined && !role) {
+      throw new Error('name is only used together with role.');
+    }
+    if (role && !AX_WAIT_STATES.includes(resolvedState)) {
+      throw new Error(`state "${resolvedState}" is not supported with role. Use one of: ${AX_WAIT_STATES.join(', ')}.`);
+    }
+    if (!role && (resolvedState === 'checked' || resolvedState === 'expanded')) {
+      throw new Error(`state "${resolvedState}" is only supported with role.`);
     }
 
-    if (text) {
-      let result;
-      if (frame === page.mainFrame()) {
-        result = await waitForText(page, text, { timeoutMs: resolvedTimeout, state: resolvedState, exact: exact ?? false });
-      } else {
-        const locator = frame.getByText(text, { exact: exact ?? false }).first();
-        if (resolvedState === 'enabled') {
-          await locator.waitFor({ state: 'visible', timeout: resolvedTimeout });
-          const start = Date.now();
-          while (Date.now() - start < resolvedTimeout) {
-            try {
-              if (await locator.isEnabled()) {
-                result = { status: 'ready', kind: 'text', text, exact: exact ?? false, state: 'enabled' };
-                break;
-              }
-            } catch {
-              // retry
-            }
-            await page.waitForTimeout(100);
-          }
-          if (!result) throw new Error(`Timeout waiting for text "${text}" to become enabled (${resolvedTimeout}ms).`);
-        } else {
-          await locator.waitFor({ state: resolvedState, timeout: resolvedTimeout });
-          result = { status: 'ready', kind: 'text', text, exact: exact ?? false, state: resolvedState };
-        }
+    let target = `${domStableMs}ms without DOM mutations`;
+    if (selector) target = `selector "${selector}"`;
+    else if (text) target = `text "${text}"`;
+    else if (uid) target = `uid ${uid}`;
+    else if (role) target = name ? `role "${role}" named "${name}"` : `role "${role}"`;
+    else if (networkIdleMs !== undefined) target = `${networkIdleMs}ms of network idle`;
+    const progress = startProgress(extra, { total: resolvedTimeout, message: `Waiting for ${target}` });
+    try {
+      const waitOpts = { timeoutMs: resolvedTimeout, state: resolvedState, frame, signal: extra?.signal };
+      if (selector) {
+        return respond(withFrameMeta(page, frame, await waitForSelector(page, selector, waitOpts)));
+      }
+      if (text) {
+        return respond(withFrameMeta(page, frame, await waitForText(page, text, { ...waitOpts, exact: exact ?? false })));
+      }
+      if (role) {
+        const result = await waitForAxNode(page, { ...waitOpts, role, name, exact });
+        const nodeFrame = (result.frameId && getDomFrameById(page, result.frameId)) || frame;
+        // Register the uid so browser.click({ uid }) works without another snapshot.
+        if (result.uid) rememberUid(page, nodeFrame, result.uid, result.backendNodeId);
+        return respond(withFrameMeta(page, nodeFrame, result));
       }
-      return respond(withFrameMeta(page, frame, result));
+      if (networkIdleMs !== undefined) {
+        return respond(withFrameMeta(page, frame, await waitForNetworkIdle(page, { ...waitOpts, quietMs: networkIdleMs })));
+      }
+      if (domStableMs !== undefined) {
+        // Only an explicit frame narrows the check; by default every frame must be quiet.
+        const scopeFrame = frameId || frameSelector ? frame : null;
+        return respond(
+          withFrameMeta(page, frame, await waitForDomStable(page, { ...waitOpts, frame: scopeFrame, quietMs: domStableMs }))
+        );
+      }
+      const node = await resolveUid(page, uid, { requireAttached: false });
+      const result = await waitForBackendNode(node.target, node.backendNodeId, waitOpts);
+      return respond(withFrameMeta(page, node.frame, { ...result, uid }));
+    } finally {
+      progress.stop();
     }
-
-    const backendNodeId = getBackendNodeIdForUid(page, uid, frame);
-    const result = await waitForBackendNode(page, backendNodeId, { timeoutMs: resolvedTimeout });
-    return respond(withFrameMeta(page, frame, { ...result, uid }));
   }
 );
 
@@ -1778,7 +2925,21 @@ server.registerTool(
     inputSchema: {
       pageId: z.number().optional(),
       includeHandled: z.boolean().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      count: z.number(),
+      dialogs: looseArray({
+        dialogId: z.string(),
+        pageId: z.number().nullable(),
+        type: z.string(),
+        message: z.string(),
+        defaultValue: z.string().nullable(),
+        createdAt: z.string(),
+        status: z.string(),
+        resolution: looseObject().nullable(),
+        handledAt: z.string().nullable()
+      })
+    })
   },
   async ({ pageId, includeHandled }) => {
     const include = includeHandled ?? false;
@@ -1808,7 +2969,14 @@ server.registerTool(
       dialogId: z.string(),
       action: z.enum(['accept', 'dismiss']).optional(),
       promptText: z.string().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      dialogId: z.string(),
+      payloadPageId: z.number().nullable(),
+      handledAt: z.string().nullable(),
+      resolution: looseObject().nullable()
+    })
   },
   async ({ dialogId, action, promptText }) => {
     const entry = state.dialogById.get(dialogId);
@@ -1857,9 +3025,20 @@ server.registerTool(
       timeoutMs: z.number().optional(),
       pageId: z.number().optional(),
       peek: z.boolean().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      downloadId: z.string(),
+      payloadPageId: z.number().nullable(),
+      suggestedFilename: z.string(),
+      payloadUrl: z.string(),
+      mimeType: z.string().nullable(),
+      createdAt: z.string(),
+      consumed: z.boolean(),
+      resourceUri: z.string()
+    })
   },
-  async ({ timeoutMs, pageId, peek }) => {
+  async ({ timeoutMs, pageId, peek }, extra) => {
     const timeout = clampNumber(timeoutMs, 1000, 300000, 30000);
     const shouldPeek = peek ?? false;
     const start = Date.now();
@@ -1868,9 +3047,14 @@ server.registerTool(
       state.downloads.find((entry) => !entry.consumed && (typeof pageId === 'number' ? entry.pageId === pageId : true));
 
     let match = findMatch();
-    while (!match && Date.now() - start < timeout) {
-      await new Promise((resolve) => setTimeout(resolve, 100));
-      match = findMatch();
+    const progress = startProgress(extra, { total: timeout, message: 'Waiting for download' });
+    try {
+      while (!match && Date.now() - start < timeout) {
+        await abortableDelay(100, extra?.signal);
+        match = findMatch();
+      }
+    } finally {
+      progress.stop();
     }
 
     if (!match) {
@@ -1889,7 +3073,8 @@ server.registerTool(
       url: match.url,
       mimeType: match.mimeType,
       createdAt: match.createdAt,
-      consumed: match.consumed
+      consumed: match.consumed,
+      resourceUri: downloadUri(match.downloadId)
     });
   }
 );
@@ -1901,7 +3086,14 @@ server.registerTool(
     inputSchema: {
       downloadId: z.string(),
       path: z.string()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      downloadId: z.string(),
+      path: z.string(),
+      suggestedFilename: z.string(),
+      resourceUri: z.string()
+    })
   },
   async ({ downloadId, path: targetPath }) => {
     const entry = state.downloadById.get(downloadId);
@@ -1912,11 +3104,13 @@ server.registerTool(
     await ensureDir(absPath);
     await entry._download.saveAs(absPath);
     entry.savedPath = absPath;
+    notifyResourceUpdated(downloadUri(entry.downloadId));
     return respond({
       status: 'saved',
       downloadId: entry.downloadId,
       path: absPath,
-      suggestedFilename: entry.suggestedFilename
+      suggestedFilename: entry.suggestedFilename,
+      resourceUri: downloadUri(entry.downloadId)
     });
   }
 );
@@ -1930,9 +3124,19 @@ server.registerTool(
       openerPageId: z.number().optional(),
       peek: z.boolean().optional(),
       select: z.boolean().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      popupId: z.string(),
+      openerPageId: z.number().nullable(),
+      payloadPageId: z.number().nullable(),
+      payloadUrl: z.string(),
+      createdAt: z.string(),
+      consumed: z.boolean(),
+      selected: z.boolean()
+    })
   },
-  async ({ timeoutMs, openerPageId, peek, select }) => {
+  async ({ timeoutMs, openerPageId, peek, select }, extra) => {
     const timeout = clampNumber(timeoutMs, 1000, 300000, 30000);
     const shouldPeek = peek ?? false;
     const shouldSelect = select ?? false;
@@ -1942,9 +3146,14 @@ server.registerTool(
       state.popups.find((entry) => !entry.consumed && (typeof openerPageId === 'number' ? entry.openerPageId === openerPageId : true));
 
     let match = findMatch();
-    while (!match && Date.now() - start < timeout) {
-      await new Promise((resolve) => setTimeout(resolve, 100));
-      match = findMatch();
+    const progress = startProgress(extra, { total: timeout, message: 'Waiting for popup' });
+    try {
+      while (!match && Date.now() - start < timeout) {
+        await abortableDelay(100, extra?.signal);
+        match = findMatch();
+      }
+    } finally {
+      progress.stop();
     }
 
     if (!match) {
@@ -1997,60 +3206,90 @@ server.registerTool(
           args: z.record(z.string(), z.any()).optional()
         })
         .optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      eventType: z.enum(['navigation', 'popup', 'download', 'response', 'request']),
+      payloadUrl: z.string(),
+      afterAction: looseObject({ executed: z.boolean(), toolName: z.string(), frameId: z.string() }),
+      responseStatus: z.number().nullable(),
+      popupId: z.string().nullable(),
+      openerPageId: z.number().nullable(),
+      payloadPageId: z.number().nullable(),
+      selected: z.boolean(),
+      downloadId: z.string(),
+      suggestedFilename: z.string(),
+      mimeType: z.string().nullable(),
+      method: z.string(),
+      statusCode: z.number(),
+      payloadOk: z.boolean(),
+      resourceType: z.string()
+    })
   },
-  async ({ eventType, pattern, regex, status, method, timeoutMs, selectPopup, afterAction }) => {
+  async ({ eventType, pattern, regex, status, method, timeoutMs, selectPopup, afterAction }, extra) => {
     const page = ensurePage();
     const timeout = clampNumber(timeoutMs, 1000, 300000, 30000);
     const matchesUrl = buildUrlMatcher(pattern, regex ?? false);
+    // Aborted by the client's cancellation or by a failed afterAction, so no waiter outlives the call.
+    const waitController = new AbortController();
+    const signal = extra?.signal ? AbortSignal.any([extra.signal, waitController.signal]) : waitController.signal;
 
     let waitPromise;
     if (eventType === 'navigation') {
-      if (pattern) {
-        waitPromise = page.waitForURL((url) => matchesUrl(String(url || '')), { timeout });
-      } else {
-        waitPromise = page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout });
-      }
+      waitPromise = waitForMainFrameNavigation(page, {
+        timeoutMs: timeout,
+        signal,
+        matchesUrl: pattern ? (url) => matchesUrl(String(url || '')) : null
+      });
     } else if (eventType === 'popup') {
       // Don't filter on initial URL because many popups start as about:blank then navigate.
-      waitPromise = page.waitForEvent('popup', { timeout });
+      waitPromise = waitForPageEvent(page, 'popup', { timeoutMs: timeout, signal });
     } else if (eventType === 'download') {
-      waitPromise = page.waitForEvent('download', {
-        timeout,
+      waitPromise = waitForPageEvent(page, 'download', {
+        timeoutMs: timeout,
+        signal,
         predicate: (download) => matchesUrl(download.url())
       });
     } else if (eventType === 'response') {
-      waitPromise = page.waitForResponse(
-        (response) =>
-          matchesUrl(response.url()) && (typeof status === 'number' ? response.status() === status : true),
-        { timeout }
-      );
+      waitPromise = waitForPageEvent(page, 'response', {
+        timeoutMs: timeout,
+        signal,
+        predicate: (response) =>
+          matchesUrl(response.url()) && (typeof status === 'number' ? response.status() === status : true)
+      });
     } else {
       const methodNeedle = String(method || '').toLowerCase();
-      waitPromise = page.waitForRequest(
-        (request) =>
+      waitPromise = waitForPageEvent(page, 'request', {
+        timeoutMs: timeout,
+        signal,
+        predicate: (request) =>
           matchesUrl(request.url()) &&
-          (methodNeedle ? request.method().toLowerCase() === methodNeedle : true),
-        { timeout }
-      );
+          (methodNeedle ? request.method().toLowerCase() === methodNeedle : true)
+      });
     }
 
+    const progress = startProgress(extra, { total: timeout, message: `Waiting for ${eventType} event` });
     let afterActionResult;
+    let event;
     try {
-      afterActionResult = await runExpectAfterAction(page, afterAction);
-    } catch (error) {
-      // Prevent background wait rejections when action fails.
-      void waitPromise.catch(() => {});
-      throw error;
+      try {
+        afterActionResult = await runExpectAfterAction(page, afterAction);
+      } catch (error) {
+        waitController.abort();
+        void waitPromise.catch(() => {});
+        throw error;
+      }
+      event = await waitPromise;
+    } finally {
+      progress.stop();
     }
-    const event = await waitPromise;
 
     if (eventType === 'navigation') {
       const payload = {
         status: 'event-matched',
         eventType,
         url: page.url(),
-        responseStatus: typeof event?.status === 'function' ? event.status() : null,
+        responseStatus: event.response ? event.response.status() : null,
         afterAction: afterActionResult
       };
       return respond(afterActionResult.frameId
@@ -2061,7 +3300,11 @@ server.registerTool(
     if (eventType === 'popup') {
       const popupPage = event;
       if (pattern) {
-        await popupPage.waitForURL((url) => matchesUrl(String(url || '')), { timeout });
+        await waitForMainFrameNavigation(popupPage, {
+          timeoutMs: timeout,
+          signal: extra?.signal,
+          matchesUrl: (url) => matchesUrl(String(url || ''))
+        });
       }
       state.pageManager.attachPage(popupPage);
       await ensurePageEventListeners(popupPage);
@@ -2115,6 +3358,7 @@ server.registerTool(
         for (const stale of dropped) {
           if (stale?.downloadId) state.downloadById.delete(stale.downloadId);
         }
+        notifyResourceListChanged();
       }
       const payload = {
         status: 'event-matched',
@@ -2160,7 +3404,20 @@ server.registerTool(
     description: 'Get cookies from the current browser context.',
     inputSchema: {
       urls: z.array(z.string()).optional()
-    }
+    },
+    outputSchema: toolOutput({
+      count: z.number(),
+      cookies: looseArray({
+        name: z.string(),
+        value: z.string(),
+        domain: z.string(),
+        path: z.string(),
+        expires: z.number(),
+        httpOnly: z.boolean(),
+        secure: z.boolean(),
+        sameSite: z.string()
+      })
+    })
   },
   async ({ urls }) => {
     if (!state.context) {
@@ -2189,7 +3446,11 @@ server.registerTool(
           sameSite: z.enum(['Strict', 'Lax', 'None']).optional()
         })
       )
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      count: z.number()
+    })
   },
   async ({ cookies }) => {
     if (!state.context) {
@@ -2209,7 +3470,12 @@ server.registerTool(
   'browser.clear_cookies',
   {
     description: 'Clear all cookies in the current browser context.',
-    inputSchema: {}
+    inputSchema: {},
+    outputSchema: toolOutput({
+      status: z.string(),
+      before: z.number(),
+      after: z.number()
+    })
   },
   async () => {
     if (!state.context) {
@@ -2229,7 +3495,14 @@ server.registerTool(
     inputSchema: {
       path: z.string().optional(),
       includeData: z.boolean().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      path: z.string().nullable(),
+      cookies: z.number(),
+      origins: z.number(),
+      storageState: looseObject({ cookies: z.array(looseObject()), origins: z.array(looseObject()) })
+    })
   },
   async ({ path: targetPath, includeData }) => {
     if (!state.context) {
@@ -2256,61 +3529,602 @@ server.registerTool(
   }
 );
 
+// Move the session onto a new context (browser.import_storage_state, browser.emulate). Everything tied to the
+// old context is handled here: the trace is saved and restarted, launch stealth is re-applied, videos of the
+// closed context are saved out of videos/raw, and with keepNetworkSetup (browser.emulate) add_route rules,
+// HAR replays and context-scope throttling follow. Blocking is a session policy and always carries over.
+async function replaceSessionContext(contextOptions, { closePreviousContext = false, keepNetworkSetup = false } = {}) {
+  const session = getCurrentSession();
+  const previousContext = state.context;
+  const previousOwned = state.ownsContext;
+  const previousVideos = state.videos;
+  const networkSetup = keepNetworkSetup ? saveNetworkSetup(session) : null;
+  const { mode: traceMode, name: traceName } = state.tracer.status();
+  const tracePath = await finishSessionTrace(session);
+  const newContext = await state.browser.newContext(contextOptions);
+  if (sharedState.lastLaunch?.stealth) {
+    await addStealthInitScript(newContext);
+  }
+  state.context = newContext;
+  state.ownsContext = true;
+  if (traceMode) {
+    await startSessionTrace(session, traceMode, traceName);
+  }
+  state.pageManager.reset();
+  resetRuntimeQueues();
+  resetCaptureProfileToDefault();
+  await applyRequestBlocking(session, newContext);
+  await state.pageManager.attachContext(newContext);
+  trackPageVideos(session, newContext, contextOptions.recordVideo);
+  state.page = state.pageManager.getActivePage();
+  try {
+    for (const p of newContext.pages()) {
+      await ensureObservability(p);
+      await ensurePageEventListeners(p);
+    }
+  } catch {
+    // best effort
+  }
+  const carriedOver = networkSetup ? await restoreNetworkSetup(session, newContext, networkSetup) : null;
+
+  let closedPrevious = false;
+  let previousGone = false;
+  let warning = null;
+  if (closePreviousContext && previousContext && previousContext !== newContext) {
+    if (state.persistent) {
+      warning = 'Skipped closing previous context in persistent mode to avoid terminating the browser.';
+    } else {
+      try {
+        await previousContext.close();
+        closedPrevious = true;
+        previousGone = true;
+      } catch {
+        warning = 'Failed to close previous context; continuing with the new context.';
+      }
+    }
+  }
+  if (previousContext && previousContext === sharedState.primaryContext) {
+    // Hand the launch context back so another session can adopt it, unless it is gone.
+    // Its pages stay open, so their videos go to whichever session adopts it.
+    sharedState.primaryContextSessionId = null;
+    if (closedPrevious) sharedState.primaryContext = null;
+  } else if (previousContext && previousOwned && !closedPrevious) {
+    // Nobody else can reach a session-owned context once it is replaced.
+    try {
+      await previousContext.close();
+      previousGone = true;
+    } catch {
+      // best effort
+    }
+  }
+  // pageIds restart with the new context, so browser.get_video could no longer tell the old videos apart.
+  const savedVideos = previousGone ? await saveClosedVideos(previousVideos) : [];
+  return { context: newContext, tracePath, closedPrevious, warning, carriedOver, savedVideos };
+}
+
 server.registerTool(
   'browser.import_storage_state',
   {
-    description: 'Import storage state by creating and selecting a new browser context.',
+    description:
+      'Import storage state by creating and selecting a new browser context. recordVideo defaults to the browser.launch setting; device emulation carries over.',
     inputSchema: {
       path: z.string(),
-      closePreviousContext: z.boolean().optional()
-    }
+      closePreviousContext: z.boolean().optional(),
+      recordVideo: z.boolean().optional(),
+      videoSize: z
+        .object({
+          width: z.number(),
+          height: z.number()
+        })
+        .optional()
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      mode: z.string(),
+      path: z.string(),
+      pages: z.number(),
+      activePageId: z.number().nullable(),
+      closedPrevious: z.boolean(),
+      tracePath: z.string().nullable(),
+      recordVideo: z.boolean(),
+      savedVideos: SAVED_VIDEOS_OUTPUT,
+      warning: z.string().nullable()
+    })
   },
-  async ({ path: sourcePath, closePreviousContext }) => {
+  async ({ path: sourcePath, closePreviousContext, recordVideo, videoSize }) => {
     if (!state.browser) {
       throw new Error('Browser is not available. Launch or connect first.');
     }
     const absPath = await assertAllowedReadPath(sourcePath);
-    const previousContext = state.context;
+    const launchVideo = sharedState.lastLaunch?.recordVideo;
+    const resolvedRecordVideo = await resolveRecordVideo(recordVideo ?? Boolean(launchVideo), videoSize ?? launchVideo?.size);
+    const { context: newContext, tracePath, closedPrevious, warning, savedVideos } = await replaceSessionContext(
+      {
+        ...contextOptionsFor(state.emulation),
+        storageState: absPath,
+        recordVideo: resolvedRecordVideo
+      },
+      { closePreviousContext }
+    );
 
-    const newContext = await state.browser.newContext({ storageState: absPath, viewport: DEFAULT_VIEWPORT });
-    state.context = newContext;
-    state.pageManager.reset();
-    resetRuntimeQueues();
-    resetCaptureProfileToDefault();
-    await state.pageManager.attachContext(newContext);
-    state.page = state.pageManager.getActivePage();
-    try {
-      for (const p of newContext.pages()) {
-        await ensureObservability(p);
-        await ensurePageEventListeners(p);
+    return respond({
+      status: 'storage-imported',
+      mode: 'new-context',
+      path: absPath,
+      pages: newContext.pages().length,
+      activePageId: state.pageManager.getActivePageId(),
+      closedPrevious,
+      tracePath,
+      recordVideo: Boolean(resolvedRecordVideo),
+      savedVideos,
+      warning
+    });
+  }
+);
+
+server.registerTool(
+  'browser.emulate',
+  {
+    description:
+      'Change device emulation: Playwright device descriptor (e.g. "Pixel 7", "iPhone 14"), viewport, userAgent, locale, timezoneId, geolocation, colorScheme, reducedMotion and permission grants. Unset fields keep their current value; reset=true starts from defaults. geolocation and permissions apply in place; other changes rebuild the context with cookies, localStorage, browser.add_route rules, HAR replays and context-scope network throttling carried over (see carriedOver), keep stealth, tracing and video recording on, save the videos of the closed context (see savedVideos) and reopen the active URL.',
+    inputSchema: {
+      ...EMULATION_INPUT_SHAPE,
+      viewport: z
+        .object({
+          width: z.number(),
+          height: z.number()
+        })
+        .optional(),
+      userAgent: z.string().optional(),
+      reset: z.boolean().optional()
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      rebuilt: z.boolean(),
+      restoredUrl: z.string().nullable(),
+      tracePath: z.string().nullable(),
+      carriedOver: looseObject({ routes: z.number(), harRoutes: z.number(), networkEmulation: z.boolean() }).nullable(),
+      savedVideos: SAVED_VIDEOS_OUTPUT,
+      emulation: EMULATION_OUTPUT
+    })
+  },
+  async ({ reset, ...update }) => {
+    if (!state.context) {
+      throw new Error('Browser is not launched. Run browser.launch or browser.connect_cdp first.');
+    }
+    const next = validateEmulation(mergeEmulation(reset ? {} : state.emulation, update));
+    const rebuilt = needsNewContext(state.emulation, next);
+    let restoredUrl = null;
+    let tracePath = null;
+    let carriedOver = null;
+    let savedVideos = [];
+    if (rebuilt) {
+      if (!state.browser || state.persistent) {
+        throw new Error(
+          'This emulation change needs a new context, which is not possible with a persistent profile. Pass the options to browser.launch instead.'
+        );
       }
-    } catch {
-      // best effort
+      const activeUrl = state.page && !state.page.isClosed() ? state.page.url() : '';
+      const storageState = await state.context.storageState();
+      // Keep recording if the current context does (browser.import_storage_state can differ from the launch).
+      const recordVideo = await resolveRecordVideo(Boolean(state.recordVideo), state.recordVideo?.size);
+      ({ tracePath, carriedOver, savedVideos } = await replaceSessionContext(
+        { ...contextOptionsFor(next), storageState, recordVideo },
+        { closePreviousContext: true, keepNetworkSetup: true }
+      ));
+      if (/^https?:/i.test(activeUrl)) {
+        await ensurePage().goto(activeUrl, { waitUntil: 'domcontentloaded' });
+        restoredUrl = activeUrl;
+      }
+    } else {
+      await state.context.setGeolocation(next.geolocation || null);
+      await state.context.clearPermissions();
+      const permissions = effectivePermissions(next);
+      if (permissions.length) await state.context.grantPermissions(permissions);
     }
+    state.emulation = next;
+    return respond({
+      status: rebuilt ? 'context-rebuilt' : 'applied',
+      rebuilt,
+      restoredUrl,
+      tracePath,
+      carriedOver,
+      savedVideos,
+      emulation: describeEmulation(next, contextOptionsFor(next))
+    });
+  }
+);
 
-    let closedPrevious = false;
-    let warning = null;
-    if (closePreviousContext && previousContext && previousContext !== newContext) {
-      if (state.persistent) {
-        warning = 'Skipped closing previous context in persistent mode to avoid terminating the browser.';
-      } else {
+const RECORDING_STATUS_SHAPE = {
+  active: z.boolean(),
+  name: z.string().nullable(),
+  startedAt: z.string().nullable(),
+  stepCount: z.number()
+};
+
+server.registerTool(
+  'browser.start_recording',
+  {
+    description:
+      'Start recording state-changing tool calls (goto, click, type, fill, press, set_input_files, forms.google_set_*) for export as a Playwright test. Restarting discards previous steps.',
+    inputSchema: {
+      name: z.string().optional()
+    },
+    outputSchema: toolOutput(RECORDING_STATUS_SHAPE)
+  },
+  async ({ name }) => {
+    const status = state.recorder.start({ name });
+    // Replays start from where the agent already is, not from about:blank.
+    const page = state.pageManager.getActivePage();
+    const currentUrl = page && !page.isClosed() ? page.url() : '';
+    if (/^https?:/i.test(currentUrl)) {
+      state.recorder.add({ tool: 'browser.start_recording', action: 'goto', url: currentUrl });
+    }
+    return respond({ ...status, stepCount: state.recorder.status().stepCount });
+  }
+);
+
+server.registerTool(
+  'browser.stop_recording',
+  {
+    description: 'Stop recording and return the recorded steps. Steps are kept for browser.export_recording.',
+    inputSchema: {},
+    outputSchema: toolOutput({
+      ...RECORDING_STATUS_SHAPE,
+      steps: looseArray({
+        index: z.number(),
+        at: z.string(),
+        tool: z.string(),
+        action: z.string()
+      })
+    })
+  },
+  async () => {
+    const status = state.recorder.stop();
+    return respond({ ...status, steps: state.recorder.getSteps() });
+  }
+);
+
+server.registerTool(
+  'browser.export_recording',
+  {
+    description:
+      'Write the recorded steps as a runnable @playwright/test spec (default Auto/output/recordings/<name>.spec.js). Works while recording or after stopping.',
+    inputSchema: {
+      path: z.string().optional(),
+      title: z.string().optional()
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      path: z.string(),
+      payloadTitle: z.string(),
+      stepCount: z.number(),
+      secrets: z.array(z.string()),
+      code: z.string()
+    })
+  },
+  async ({ path: targetPath, title }) => {
+    const steps = state.recorder.getSteps();
+    if (steps.length === 0) {
+      throw new Error('No recorded steps. Run browser.start_recording before the flow you want to export.');
+    }
+    const { name } = state.recorder.status();
+    const resolvedTitle = title || name || 'recorded flow';
+    const fileBase = sanitizeFileName(name || resolvedTitle).replace(/\s+/g, '-').toLowerCase();
+    const absPath = await assertAllowedWritePath(
+      targetPath || path.join(WORKSPACE_DIR, 'Auto', 'output', 'recordings', `${fileBase}.spec.js`)
+    );
+    const { code, secrets } = buildPlaywrightSpec(steps, { title: resolvedTitle });
+    await ensureDir(absPath);
+    await fs.writeFile(absPath, code, 'utf8');
+    return respond({ status: 'exported', path: absPath, title: resolvedTitle, stepCount: steps.length, secrets, code });
+  }
+);
+
+const TRACING_STATUS_SHAPE = {
+  active: z.boolean(),
+  mode: z.string().nullable(),
+  name: z.string().nullable(),
+  startedAt: z.string().nullable(),
+  errorCount: z.number()
+};
+
+server.registerTool(
+  'browser.start_tracing',
+  {
+    description:
+      'Start a Playwright trace (screenshots, DOM snapshots, sources) of the current context. Stop it with browser.stop_tracing to write the zip.',
+    inputSchema: {
+      name: z.string().optional()
+    },
+    outputSchema: toolOutput(TRACING_STATUS_SHAPE)
+  },
+  async ({ name }) => {
+    if (!state.context) {
+      throw new Error('Browser is not available. Launch or connect first.');
+    }
+    return respond(await state.tracer.start(state.context, { name }));
+  }
+);
+
+server.registerTool(
+  'browser.stop_tracing',
+  {
+    description:
+      'Stop tracing and save the trace zip (default Auto/logs/traces/<name>-<timestamp>.zip). Open it with npx playwright show-trace. discard=true drops it.',
+    inputSchema: {
+      path: z.string().optional(),
+      discard: z.boolean().optional()
+    },
+    outputSchema: toolOutput({
+      ...TRACING_STATUS_SHAPE,
+      status: z.enum(['saved', 'discarded']),
+      path: z.string().nullable(),
+      bytes: z.number().nullable(),
+      durationMs: z.number()
+    })
+  },
+  async ({ path: targetPath, discard }) => {
+    if (!state.tracer.isActive()) {
+      throw new Error('Tracing is not running. Call browser.start_tracing first.');
+    }
+    const { name } = state.tracer.status();
+    const absPath = discard ? null : await assertAllowedWritePath(targetPath || path.join(TRACE_DIR, traceFileName(name)));
+    if (absPath) await ensureDir(absPath);
+    const finished = await state.tracer.stop({ path: absPath });
+    const bytes = absPath ? (await fs.stat(absPath)).size : null;
+    return respond({ ...finished, status: absPath ? 'saved' : 'discarded', path: absPath, bytes });
+  }
+);
+
+server.registerTool(
+  'browser.get_video',
+  {
+    description:
+      'Save the video of a page recorded with recordVideo (default Auto/output/videos/page-<pageId>-<timestamp>.webm). The video is finalized when the page closes; pass closePage=true to close it now. The raw recording is deleted once saved, so each video can be saved once.',
+    inputSchema: {
+      pageId: z.number().optional(),
+      path: z.string().optional(),
+      closePage: z.boolean().optional()
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      payloadPageId: z.number(),
+      path: z.string(),
+      bytes: z.number(),
+      pageUrl: z.string()
+    })
+  },
+  async ({ pageId, path: targetPath, closePage }) => {
+    const id = pageId ?? state.pageManager.getActivePageId();
+    const entry = state.videos.get(id);
+    if (!entry) {
+      throw new Error(`No video found for pageId ${id}. Launch with recordVideo=true to record pages.`);
+    }
+    if (!entry.page.isClosed()) {
+      if (!closePage) {
+        throw new Error(`Page ${id} is still open; its video is finalized when it closes. Pass closePage=true or close it first.`);
+      }
+      await state.pageManager.closePage(id);
+      state.page = state.pageManager.getActivePage();
+      clearElementCache();
+    }
+    const absPath = await assertAllowedWritePath(targetPath || defaultVideoPath(id));
+    const size = await saveVideo(entry, absPath);
+    state.videos.delete(id);
+    return respond({ status: 'saved', pageId: id, path: absPath, bytes: size, pageUrl: entry.page.url() });
+  }
+);
+
+// A script cannot start another script; everything else runs with the same guards as a direct call.
+const RUN_SCRIPT_BLOCKED_TOOLS = new Set(['browser.run_script']);
+const RUN_SCRIPT_ENVELOPE_KEYS = [
+  'ok',
+  'requestId',
+  'timestamp',
+  'pageId',
+  'url',
+  'title',
+  'domVersion',
+  'activeFrameId',
+  'activeRoutes',
+  'error',
+  'payloadError'
+];
+
+// Validates every step up front against the target tool's input schema, so nothing runs on a bad list.
+function prepareToolCalls(steps, { isAllowed, where }) {
+  return steps.map((step, i) => {
+    const label = `Step ${i + 1} (${step.tool})`;
+    if (!isAllowed(step.tool)) {
+      throw new Error(`${label}: ${step.tool} is not allowed inside ${where}.`);
+    }
+    const tool = toolRegistry.find((entry) => entry.name === step.tool);
+    if (!tool) {
+      throw new Error(`${label}: unknown tool.`);
+    }
+    const parsed = z.object(tool.definition.inputSchema || {}).safeParse(step.args || {});
+    if (!parsed.success) {
+      const issues = parsed.error.issues.map((issue) => `${issue.path.join('.') || 'args'}: ${issue.message}`).join('; ');
+      throw new Error(`${label}: invalid args. ${issues}`);
+    }
+    return { ...step, args: parsed.data, handler: tool.handler, rawHandler: tool.rawHandler };
+  });
+}
+
+server.registerTool(
+  'browser.run_script',
+  {
+    description:
+      'Run a list of tool calls (tool + args + optional expect assertions) in order through the normal tool handlers. Stops at the first failed step or assertion and returns per-step results.',
+    inputSchema: {
+      steps: z
+        .array(
+          z.object({
+            tool: z.string(),
+            args: z.record(z.string(), z.unknown()).optional(),
+            expect: z
+              .object({
+                urlContains: z.string().optional(),
+                urlMatches: z.string().optional(),
+                titleContains: z.string().optional(),
+                textVisible: z.string().optional(),
+                selectorVisible: z.string().optional(),
+                timeoutMs: z.number().optional()
+              })
+              .optional()
+          })
+        )
+        .min(1)
+        .max(200),
+      includeResults: z.boolean().optional()
+    },
+    outputSchema: toolOutput({
+      status: z.enum(['completed', 'failed']),
+      failedStep: z.number().nullable(),
+      stepsRun: z.number(),
+      stepsTotal: z.number(),
+      steps: looseArray({
+        index: z.number(),
+        tool: z.string(),
+        status: z.enum(['passed', 'failed', 'skipped']),
+        durationMs: z.number(),
+        ok: z.boolean(),
+        error: NORMALIZED_ERROR_SCHEMA.partial(),
+        pageId: z.number().nullable(),
+        url: z.string().nullable(),
+        domVersion: z.string().nullable(),
+        assertions: z.array(
+          z.object({ type: z.string(), expected: z.string().nullable(), ok: z.boolean(), actual: z.string().nullable() })
+        ),
+        result: z.record(z.string(), z.unknown())
+      })
+    })
+  },
+  async ({ steps, includeResults }, extra) => {
+    const prepared = prepareToolCalls(steps, {
+      isAllowed: (name) => !RUN_SCRIPT_BLOCKED_TOOLS.has(name),
+      where: 'a script'
+    });
+    const signal = extra?.signal;
+    // Nested calls share the cancellation signal but not the progress token, which this tool reports on.
+    const nestedExtra = { ...extra, _meta: {} };
+    const progress = startProgress(extra, { message: `Running ${prepared.length} steps` });
+    try {
+      const summary = await runScript(prepared, {
+        signal,
+        onStep: (index, step) => progress.report(`Step ${index}/${prepared.length}: ${step.tool}`),
+        executeStep: async (step, index) => {
+          const response = await auditSlotScope.run(reserveNestedAuditSlot(index - 1), () => step.handler(step.args, nestedExtra));
+          const envelope = response?.structuredContent || {};
+          const outcome = {
+            ok: envelope.ok === true,
+            pageId: envelope.pageId ?? null,
+            url: envelope.url ?? null,
+            domVersion: envelope.domVersion ?? null
+          };
+          if (envelope.error) outcome.error = envelope.error;
+          if (includeResults ?? true) {
+            const result = {};
+            for (const [key, value] of Object.entries(envelope)) {
+              if (!RUN_SCRIPT_ENVELOPE_KEYS.includes(key)) result[key] = value;
+            }
+            outcome.result = result;
+          }
+          return outcome;
+        },
+        verifyStep: (step) => checkStepAssertions(ensurePage(), step.expect, { signal })
+      });
+      return respond(summary);
+    } finally {
+      progress.stop();
+    }
+  }
+);
+
+server.registerTool(
+  'browser.batch',
+  {
+    description:
+      'Run several allowlisted page actions (click, fill, type, press, hover, scroll, wait, goto, forms.google_set_*) in one call with one combined envelope. onError per action: stop (default) or continue.',
+    inputSchema: {
+      actions: z
+        .array(
+          z.object({
+            tool: z.string(),
+            args: z.record(z.string(), z.unknown()).optional(),
+            onError: z.enum(['stop', 'continue']).optional()
+          })
+        )
+        .min(1)
+        .max(100),
+      includeResults: z.boolean().optional()
+    },
+    outputSchema: toolOutput({
+      status: z.enum(['completed', 'completed-with-errors', 'stopped']),
+      total: z.number(),
+      succeeded: z.number(),
+      failed: z.number(),
+      stoppedAt: z.number().nullable(),
+      results: looseArray({
+        index: z.number(),
+        tool: z.string(),
+        ok: z.boolean(),
+        skipped: z.boolean(),
+        durationMs: z.number(),
+        error: NORMALIZED_ERROR_SCHEMA.partial(),
+        result: z.record(z.string(), z.unknown())
+      })
+    })
+  },
+  async ({ actions, includeResults }, extra) => {
+    const prepared = prepareToolCalls(actions, { isAllowed: (name) => BATCH_ACTION_ALLOWLIST.has(name), where: 'browser.batch' });
+    const results = [];
+    let stoppedAt = null;
+    // As in browser.run_script, nested waits must not report on this call's progress token.
+    const nestedExtra = { ...extra, _meta: {} };
+    const progress = startProgress(extra, { message: `Running ${prepared.length} actions` });
+
+    try {
+      for (let i = 0; i < prepared.length; i += 1) {
+        const action = prepared[i];
+        const index = i + 1;
+        if (stoppedAt !== null) {
+          results.push({ index, tool: action.tool, ok: false, skipped: true });
+          continue;
+        }
+        throwIfAborted(extra?.signal);
+        progress.report(`Action ${index}/${prepared.length}: ${action.tool}`);
+        const startedAt = Date.now();
+        // Raw handlers skip the per-call envelope; this tool's own envelope reports the final page state.
         try {
-          await previousContext.close();
-          closedPrevious = true;
-        } catch {
-          warning = 'Failed to close previous context; continuing with the new imported context.';
+          const response = await auditSlotScope.run(reserveNestedAuditSlot(i), () => action.rawHandler(action.args, nestedExtra));
+          const { payload } = extractToolMeta(unwrapToolPayload(response));
+          const entry = { index, tool: action.tool, ok: true, durationMs: Date.now() - startedAt };
+          if (includeResults && payload && typeof payload === 'object' && !Array.isArray(payload)) entry.result = payload;
+          results.push(entry);
+        } catch (error) {
+          if (isAbortError(error)) throw error;
+          state.tracer.noteError();
+          results.push({ index, tool: action.tool, ok: false, durationMs: Date.now() - startedAt, error: normalizeError(error) });
+          if ((action.onError || 'stop') === 'stop') stoppedAt = index;
         }
       }
+    } finally {
+      progress.stop();
     }
 
+    const failed = results.filter((entry) => !entry.ok && !entry.skipped).length;
+    let status = 'completed';
+    if (stoppedAt !== null) status = 'stopped';
+    else if (failed > 0) status = 'completed-with-errors';
     return respond({
-      status: 'storage-imported',
-      mode: 'new-context',
-      path: absPath,
-      pages: newContext.pages().length,
-      activePageId: state.pageManager.getActivePageId(),
-      closedPrevious,
-      warning
+      status,
+      total: prepared.length,
+      succeeded: results.filter((entry) => entry.ok).length,
+      failed,
+      stoppedAt,
+      results
     });
   }
 );
@@ -2338,7 +4152,28 @@ server.registerTool(
       pierceShadow: z.boolean().optional(),
       maxChars: z.number().optional(),
       maxPayloadBytes: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      selector: z.string(),
+      rootSelector: z.string().nullable(),
+      detail: z.enum(['low', 'high']),
+      profile: z.string(),
+      totalMatches: z.number(),
+      returned: z.number(),
+      limit: z.number(),
+      nodes: looseArray({
+        tagName: z.string(),
+        text: z.string(),
+        value: z.string().nullable(),
+        attrs: z.record(z.string(), z.string().nullable()),
+        bbox: looseObject({ x: z.number(), y: z.number(), width: z.number(), height: z.number() }).nullable(),
+        visible: z.boolean(),
+        enabled: z.boolean(),
+        checked: z.boolean(),
+        selected: z.boolean()
+      }),
+      payloadBytes: z.number()
+    })
   },
   async ({
     selector,
@@ -2556,7 +4391,15 @@ server.registerTool(
       timeoutMs: z.number().optional(),
       executionTimeoutMs: z.number().optional(),
       maxOutputBytes: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      origin: z.string().nullable(),
+      payloadBytes: z.number(),
+      maxOutputBytes: z.number(),
+      executionTimeoutMs: z.number(),
+      result: z.unknown()
+    })
   },
   async ({ expression, arg, frameId, frameSelector, timeoutMs, executionTimeoutMs, maxOutputBytes }) => {
     if (!(ENV_DEFAULTS.allowEvaluate ?? false)) {
@@ -2631,7 +4474,8 @@ server.registerTool(
   'browser.get_scroll_state',
   {
     description: 'Get scroll metrics for the main page (window).',
-    inputSchema: {}
+    inputSchema: {},
+    outputSchema: toolOutput(SCROLL_METRICS_SHAPE)
   },
   async () => {
     const page = ensurePage();
@@ -2658,7 +4502,11 @@ server.registerTool(
     inputSchema: {
       dx: z.number().optional(),
       dy: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      ...SCROLL_METRICS_SHAPE
+    })
   },
   async ({ dx, dy }) => {
     const page = ensurePage();
@@ -2692,7 +4540,11 @@ server.registerTool(
     inputSchema: {
       x: z.number().optional(),
       y: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      ...SCROLL_METRICS_SHAPE
+    })
   },
   async ({ x, y }) => {
     const page = ensurePage();
@@ -2722,7 +4574,23 @@ server.registerTool(
     description: 'List scrollable containers on the page.',
     inputSchema: {
       limit: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      count: z.number(),
+      items: looseArray({
+        selector: z.string(),
+        tag: z.string(),
+        id: z.string(),
+        className: z.string(),
+        ariaLabel: z.string(),
+        role: z.string(),
+        scrollHeight: z.number(),
+        clientHeight: z.number(),
+        scrollWidth: z.number(),
+        clientWidth: z.number(),
+        bbox: looseObject({ x: z.number(), y: z.number(), width: z.number(), height: z.number() })
+      })
+    })
   },
   async ({ limit }) => {
     const page = ensurePage();
@@ -2801,7 +4669,8 @@ server.registerTool(
     description: 'Get scroll metrics for a specific scrollable container.',
     inputSchema: {
       selector: z.string()
-    }
+    },
+    outputSchema: toolOutput(SCROLL_METRICS_SHAPE)
   },
   async ({ selector }) => {
     const page = ensurePage();
@@ -2833,7 +4702,11 @@ server.registerTool(
       selector: z.string(),
       dx: z.number().optional(),
       dy: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      ...SCROLL_METRICS_SHAPE
+    })
   },
   async ({ selector, dx, dy }) => {
     const page = ensurePage();
@@ -2867,8 +4740,10 @@ server.registerTool(
 server.registerTool(
   'browser.take_snapshot',
   {
-    description: 'DevTools-style snapshot based on the accessibility tree. Returns compact nodes with uids.',
+    description:
+      'DevTools-style snapshot based on the accessibility tree, merged across all frames including cross-origin iframes (includeFrames=false for the main frame only; frameId/frameSelector to start from one frame). Returns compact nodes with frame-qualified uids and their frameId. mode="diff" returns only nodes added, removed or changed (name, value, checked, expanded, disabled) since the previous snapshot of the page; it falls back to a full snapshot after navigation or when the filters differ.',
     inputSchema: {
+      mode: z.enum(SNAPSHOT_MODES).optional(),
       detail: z.enum(['low', 'high']).optional(),
       interestingOnly: z.boolean().optional(),
       interactiveOnly: z.boolean().optional(),
@@ -2878,12 +4753,45 @@ server.registerTool(
       maxNameChars: z.number().optional(),
       query: z.string().optional(),
       includeUrlTitle: z.boolean().optional(),
+      includeFrames: z.boolean().optional(),
       frameId: z.string().optional(),
       frameSelector: z.string().optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      detail: z.enum(['low', 'high']),
+      profile: z.string(),
+      interestingOnly: z.boolean(),
+      interactiveOnly: z.boolean(),
+      visibleOnly: z.boolean(),
+      maxDepth: z.number(),
+      count: z.number(),
+      nodes: looseArray({ uid: z.string(), role: z.string(), name: z.string() }),
+      mode: z.enum(SNAPSHOT_MODES),
+      diffFallback: z.enum(DIFF_FALLBACKS),
+      baselineCapturedAt: z.string(),
+      added: looseArray({ uid: z.string(), role: z.string(), name: z.string() }),
+      removed: z.array(z.object({ uid: z.string(), role: z.string(), name: z.string() })),
+      changed: z.array(
+        z.object({
+          uid: z.string(),
+          role: z.string(),
+          name: z.string(),
+          changes: z.record(z.string(), z.object({ from: z.unknown(), to: z.unknown() }))
+        })
+      ),
+      unchanged: z.number(),
+      includeFrames: z.boolean(),
+      skippedFrames: z.array(z.string()),
+      uidMapFrameId: z.string(),
+      visibilityNote: z.string(),
+      payloadUrl: z.string(),
+      payloadTitle: z.string(),
+      resourceUri: z.string()
+    })
   },
   async ({
+    mode,
     detail,
     interestingOnly,
     interactiveOnly,
@@ -2893,16 +4801,13 @@ server.registerTool(
     maxNameChars,
     query,
     includeUrlTitle,
+    includeFrames,
     frameId,
     frameSelector,
     timeoutMs
   }) => {
     const page = ensurePage();
     const frame = await resolveFrame(page, { frameId, frameSelector, timeoutMs });
-    const mainFrame = page.mainFrame();
-    if (frame !== mainFrame) {
-      throw new Error('browser.take_snapshot currently supports main-frame AX snapshots only. Omit frameId/frameSelector.');
-    }
     const resolvedDetail = normalizeCaptureDetail(detail);
     const profileDefaults = resolveCaptureDefaults('take_snapshot', resolvedDetail);
     const resolvedInterestingOnly = interestingOnly ?? profileDefaults.interestingOnly ?? true;
@@ -2911,7 +4816,11 @@ server.registerTool(
     const resolvedMaxDepth = clampNumber(maxDepth ?? profileDefaults.maxDepth, 1, 64, 24);
     const resolvedMaxNodes = clampNumber(maxNodes ?? profileDefaults.maxNodes, 1, 2000, 400);
     const resolvedMaxNameChars = clampNumber(maxNameChars ?? profileDefaults.maxNameChars, 20, 500, 120);
-    const { nodes, uidToBackend, truncated: sourceTruncated } = await takeA11ySnapshot(page, {
+    const resolvedIncludeFrames = includeFrames ?? true;
+    // frameId/frameSelector narrow the snapshot to that frame and the frames inside it.
+    const { nodes, uidToBackend, truncated: sourceTruncated, documentNodeId, skippedFrames } = await takeA11ySnapshot(page, {
+      frame,
+      includeFrames: resolvedIncludeFrames,
       interestingOnly: resolvedInterestingOnly,
       maxNodes: resolvedMaxNodes,
       maxNameChars: resolvedMaxNameChars,
@@ -2919,8 +4828,8 @@ server.registerTool(
       maxDepth: resolvedMaxDepth
     });
 
-    // AX snapshot is currently page-wide; keep UID map scoped to main frame context only.
-    setUidMapForFrame(page, mainFrame, uidToBackend);
+    // uids carry their own frame; the map is filed under the snapshot's root frame.
+    setUidMapForFrame(page, frame, uidToBackend, { documentNodeId });
 
     let filteredNodes = nodes;
     if (resolvedInteractiveOnly) {
@@ -2940,18 +4849,72 @@ server.registerTool(
       count: filteredNodes.length,
       nodes: filteredNodes,
       truncated: Boolean(sourceTruncated),
-      uidMapFrameId: getDomContext(page, mainFrame).frameId
+      includeFrames: resolvedIncludeFrames,
+      uidMapFrameId: getDomContext(page, frame).frameId
     };
     if (resolvedVisibleOnly) {
       payload.visibilityNote = 'visibleOnly filters nodes with AX hidden=true; some offscreen/inert nodes may still appear.';
     }
+    if (skippedFrames.length) payload.skippedFrames = skippedFrames;
+
+    // The baseline is always refreshed, so mode="diff" compares against whichever snapshot came last.
+    const baselines = getOrCreateUidStore(page).baselines;
+    const baselineFrameId = getDomContext(page, frame).frameId;
+    const baselineOpts = {
+      documentNodeId,
+      truncated: Boolean(sourceTruncated),
+      optionsKey: JSON.stringify([
+        resolvedInterestingOnly,
+        resolvedInteractiveOnly,
+        resolvedVisibleOnly,
+        resolvedMaxDepth,
+        resolvedMaxNodes,
+        resolvedMaxNameChars,
+        query || null,
+        resolvedIncludeFrames
+      ])
+    };
+    const previous = baselines.get(baselineFrameId);
+    baselines.set(baselineFrameId, createSnapshotBaseline(filteredNodes, baselineOpts));
+    payload.mode = 'full';
+    let diff = null;
+    if ((mode || 'full') === 'diff') {
+      const mismatch = baselineMismatch(previous, baselineOpts);
+      if (mismatch) {
+        payload.diffFallback = mismatch;
+      } else {
+        diff = { baselineCapturedAt: previous.capturedAt, ...diffSnapshot(previous, filteredNodes) };
+      }
+    }
 
     if (includeUrlTitle ?? true) {
       payload.url = page.url();
       payload.title = await page.title();
     }
 
-    return respond(withFrameMeta(page, mainFrame, payload));
+    // Keep the untruncated result so clients can read it even if the payload budget trims `nodes`.
+    const pageId = getPageIdSafe(page);
+    if (typeof pageId === 'number') {
+      const isNewPage = !state.snapshots.has(pageId);
+      state.snapshots.set(pageId, {
+        ...payload,
+        pageId,
+        url: page.url(),
+        capturedAt: new Date().toISOString(),
+        domVersion: getDomContext(page, frame).domVersion
+      });
+      payload.resourceUri = snapshotUri(pageId);
+      if (isNewPage) notifyResourceListChanged();
+      notifyResourceUpdated(snapshotUri(pageId));
+    }
+
+    // The resource above keeps the full node list; the response carries only the delta.
+    if (diff) {
+      delete payload.nodes;
+      Object.assign(payload, { mode: 'diff', ...diff });
+    }
+
+    return respond(withFrameMeta(page, frame, payload));
   }
 );
 
@@ -2968,7 +4931,20 @@ server.registerTool(
       frameId: z.string().optional(),
       frameSelector: z.string().optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      detail: z.enum(['low', 'high']),
+      profile: z.string(),
+      payloadTitle: z.string().nullable(),
+      payloadUrl: z.string(),
+      text: z.string(),
+      links: looseArray({ text: z.string(), href: z.string() }),
+      textTruncated: z.boolean(),
+      linksTruncated: z.boolean(),
+      totalLinks: z.number(),
+      headings: z.array(z.string()),
+      formsSummary: looseObject({ forms: z.number(), hasFormLikeInputs: z.boolean(), requiredFields: z.number() }).nullable()
+    })
   },
   async ({ detail, maxChars, maxLinks, includeHeadings, includeFormsSummary, frameId, frameSelector, timeoutMs }) => {
     const page = ensurePage();
@@ -3049,7 +5025,8 @@ server.registerTool(
 server.registerTool(
   'browser.list',
   {
-    description: 'List visible interactive elements (links, buttons, inputs). Includes role=radio/checkbox.',
+    description:
+      'List visible interactive elements (links, buttons, inputs). Includes role=radio/checkbox and elements inside open shadow roots (pierceShadow=false skips them).',
     inputSchema: {
       detail: z.enum(['low', 'high']).optional(),
       limit: z.number().optional(),
@@ -3059,12 +5036,47 @@ server.registerTool(
       interactiveOnly: z.boolean().optional(),
       viewportOnly: z.boolean().optional(),
       includeSelectors: z.boolean().optional(),
+      pierceShadow: z.boolean().optional(),
       rootSelector: z.string().optional(),
       rootElementId: z.number().optional(),
       frameId: z.string().optional(),
       frameSelector: z.string().optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      detail: z.enum(['low', 'high']),
+      profile: z.string(),
+      rootSelector: z.string().nullable(),
+      visibleOnly: z.boolean(),
+      interactiveOnly: z.boolean(),
+      viewportOnly: z.boolean(),
+      pierceShadow: z.boolean(),
+      limit: z.number(),
+      count: z.number(),
+      totalCandidates: z.number(),
+      visibleCandidates: z.number(),
+      acceptedCandidates: z.number(),
+      viewportFilteredOut: z.number(),
+      hasOffViewportCandidates: z.boolean(),
+      needsScrollForMore: z.boolean(),
+      scrollState: looseObject(SCROLL_METRICS_SHAPE),
+      coverageHint: z.string().nullable(),
+      items: looseArray({
+        id: z.number(),
+        visible: z.boolean(),
+        selector: z.string().nullable(),
+        tag: z.string(),
+        role: z.string(),
+        type: z.string(),
+        text: z.string(),
+        href: z.string(),
+        ariaLabel: z.string(),
+        ariaChecked: z.string(),
+        value: z.string(),
+        valueLength: z.number(),
+        shadowHosts: z.array(z.string())
+      })
+    })
   },
   async ({
     detail,
@@ -3075,6 +5087,7 @@ server.registerTool(
     interactiveOnly,
     viewportOnly,
     includeSelectors,
+    pierceShadow,
     rootSelector,
     rootElementId,
     frameId,
@@ -3092,6 +5105,7 @@ server.registerTool(
     const resolvedVisibleOnly = visibleOnly ?? profileDefaults.visibleOnly ?? true;
     const resolvedInteractiveOnly = interactiveOnly ?? profileDefaults.interactiveOnly ?? true;
     const resolvedViewportOnly = viewportOnly ?? profileDefaults.viewportOnly ?? false;
+    const resolvedPierceShadow = pierceShadow ?? true;
     const resolvedRootSelector = resolveRootScopeSelector(page, frame, { rootSelector, rootElementId });
     const interactiveSelector = 'a[href], button, input, select, textarea, label[for], label[data-test-text-selectable-option__label], [role="button"], [role="link"], [onclick], [role="radio"], [role="checkbox"]';
     const baseSelector = resolvedInteractiveOnly ? interactiveSelector : '*';
@@ -3115,7 +5129,7 @@ server.registerTool(
     }));
     const items = [];
     let id = 1;
-    const totalCandidates = elements.length;
+    let totalCandidates = elements.length;
     let visibleCandidates = 0;
     let viewportFilteredOut = 0;
     let acceptedCandidates = 0;
@@ -3184,6 +5198,7 @@ server.registerTool(
 
         return {
           visible,
+          inShadow: node.getRootNode() instanceof ShadowRoot,
           selector,
           tag,
           role: clean(roleRaw),
@@ -3203,6 +5218,10 @@ server.registerTool(
         };
       }, resolvedMaxTextChars);
 
+      if (info.inShadow && !resolvedPierceShadow) {
+        totalCandidates -= 1;
+        continue;
+      }
       if (info.visible) visibleCandidates += 1;
       if (resolvedVisibleOnly && !info.visible) continue;
       if (resolvedViewportOnly) {
@@ -3227,6 +5246,14 @@ server.registerTool(
         continue;
       }
 
+      // makeSelector stops at the shadow root, so shadow items get a host-chained selector instead.
+      const shadowPath = await resolveShadowPath(handle, info.inShadow);
+      if (shadowPath) {
+        info.selector = shadowPath.selector;
+        info.shadowHosts = shadowPath.shadowHosts;
+      }
+      delete info.inShadow;
+
       state.elements.set(id, {
         contextKey,
         selector: info.selector || null,
@@ -3274,7 +5301,12 @@ server.registerTool(
 
       let container = null;
       if (rootSelector) {
-        const root = document.querySelector(rootSelector);
+        let root = null;
+        try {
+          root = document.querySelector(rootSelector);
+        } catch {
+          // host-chained (">>") selector from a shadow root element
+        }
         if (isScrollableContainer(root)) {
           const metrics = readMetrics(root);
           container = {
@@ -3330,6 +5362,7 @@ server.registerTool(
       visibleOnly: resolvedVisibleOnly,
       interactiveOnly: resolvedInteractiveOnly,
       viewportOnly: resolvedViewportOnly,
+      pierceShadow: resolvedPierceShadow,
       limit: resolvedLimit,
       count: items.length,
       totalCandidates,
@@ -3363,7 +5396,16 @@ server.registerTool(
       frameSelector: z.string().optional(),
       force: z.boolean().optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      via: z.enum(['uid', 'elementId', 'selector', 'text']),
+      uid: z.string(),
+      elementId: z.number(),
+      selector: z.string(),
+      text: z.string(),
+      changed: z.boolean()
+    })
   },
   async ({ uid, elementId, selector, text, frameId, frameSelector, force, timeoutMs }) => {
     const page = ensurePage();
@@ -3375,10 +5417,10 @@ server.registerTool(
     };
 
     if (uid) {
-      const backendNodeId = getBackendNodeIdForUid(page, uid, frame);
-      await hoverByBackendNodeId(page, backendNodeId);
+      const node = await resolveUid(page, uid);
+      await hoverByBackendNodeId(node.target, node.backendNodeId);
       clearElementCache();
-      return respond(withFrameMeta(page, frame, { status: 'hovered', via: 'uid', uid, changed: true }));
+      return respond(withFrameMeta(page, node.frame, { status: 'hovered', via: 'uid', uid, changed: true }));
     }
 
     if (elementId) {
@@ -3427,7 +5469,14 @@ server.registerTool(
       frameSelector: z.string().optional(),
       force: z.boolean().optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      via: z.string(),
+      uid: z.string(),
+      elementId: z.number(),
+      payloadOk: z.boolean()
+    })
   },
   async ({ uid, elementId, selector, text, frameId, frameSelector, force, timeoutMs }) => {
     const page = ensurePage();
@@ -3437,12 +5486,14 @@ server.registerTool(
       force: force ?? false,
       timeout: clampNumber(timeoutMs, 1000, 120000, 30000)
     };
+    const recordTarget = await resolveRecordTarget(page, frame, { uid, elementId, selector, text, frameSelector });
 
     if (uid) {
-      const backendNodeId = getBackendNodeIdForUid(page, uid, frame);
-      const result = await clickByBackendNodeId(page, backendNodeId);
+      const node = await resolveUid(page, uid);
+      const result = await clickByBackendNodeId(node.target, node.backendNodeId);
       clearElementCache();
-      return respond(withFrameMeta(page, frame, { status: 'clicked', via: 'uid', uid, ...result }));
+      recordStep({ tool: 'browser.click', action: 'click', target: recordTarget });
+      return respond(withFrameMeta(page, node.frame, { status: 'clicked', via: 'uid', uid, ...result }));
     }
 
     if (elementId) {
@@ -3482,6 +5533,7 @@ server.registerTool(
           });
           if (clickedLabel) {
             clearElementCache();
+            recordStep({ tool: 'browser.click', action: 'click', target: recordTarget, via: 'label' });
             return respond(withFrameMeta(page, frame, { status: 'clicked', via: 'label', elementId }));
           }
         }
@@ -3519,6 +5571,7 @@ server.registerTool(
     }
 
     clearElementCache();
+    recordStep({ tool: 'browser.click', action: 'click', target: recordTarget });
     return respond(withFrameMeta(page, frame, { status: 'clicked' }));
   }
 );
@@ -3535,27 +5588,34 @@ server.registerTool(
       frameId: z.string().optional(),
       frameSelector: z.string().optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      textLength: z.number()
+    })
   },
   async ({ text, selector, elementId, clear, frameId, frameSelector, timeoutMs }) => {
     const page = ensurePage();
     const frame = await resolveFrame(page, { frameId, frameSelector, timeoutMs });
     const scope = getFrameScope(page, frame);
+    const recordTarget = await resolveRecordTarget(page, frame, { elementId, selector, frameSelector });
 
+    let locator;
     if (elementId) {
       const cached = getCachedElement(page, frame, elementId);
       if (!cached.selector) throw new Error(`Cached element ${elementId} has no selector. Run browser.list again.`);
-      const locator = scope.locator(cached.selector).first();
+      locator = scope.locator(cached.selector).first();
       if ((await locator.count()) === 0) throw new Error(`No element found for cached selector (elementId ${elementId}). Run browser.list again.`);
-      if (clear) await locator.fill('');
-      await locator.type(text);
     } else if (selector) {
-      if (clear) await scope.fill(selector, '');
-      await scope.type(selector, text);
+      locator = scope.locator(selector);
     } else {
       throw new Error('Provide selector or elementId.');
     }
+    if (clear) await locator.fill('');
+    await locator.type(text);
+    await noteAuditInputOf(locator);
 
+    recordStep({ tool: 'browser.type', action: 'type', target: recordTarget, value: text, clear: clear ?? false });
     return respond(withFrameMeta(page, frame, { status: 'typed', textLength: text.length }));
   }
 );
@@ -3572,17 +5632,27 @@ server.registerTool(
       frameId: z.string().optional(),
       frameSelector: z.string().optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      via: z.string(),
+      uid: z.string(),
+      textLength: z.number(),
+      actualLength: z.number()
+    })
   },
   async ({ text, uid, selector, elementId, frameId, frameSelector, timeoutMs }) => {
     const page = ensurePage();
     const frame = await resolveFrame(page, { frameId, frameSelector, timeoutMs });
     const scope = getFrameScope(page, frame);
+    const recordTarget = await resolveRecordTarget(page, frame, { uid, elementId, selector, frameSelector });
 
     if (uid) {
-      const backendNodeId = getBackendNodeIdForUid(page, uid, frame);
-      const payload = await setValueByBackendNodeId(page, backendNodeId, text);
-      return respond(withFrameMeta(page, frame, {
+      const node = await resolveUid(page, uid);
+      const payload = await setValueByBackendNodeId(node.target, node.backendNodeId, text);
+      noteAuditInput(payload);
+      recordStep({ tool: 'browser.fill', action: 'fill', target: recordTarget, value: text });
+      return respond(withFrameMeta(page, node.frame, {
         status: 'filled',
         via: 'uid',
         uid,
@@ -3591,18 +5661,21 @@ server.registerTool(
       }));
     }
 
+    let locator;
     if (elementId) {
       const cached = getCachedElement(page, frame, elementId);
       if (!cached.selector) throw new Error(`Cached element ${elementId} has no selector. Run browser.list again.`);
-      const locator = scope.locator(cached.selector).first();
+      locator = scope.locator(cached.selector).first();
       if ((await locator.count()) === 0) throw new Error(`No element found for cached selector (elementId ${elementId}). Run browser.list again.`);
-      await locator.fill(text);
     } else if (selector) {
-      await scope.fill(selector, text);
+      locator = scope.locator(selector);
     } else {
       throw new Error('Provide selector or elementId.');
     }
+    await locator.fill(text);
+    await noteAuditInputOf(locator);
 
+    recordStep({ tool: 'browser.fill', action: 'fill', target: recordTarget, value: text });
     return respond(withFrameMeta(page, frame, { status: 'filled', textLength: text.length }));
   }
 );
@@ -3618,7 +5691,11 @@ server.registerTool(
       frameId: z.string().optional(),
       frameSelector: z.string().optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      count: z.number()
+    })
   },
   async ({ paths, selector, elementId, frameId, frameSelector, timeoutMs }) => {
     const page = ensurePage();
@@ -3629,6 +5706,7 @@ server.registerTool(
     for (const filePath of filePaths) {
       resolvedPaths.push(await assertAllowedReadPath(filePath));
     }
+    const recordTarget = await resolveRecordTarget(page, frame, { elementId, selector, frameSelector });
 
     if (elementId) {
       const cached = getCachedElement(page, frame, elementId);
@@ -3642,6 +5720,7 @@ server.registerTool(
       throw new Error('Provide selector or elementId.');
     }
 
+    recordStep({ tool: 'browser.set_input_files', action: 'setInputFiles', target: recordTarget, files: resolvedPaths });
     return respond(withFrameMeta(page, frame, { status: 'files-set', count: resolvedPaths.length }));
   }
 );
@@ -3655,15 +5734,19 @@ server.registerTool(
       frameId: z.string().optional(),
       frameSelector: z.string().optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      uid: z.string()
+    })
   },
   async ({ uid, frameId, frameSelector, timeoutMs }) => {
     const page = ensurePage();
     const frame = await resolveFrame(page, { frameId, frameSelector, timeoutMs });
-    const backendNodeId = getBackendNodeIdForUid(page, uid, frame);
-    await scrollIntoViewIfNeeded(page, backendNodeId);
+    const node = await resolveUid(page, uid);
+    await scrollIntoViewIfNeeded(node.target, node.backendNodeId);
     clearElementCache();
-    return respond(withFrameMeta(page, frame, { status: 'scrolled', uid }));
+    return respond(withFrameMeta(page, node.frame, { status: 'scrolled', uid }));
   }
 );
 
@@ -3678,13 +5761,18 @@ server.registerTool(
       frameId: z.string().optional(),
       frameSelector: z.string().optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      key: z.string()
+    })
   },
   async ({ key, selector, elementId, frameId, frameSelector, timeoutMs }) => {
     const page = ensurePage();
     const frame = await resolveFrame(page, { frameId, frameSelector, timeoutMs });
     const scope = getFrameScope(page, frame);
     const normalizedKey = normalizeKey(key);
+    const recordTarget = await resolveRecordTarget(page, frame, { elementId, selector, frameSelector });
 
     if (elementId) {
       const cached = getCachedElement(page, frame, elementId);
@@ -3697,6 +5785,7 @@ server.registerTool(
     }
 
     await page.keyboard.press(normalizedKey);
+    recordStep({ tool: 'browser.press', action: 'press', target: recordTarget, key: normalizedKey });
     return respond(withFrameMeta(page, frame, { status: 'pressed', key: normalizedKey }));
   }
 );
@@ -3713,7 +5802,16 @@ server.registerTool(
       frameId: z.string().optional(),
       frameSelector: z.string().optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      selector: z.string(),
+      totalMatches: z.number(),
+      returned: z.number(),
+      limit: z.number(),
+      maxChars: z.number(),
+      texts: z.array(z.string()),
+      text: z.string()
+    })
   },
   async ({ selector, all, maxChars, limit, frameId, frameSelector, timeoutMs }) => {
     const page = ensurePage();
@@ -3761,47 +5859,182 @@ server.registerTool(
       frameId: z.string().optional(),
       frameSelector: z.string().optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      selector: z.string(),
+      length: z.number(),
+      html: z.string()
+    })
+  },
+  async ({ selector, maxChars, frameId, frameSelector, timeoutMs }) => {
+    const page = ensurePage();
+    const frame = await resolveFrame(page, { frameId, frameSelector, timeoutMs });
+    const scope = getFrameScope(page, frame);
+    const html = await scope.$eval(selector, (node) => node.outerHTML || '');
+    const limit = clampNumber(maxChars, 0, 20000, 5000);
+    const truncated = limit > 0 && html.length > limit;
+    const sliced = limit === 0 ? '' : (truncated ? html.slice(0, limit) : html);
+    return respond(withFrameMeta(page, frame, { selector, length: html.length, truncated, html: sliced }));
+  }
+);
+
+server.registerTool(
+  'browser.extract_markdown',
+  {
+    description:
+      'Convert the main content of the page (or a rootSelector/rootElementId/uid subtree) to Markdown: headings, lists, links, tables and form labels. mainContent=false keeps nav/header/footer and converts the whole body.',
+    inputSchema: {
+      detail: z.enum(['low', 'high']).optional(),
+      maxChars: z.number().optional(),
+      rootSelector: z.string().optional(),
+      rootElementId: z.number().optional(),
+      uid: z.string().optional(),
+      mainContent: z.boolean().optional(),
+      frameId: z.string().optional(),
+      frameSelector: z.string().optional(),
+      timeoutMs: z.number().optional()
+    },
+    outputSchema: toolOutput({
+      detail: z.enum(['low', 'high']),
+      profile: z.string(),
+      payloadTitle: z.string(),
+      payloadUrl: z.string(),
+      source: z.enum(MARKDOWN_SOURCES),
+      rootTag: z.string().nullable(),
+      rootSelector: z.string().nullable(),
+      uid: z.string().nullable(),
+      mainContent: z.boolean(),
+      maxChars: z.number(),
+      totalChars: z.number(),
+      markdown: z.string()
+    })
   },
-  async ({ selector, maxChars, frameId, frameSelector, timeoutMs }) => {
+  async ({ detail, maxChars, rootSelector, rootElementId, uid, mainContent, frameId, frameSelector, timeoutMs }) => {
     const page = ensurePage();
     const frame = await resolveFrame(page, { frameId, frameSelector, timeoutMs });
     const scope = getFrameScope(page, frame);
-    const html = await scope.$eval(selector, (node) => node.outerHTML || '');
-    const limit = clampNumber(maxChars, 0, 20000, 5000);
-    const truncated = limit > 0 && html.length > limit;
-    const sliced = limit === 0 ? '' : (truncated ? html.slice(0, limit) : html);
-    return respond(withFrameMeta(page, frame, { selector, length: html.length, truncated, html: sliced }));
+    const resolvedDetail = normalizeCaptureDetail(detail);
+    const profileDefaults = resolveCaptureDefaults('extract_markdown', resolvedDetail);
+    const resolvedMaxChars = clampNumber(maxChars ?? profileDefaults.maxChars, 0, 100000, 12000);
+    const resolvedMainContent = mainContent ?? true;
+    const resolvedRootSelector = resolveRootScopeSelector(page, frame, { rootSelector, rootElementId });
+    if (uid && resolvedRootSelector) {
+      throw new Error('browser.extract_markdown takes either uid or rootSelector/rootElementId, not both.');
+    }
+
+    let result;
+    let targetFrame = frame;
+    if (uid) {
+      const node = await resolveUid(page, uid, { requireAttached: true });
+      targetFrame = node.frame;
+      result = await renderMarkdownForBackendNode(node.target, node.backendNodeId, { mainContent: resolvedMainContent });
+    } else {
+      const root = scope.locator(resolvedRootSelector || 'body').first();
+      if ((await root.count()) === 0) {
+        throw new Error(`Root selector not found for extract_markdown: ${resolvedRootSelector || 'body'}`);
+      }
+      result = await root.evaluate(renderMarkdown, {
+        mainContent: resolvedMainContent,
+        detectMain: !resolvedRootSelector
+      });
+    }
+
+    const { markdown, truncated } = truncateMarkdown(result.markdown, resolvedMaxChars);
+    const title = await targetFrame.title().catch(() => '');
+    return respond(withFrameMeta(page, targetFrame, {
+      detail: resolvedDetail,
+      profile: getActiveCaptureProfile(),
+      title,
+      url: targetFrame.url(),
+      source: result.source,
+      rootTag: result.rootTag,
+      rootSelector: resolvedRootSelector,
+      uid: uid || null,
+      mainContent: resolvedMainContent,
+      maxChars: resolvedMaxChars,
+      totalChars: result.markdown.length,
+      truncated,
+      markdown
+    }));
   }
 );
 
 server.registerTool(
   'browser.screenshot',
   {
-    description: 'Save a screenshot to a path.',
+    description: 'Save a screenshot to a path and/or return it inline as MCP image content (inline=true).',
     inputSchema: {
-      path: z.string(),
+      path: z.string().optional(),
       fullPage: z.boolean().optional(),
-      timeoutMs: z.number().optional()
-    }
+      timeoutMs: z.number().optional(),
+      ...INLINE_IMAGE_INPUT_SCHEMA
+    },
+    outputSchema: toolOutput({
+      status: z.enum(['saved', 'captured']),
+      path: z.string().nullable(),
+      image: looseObject({
+        mimeType: z.string(),
+        width: z.number(),
+        height: z.number(),
+        imageScale: z.number(),
+        quality: z.number().nullable(),
+        bytes: z.number(),
+        clip: looseObject({ x: z.number(), y: z.number(), width: z.number(), height: z.number() }),
+        coordSpace: z.enum(['page', 'viewport'])
+      })
+    })
   },
-  async ({ path: targetPath, fullPage, timeoutMs }) => {
+  async ({ path: targetPath, fullPage, timeoutMs, inline, imageFormat, quality, scale, maxDimension }, extra) => {
     const page = ensurePage();
-    const absPath = await assertAllowedWritePath(targetPath);
-    await ensureDir(absPath);
+    if (!targetPath && !inline) {
+      throw new Error('browser.screenshot requires a path, inline=true, or both.');
+    }
     const resolvedFullPage = fullPage ?? true;
     const resolvedTimeout = clampNumber(timeoutMs, 1000, 300000, resolvedFullPage ? 90000 : 30000);
-    await page.screenshot({ path: absPath, fullPage: resolvedFullPage, timeout: resolvedTimeout });
-    return respond({ status: 'saved', path: absPath });
+    const signal = extra?.signal;
+    // Only full-page captures are slow enough to be worth progress notifications.
+    const progress = resolvedFullPage
+      ? startProgress(extra, { total: resolvedTimeout, message: 'Capturing full-page screenshot' })
+      : null;
+    try {
+      let absPath = null;
+      if (targetPath) {
+        absPath = await assertAllowedWritePath(targetPath);
+        await ensureDir(absPath);
+      }
+      // The file keeps full resolution in the format its extension implies; only the inline copy is downscaled.
+      if (absPath) {
+        await raceAbort(page.screenshot({ path: absPath, fullPage: resolvedFullPage, timeout: resolvedTimeout }), signal);
+      }
+      if (!inline) {
+        return respond({ status: 'saved', path: absPath });
+      }
+      progress?.report('Encoding inline image');
+      const capture = await raceAbort(
+        captureImageContent(page, {
+          fullPage: resolvedFullPage,
+          timeoutMs: resolvedTimeout,
+          format: imageFormat,
+          quality,
+          scale,
+          maxDimension
+        }),
+        signal
+      );
+      return respond({ status: absPath ? 'saved' : 'captured', path: absPath, image: capture.image }, [capture.block]);
+    } finally {
+      progress?.stop();
+    }
   }
 );
 
 server.registerTool(
   'browser.visual_snapshot',
   {
-    description: 'Take a screenshot and return an element map with bounding boxes for visual navigation.',
+    description:
+      'Take a screenshot and return an element map with bounding boxes for visual navigation. Set inline=true to also receive the screenshot as MCP image content.',
     inputSchema: {
-      path: z.string(),
+      path: z.string().optional(),
       detail: z.enum(['low', 'high']).optional(),
       fullPage: z.boolean().optional(),
       viewportOnly: z.boolean().optional(),
@@ -3813,12 +6046,39 @@ server.registerTool(
       maxTextChars: z.number().optional(),
       includeText: z.boolean().optional(),
       includeSelectors: z.boolean().optional(),
+      pierceShadow: z.boolean().optional(),
       rootSelector: z.string().optional(),
       rootElementId: z.number().optional(),
       saveMapPath: z.string().optional(),
       frameId: z.string().optional(),
-      frameSelector: z.string().optional()
-    }
+      frameSelector: z.string().optional(),
+      ...INLINE_IMAGE_INPUT_SCHEMA
+    },
+    outputSchema: toolOutput({
+      detail: z.enum(['low', 'high']),
+      profile: z.string(),
+      screenshotPath: z.string().nullable(),
+      rootSelector: z.string().nullable(),
+      fullPage: z.boolean(),
+      viewportOnly: z.boolean(),
+      visibleOnly: z.boolean(),
+      interactiveOnly: z.boolean(),
+      includeText: z.boolean(),
+      pierceShadow: z.boolean(),
+      count: z.number(),
+      totalCandidates: z.number(),
+      items: looseArray({
+        id: z.number(),
+        bbox: looseObject({ x: z.number(), y: z.number(), width: z.number(), height: z.number() }),
+        shadowHosts: z.array(z.string())
+      }),
+      coordSpace: z.enum(['page', 'viewport']),
+      scrollX: z.number(),
+      scrollY: z.number(),
+      viewport: looseObject({ width: z.number(), height: z.number() }).nullable(),
+      image: looseObject({ mimeType: z.string(), width: z.number(), height: z.number(), imageScale: z.number() }),
+      mapSavedTo: z.string()
+    })
   },
   async ({
     path: targetPath,
@@ -3833,30 +6093,52 @@ server.registerTool(
     maxTextChars,
     includeText,
     includeSelectors,
+    pierceShadow,
     rootSelector,
     rootElementId,
     saveMapPath,
     frameId,
-    frameSelector
+    frameSelector,
+    inline,
+    imageFormat,
+    quality,
+    scale,
+    maxDimension
   }) => {
     const page = ensurePage();
+    if (!targetPath && !inline) {
+      throw new Error('browser.visual_snapshot requires a path, inline=true, or both.');
+    }
     const frame = await resolveFrame(page, { frameId, frameSelector, timeoutMs });
     const scope = getFrameScope(page, frame);
     const resolvedDetail = normalizeCaptureDetail(detail);
     const profileDefaults = resolveCaptureDefaults('visual_snapshot', resolvedDetail);
     const resolvedRootSelector = resolveRootScopeSelector(page, frame, { rootSelector, rootElementId });
-    const absPath = await assertAllowedWritePath(targetPath);
-    await ensureDir(absPath);
+    const absPath = targetPath ? await assertAllowedWritePath(targetPath) : null;
+    if (absPath) await ensureDir(absPath);
     const resolvedFullPage = fullPage ?? profileDefaults.fullPage ?? false;
     const resolvedViewportOnly = viewportOnly ?? profileDefaults.viewportOnly ?? !resolvedFullPage;
     const resolvedVisibleOnly = visibleOnly ?? profileDefaults.visibleOnly ?? true;
     const resolvedInteractiveOnly = interactiveOnly ?? profileDefaults.interactiveOnly ?? true;
     const resolvedIncludeText = includeText ?? profileDefaults.includeText ?? false;
     const resolvedIncludeSelectors = includeSelectors ?? profileDefaults.includeSelectors ?? false;
+    const resolvedPierceShadow = pierceShadow ?? true;
     const resolvedLimit = clampNumber(maxItems ?? limit ?? profileDefaults.maxItems, 1, 500, 200);
     const resolvedMaxTextChars = clampNumber(maxTextChars ?? profileDefaults.maxTextChars, 20, 500, 160);
     const resolvedTimeout = clampNumber(timeoutMs, 1000, 300000, resolvedFullPage ? 90000 : 30000);
-    await page.screenshot({ path: absPath, fullPage: resolvedFullPage, timeout: resolvedTimeout });
+    if (absPath) {
+      await page.screenshot({ path: absPath, fullPage: resolvedFullPage, timeout: resolvedTimeout });
+    }
+    const capture = inline
+      ? await captureImageContent(page, {
+          fullPage: resolvedFullPage,
+          timeoutMs: resolvedTimeout,
+          format: imageFormat,
+          quality,
+          scale,
+          maxDimension
+        })
+      : null;
 
     // Use top-level viewport metrics for spatial filtering because Playwright boundingBox()
     // returns coordinates in the page viewport coordinate space (even for iframe elements).
@@ -3967,6 +6249,7 @@ server.registerTool(
 
         return {
           text: includeText ? trunc(rawText) : '',
+          inShadow: node.getRootNode() instanceof ShadowRoot,
           selector,
           tag,
           role: clean(roleRaw),
@@ -3980,8 +6263,16 @@ server.registerTool(
         };
       }, resolvedMaxTextChars, resolvedIncludeText);
 
+      if (info.inShadow && !resolvedPierceShadow) continue;
       if (resolvedVisibleOnly && !info.visible) continue;
 
+      const shadowPath = await resolveShadowPath(handle, info.inShadow);
+      if (shadowPath) {
+        info.selector = shadowPath.selector;
+        info.shadowHosts = shadowPath.shadowHosts;
+      }
+      delete info.inShadow;
+
       state.elements.set(id, {
         contextKey,
         selector: info.selector || null,
@@ -4026,6 +6317,7 @@ server.registerTool(
       visibleOnly: resolvedVisibleOnly,
       interactiveOnly: resolvedInteractiveOnly,
       includeText: resolvedIncludeText,
+      pierceShadow: resolvedPierceShadow,
       count: items.length,
       totalCandidates: handles.length,
       truncated: items.length >= resolvedLimit && handles.length > items.length,
@@ -4035,6 +6327,10 @@ server.registerTool(
       scrollY: scroll.scrollY,
       viewport: page.viewportSize()
     };
+    if (capture) {
+      // bbox values are CSS px; multiply by image.imageScale to locate them in the inline image.
+      payload.image = capture.image;
+    }
 
     if (saveMapPath) {
       const absMap = await assertAllowedWritePath(saveMapPath);
@@ -4043,7 +6339,7 @@ server.registerTool(
       payload.mapSavedTo = absMap;
     }
 
-    return respond(withFrameMeta(page, frame, payload));
+    return respond(withFrameMeta(page, frame, payload), capture ? [capture.block] : []);
   }
 );
 
@@ -4056,7 +6352,12 @@ server.registerTool(
       y: z.number(),
       button: z.enum(['left', 'middle', 'right']).optional(),
       clickCount: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      x: z.number(),
+      y: z.number()
+    })
   },
   async ({ x, y, button, clickCount }) => {
     const page = ensurePage();
@@ -4075,7 +6376,15 @@ server.registerTool(
       y: z.number(),
       button: z.enum(['left', 'middle', 'right']).optional(),
       clickCount: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      coordSpace: z.string(),
+      x: z.number(),
+      y: z.number(),
+      viewportX: z.number(),
+      viewportY: z.number()
+    })
   },
   async ({ x, y, button, clickCount }) => {
     const page = ensurePage();
@@ -4103,19 +6412,33 @@ server.registerTool(
 server.registerTool(
   'browser.form_audit',
   {
-    description: 'Audit the current page for missing required form fields (generic HTML forms).',
+    description:
+      'Audit the current page for missing required form fields (generic HTML forms), including controls inside open shadow roots unless pierceShadow=false.',
     inputSchema: {
       maxItems: z.number().optional(),
       includeSelectors: z.boolean().optional(),
-      maxLabelChars: z.number().optional()
-    }
+      maxLabelChars: z.number().optional(),
+      pierceShadow: z.boolean().optional()
+    },
+    outputSchema: toolOutput({
+      payloadUrl: z.string(),
+      payloadTitle: z.string(),
+      missingCount: z.number(),
+      missing: looseArray({
+        kind: z.string(),
+        label: z.string(),
+        selector: z.string().nullable(),
+        shadowHosts: z.array(z.string())
+      })
+    })
   },
-  async ({ maxItems, includeSelectors, maxLabelChars }) => {
+  async ({ maxItems, includeSelectors, maxLabelChars, pierceShadow }) => {
     const page = ensurePage();
     const payload = await auditForm(page, {
       maxItems,
       includeSelectors,
-      maxLabelChars
+      maxLabelChars,
+      pierceShadow
     });
     return respond(payload);
   }
@@ -4135,7 +6458,20 @@ server.registerTool(
         })
       ),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      count: z.number(),
+      payloadOk: z.number(),
+      failed: z.number(),
+      results: looseArray({
+        ok: z.boolean(),
+        via: z.string(),
+        label: z.string().nullable(),
+        selector: z.string().nullable(),
+        kind: z.string().nullable(),
+        error: z.string()
+      })
+    })
   },
   async ({ fields, timeoutMs }) => {
     const page = ensurePage();
@@ -4151,7 +6487,11 @@ server.registerTool(
     description: 'List recent console logs and exceptions captured via CDP.',
     inputSchema: {
       limit: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      count: z.number(),
+      messages: looseArray({ level: z.string(), type: z.string(), text: z.string(), ts: z.number() })
+    })
   },
   async ({ limit }) => {
     const page = ensurePage();
@@ -4163,16 +6503,30 @@ server.registerTool(
 server.registerTool(
   'browser.list_network_requests',
   {
-    description: 'List recent network requests captured via CDP.',
+    description: 'List recent network requests captured via CDP. blocked counts requests dropped by browser.set_blocking on this context.',
     inputSchema: {
       limit: z.number().optional(),
       urlContains: z.string().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      count: z.number(),
+      requests: looseArray({
+        requestId: z.string(),
+        method: z.string(),
+        url: z.string(),
+        status: z.number().nullable(),
+        failed: z.boolean(),
+        finished: z.boolean(),
+        blocked: z.boolean()
+      }),
+      blocked: BLOCKED_COUNTS_OUTPUT
+    })
   },
   async ({ limit, urlContains }) => {
     const page = ensurePage();
     const payload = await listNetworkRequests(page, { limit, urlContains });
-    return respond({ count: payload.length, requests: payload });
+    // Context-wide totals: unlike requests, they are not limited to this page or the capture buffer.
+    return respond({ count: payload.length, requests: payload, blocked: state.routeTable.blockedCounts() });
   }
 );
 
@@ -4185,11 +6539,32 @@ server.registerTool(
       includeBody: z.boolean().optional(),
       maxBodyChars: z.number().optional(),
       saveBodyPath: z.string().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      payloadRequestId: z.string(),
+      payloadUrl: z.string(),
+      method: z.string(),
+      requestHeaders: z.record(z.string(), z.unknown()).nullable(),
+      postData: z.string().nullable(),
+      ts: z.number(),
+      type: z.string(),
+      response: looseObject().nullable(),
+      finished: z.boolean(),
+      failed: z.boolean(),
+      errorText: z.string().nullable(),
+      encodedDataLength: z.number().nullable(),
+      body: z.string().nullable(),
+      bodyTruncated: z.boolean(),
+      bodyBase64: z.boolean(),
+      bodyError: z.string(),
+      bodyResourceUri: z.string(),
+      bodySavedTo: z.string()
+    })
   },
   async ({ requestId, includeBody, maxBodyChars, saveBodyPath }) => {
     const page = ensurePage();
     const payload = await getNetworkRequest(page, requestId, { includeBody, maxBodyChars });
+    payload.bodyResourceUri = networkBodyUri(requestId);
 
     if (saveBodyPath && payload.body !== null) {
       const abs = await assertAllowedWritePath(saveBodyPath);
@@ -4202,6 +6577,395 @@ server.registerTool(
   }
 );
 
+const HAR_DIR = path.join(WORKSPACE_DIR, 'Auto', 'output', 'har');
+
+function parseTimeBound(value, label) {
+  if (!value) return undefined;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid ${label} timestamp "${value}". Use an ISO date such as 2025-01-31T09:00:00Z.`);
+  }
+  return ms;
+}
+
+server.registerTool(
+  'browser.export_har',
+  {
+    description:
+      'Write captured network traffic as a HAR 1.2 file (default Auto/output/har/network-<timestamp>.har). Filter by urlContains and since/until; includeBodies adds response bodies.',
+    inputSchema: {
+      path: z.string().optional(),
+      pageId: z.number().optional(),
+      allPages: z.boolean().optional(),
+      urlContains: z.string().optional(),
+      since: z.string().optional(),
+      until: z.string().optional(),
+      includeBodies: z.boolean().optional(),
+      maxBodyBytes: z.number().optional()
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      path: z.string(),
+      pages: z.number(),
+      entries: z.number(),
+      bodies: z.number(),
+      bytes: z.number()
+    })
+  },
+  async ({ path: targetPath, pageId, allPages, urlContains, since, until, includeBodies, maxBodyBytes }) => {
+    const sinceMs = parseTimeBound(since, 'since');
+    const untilMs = parseTimeBound(until, 'until');
+    const maxBytes = clampNumber(maxBodyBytes, 0, 50 * 1024 * 1024, 1024 * 1024);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const absPath = await assertAllowedWritePath(targetPath || path.join(HAR_DIR, `network-${stamp}.har`));
+
+    let targets;
+    if (allPages) {
+      targets = (await state.pageManager.listPages())
+        .filter((entry) => !entry.closed)
+        .map((entry) => ({ pageId: entry.pageId, page: state.pageManager.getPage(entry.pageId) }));
+    } else if (pageId !== undefined) {
+      const page = state.pageManager.getPage(pageId);
+      if (!page) throw new Error(`No open page for pageId ${pageId}. Run browser.list_pages.`);
+      targets = [{ pageId, page }];
+    } else {
+      const page = ensurePage();
+      targets = [{ pageId: getPageIdSafe(page), page }];
+    }
+
+    let bodies = 0;
+    const harPages = [];
+    for (const target of targets) {
+      const captured = await listNetworkEntries(target.page, { urlContains, since: sinceMs, until: untilMs });
+      const entries = [];
+      for (const entry of captured) {
+        let body;
+        // Redirect hops share the final requestId, so only the final response has a body to fetch.
+        if (includeBodies && entry.finished && !entry.failed && !entry.redirectHop) {
+          try {
+            const fetched = await getNetworkResponseBody(target.page, entry.requestId);
+            const size = fetched.base64Encoded ? Buffer.from(fetched.body, 'base64').length : Buffer.byteLength(fetched.body, 'utf8');
+            if (size > maxBytes) {
+              body = { omitted: `Body omitted: ${size} bytes exceeds maxBodyBytes (${maxBytes}).` };
+            } else {
+              body = { text: fetched.body, base64Encoded: fetched.base64Encoded };
+              bodies += 1;
+            }
+          } catch (error) {
+            body = { omitted: `Body unavailable: ${error?.message || error}` };
+          }
+        }
+        entries.push({ entry, body });
+      }
+      harPages.push({ id: `page_${target.pageId}`, title: await target.page.title().catch(() => ''), entries });
+    }
+
+    const har = buildHar(harPages, { creator: { name: SERVER_INFO.name, version: SERVER_INFO.version } });
+    const text = JSON.stringify(har, null, 2);
+    await ensureDir(absPath);
+    await fs.writeFile(absPath, text, 'utf8');
+    return respond({
+      status: 'exported',
+      path: absPath,
+      pages: har.log.pages.length,
+      entries: har.log.entries.length,
+      bodies,
+      bytes: Buffer.byteLength(text, 'utf8')
+    });
+  }
+);
+
+const HAR_NOT_FOUND_MODES = ['abort', 'continue', '404'];
+
+async function applyHarRoute(context, { path: harPath, url, notFound }) {
+  if (notFound === '404') {
+    // Routes run newest first, so this catch-all only sees requests the HAR route falls back on.
+    await context.route(url || '**/*', (route) =>
+      route.fulfill({ status: 404, contentType: 'text/plain', body: 'Not found in HAR.' })
+    );
+  }
+  await context.routeFromHAR(harPath, { url: url || undefined, notFound: notFound === 'abort' ? 'abort' : 'fallback' });
+}
+
+server.registerTool(
+  'browser.route_from_har',
+  {
+    description:
+      'Serve matching requests of the current context from a recorded HAR file (Playwright routeFromHAR). notFound decides what happens to requests the HAR lacks: abort (default), continue to the network, or 404.',
+    inputSchema: {
+      path: z.string(),
+      url: z.string().optional(),
+      notFound: z.enum(HAR_NOT_FOUND_MODES).optional()
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      path: z.string(),
+      payloadUrl: z.string().nullable(),
+      notFound: z.enum(HAR_NOT_FOUND_MODES),
+      entries: z.number(),
+      routes: z.number()
+    })
+  },
+  async ({ path: harPath, url, notFound }) => {
+    if (!state.context) {
+      throw new Error('Browser is not launched. Run browser.launch or browser.connect_cdp first.');
+    }
+    const absPath = await assertAllowedReadPath(harPath);
+    let har;
+    try {
+      har = JSON.parse(await fs.readFile(absPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read HAR file ${absPath}: ${error?.message || error}`);
+    }
+    if (!Array.isArray(har?.log?.entries)) {
+      throw new Error(`${absPath} is not a HAR file (missing log.entries).`);
+    }
+    const harRoute = { path: absPath, url: url || null, notFound: notFound || 'abort' };
+    await applyHarRoute(state.context, harRoute);
+    state.harRoutes.push(harRoute);
+    return respond({
+      status: 'routing',
+      path: absPath,
+      url: harRoute.url,
+      notFound: harRoute.notFound,
+      entries: har.log.entries.length,
+      routes: state.harRoutes.length
+    });
+  }
+);
+
+server.registerTool(
+  'browser.unroute_har',
+  {
+    description: 'Stop serving requests from HAR files added with browser.route_from_har; the context goes back to the network.',
+    inputSchema: {},
+    outputSchema: toolOutput({
+      status: z.string(),
+      removed: z.number()
+    })
+  },
+  async () => {
+    if (!state.context) {
+      throw new Error('Browser is not launched. Run browser.launch or browser.connect_cdp first.');
+    }
+    const removed = state.harRoutes.length;
+    await state.context.unrouteAll({ behavior: 'ignoreErrors' });
+    state.harRoutes = [];
+    // unrouteAll also dropped the route table's handler; browser.add_route rules and a blocking policy both need it back.
+    if (state.routeTable.size() || state.routeTable.blockingActive()) {
+      await state.routeTable.install(state.context, { force: true });
+    }
+    return respond({ status: 'unrouted', removed });
+  }
+);
+
+const ROUTE_RULE_SCHEMA = z.looseObject({
+  routeId: z.string(),
+  pattern: z.string(),
+  regex: z.boolean(),
+  method: z.string().nullable(),
+  action: z.enum(ROUTE_ACTIONS),
+  hits: z.number(),
+  times: z.number().nullable(),
+  createdAt: z.string()
+});
+
+server.registerTool(
+  'browser.add_route',
+  {
+    description:
+      'Intercept requests of the current context whose URL matches pattern (case-insensitive substring, or RegExp with regex=true). action: abort (errorCode), fulfill (status/body/headers/contentType) or continue with setHeaders/removeHeaders. Newest rule wins; times expires the rule after that many hits. Rules are cleared when the context is replaced.',
+    inputSchema: {
+      pattern: z.string().min(1),
+      regex: z.boolean().optional(),
+      method: z.string().optional(),
+      action: z.enum(ROUTE_ACTIONS),
+      status: z.number().int().min(100).max(599).optional(),
+      body: z.string().optional(),
+      headers: z.record(z.string(), z.string()).optional(),
+      contentType: z.string().optional(),
+      errorCode: z.enum(ABORT_ERROR_CODES).optional(),
+      setHeaders: z.record(z.string(), z.string()).optional(),
+      removeHeaders: z.array(z.string()).optional(),
+      times: z.number().int().positive().optional()
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      route: ROUTE_RULE_SCHEMA,
+      count: z.number()
+    })
+  },
+  async (args) => {
+    if (!state.context) {
+      throw new Error('Browser is not launched. Run browser.launch or browser.connect_cdp first.');
+    }
+    const allowed = {
+      abort: ['errorCode'],
+      fulfill: ['status', 'body', 'headers', 'contentType'],
+      continue: ['setHeaders', 'removeHeaders']
+    };
+    const misplaced = Object.entries(allowed)
+      .filter(([action]) => action !== args.action)
+      .flatMap(([, fields]) => fields)
+      .filter((field) => args[field] !== undefined);
+    if (misplaced.length) {
+      throw new Error(`${misplaced.join(', ')} cannot be used with action "${args.action}".`);
+    }
+    buildUrlMatcher(args.pattern, args.regex);
+    await state.routeTable.install(state.context);
+    const route = state.routeTable.add(args);
+    return respond({ status: 'added', route, count: state.routeTable.size() });
+  }
+);
+
+server.registerTool(
+  'browser.remove_route',
+  {
+    description: 'Remove an interception rule added with browser.add_route by routeId, or every rule with all=true.',
+    inputSchema: {
+      routeId: z.string().optional(),
+      all: z.boolean().optional()
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      removed: z.number(),
+      count: z.number()
+    })
+  },
+  async ({ routeId, all }) => {
+    if (!routeId && !all) {
+      throw new Error('Provide routeId or all=true.');
+    }
+    let removed;
+    if (all) {
+      removed = state.routeTable.clear();
+    } else {
+      removed = state.routeTable.remove(routeId);
+      if (!removed) throw new Error(`No route with routeId ${routeId}. Run browser.list_routes.`);
+    }
+    return respond({ status: 'removed', removed, count: state.routeTable.size() });
+  }
+);
+
+server.registerTool(
+  'browser.list_routes',
+  {
+    description: 'List the interception rules added with browser.add_route, with their hit counts.',
+    inputSchema: {},
+    outputSchema: toolOutput({
+      count: z.number(),
+      routes: z.array(ROUTE_RULE_SCHEMA)
+    })
+  },
+  async () => {
+    const routes = state.routeTable.list();
+    return respond({ count: routes.length, routes });
+  }
+);
+
+const NETWORK_CONDITIONS_OUTPUT = looseObject({
+  preset: z.string().nullable(),
+  offline: z.boolean(),
+  latencyMs: z.number(),
+  downloadKbps: z.number(),
+  uploadKbps: z.number()
+});
+
+// Context-scope throttling also covers pages opened later.
+function followContextNetworkConditions(session, context, conditions) {
+  if (!session.networkEmulation || session.networkEmulation.context !== context) {
+    // One listener per context; it reads the latest conditions, and stops once the context is replaced.
+    context.on('page', (page) => {
+      const active = session.networkEmulation;
+      if (active?.context !== context) return;
+      applyNetworkConditions(page, active.conditions).catch(() => {});
+    });
+  }
+  session.networkEmulation = { context, conditions };
+}
+
+server.registerTool(
+  'browser.emulate_network',
+  {
+    description:
+      'Throttle the network with CDP Network.emulateNetworkConditions. preset: No throttling, Slow 3G, Fast 3G, Slow 4G, Fast 4G or Offline; offline/latencyMs/downloadKbps/uploadKbps override it (-1 = unlimited). scope "page" (default) targets pageId or the active page; "context" targets every open page and pages opened later.',
+    inputSchema: {
+      preset: z.enum(NETWORK_PRESET_NAMES).optional(),
+      offline: z.boolean().optional(),
+      latencyMs: z.number().optional(),
+      downloadKbps: z.number().optional(),
+      uploadKbps: z.number().optional(),
+      scope: z.enum(['page', 'context']).optional(),
+      pageId: z.number().optional()
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      scope: z.enum(['page', 'context']),
+      pageIds: z.array(z.number()),
+      conditions: NETWORK_CONDITIONS_OUTPUT
+    })
+  },
+  async ({ preset, offline, latencyMs, downloadKbps, uploadKbps, scope, pageId }) => {
+    const conditions = resolveNetworkConditions({ preset, offline, latencyMs, downloadKbps, uploadKbps });
+    const resolvedScope = scope || 'page';
+    const session = getCurrentSession();
+    let pages;
+    if (resolvedScope === 'context') {
+      if (!state.context) {
+        throw new Error('Browser is not launched. Run browser.launch or browser.connect_cdp first.');
+      }
+      followContextNetworkConditions(session, state.context, conditions);
+      pages = state.context.pages();
+    } else if (pageId !== undefined) {
+      const page = state.pageManager.getPage(pageId);
+      if (!page) throw new Error(`No open page for pageId ${pageId}. Run browser.list_pages.`);
+      pages = [page];
+    } else {
+      pages = [ensurePage()];
+    }
+    for (const page of pages) {
+      await applyNetworkConditions(page, conditions);
+    }
+    return respond({
+      status: isThrottled(conditions) ? 'emulating' : 'cleared',
+      scope: resolvedScope,
+      pageIds: pages.map((page) => getPageIdSafe(page)).filter((id) => id !== null && id !== undefined),
+      conditions
+    });
+  }
+);
+
+server.registerTool(
+  'browser.set_blocking',
+  {
+    description:
+      'Block requests of the current context by resource type (image, media, font, stylesheet) and by host (suffix match). Requests from or to allowOrigins are never blocked. Replaces the current policy; empty lists turn blocking off. browser.add_route rules take precedence.',
+    inputSchema: {
+      resourceTypes: z.array(z.enum(BLOCKABLE_RESOURCE_TYPES)).optional(),
+      hosts: z.array(z.string()).optional(),
+      allowOrigins: z.array(z.string()).optional()
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      blocking: BLOCK_POLICY_OUTPUT,
+      blocked: BLOCKED_COUNTS_OUTPUT
+    })
+  },
+  async (policy) => {
+    if (!state.context) {
+      throw new Error('Browser is not launched. Run browser.launch or browser.connect_cdp first.');
+    }
+    state.routeTable.setBlocking(policy);
+    await applyRequestBlocking(getCurrentSession(), state.context);
+    const blocking = state.routeTable.blocking();
+    return respond({
+      status: blocking.active ? 'blocking' : 'off',
+      blocking,
+      blocked: state.routeTable.blockedCounts()
+    });
+  }
+);
+
 server.registerTool(
   'forms.google_audit',
   {
@@ -4209,7 +6973,21 @@ server.registerTool(
     inputSchema: {
       maxQuestions: z.number().optional(),
       maxAnswerChars: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      payloadUrl: z.string(),
+      payloadTitle: z.string(),
+      count: z.number(),
+      unansweredCount: z.number(),
+      missing: z.array(z.string()),
+      questions: looseArray({
+        index: z.number(),
+        title: z.string(),
+        type: z.string(),
+        answered: z.boolean(),
+        answer: z.union([z.string(), z.array(z.string()), z.record(z.string(), z.string())]).nullable()
+      })
+    })
   },
   async ({ maxQuestions, maxAnswerChars }) => {
     const page = ensurePage();
@@ -4348,7 +7126,13 @@ server.registerTool(
       value: z.string(),
       match: z.enum(['contains', 'exact']).optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      question: z.string(),
+      valueLength: z.number(),
+      actualLength: z.number()
+    })
   },
   async ({ question, value, match, timeoutMs }) => {
     const page = ensurePage();
@@ -4370,6 +7154,7 @@ server.registerTool(
     await field.scrollIntoViewIfNeeded();
     await field.fill(value, { timeout: timeoutMs || 30000 });
     const actual = await field.inputValue();
+    recordStep({ tool: 'forms.google_set_text', action: 'formText', question, exact: mode === 'exact', value });
 
     return respond({
       status: 'filled',
@@ -4389,7 +7174,14 @@ server.registerTool(
       option: z.string(),
       match: z.enum(['contains', 'exact']).optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.enum(['selected', 'failed']),
+      question: z.string(),
+      option: z.string(),
+      chosen: z.string(),
+      selectedLabels: z.array(z.string())
+    })
   },
   async ({ question, option, match, timeoutMs }) => {
     const page = ensurePage();
@@ -4445,6 +7237,9 @@ server.registerTool(
       .filter(Boolean);
     const chosen = selectedLabels.find((v) => !placeholders.has(v.toLowerCase())) || '';
     const ok = Boolean(chosen) && chosen.toLowerCase() === desired.toLowerCase();
+    if (ok) {
+      recordStep({ tool: 'forms.google_set_dropdown', action: 'formDropdown', question, exact: mode === 'exact', option });
+    }
 
     return respond({
       status: ok ? 'selected' : 'failed',
@@ -4466,7 +7261,15 @@ server.registerTool(
       checked: z.boolean().optional(),
       match: z.enum(['contains', 'exact']).optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.enum(['set', 'failed']),
+      question: z.string(),
+      option: z.string(),
+      desired: z.boolean(),
+      before: z.string(),
+      after: z.string()
+    })
   },
   async ({ question, option, checked, match, timeoutMs }) => {
     const page = ensurePage();
@@ -4493,6 +7296,9 @@ server.registerTool(
       await cb.click({ timeout: timeoutMs || 30000 });
     }
     const after = (await cb.getAttribute('aria-checked')) || 'false';
+    if (after === want) {
+      recordStep({ tool: 'forms.google_set_checkbox', action: 'formCheckbox', question, exact: mode === 'exact', option, checked: desired });
+    }
 
     return respond({
       status: after === want ? 'set' : 'failed',
@@ -4514,7 +7320,13 @@ server.registerTool(
       option: z.string(),
       match: z.enum(['contains', 'exact']).optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.enum(['selected', 'failed']),
+      question: z.string(),
+      option: z.string(),
+      ariaChecked: z.string().nullable()
+    })
   },
   async ({ question, option, match, timeoutMs }) => {
     const page = ensurePage();
@@ -4536,6 +7348,9 @@ server.registerTool(
     await radio.scrollIntoViewIfNeeded();
     await radio.click({ timeout: timeoutMs || 30000 });
     const after = (await radio.getAttribute('aria-checked')) || 'false';
+    if (after === 'true') {
+      recordStep({ tool: 'forms.google_set_radio', action: 'formRadio', question, exact: mode === 'exact', option });
+    }
 
     return respond({
       status: after === 'true' ? 'selected' : 'failed',
@@ -4556,7 +7371,15 @@ server.registerTool(
       column: z.string(),
       match: z.enum(['contains', 'exact']).optional(),
       timeoutMs: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.enum(['selected', 'failed']),
+      question: z.string(),
+      row: z.string(),
+      column: z.string(),
+      cellLabel: z.string(),
+      ariaChecked: z.string().nullable()
+    })
   },
   async ({ question, row, column, match, timeoutMs }) => {
     const page = ensurePage();
@@ -4579,6 +7402,9 @@ server.registerTool(
     await radio.scrollIntoViewIfNeeded();
     await radio.click({ timeout: timeoutMs || 30000 });
     const after = (await radio.getAttribute('aria-checked')) || 'false';
+    if (after === 'true') {
+      recordStep({ tool: 'forms.google_set_grid', action: 'formRadio', question, exact: mode === 'exact', option: cellLabel });
+    }
 
     return respond({
       status: after === 'true' ? 'selected' : 'failed',
@@ -4598,7 +7424,13 @@ server.registerTool(
     inputSchema: {
       path: z.string(),
       maxChars: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      path: z.string(),
+      length: z.number(),
+      text: z.string()
+    })
   },
   async ({ path: targetPath, maxChars }) => {
     const absPath = await assertAllowedReadPath(targetPath);
@@ -4652,7 +7484,14 @@ server.registerTool(
     inputSchema: {
       path: z.string(),
       maxChars: z.number().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      path: z.string(),
+      pages: z.number().nullable(),
+      length: z.number(),
+      text: z.string()
+    })
   },
   async ({ path: targetPath, maxChars }) => {
     const absPath = await assertAllowedReadPath(targetPath);
@@ -4706,7 +7545,21 @@ server.registerTool(
       maxDepth: z.number().optional(),
       limit: z.number().optional(),
       includeDirs: z.boolean().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      path: z.string(),
+      recursive: z.boolean(),
+      maxDepth: z.number(),
+      pattern: z.string().nullable(),
+      count: z.number(),
+      items: looseArray({
+        relPath: z.string(),
+        name: z.string(),
+        kind: z.enum(['dir', 'file']),
+        sizeBytes: z.number().nullable()
+      })
+    })
   },
   async ({ path: targetPath, pattern, recursive, maxDepth, limit, includeDirs }) => {
     const absPath = await assertAllowedReadPath(targetPath);
@@ -4790,7 +7643,12 @@ server.registerTool(
     inputSchema: {
       path: z.string(),
       text: z.string()
-    }
+    },
+    outputSchema: toolOutput({
+      status: z.string(),
+      path: z.string(),
+      length: z.number()
+    })
   },
   async ({ path: targetPath, text }) => {
     const absPath = await assertAllowedWritePath(targetPath);
@@ -4807,30 +7665,54 @@ server.registerTool(
     inputSchema: {
       limit: z.number().optional(),
       saveDir: z.string().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      blocked: z.boolean(),
+      authRequired: z.boolean(),
+      message: z.string(),
+      count: z.number(),
+      jobs: looseArray({
+        title: z.string(),
+        company: z.string(),
+        location: z.string(),
+        salary: z.string(),
+        summary: z.string(),
+        url: z.string()
+      }),
+      saved: looseObject({ dir: z.string(), files: z.array(z.string()) })
+    })
   },
-  async ({ limit, saveDir }) => {
+  async ({ limit, saveDir }, extra) => {
     const page = ensurePage();
-    const access = await detectIndeedAccessIssue(page);
-    if (access.blocked || access.authRequired) {
-      return respond({
-        blocked: access.blocked,
-        authRequired: access.authRequired,
-        message:
-          access.message ||
-          'Indeed access issue detected. Try headful mode, a logged-in profile, or a different network/IP.'
-      });
-    }
-    const jobs = await extractIndeedJobs(page, { limit: limit || 20 });
-    const result = { count: jobs.length, jobs };
+    const signal = extra?.signal;
+    const progress = startProgress(extra, { message: 'Checking Indeed access' });
+    try {
+      const access = await detectIndeedAccessIssue(page, { signal });
+      if (access.blocked || access.authRequired) {
+        return respond({
+          blocked: access.blocked,
+          authRequired: access.authRequired,
+          message:
+            access.message ||
+            'Indeed access issue detected. Try headful mode, a logged-in profile, or a different network/IP.'
+        });
+      }
+      progress.report('Extracting job cards');
+      const jobs = await extractIndeedJobs(page, { limit: limit || 20, signal });
+      const result = { count: jobs.length, jobs };
+
+      if (saveDir) {
+        throwIfAborted(signal);
+        progress.report(`Saving ${jobs.length} jobs`);
+        const absDir = await assertAllowedWritePath(saveDir);
+        const saved = await saveJobsToTxt(jobs, absDir);
+        return respond({ ...result, saved });
+      }
 
-    if (saveDir) {
-      const absDir = await assertAllowedWritePath(saveDir);
-      const saved = await saveJobsToTxt(jobs, absDir);
-      return respond({ ...result, saved });
+      return respond(result);
+    } finally {
+      progress.stop();
     }
-
-    return respond(result);
   }
 );
 
@@ -4840,7 +7722,13 @@ server.registerTool(
     description: 'Go to the next Indeed results page (direct URL by default, with optional click mode).',
     inputSchema: {
       mode: z.enum(['direct', 'click', 'auto']).optional()
-    }
+    },
+    outputSchema: toolOutput({
+      clicked: z.boolean(),
+      navigated: z.boolean(),
+      payloadUrl: z.string(),
+      start: z.number()
+    })
   },
   async ({ mode }) => {
     const page = ensurePage();
@@ -4894,7 +7782,14 @@ server.registerTool(
     inputSchema: {
       limit: z.number().optional(),
       saveDir: z.string().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      blocked: z.boolean(),
+      message: z.string(),
+      count: z.number(),
+      results: looseArray({ title: z.string(), url: z.string(), snippet: z.string() }),
+      saved: looseObject({ dir: z.string(), files: z.array(z.string()) })
+    })
   },
   async ({ limit, saveDir }) => {
     const page = ensurePage();
@@ -4926,7 +7821,15 @@ server.registerTool(
       query: z.string(),
       limit: z.number().optional(),
       saveDir: z.string().optional()
-    }
+    },
+    outputSchema: toolOutput({
+      query: z.string(),
+      blocked: z.boolean(),
+      message: z.string(),
+      count: z.number(),
+      results: looseArray({ title: z.string(), url: z.string(), snippet: z.string() }),
+      saved: looseObject({ dir: z.string(), files: z.array(z.string()) })
+    })
   },
   async ({ query, limit, saveDir }) => {
     const page = ensurePage();
@@ -4954,10 +7857,77 @@ server.registerTool(
   }
 );
 
+function resolveTransportMode(value) {
+  const mode = String(value || 'stdio').trim().toLowerCase();
+  if (mode === 'http' || mode === 'both') return mode;
+  return 'stdio';
+}
+
+// Traces are only written when tracing stops, so a server that exits with sessions still open would drop them.
+async function finishActiveTraces() {
+  for (const session of [...sessions.values()]) {
+    await finishSessionTrace(session);
+  }
+}
+
+let shutdownPromise = null;
+
+function shutdown(exitCode = 0) {
+  if (!shutdownPromise) {
+    const timer = setTimeout(() => process.exit(exitCode), SHUTDOWN_TIMEOUT_MS);
+    timer.unref?.();
+    shutdownPromise = finishActiveTraces()
+      .catch(() => {})
+      .then(() => process.exit(exitCode));
+  }
+  return shutdownPromise;
+}
+
+function installShutdownHooks() {
+  process.once('SIGINT', () => void shutdown(130));
+  process.once('SIGTERM', () => void shutdown(143));
+}
+
+function startIdleSessionSweep(idleMs, httpTransport) {
+  if (!Number.isFinite(idleMs) || idleMs <= 0) return;
+  const timer = setInterval(() => {
+    void cleanupIdleSessions(idleMs, httpTransport.closeSession).catch(() => {});
+  }, Math.min(idleMs, SESSION_SWEEP_INTERVAL_MS));
+  timer.unref?.();
+}
+
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.log('MCP Playwright browser server running...');
+  const mode = resolveTransportMode(ENV_DEFAULTS.transport);
+  installShutdownHooks();
+  if (mode !== 'http') {
+    const transport = new StdioServerTransport();
+    getOrCreateSession(DEFAULT_SESSION_ID).server = server;
+    await server.connect(transport);
+    // The stdio transport does not notice a closed stdin by itself. Without HTTP clients to serve, the stdio
+    // client going away ends the server; otherwise only its own session's trace is finished.
+    server.server.onclose = () => {
+      if (mode === 'stdio') void shutdown(0);
+      else void finishSessionTrace(getOrCreateSession(DEFAULT_SESSION_ID)).catch(() => {});
+    };
+    process.stdin.once('end', () => void transport.close());
+    console.log('MCP Playwright browser server running...');
+  }
+  if (mode !== 'stdio') {
+    const httpTransport = await startHttpTransport({
+      createServer: createSessionServer,
+      host: ENV_DEFAULTS.httpHost,
+      port: ENV_DEFAULTS.httpPort,
+      token: ENV_DEFAULTS.httpToken,
+      allowedHosts: ENV_DEFAULTS.httpAllowedHosts,
+      onSessionCreated: (sessionId, sessionServer) => {
+        getOrCreateSession(sessionId).server = sessionServer;
+      },
+      onSessionClosed: (sessionId) => disposeSession(sessionId)
+    });
+    startIdleSessionSweep(ENV_DEFAULTS.sessionIdleMs ?? DEFAULT_SESSION_IDLE_MS, httpTransport);
+    // stderr keeps the stdio protocol stream clean when both transports run together.
+    console.error(`MCP Playwright browser server listening on ${httpTransport.url} (legacy SSE: ${httpTransport.sseUrl})`);
+  }
 }
 
 main().catch((error) => {
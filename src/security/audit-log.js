@@ -0,0 +1,195 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// Append-only JSONL audit log of tool calls.
+// One file per UTC day (audit-YYYY-MM-DD.jsonl); a day that outgrows maxFileBytes continues in
+// audit-YYYY-MM-DD.1.jsonl, .2.jsonl, ... and the oldest files are pruned beyond maxFiles.
+
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /pass(word|wd|phrase)?|secret|token|cookie|authorization|api[-_]?key|credential|otp|cvv/i;
+// Field labels that mark a sibling text/value as sensitive (e.g. { label: 'Password', value: '...' }).
+const SENSITIVE_HINT = /pass(word|wd)?|secret|otp|one-time|cvv|security code/i;
+const SENSITIVE_VALUE_KEYS = new Set(['text', 'value', 'values']);
+const MAX_STRING_CHARS = 500;
+const MAX_ARRAY_ITEMS = 50;
+const MAX_DEPTH = 6;
+
+// True for labels, names or selectors that suggest the value typed next to them is a secret.
+export function looksSensitive(text) {
+  return typeof text === 'string' && SENSITIVE_HINT.test(text);
+}
+
+// Password fields are often reached by uid/elementId alone, with no hint in the args; the caller resolves the
+// field's type/autocomplete attributes and checks them here.
+export function isSecretInput(input) {
+  if (!input) return false;
+  return String(input.type || '').toLowerCase() === 'password' || /password/i.test(String(input.autocomplete || ''));
+}
+
+// Masks the typed value of one call whose target turned out to be a secret field.
+export function redactSecretValues(args) {
+  const out = { ...args };
+  for (const key of SENSITIVE_VALUE_KEYS) {
+    if (key in out) out[key] = REDACTED;
+  }
+  return out;
+}
+
+function truncateString(value) {
+  if (value.length <= MAX_STRING_CHARS) return value;
+  return `${value.slice(0, MAX_STRING_CHARS)}... [${value.length - MAX_STRING_CHARS} more chars]`;
+}
+
+export function redactArgs(value, depth = 0) {
+  if (typeof value === 'string') return truncateString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[…]';
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map((item) => redactArgs(item, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) items.push(`[${value.length - MAX_ARRAY_ITEMS} more items]`);
+    return items;
+  }
+  const hinted = Object.entries(value).some(
+    ([key, item]) => !SENSITIVE_VALUE_KEYS.has(key) && looksSensitive(item)
+  );
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SENSITIVE_KEY.test(key) || (hinted && SENSITIVE_VALUE_KEYS.has(key))) {
+      out[key] = REDACTED;
+    } else {
+      out[key] = redactArgs(item, depth + 1);
+    }
+  }
+  return out;
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function fileNameFor(day, part) {
+  return part ? `audit-${day}.${part}.jsonl` : `audit-${day}.jsonl`;
+}
+
+function compareFiles(a, b) {
+  if (a.day !== b.day) return a.day < b.day ? -1 : 1;
+  return a.part - b.part;
+}
+
+export function createAuditLog({ dir, maxFileBytes = 10 * 1024 * 1024, maxFiles = 30, enabled = true, now = () => new Date() } = {}) {
+  let current = null; // { day, part, bytes }
+  let queue = Promise.resolve();
+  let lastError = null;
+
+  const listFiles = async () => {
+    let names = [];
+    try {
+      names = await fs.readdir(dir);
+    } catch {
+      return [];
+    }
+    const files = [];
+    for (const name of names) {
+      const match = FILE_PATTERN.exec(name);
+      if (match) files.push({ name, day: match[1], part: Number(match[2] || 0) });
+    }
+    return files.sort(compareFiles);
+  };
+
+  const prune = async () => {
+    const files = await listFiles();
+    const excess = files.length - maxFiles;
+    for (const file of files.slice(0, Math.max(0, excess))) {
+      await fs.rm(path.join(dir, file.name), { force: true });
+    }
+  };
+
+  // Picks the file for today, resuming after a restart from the highest part already on disk.
+  const resolveTarget = async (lineBytes) => {
+    const day = dayKey(now());
+    if (!current || current.day !== day) {
+      await fs.mkdir(dir, { recursive: true });
+      const todays = (await listFiles()).filter((file) => file.day === day);
+      const last = todays[todays.length - 1];
+      let bytes = 0;
+      if (last) {
+        try {
+          bytes = (await fs.stat(path.join(dir, last.name))).size;
+        } catch {
+          bytes = 0;
+        }
+      }
+      current = { day, part: last ? last.part : 0, bytes };
+    }
+    if (current.bytes > 0 && current.bytes + lineBytes > maxFileBytes) {
+      current = { day, part: current.part + 1, bytes: 0 };
+    }
+    return path.join(dir, fileNameFor(current.day, current.part));
+  };
+
+  const write = async (entry) => {
+    const line = `${JSON.stringify(entry)}\n`;
+    const lineBytes = Buffer.byteLength(line);
+    const target = await resolveTarget(lineBytes);
+    const startsFile = current.bytes === 0;
+    await fs.appendFile(target, line, 'utf8');
+    current.bytes += lineBytes;
+    if (startsFile) await prune();
+  };
+
+  // Writes are serialized so rotation decisions and line order stay consistent; failures never reach the tool call.
+  const record = (entry) => {
+    if (!enabled) return;
+    queue = queue
+      .then(() => write(entry))
+      .catch((error) => {
+        lastError = error;
+      });
+  };
+
+  const flush = () => queue;
+
+  // Newest entries first. Reads files newest-to-oldest and stops once `limit` matches are found.
+  const query = async ({ limit = 50, toolName, sessionId, errorsOnly = false, since } = {}) => {
+    await flush();
+    const sinceMs = since ? Date.parse(since) : NaN;
+    const matches = [];
+    const files = (await listFiles()).reverse();
+    for (const file of files) {
+      if (!Number.isNaN(sinceMs) && file.day < dayKey(new Date(sinceMs))) break;
+      let text = '';
+      try {
+        text = await fs.readFile(path.join(dir, file.name), 'utf8');
+      } catch {
+        continue;
+      }
+      const lines = text.split('\n');
+      for (let i = lines.length - 1; i >= 0; i -= 1) {
+        if (!lines[i]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch {
+          continue;
+        }
+        if (toolName && entry.tool !== toolName) continue;
+        if (sessionId && entry.sessionId !== sessionId) continue;
+        if (errorsOnly && entry.ok) continue;
+        if (!Number.isNaN(sinceMs) && Date.parse(entry.ts) < sinceMs) continue;
+        matches.push(entry);
+        if (matches.length >= limit) return { entries: matches, files: files.length };
+      }
+    }
+    return { entries: matches, files: files.length };
+  };
+
+  return {
+    dir,
+    enabled,
+    record,
+    flush,
+    query,
+    getLastError: () => (lastError ? String(lastError.message || lastError) : null)
+  };
+}
@@ -26,6 +26,11 @@ export const ALLOWED_WRITE_DIRS = [
   path.resolve(path.join(WORKSPACE_DIR, 'Auto', 'logs'))
 ];
 
+// The audit log is append-only from the server's side; no tool may rewrite or delete it.
+export const AUDIT_LOG_DIR = path.resolve(path.join(WORKSPACE_DIR, 'Auto', 'logs', 'audit'));
+
+const DENIED_WRITE_DIRS = [AUDIT_LOG_DIR];
+
 function isPathWithin(parentDir, targetPath) {
   const rel = path.relative(parentDir, targetPath);
   if (!rel) return true;
@@ -51,6 +56,10 @@ export async function assertAllowedReadPath(targetPath) {
 
 export async function assertAllowedWritePath(targetPath) {
   const abs = path.resolve(targetPath);
+  const real = await resolveRealPath(abs);
+  if (DENIED_WRITE_DIRS.some((dir) => isPathWithin(dir, abs) || isPathWithin(dir, real))) {
+    throw new Error(`Writing this path is not allowed: ${abs}`);
+  }
   for (const baseDir of ALLOWED_WRITE_DIRS) {
     if (isPathWithin(baseDir, abs)) return abs;
   }
@@ -0,0 +1,170 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+import { createAuditLog, redactArgs } from '../security/audit-log.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+// Nothing in these fields' names or labels says "password"; only the type/autocomplete attributes do.
+const LOGIN_HTML = `<!doctype html><title>Login</title>
+  <label for="user">User</label><input id="user">
+  <label for="code">Access key</label><input id="code" type="password">
+  <label for="pin">PIN</label><input id="pin" autocomplete="current-password">`;
+
+function entry(i, extra = {}) {
+  return {
+    ts: new Date(Date.UTC(2025, 0, 1, 0, 0, i)).toISOString(),
+    requestId: `req-${i}`,
+    sessionId: 'default',
+    tool: i % 2 ? 'browser.click' : 'browser.goto',
+    args: {},
+    durationMs: 5,
+    ok: i % 3 !== 0,
+    errorCode: i % 3 !== 0 ? null : 'TIMEOUT',
+    pageId: 1,
+    url: 'https://example.com/',
+    domVersion: 'p1:main@1',
+    ...extra
+  };
+}
+
+async function main() {
+  const redacted = redactArgs({
+    url: 'https://example.com',
+    password: 'hunter2',
+    cookies: [{ name: 'sid', value: 'abc' }],
+    fields: [
+      { label: 'Password', value: 'hunter2' },
+      { label: 'Email', value: 'ada@example.com' }
+    ],
+    selector: 'input[type=password]',
+    text: 'hunter2',
+    expression: 'x'.repeat(2000)
+  });
+  assert.equal(redacted.url, 'https://example.com');
+  assert.equal(redacted.password, '[REDACTED]');
+  assert.equal(redacted.cookies, '[REDACTED]');
+  assert.equal(redacted.fields[0].value, '[REDACTED]');
+  assert.equal(redacted.fields[1].value, 'ada@example.com');
+  assert.equal(redacted.text, '[REDACTED]');
+  assert.ok(redacted.expression.length < 600);
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-audit-'));
+  let now = new Date('2025-01-01T12:00:00Z');
+  const log = createAuditLog({ dir, maxFileBytes: 1024, maxFiles: 3, now: () => now });
+
+  for (let i = 0; i < 12; i += 1) log.record(entry(i));
+  await log.flush();
+  let files = (await fs.readdir(dir)).sort();
+  assert.ok(files.length > 1, 'size cap rolls over to a new part');
+  assert.ok(files.length <= 3, 'old parts are pruned');
+  for (const file of files) {
+    assert.match(file, /^audit-2025-01-01(\.\d+)?\.jsonl$/);
+    assert.ok((await fs.stat(path.join(dir, file))).size <= 1024);
+  }
+
+  now = new Date('2025-01-02T08:00:00Z');
+  log.record(entry(20, { ts: now.toISOString() }));
+  await log.flush();
+  files = (await fs.readdir(dir)).sort();
+  assert.ok(files.includes('audit-2025-01-02.jsonl'), 'a new day starts a new file');
+  assert.ok(files.length <= 3);
+
+  const latest = await log.query({ limit: 3 });
+  assert.equal(latest.entries.length, 3);
+  assert.equal(latest.entries[0].requestId, 'req-20', 'newest entry first');
+  assert.equal(latest.entries[1].requestId, 'req-11');
+
+  const errors = await log.query({ errorsOnly: true, limit: 100 });
+  assert.ok(errors.entries.length > 0);
+  assert.ok(errors.entries.every((item) => item.ok === false && item.errorCode === 'TIMEOUT'));
+
+  const clicks = await log.query({ toolName: 'browser.click', limit: 100 });
+  assert.ok(clicks.entries.every((item) => item.tool === 'browser.click'));
+
+  const recent = await log.query({ since: '2025-01-02T00:00:00Z', limit: 100 });
+  assert.deepEqual(recent.entries.map((item) => item.requestId), ['req-20']);
+
+  // A restarted server resumes today's file instead of starting over at part 0.
+  const resumed = createAuditLog({ dir, maxFileBytes: 1024, maxFiles: 3, now: () => now });
+  resumed.record(entry(21, { ts: now.toISOString() }));
+  await resumed.flush();
+  const after = await resumed.query({ limit: 2 });
+  assert.deepEqual(after.entries.map((item) => item.requestId), ['req-21', 'req-20']);
+
+  const disabled = createAuditLog({ dir: path.join(dir, 'off'), enabled: false });
+  disabled.record(entry(1));
+  await disabled.flush();
+  await assert.rejects(fs.stat(path.join(dir, 'off')));
+
+  await fs.rm(dir, { recursive: true, force: true });
+  await serverRedaction();
+  console.log('PASS audit-log-test');
+}
+
+// fill/type aimed at a password field by uid or elementId carry no hint in their args; the server inspects the target.
+async function serverRedaction() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-audit-server-'));
+  const fixture = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(LOGIN_HTML);
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+
+  const client = new Client({ name: 'audit-log-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'true' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+
+  await call('browser.launch', { headless: true });
+  await call('browser.goto', { url: `http://127.0.0.1:${fixture.address().port}/` });
+  const snapshot = await call('browser.take_snapshot');
+  const uidFor = (name) => snapshot.nodes.find((node) => node.role === 'textbox' && node.name === name).uid;
+  const listed = await call('browser.list', { includeSelectors: true });
+  const pinId = listed.items.find((item) => item.selector === '#pin').id;
+
+  assert.equal((await call('browser.fill', { uid: uidFor('User'), text: 'ada' })).ok, true);
+  assert.equal((await call('browser.fill', { uid: uidFor('Access key'), text: 'hunter2' })).ok, true);
+  assert.equal((await call('browser.type', { elementId: pinId, text: '4321' })).ok, true);
+  assert.equal((await call('browser.fill', { selector: '#code', text: 'selector-secret' })).ok, true);
+  const batch = await call('browser.batch', { actions: [{ tool: 'browser.fill', args: { uid: uidFor('Access key'), text: 'hunter3' } }] });
+  assert.equal(batch.ok, true, batch.error?.message);
+  const script = await call('browser.run_script', { steps: [{ tool: 'browser.fill', args: { uid: uidFor('Access key'), text: 'script-secret' } }] });
+  assert.equal(script.ok, true, script.error?.message);
+
+  const { entries } = await call('browser.get_audit_log', { limit: 20 });
+  const byTool = (tool) => entries.filter((entry) => entry.tool === tool).reverse();
+  const [userFill, keyFill] = byTool('browser.fill');
+  assert.equal(userFill.args.text, 'ada', 'ordinary fields stay readable');
+  assert.equal(keyFill.args.text, '[REDACTED]', 'type=password by uid');
+  assert.equal(byTool('browser.type')[0].args.text, '[REDACTED]', 'autocomplete=current-password by elementId');
+  assert.equal(byTool('browser.fill')[2].args.text, '[REDACTED]', 'type=password by selector');
+  assert.equal(byTool('browser.batch')[0].args.actions[0].args.text, '[REDACTED]');
+  assert.equal(byTool('browser.run_script')[0].args.steps[0].args.text, '[REDACTED]');
+  const raw = (await fs.readdir(path.join(workspace, 'Auto', 'logs', 'audit'))).map((name) => path.join(workspace, 'Auto', 'logs', 'audit', name));
+  for (const file of raw) {
+    const text = await fs.readFile(file, 'utf8');
+    assert.ok(!/hunter|4321|script-secret|selector-secret/.test(text), 'no secret reaches the log file');
+  }
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
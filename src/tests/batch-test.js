@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+const FIELD_COUNT = 20;
+
+const FIXTURE_HTML = `<!doctype html>
+<html>
+  <head><title>Batch Fixture</title></head>
+  <body>
+    <form onsubmit="event.preventDefault(); document.getElementById('out').textContent = 'submitted';">
+      ${Array.from({ length: FIELD_COUNT }, (_, i) => `<input id="f${i}" />`).join('\n      ')}
+      <button id="submit">Submit</button>
+    </form>
+    <div id="out"></div>
+  </body>
+</html>`;
+
+async function main() {
+  const fixture = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(FIXTURE_HTML);
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'batch-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_ALLOW_EVALUATE: 'true', MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+
+  await call('browser.launch', { headless: true });
+  await call('browser.goto', { url: baseUrl });
+
+  const fills = Array.from({ length: FIELD_COUNT }, (_, i) => ({
+    tool: 'browser.fill',
+    args: { selector: `#f${i}`, text: `value ${i}` }
+  }));
+  const filled = await call('browser.batch', { actions: [...fills, { tool: 'browser.click', args: { selector: '#submit' } }] });
+  assert.equal(filled.ok, true);
+  assert.equal(filled.status, 'completed');
+  assert.equal(filled.total, FIELD_COUNT + 1);
+  assert.equal(filled.succeeded, FIELD_COUNT + 1);
+  assert.equal(filled.url, baseUrl, 'one combined envelope carries the page state');
+  assert.equal(filled.results[0].result, undefined, 'results are compact unless includeResults is set');
+
+  const out = await call('browser.extract_text', { selector: '#out' });
+  assert.equal(out.text, 'submitted');
+  const last = await call('browser.evaluate', { expression: `() => document.getElementById('f${FIELD_COUNT - 1}').value` });
+  assert.equal(last.result, `value ${FIELD_COUNT - 1}`);
+
+  const continued = await call('browser.batch', {
+    actions: [
+      { tool: 'browser.click', args: { selector: '#missing', timeoutMs: 1000 }, onError: 'continue' },
+      { tool: 'browser.fill', args: { selector: '#f0', text: 'after error' } }
+    ],
+    includeResults: true
+  });
+  assert.equal(continued.status, 'completed-with-errors');
+  assert.equal(continued.failed, 1);
+  assert.equal(continued.results[0].error.code, 'TIMEOUT');
+  assert.equal(continued.results[1].ok, true);
+  assert.equal(continued.results[1].result.status, 'filled');
+
+  const stopped = await call('browser.batch', {
+    actions: [
+      { tool: 'browser.click', args: { selector: '#missing', timeoutMs: 1000 } },
+      { tool: 'browser.fill', args: { selector: '#f0', text: 'never' } }
+    ]
+  });
+  assert.equal(stopped.status, 'stopped');
+  assert.equal(stopped.stoppedAt, 1);
+  assert.equal(stopped.results[1].skipped, true);
+  const first = await call('browser.evaluate', { expression: "() => document.getElementById('f0').value" });
+  assert.equal(first.result, 'after error', 'actions after a stop are not run');
+
+  const denied = await call('browser.batch', { actions: [{ tool: 'files.write_text', args: { path: 'x', text: 'y' } }] });
+  assert.equal(denied.ok, false);
+  assert.equal(denied.error.code, 'PERMISSION');
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  console.log('PASS batch-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+// 1x1 transparent GIF.
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+function fixtureHtml(port) {
+  return `<!doctype html>
+<html><head><title>Blocking Fixture</title><link rel="stylesheet" href="/style.css"></head><body>
+  <h1>Jobs</h1>
+  <img src="/logo.gif">
+  <img src="http://localhost:${port}/cdn.gif">
+</body></html>`;
+}
+
+async function main() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-blocking-'));
+  let hits = [];
+  const fixture = http.createServer((req, res) => {
+    hits.push(`${req.headers.host.split(':')[0]}${req.url}`);
+    if (req.url.endsWith('.gif')) {
+      res.writeHead(200, { 'Content-Type': 'image/gif' });
+      res.end(PIXEL);
+    } else if (req.url === '/style.css') {
+      res.writeHead(200, { 'Content-Type': 'text/css' });
+      res.end('h1 { color: red; }');
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(fixtureHtml(fixture.address().port));
+    }
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const port = fixture.address().port;
+  const baseUrl = `http://127.0.0.1:${port}/`;
+  const otherUrl = `http://localhost:${port}/`;
+
+  const client = new Client({ name: 'blocking-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+  const load = async (url) => {
+    hits = [];
+    await call('browser.goto', { url, waitUntil: 'load' });
+  };
+
+  const launched = await call('browser.launch', { headless: true, block: { resourceTypes: ['image', 'stylesheet'] } });
+  assert.equal(launched.ok, true, launched.error?.message);
+  assert.deepEqual(launched.blocking, { resourceTypes: ['image', 'stylesheet'], hosts: [], allowOrigins: [], active: true });
+
+  await load(baseUrl);
+  assert.deepEqual(hits, ['127.0.0.1/'], 'images and stylesheets never reach the server');
+  const network = await call('browser.list_network_requests');
+  assert.deepEqual(network.blocked, {
+    total: 3,
+    byType: { stylesheet: 1, image: 2 },
+    byHost: { '127.0.0.1': 2, localhost: 1 }
+  });
+  const logo = network.requests.find((entry) => entry.url.endsWith('/logo.gif'));
+  assert.equal(logo.blocked, true);
+  assert.equal(network.requests.find((entry) => entry.url === baseUrl).blocked, false);
+
+  // Host list: only the CDN host is dropped, whatever the resource type.
+  const byHost = await call('browser.set_blocking', { hosts: ['LOCALHOST'] });
+  assert.equal(byHost.status, 'blocking');
+  assert.deepEqual(byHost.blocking.hosts, ['localhost']);
+  await load(baseUrl);
+  assert.deepEqual(hits.sort(), ['127.0.0.1/', '127.0.0.1/logo.gif', '127.0.0.1/style.css']);
+  assert.equal((await call('browser.list_network_requests')).blocked.byHost.localhost, 2);
+
+  // Exceptions apply to requests made by an allowed page as well as requests to it.
+  await call('browser.set_blocking', { resourceTypes: ['image'], allowOrigins: [baseUrl] });
+  await load(baseUrl);
+  assert.ok(hits.includes('localhost/cdn.gif'), 'allowed page loads its third-party images');
+  await load(otherUrl);
+  assert.ok(!hits.includes('localhost/logo.gif'), 'other pages still have images blocked');
+  assert.ok(!hits.includes('localhost/cdn.gif'));
+
+  // Explicit interception rules win over the blocking policy.
+  await call('browser.add_route', { pattern: '/logo.gif', action: 'continue', setHeaders: { 'X-Allowed': '1' } });
+  await load(otherUrl);
+  assert.ok(hits.includes('localhost/logo.gif'));
+  assert.ok(!hits.includes('localhost/cdn.gif'));
+  await call('browser.remove_route', { all: true });
+
+  // unroute_har clears every context route; the blocking policy has to come back without any add_route rules.
+  const harPath = path.join(workspace, 'Auto', 'output', 'empty.har');
+  await fs.mkdir(path.dirname(harPath), { recursive: true });
+  await fs.writeFile(harPath, JSON.stringify({ log: { version: '1.2', creator: { name: 'blocking-test', version: '1.0.0' }, entries: [] } }));
+  await call('browser.route_from_har', { path: harPath, url: '**/never-recorded/**' });
+  assert.equal((await call('browser.unroute_har')).removed, 1);
+  await load(otherUrl);
+  assert.ok(hits.includes('localhost/style.css'));
+  assert.ok(!hits.includes('localhost/logo.gif'), 'images stay blocked after unroute_har');
+
+  const off = await call('browser.set_blocking', { resourceTypes: [] });
+  assert.equal(off.status, 'off');
+  await load(otherUrl);
+  assert.deepEqual(hits.sort(), ['localhost/', 'localhost/cdn.gif', 'localhost/logo.gif', 'localhost/style.css']);
+
+  // A relaunch without block starts with blocking off and fresh counters.
+  const relaunched = await call('browser.launch', { headless: true });
+  assert.equal(relaunched.blocking.active, false);
+  await load(baseUrl);
+  assert.equal(hits.length, 4);
+  assert.equal((await call('browser.list_network_requests')).blocked.total, 0);
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+  console.log('PASS blocking-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
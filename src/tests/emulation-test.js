@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+import { buildContextOptions, needsNewContext, validateEmulation } from '../browser/emulation.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+const FIXTURE_HTML = `<!doctype html>
+<html><head><meta name="viewport" content="width=device-width"><title>Emulation Fixture</title></head><body>
+  <pre id="info"></pre>
+  <button id="locate" onclick="locate()">Locate</button>
+  <p id="geo"></p>
+  <script>
+    localStorage.setItem('visits', String(Number(localStorage.getItem('visits') || 0) + 1));
+    document.getElementById('info').textContent = JSON.stringify({
+      userAgent: navigator.userAgent,
+      language: navigator.language,
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      width: window.innerWidth,
+      touch: 'ontouchstart' in window,
+      dark: matchMedia('(prefers-color-scheme: dark)').matches,
+      reducedMotion: matchMedia('(prefers-reduced-motion: reduce)').matches,
+      cookie: document.cookie,
+      visits: Number(localStorage.getItem('visits')),
+      webdriver: navigator.webdriver === true,
+      platform: navigator.platform
+    });
+    function locate() {
+      navigator.geolocation.getCurrentPosition(
+        (pos) => { document.getElementById('geo').textContent = 'at ' + pos.coords.latitude + ',' + pos.coords.longitude; },
+        (err) => { document.getElementById('geo').textContent = 'error ' + err.code; }
+      );
+    }
+  </script>
+</body></html>`;
+
+function checkBuilder() {
+  const pixel = buildContextOptions({ device: 'Pixel 7' }, { defaultViewport: { width: 1280, height: 720 } });
+  assert.equal(pixel.isMobile, true);
+  assert.deepEqual(pixel.viewport, { width: 412, height: 839 });
+  assert.equal(pixel.defaultBrowserType, undefined);
+  const overridden = buildContextOptions({ device: 'pixel 7', viewport: { width: 500, height: 900 }, geolocation: { latitude: 1, longitude: 2 } });
+  assert.deepEqual(overridden.viewport, { width: 500, height: 900 });
+  assert.deepEqual(overridden.permissions, ['geolocation']);
+  assert.equal(needsNewContext({ locale: 'en-US' }, { locale: 'en-US', geolocation: { latitude: 1, longitude: 2 } }), false);
+  assert.equal(needsNewContext({ locale: 'en-US' }, { locale: 'de-DE' }), true);
+  assert.throws(() => validateEmulation({ device: 'Pixel 99' }), /Unknown device "Pixel 99". Similar: Pixel/);
+  assert.throws(() => validateEmulation({ timezoneId: 'Mars/Olympus' }), /Unknown timezoneId/);
+  assert.throws(() => validateEmulation({ geolocation: { latitude: 91, longitude: 0 } }), /latitude/);
+}
+
+async function checkServer() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-emulation-'));
+  const fixture = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(FIXTURE_HTML);
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'emulation-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+  const info = async () => JSON.parse((await call('browser.extract_text', { selector: '#info' })).text);
+
+  const launched = await call('browser.launch', {
+    headless: true,
+    device: 'Pixel 7',
+    locale: 'de-DE',
+    timezoneId: 'Asia/Dubai',
+    colorScheme: 'dark',
+    stealth: true
+  });
+  assert.equal(launched.ok, true, launched.error?.message);
+  assert.deepEqual(launched.viewport, { width: 412, height: 839 });
+  assert.equal(launched.emulation.device, 'Pixel 7');
+  assert.equal(launched.emulation.isMobile, true);
+
+  await call('browser.goto', { url: baseUrl });
+  await call('browser.set_cookies', { cookies: [{ name: 'session', value: 'kept', url: baseUrl }] });
+  let seen = await info();
+  assert.match(seen.userAgent, /Pixel 7/);
+  assert.equal(seen.language, 'de-DE');
+  assert.equal(seen.timeZone, 'Asia/Dubai');
+  assert.equal(seen.width, 412);
+  assert.equal(seen.touch, true);
+  assert.equal(seen.dark, true);
+  assert.equal(seen.reducedMotion, false);
+  assert.equal(seen.webdriver, false);
+  assert.equal(seen.platform, 'Win32');
+
+  // Geolocation changes on the live context and grants the permission with it.
+  const located = await call('browser.emulate', { geolocation: { latitude: 25.2, longitude: 55.27 } });
+  assert.equal(located.ok, true, located.error?.message);
+  assert.equal(located.rebuilt, false);
+  assert.deepEqual(located.emulation.permissions, ['geolocation']);
+  await call('browser.click', { selector: '#locate' });
+  await call('browser.wait_for', { text: 'at 25.2,55.27', timeoutMs: 5000 });
+
+  await call('browser.add_route', { pattern: '/mocked', action: 'fulfill', body: 'from the route', contentType: 'text/plain' });
+  await call('browser.emulate_network', { preset: 'Fast 4G', scope: 'context' });
+
+  // A device switch rebuilds the context: other settings, cookies, localStorage and network setup survive.
+  const iphone = await call('browser.emulate', { device: 'iPhone 14', reducedMotion: 'reduce' });
+  assert.equal(iphone.ok, true, iphone.error?.message);
+  assert.equal(iphone.status, 'context-rebuilt');
+  assert.deepEqual(iphone.carriedOver, { routes: 1, harRoutes: 0, networkEmulation: true });
+  assert.equal((await call('browser.list_routes')).routes.length, 1);
+  assert.equal(iphone.restoredUrl, baseUrl);
+  assert.equal(iphone.url, baseUrl);
+  seen = await info();
+  assert.match(seen.userAgent, /iPhone/);
+  assert.equal(seen.width, 390);
+  assert.equal(seen.language, 'de-DE');
+  assert.equal(seen.timeZone, 'Asia/Dubai');
+  assert.equal(seen.reducedMotion, true);
+  assert.equal(seen.cookie, 'session=kept');
+  assert.equal(seen.visits, 2);
+  assert.equal(seen.webdriver, false, 'stealth is re-applied to the rebuilt context');
+  assert.equal(seen.platform, 'Win32');
+  await call('browser.click', { selector: '#locate' });
+  await call('browser.wait_for', { text: 'at 25.2,55.27', timeoutMs: 5000 });
+  await call('browser.goto', { url: `${baseUrl}mocked` });
+  assert.equal((await call('browser.extract_text', { selector: 'body' })).text, 'from the route');
+  await call('browser.remove_route', { all: true });
+  await call('browser.emulate_network', { preset: 'No throttling', scope: 'context' });
+  await call('browser.goto', { url: baseUrl });
+
+  const reset = await call('browser.emulate', { reset: true, locale: 'en-GB' });
+  assert.equal(reset.rebuilt, true);
+  assert.equal(reset.emulation.device, null);
+  seen = await info();
+  assert.equal(seen.width, 1280);
+  assert.equal(seen.touch, false);
+  assert.equal(seen.language, 'en-GB');
+  assert.equal(seen.dark, false);
+  assert.equal(seen.visits, 4);
+
+  const unchanged = await call('browser.emulate', { locale: 'en-GB' });
+  assert.equal(unchanged.rebuilt, false);
+  const badDevice = await call('browser.emulate', { device: 'Nokia 3310' });
+  assert.match(badDevice.error.message, /Unknown device "Nokia 3310"/);
+  const badZone = await call('browser.emulate', { timezoneId: 'Dubai' });
+  assert.match(badZone.error.message, /Unknown timezoneId "Dubai"/);
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+}
+
+async function main() {
+  checkBuilder();
+  await checkServer();
+  console.log('PASS emulation-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+// No <main> or <article>: the job description has to be found by the content score.
+const JOB_HTML = `<!doctype html><title>Senior AI Engineer - Acme</title>
+  <header><a href="/">Acme Careers</a> <nav><a href="/jobs">Jobs</a> <a href="/teams">Teams</a> <a href="/about">About</a></nav></header>
+  <div class="layout">
+    <div class="sidebar"><a href="/jobs/1">Data Engineer</a><a href="/jobs/2">ML Ops</a><a href="/jobs/3">Designer</a></div>
+    <div class="job-description">
+      <h1>Senior AI Engineer</h1>
+      <p>Acme Labs is hiring an engineer to build LLM agents, evaluation tooling, and retrieval pipelines for enterprise customers in Dubai.</p>
+      <h2>Requirements</h2>
+      <ul>
+        <li>5+ years of <strong>Python</strong>, including async services and data pipelines</li>
+        <li>Experience with LLMs:
+          <ul><li>prompt design and evaluation</li><li>fine-tuning open models</li></ul>
+        </li>
+      </ul>
+      <h2>Benefits</h2>
+      <table>
+        <tr><th>Benefit</th><th>Details</th></tr>
+        <tr><td>Salary</td><td>AED 35k | month</td></tr>
+        <tr><td>Leave</td><td>30 days</td></tr>
+      </table>
+      <p>Read the <a href="/handbook">engineering handbook</a> before applying, it explains our interview process, timelines and team structure.</p>
+      <form id="apply">
+        <label for="email">Email</label><input id="email" type="email" required>
+        <label><input type="checkbox" name="remote"> Open to remote</label>
+        <label for="visa">Visa status</label>
+        <select id="visa"><option>Citizen</option><option>Work visa</option></select>
+        <button type="submit">Apply</button>
+      </form>
+    </div>
+  </div>
+  <div id="cookie-banner" class="cookie-consent">We use cookies. <a href="/privacy">Privacy</a></div>
+  <footer>© Acme Labs <a href="/legal">Legal</a></footer>`;
+
+const MAIN_HTML = `<!doctype html><title>Team</title>
+  <nav><a href="/">Home</a></nav>
+  <main><h1>Platform Team</h1><p>We build the internal platform that every product team at Acme deploys on, from CI to observability and cost controls.</p>
+  <pre>npm run deploy</pre><p hidden>Secret roadmap</p></main>`;
+
+async function main() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-extract-markdown-'));
+  const fixture = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(req.url === '/team' ? MAIN_HTML : JOB_HTML);
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}`;
+
+  const client = new Client({ name: 'extract-markdown-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+
+  await call('browser.launch', { headless: true });
+  await call('browser.goto', { url: `${baseUrl}/jobs/42` });
+
+  const job = await call('browser.extract_markdown');
+  assert.equal(job.ok, true, job.error?.message);
+  assert.equal(job.source, 'scored');
+  assert.equal(job.payloadTitle, 'Senior AI Engineer - Acme');
+  assert.equal(job.maxChars, 6000, 'light/low profile default');
+  assert.equal(job.truncated, false);
+  const md = job.markdown;
+  assert.ok(md.startsWith('# Senior AI Engineer\n\nAcme Labs is hiring'), md);
+  assert.ok(md.includes('## Requirements\n\n- 5+ years of **Python**, including async services and data pipelines\n- Experience with LLMs:\n  - prompt design and evaluation\n  - fine-tuning open models'), md);
+  assert.ok(md.includes('| Benefit | Details |\n| --- | --- |\n| Salary | AED 35k \\| month |\n| Leave | 30 days |'), md);
+  assert.ok(md.includes(`[engineering handbook](${baseUrl}/handbook)`), md);
+  assert.ok(md.includes('Email: [email, required]'), md);
+  assert.ok(md.includes('- [ ] Open to remote'), md);
+  assert.ok(md.includes('Visa status: [select: Citizen | Work visa]'), md);
+  for (const boilerplate of ['Acme Careers', 'Teams', 'Data Engineer', 'cookies', 'Legal']) {
+    assert.ok(!md.includes(boilerplate), `"${boilerplate}" should be dropped`);
+  }
+
+  const whole = await call('browser.extract_markdown', { mainContent: false });
+  assert.equal(whole.source, 'body');
+  assert.ok(whole.markdown.includes('[Teams]') && whole.markdown.includes('We use cookies.'));
+  assert.ok(whole.totalChars > job.totalChars);
+
+  const table = await call('browser.extract_markdown', { rootSelector: 'table' });
+  assert.equal(table.source, 'root');
+  assert.equal(table.rootTag, 'table');
+  assert.equal(table.markdown, '| Benefit | Details |\n| --- | --- |\n| Salary | AED 35k \\| month |\n| Leave | 30 days |');
+
+  const snapshot = await call('browser.take_snapshot', { query: 'Requirements', interactiveOnly: false });
+  const heading = snapshot.nodes.find((node) => node.role === 'heading');
+  const byUid = await call('browser.extract_markdown', { uid: heading.uid });
+  assert.equal(byUid.ok, true, byUid.error?.message);
+  assert.equal(byUid.uid, heading.uid);
+  assert.equal(byUid.rootTag, 'h2');
+  assert.equal(byUid.markdown, '## Requirements');
+  const both = await call('browser.extract_markdown', { uid: heading.uid, rootSelector: 'table' });
+  assert.match(both.error.message, /either uid or rootSelector/);
+
+  const cut = await call('browser.extract_markdown', { maxChars: 200 });
+  assert.equal(cut.truncated, true);
+  assert.ok(cut.markdown.length <= 200);
+  assert.equal(cut.totalChars, job.totalChars);
+
+  await call('browser.goto', { url: `${baseUrl}/team` });
+  const team = await call('browser.extract_markdown', { detail: 'high' });
+  assert.equal(team.source, 'main');
+  assert.equal(team.maxChars, 10000);
+  assert.equal(
+    team.markdown,
+    '# Platform Team\n\nWe build the internal platform that every product team at Acme deploys on, from CI to observability and cost controls.\n\n```\nnpm run deploy\n```'
+  );
+
+  const missing = await call('browser.extract_markdown', { rootSelector: '#nope' });
+  assert.match(missing.error.message, /Root selector not found for extract_markdown/);
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+  console.log('PASS extract-markdown-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
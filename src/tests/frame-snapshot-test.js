@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+// 127.0.0.1 and localhost are different sites, so the /ats frame runs out of process under site isolation.
+function fixtureHtml(url, port) {
+  if (url === '/') {
+    return `<!doctype html><title>Careers</title><h1>Apply</h1>
+      <iframe name="profile" src="/profile"></iframe>
+      <iframe id="ats" src="http://localhost:${port}/ats"></iframe>`;
+  }
+  if (url === '/profile') return '<!doctype html><label>First name <input id="first"></label>';
+  if (url === '/ats') {
+    return `<!doctype html><button onclick="this.textContent = 'Application sent'">Send application</button>
+      <iframe src="/consent"></iframe>`;
+  }
+  return '<!doctype html><label><input type="checkbox"> Store my data</label>';
+}
+
+async function main() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-frame-snapshot-'));
+  const fixture = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(fixtureHtml(req.url, fixture.address().port));
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'frame-snapshot-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+
+  // Out-of-process iframes need site isolation, which --single-process turns off.
+  const envArgs = JSON.parse(process.env.MCP_ARGS || '[]').filter((arg) => arg !== '--single-process');
+  await call('browser.launch', { headless: true, args: [...envArgs, '--site-per-process'] });
+  await call('browser.goto', { url: baseUrl });
+  await call('browser.wait', { ms: 300 });
+
+  const frames = (await call('browser.list_frames')).frames;
+  const frameIdFor = (suffix) => frames.find((frame) => frame.url.endsWith(suffix)).frameId;
+
+  const snapshot = await call('browser.take_snapshot', { maxNodes: 200, interactiveOnly: false });
+  assert.equal(snapshot.ok, true, snapshot.error?.message);
+  const find = (nodes, role, name) => nodes.find((node) => node.role === role && node.name.includes(name));
+  const heading = find(snapshot.nodes, 'heading', 'Apply');
+  const first = find(snapshot.nodes, 'textbox', 'First name');
+  const send = find(snapshot.nodes, 'button', 'Send application');
+  const consent = find(snapshot.nodes, 'checkbox', 'Store my data');
+  assert.deepEqual(
+    [heading.frameId, first.frameId, send.frameId, consent.frameId],
+    ['main', frameIdFor('/profile'), frameIdFor('/ats'), frameIdFor('/consent')]
+  );
+  assert.match(heading.uid, /^ax-\d+$/);
+  for (const node of [first, send, consent]) assert.equal(node.uid.startsWith(`ax-${node.frameId}-`), true);
+  // Frame content sits below its <iframe>, not after the whole main document.
+  assert.ok(send.depth > heading.depth);
+
+  assert.equal((await call('browser.fill', { uid: first.uid, text: 'Ada' })).activeFrameId, first.frameId);
+  const clicked = await call('browser.click', { uid: send.uid });
+  assert.equal(clicked.ok, true, clicked.error?.message);
+  assert.equal((await call('browser.click', { uid: consent.uid })).ok, true);
+
+  const diff = await call('browser.take_snapshot', { maxNodes: 200, interactiveOnly: false, mode: 'diff' });
+  assert.equal(diff.mode, 'diff');
+  const changes = Object.fromEntries(diff.changed.map((entry) => [entry.uid, entry.changes]));
+  assert.deepEqual(changes[first.uid], { value: { from: '', to: 'Ada' } });
+  assert.deepEqual(changes[send.uid], { name: { from: 'Send application', to: 'Application sent' } });
+  assert.deepEqual(changes[consent.uid], { checked: { from: false, to: true } });
+
+  const mainOnly = await call('browser.take_snapshot', { includeFrames: false });
+  assert.ok(mainOnly.nodes.every((node) => node.frameId === 'main'));
+  const atsOnly = await call('browser.take_snapshot', { frameSelector: '#ats' });
+  assert.deepEqual([...new Set(atsOnly.nodes.map((node) => node.frameId))].sort(), [frameIdFor('/ats'), frameIdFor('/consent')].sort());
+  assert.equal(atsOnly.uidMapFrameId, frameIdFor('/ats'));
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+  console.log('PASS frame-snapshot-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
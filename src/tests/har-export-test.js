@@ -0,0 +1,202 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+import { computeTimings, toHarEntry } from '../browser/har.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+const FIXTURE_HTML = `<!doctype html>
+<html>
+  <head><title>HAR Fixture</title></head>
+  <body>
+    <div id="out"></div>
+    <script>
+      fetch('/api/items?kind=job', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ q: 'ai' }) })
+        .then((res) => res.text())
+        .then(() => fetch('/old'))
+        .then((res) => res.text())
+        .then((text) => { document.getElementById('out').textContent = text; });
+    </script>
+  </body>
+</html>`;
+
+function checkBuilder() {
+  const entry = {
+    requestId: '1',
+    url: 'https://example.com/a?b=1',
+    method: 'GET',
+    requestHeaders: { Cookie: 'sid=abc; theme=dark' },
+    postData: null,
+    wallTime: Date.parse('2026-01-01T00:00:00Z'),
+    startTs: 100,
+    endTs: 100.5,
+    type: 'Fetch',
+    response: {
+      status: 200,
+      statusText: 'OK',
+      mimeType: 'text/plain',
+      responseHeaders: { 'Set-Cookie': 'a=1; Path=/\nb=2' },
+      protocol: 'h2',
+      remoteIPAddress: '[::1]',
+      timing: {
+        requestTime: 100.01,
+        dnsStart: 0,
+        dnsEnd: 5,
+        connectStart: 5,
+        connectEnd: 30,
+        sslStart: 10,
+        sslEnd: 30,
+        sendStart: 30,
+        sendEnd: 31,
+        receiveHeadersEnd: 200
+      }
+    },
+    finished: true,
+    failed: false,
+    encodedDataLength: 120,
+    dataLength: 42,
+    redirectHop: false
+  };
+  const { time, timings } = computeTimings(entry);
+  assert.deepEqual(timings, { blocked: 10, dns: 5, connect: 25, send: 1, wait: 169, receive: 290, ssl: 20 });
+  assert.equal(time, 500);
+
+  const har = toHarEntry(entry, { pageref: 'page_1', body: { text: 'aGk=', base64Encoded: true } });
+  assert.equal(har.request.httpVersion, 'HTTP/2.0');
+  assert.deepEqual(har.request.queryString, [{ name: 'b', value: '1' }]);
+  assert.deepEqual(har.request.cookies, [{ name: 'sid', value: 'abc' }, { name: 'theme', value: 'dark' }]);
+  assert.deepEqual(har.response.cookies, [{ name: 'a', value: '1' }, { name: 'b', value: '2' }]);
+  assert.deepEqual(har.response.content, { size: 2, mimeType: 'text/plain', text: 'aGk=', encoding: 'base64' });
+  assert.equal(har.serverIPAddress, '::1');
+  assert.equal(har.pageref, 'page_1');
+
+  const failed = toHarEntry({ ...entry, response: null, failed: true, errorText: 'net::ERR_FAILED' });
+  assert.equal(failed.response.status, 0);
+  assert.equal(failed.response._error, 'net::ERR_FAILED');
+  assert.equal(failed.timings.send, 0);
+}
+
+// Required HAR 1.2 fields, so viewers that validate strictly accept the file.
+function assertHarShape(har) {
+  assert.equal(har.log.version, '1.2');
+  assert.equal(typeof har.log.creator.name, 'string');
+  for (const page of har.log.pages) {
+    for (const key of ['startedDateTime', 'id', 'title', 'pageTimings']) assert.ok(key in page, `page.${key}`);
+  }
+  for (const entry of har.log.entries) {
+    for (const key of ['startedDateTime', 'time', 'request', 'response', 'cache', 'timings']) assert.ok(key in entry, `entry.${key}`);
+    for (const key of ['method', 'url', 'httpVersion', 'cookies', 'headers', 'queryString', 'headersSize', 'bodySize']) {
+      assert.ok(key in entry.request, `request.${key}`);
+    }
+    for (const key of ['status', 'statusText', 'httpVersion', 'cookies', 'headers', 'content', 'redirectURL', 'headersSize', 'bodySize']) {
+      assert.ok(key in entry.response, `response.${key}`);
+    }
+    assert.equal(typeof entry.response.content.size, 'number');
+    assert.equal(typeof entry.response.content.mimeType, 'string');
+    for (const key of ['send', 'wait', 'receive']) assert.ok(entry.timings[key] >= 0, `timings.${key}`);
+    assert.ok(!Number.isNaN(Date.parse(entry.startedDateTime)));
+  }
+}
+
+async function checkServer() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-har-'));
+  const fixture = http.createServer((req, res) => {
+    if (req.url.startsWith('/api/items')) {
+      req.resume();
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': 'seen=1; Path=/' });
+      res.end(JSON.stringify({ items: [1, 2, 3] }));
+    } else if (req.url === '/old') {
+      res.writeHead(302, { Location: '/new' });
+      res.end();
+    } else if (req.url === '/new') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('redirected');
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(FIXTURE_HTML);
+    }
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'har-export-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+
+  await call('browser.launch', { headless: true });
+  const startedAt = new Date().toISOString();
+  await call('browser.goto', { url: baseUrl });
+  await call('browser.wait_for', { text: 'redirected', timeoutMs: 10000 });
+
+  const exported = await call('browser.export_har', { includeBodies: true });
+  assert.equal(exported.ok, true, exported.error?.message);
+  assert.ok(exported.path.startsWith(path.join(workspace, 'Auto', 'output', 'har')));
+  const har = JSON.parse(await fs.readFile(exported.path, 'utf8'));
+  assertHarShape(har);
+  assert.equal(har.log.pages[0].title, 'HAR Fixture');
+  assert.equal(exported.entries, har.log.entries.length);
+
+  const api = har.log.entries.find((entry) => entry.request.url.includes('/api/items'));
+  assert.equal(api.request.method, 'POST');
+  assert.equal(api.request.postData.mimeType, 'application/json');
+  assert.equal(api.request.postData.text, '{"q":"ai"}');
+  assert.deepEqual(api.request.queryString, [{ name: 'kind', value: 'job' }]);
+  assert.deepEqual(api.response.cookies, [{ name: 'seen', value: '1' }]);
+  assert.equal(api.response.content.text, '{"items":[1,2,3]}');
+  assert.ok(api.time >= 0);
+
+  const hop = har.log.entries.find((entry) => entry.request.url.endsWith('/old'));
+  assert.equal(hop.response.status, 302);
+  assert.equal(hop.response.redirectURL, '/new');
+  const final = har.log.entries.find((entry) => entry.request.url.endsWith('/new'));
+  assert.equal(final.response.content.text, 'redirected');
+
+  const filtered = await call('browser.export_har', {
+    path: path.join(workspace, 'Auto', 'output', 'api.har'),
+    urlContains: '/api/',
+    since: startedAt
+  });
+  assert.equal(filtered.entries, 1);
+  const filteredHar = JSON.parse(await fs.readFile(filtered.path, 'utf8'));
+  assert.equal(filteredHar.log.entries[0].response.content.text, undefined, 'bodies are opt-in');
+
+  const future = await call('browser.export_har', { since: new Date(Date.now() + 60000).toISOString() });
+  assert.equal(future.entries, 0);
+
+  const capped = await call('browser.export_har', { urlContains: '/api/', includeBodies: true, maxBodyBytes: 4 });
+  const cappedHar = JSON.parse(await fs.readFile(capped.path, 'utf8'));
+  assert.match(cappedHar.log.entries[0].response.content.comment, /exceeds maxBodyBytes/);
+
+  const denied = await call('browser.export_har', { path: path.join(workspace, 'elsewhere.har') });
+  assert.equal(denied.error.code, 'PERMISSION');
+  const invalid = await call('browser.export_har', { until: 'yesterday' });
+  assert.match(invalid.error.message, /Invalid until timestamp/);
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+}
+
+async function main() {
+  checkBuilder();
+  await checkServer();
+  console.log('PASS har-export-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,169 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+const INDEED_URL = 'https://ae.indeed.com/jobs?q=ai+engineer&l=Dubai';
+const GOOGLE_URL = `https://www.google.com/search?q=${encodeURIComponent('playwright mcp')}`;
+
+const INDEED_HTML = `<!doctype html>
+<html><head><title>AI Engineer Jobs in Dubai - Indeed</title></head><body>
+  <div class="job_seen_beacon" data-jk="a1">
+    <h2><a href="/viewjob?jk=a1"><span>Senior AI Engineer</span></a></h2>
+    <span data-testid="company-name">Acme Labs</span>
+    <div data-testid="text-location">Dubai</div>
+    <div class="job-snippet">Build LLM agents.</div>
+  </div>
+  <div class="job_seen_beacon" data-jk="b2">
+    <h2><a href="/viewjob?jk=b2"><span>ML Platform Engineer</span></a></h2>
+    <span data-testid="company-name">Globex</span>
+    <div data-testid="text-location">Remote</div>
+  </div>
+</body></html>`;
+
+const GOOGLE_HTML = `<!doctype html>
+<html><head><title>playwright mcp - Google Search</title></head><body>
+  <div id="search">
+    <div class="MjjYud"><a href="/url?q=https://playwright.dev/&sa=U"><h3>Playwright</h3></a><div class="VwiC3b">Fast and reliable end-to-end testing.</div></div>
+    <div class="MjjYud"><a href="https://github.com/microsoft/playwright-mcp"><h3>playwright-mcp</h3></a></div>
+  </div>
+</body></html>`;
+
+function harEntry(url, html) {
+  return {
+    startedDateTime: new Date().toISOString(),
+    time: 1,
+    request: { method: 'GET', url, httpVersion: 'HTTP/1.1', cookies: [], headers: [], queryString: [], headersSize: -1, bodySize: 0 },
+    response: {
+      status: 200,
+      statusText: 'OK',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: [{ name: 'Content-Type', value: 'text/html; charset=utf-8' }],
+      content: { size: html.length, mimeType: 'text/html; charset=utf-8', text: html },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: html.length
+    },
+    cache: {},
+    timings: { send: 0, wait: 1, receive: 0 }
+  };
+}
+
+async function main() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-har-replay-'));
+  const outputDir = path.join(workspace, 'Auto', 'output');
+  await fs.mkdir(outputDir, { recursive: true });
+
+  // Stand-in for captured traffic: the same shape browser.export_har writes.
+  const portalsHar = path.join(outputDir, 'portals.har');
+  await fs.writeFile(
+    portalsHar,
+    JSON.stringify({
+      log: {
+        version: '1.2',
+        creator: { name: 'har-replay-test', version: '1.0.0' },
+        pages: [],
+        entries: [harEntry(INDEED_URL, INDEED_HTML), harEntry(GOOGLE_URL, GOOGLE_HTML)]
+      }
+    }),
+    'utf8'
+  );
+
+  const live = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(`<!doctype html><title>Live</title><p id="where">live ${req.url}</p>`);
+  });
+  await new Promise((resolve) => live.listen(0, '127.0.0.1', resolve));
+  const liveUrl = `http://127.0.0.1:${live.address().port}/`;
+
+  const client = new Client({ name: 'har-replay-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+
+  await call('browser.launch', { headless: true });
+  const routed = await call('browser.route_from_har', { path: portalsHar });
+  assert.equal(routed.ok, true, routed.error?.message);
+  assert.equal(routed.notFound, 'abort');
+  assert.equal(routed.payloadUrl, null);
+  assert.equal(routed.entries, 2);
+
+  // Offline regression for the extractors: no request leaves the machine.
+  await call('browser.goto', { url: INDEED_URL });
+  const jobs = await call('jobs.extract_indeed', { limit: 10 });
+  assert.equal(jobs.ok, true, jobs.error?.message);
+  assert.deepEqual(
+    jobs.jobs.map((job) => [job.title, job.company, job.location, job.url]),
+    [
+      ['Senior AI Engineer', 'Acme Labs', 'Dubai', 'https://ae.indeed.com/viewjob?jk=a1'],
+      ['ML Platform Engineer', 'Globex', 'Remote', 'https://ae.indeed.com/viewjob?jk=b2']
+    ]
+  );
+
+  const search = await call('search.google', { query: 'playwright mcp' });
+  assert.equal(search.ok, true, search.error?.message);
+  assert.deepEqual(search.results.map((result) => result.url), [
+    'https://playwright.dev/',
+    'https://github.com/microsoft/playwright-mcp'
+  ]);
+  assert.equal(search.results[0].snippet, 'Fast and reliable end-to-end testing.');
+
+  const aborted = await call('browser.goto', { url: liveUrl });
+  assert.equal(aborted.ok, false, 'requests missing from the HAR are aborted');
+
+  await call('browser.unroute_har');
+  await call('browser.route_from_har', { path: portalsHar, notFound: 'continue' });
+  await call('browser.goto', { url: liveUrl });
+  const continued = await call('browser.extract_text', { selector: '#where' });
+  assert.equal(continued.text, 'live /');
+
+  const cleared = await call('browser.unroute_har');
+  assert.equal(cleared.removed, 1);
+  await call('browser.route_from_har', { path: portalsHar, notFound: '404' });
+  await call('browser.goto', { url: `${liveUrl}missing` });
+  const notFound = await call('browser.extract_text', { selector: 'body' });
+  assert.equal(notFound.text, 'Not found in HAR.');
+  await call('browser.goto', { url: INDEED_URL });
+  assert.equal((await call('jobs.extract_indeed')).count, 2, 'HAR entries still win over the 404 fallback');
+  await call('browser.unroute_har');
+
+  // Round trip: record with browser.export_har, stop the server, replay offline.
+  await call('browser.goto', { url: `${liveUrl}recorded` });
+  const exported = await call('browser.export_har', { path: path.join(outputDir, 'live.har'), includeBodies: true });
+  assert.equal(exported.ok, true, exported.error?.message);
+  await new Promise((resolve) => live.close(resolve));
+  const filtered = await call('browser.route_from_har', { path: exported.path, url: `${liveUrl}**` });
+  assert.equal(filtered.payloadUrl, `${liveUrl}**`);
+  await call('browser.goto', { url: `${liveUrl}recorded` });
+  const replayed = await call('browser.extract_text', { selector: '#where' });
+  assert.equal(replayed.text, 'live /recorded');
+
+  const denied = await call('browser.route_from_har', { path: path.join(workspace, 'elsewhere.har') });
+  assert.equal(denied.error.code, 'PERMISSION');
+  const notHar = path.join(outputDir, 'not.har');
+  await fs.writeFile(notHar, '{"hello":1}', 'utf8');
+  const invalid = await call('browser.route_from_har', { path: notHar });
+  assert.match(invalid.error.message, /not a HAR file/);
+
+  await call('browser.close');
+  await client.close();
+  await fs.rm(workspace, { recursive: true, force: true });
+  console.log('PASS har-replay-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+const IDLE_MS = 3000;
+
+let serverProcess = null;
+
+// Resolves with the Streamable HTTP URL the server prints once it listens.
+function startServer(workspace) {
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      ...process.env,
+      MCP_TRANSPORT: 'http',
+      MCP_HTTP_PORT: '0',
+      MCP_HEADLESS: 'true',
+      MCP_WORKSPACE_DIR: workspace,
+      MCP_AUDIT_LOG: 'true',
+      MCP_SESSION_IDLE_MS: String(IDLE_MS)
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  const url = new Promise((resolve, reject) => {
+    let output = '';
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+      const match = /listening on (http:\/\/\S+)/.exec(output);
+      if (match) resolve(match[1]);
+    });
+    child.once('exit', (code) => reject(new Error(`Server exited with code ${code}: ${output}`)));
+  });
+  serverProcess = child;
+  return url;
+}
+
+async function connect(url, name) {
+  const client = new Client({ name, version: '1.0.0' });
+  await client.connect(new StreamableHTTPClientTransport(new URL(url)));
+  return {
+    client,
+    call: async (tool, args = {}) => (await client.callTool({ name: tool, arguments: args })).structuredContent
+  };
+}
+
+async function main() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-http-sessions-'));
+  const fixture = http.createServer((req, res) => {
+    const who = req.url.slice(1) || 'home';
+    res.writeHead(200, { 'Content-Type': 'text/html', 'Set-Cookie': `who=${who}; Path=/` });
+    res.end(`<!doctype html><title>${who}</title><h1>${who}</h1>`);
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}`;
+
+  const url = await startServer(workspace);
+  const a = await connect(url, 'session-a');
+  const b = await connect(url, 'session-b');
+
+  assert.equal((await a.call('browser.launch', { headless: true })).ok, true);
+  await a.call('browser.goto', { url: `${baseUrl}/alpha` });
+  await b.call('browser.goto', { url: `${baseUrl}/beta` });
+  await b.call('browser.new_page');
+  await b.call('browser.select_page', { pageId: 2 });
+  await b.call('browser.goto', { url: `${baseUrl}/gamma` });
+
+  // Same browser, separate contexts: each session sees only its own tabs and cookies.
+  const pagesA = await a.call('browser.list_pages');
+  const pagesB = await b.call('browser.list_pages');
+  assert.deepEqual(pagesA.pages.map((page) => page.url), [`${baseUrl}/alpha`]);
+  assert.deepEqual(pagesB.pages.map((page) => page.url), [`${baseUrl}/beta`, `${baseUrl}/gamma`]);
+  assert.deepEqual((await a.call('browser.get_cookies')).cookies.map((cookie) => cookie.value), ['alpha']);
+  assert.deepEqual((await b.call('browser.get_cookies')).cookies.map((cookie) => cookie.value), ['gamma']);
+
+  const listed = await a.call('browser.list_sessions');
+  assert.equal(listed.count, 2);
+  const isolation = Object.fromEntries(listed.sessions.map((entry) => [entry.current ? 'a' : 'b', entry.isolation]));
+  assert.deepEqual(isolation, { a: 'launch-context', b: 'own-context' });
+
+  // Both sessions write to one audit log, but each reads back only its own calls.
+  const auditA = await a.call('browser.get_audit_log', { toolName: 'browser.goto', limit: 100 });
+  assert.deepEqual(auditA.entries.map((entry) => entry.args.url), [`${baseUrl}/alpha`]);
+  const auditB = await b.call('browser.get_audit_log', { toolName: 'browser.goto', limit: 100 });
+  assert.deepEqual(auditB.entries.map((entry) => entry.args.url), [`${baseUrl}/gamma`, `${baseUrl}/beta`]);
+  const foreign = await a.call('browser.get_audit_log', { sessionId: auditB.entries[0].sessionId });
+  assert.equal(foreign.error.code, 'PERMISSION');
+
+  // Closing one session's tab leaves the other session's active page untouched.
+  await b.call('browser.close_page');
+  assert.equal((await b.call('browser.list_pages')).count, 1);
+  assert.deepEqual((await a.call('browser.list_pages')).pages.map((page) => page.url), [`${baseUrl}/alpha`]);
+
+  // The idle sweep ends both HTTP sessions; their ids are refused instead of silently getting a blank context.
+  await new Promise((resolve) => setTimeout(resolve, IDLE_MS * 3));
+  await assert.rejects(a.call('browser.list_pages'), /expired after being idle/);
+  const fresh = await connect(url, 'session-c');
+  const after = await fresh.call('browser.list_sessions');
+  assert.equal(after.count, 1, 'expired sessions are disposed');
+
+  await fresh.call('browser.close');
+  await fresh.client.close();
+  serverProcess.kill();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+  console.log('PASS http-sessions-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  serverProcess?.kill();
+  process.exit(1);
+});
@@ -0,0 +1,202 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import { request as httpRequest } from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as z from 'zod/v4';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+
+import { startHttpTransport } from '../transport/http.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+const TOKEN = 'test-token';
+
+let serverProcess = null;
+
+function createServer() {
+  const server = new McpServer({ name: 'http-transport-test', version: '1.0.0' });
+  server.registerTool(
+    'test.echo',
+    {
+      description: 'Echo text back.',
+      inputSchema: { text: z.string() }
+    },
+    async ({ text }) => ({ content: [{ type: 'text', text }] })
+  );
+  return server;
+}
+
+async function connectClient(url, token) {
+  const client = new Client({ name: 'http-transport-test-client', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(new URL(url), {
+    requestInit: { headers: { Authorization: `Bearer ${token}` } }
+  });
+  await client.connect(transport);
+  return { client, transport };
+}
+
+// The real entry point with MCP_TRANSPORT=http; resolves with the Streamable HTTP and SSE URLs it prints.
+function startServer(workspace) {
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      ...process.env,
+      MCP_TRANSPORT: 'http',
+      MCP_HTTP_PORT: '0',
+      MCP_HTTP_TOKEN: TOKEN,
+      MCP_HEADLESS: 'true',
+      MCP_WORKSPACE_DIR: workspace,
+      MCP_AUDIT_LOG: 'false'
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  serverProcess = child;
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+      const match = /listening on (http:\/\/\S+) \(legacy SSE: (http:\/\/\S+)\)/.exec(output);
+      if (match) resolve({ url: match[1], sseUrl: match[2] });
+    });
+    child.once('exit', (code) => reject(new Error(`Server exited with code ${code}: ${output}`)));
+  });
+}
+
+async function checkEntryPoint() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-http-transport-'));
+  const { url, sseUrl } = await startServer(workspace);
+  const requestInit = { headers: { Authorization: `Bearer ${TOKEN}` } };
+
+  const unauthorized = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+  assert.equal(unauthorized.status, 401);
+
+  const streamable = new Client({ name: 'http-transport-test-streamable', version: '1.0.0' });
+  const streamableTransport = new StreamableHTTPClientTransport(new URL(url), { requestInit });
+  await streamable.connect(streamableTransport);
+  const sse = new Client({ name: 'http-transport-test-sse', version: '1.0.0' });
+  await sse.connect(new SSEClientTransport(new URL(sseUrl), { requestInit }));
+  const call = async (client, name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+
+  // Each transport gets its own createSessionServer() instance, mapped to its own browser session.
+  const profiled = await call(streamable, 'browser.set_capture_profile', { profile: 'balanced' });
+  assert.equal(profiled.ok, true, profiled.error?.message);
+  assert.equal((await call(sse, 'browser.get_capture_profile')).profile, 'light', 'profiles are per session');
+  const listed = await call(sse, 'browser.list_sessions');
+  assert.equal(listed.count, 2);
+  assert.equal(listed.sessionId, listed.sessions.find((entry) => entry.current).sessionId);
+  assert.ok(listed.sessions.some((entry) => entry.sessionId === streamableTransport.sessionId && entry.captureProfile === 'balanced'));
+
+  // Terminating the Streamable HTTP session disposes its browser session through onSessionClosed.
+  await streamableTransport.terminateSession();
+  await streamable.close();
+  const remaining = await call(sse, 'browser.list_sessions');
+  assert.deepEqual(remaining.sessions.map((entry) => entry.sessionId), [listed.sessionId]);
+
+  await sse.close();
+  serverProcess.kill();
+  await fs.rm(workspace, { recursive: true, force: true });
+}
+
+// Raw request so the Host header can be set the way a proxy or remote client would send it.
+function postInitialize(url, hostHeader) {
+  const body = JSON.stringify({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'host-test', version: '1.0.0' } }
+  });
+  return new Promise((resolve, reject) => {
+    const req = httpRequest(
+      url,
+      {
+        method: 'POST',
+        headers: {
+          Host: hostHeader,
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream',
+          Authorization: `Bearer ${TOKEN}`
+        }
+      },
+      (res) => {
+        let text = '';
+        res.on('data', (chunk) => {
+          text += chunk;
+        });
+        res.on('end', () => resolve({ status: res.statusCode, text }));
+      }
+    );
+    req.once('error', reject);
+    req.end(body);
+  });
+}
+
+async function checkAllowedHosts() {
+  const http = await startHttpTransport({ createServer, host: '127.0.0.1', port: 0, token: TOKEN, allowedHosts: ['mcp.example.test'] });
+  const port = new URL(http.url).port;
+  assert.equal((await postInitialize(http.url, 'mcp.example.test')).status, 200, 'proxy on the default port');
+  assert.equal((await postInitialize(http.url, `mcp.example.test:${port}`)).status, 200, 'remote client by hostname');
+  const rejected = await postInitialize(http.url, `evil.example.test:${port}`);
+  assert.equal(rejected.status, 403);
+  assert.match(rejected.text, /MCP_HTTP_ALLOWED_HOSTS/);
+  await http.close();
+}
+
+async function main() {
+  await checkEntryPoint();
+  await checkAllowedHosts();
+
+  const closedSessions = [];
+  const http = await startHttpTransport({
+    createServer,
+    host: '127.0.0.1',
+    port: 0,
+    token: TOKEN,
+    onSessionClosed: (sessionId) => closedSessions.push(sessionId)
+  });
+
+  const unauthorized = await fetch(http.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer wrong' },
+    body: '{}'
+  });
+  assert.equal(unauthorized.status, 401);
+
+  const a = await connectClient(http.url, TOKEN);
+  const b = await connectClient(http.url, TOKEN);
+  assert.ok(a.transport.sessionId);
+  assert.notEqual(a.transport.sessionId, b.transport.sessionId);
+  assert.equal(http.listSessions().length, 2);
+
+  const tools = await a.client.listTools();
+  assert.ok(tools.tools.some((tool) => tool.name === 'test.echo'));
+
+  const result = await b.client.callTool({ name: 'test.echo', arguments: { text: 'hello' } });
+  assert.equal(result.content?.[0]?.text, 'hello');
+
+  const terminatedId = a.transport.sessionId;
+  await a.transport.terminateSession();
+  assert.deepEqual(closedSessions, [terminatedId]);
+  await a.client.close();
+  await b.client.close();
+  await http.close();
+
+  let threw = false;
+  try {
+    await startHttpTransport({ createServer, host: '0.0.0.0', port: 0 });
+  } catch {
+    threw = true;
+  }
+  assert.equal(threw, true);
+
+  console.log('PASS http-transport-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  serverProcess?.kill();
+  process.exit(1);
+});
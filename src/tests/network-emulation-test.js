@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+import { resolveNetworkConditions } from '../browser/network-emulation.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+const LATENCY_MS = 1200;
+
+function checkResolver() {
+  assert.deepEqual(resolveNetworkConditions({ preset: 'Slow 3G' }), {
+    preset: 'Slow 3G',
+    offline: false,
+    latencyMs: 2000,
+    downloadKbps: 400,
+    uploadKbps: 400
+  });
+  assert.equal(resolveNetworkConditions({ preset: 'Slow 3G', latencyMs: 100 }).latencyMs, 100);
+  assert.deepEqual(resolveNetworkConditions({}), {
+    preset: null,
+    offline: false,
+    latencyMs: 0,
+    downloadKbps: -1,
+    uploadKbps: -1
+  });
+  assert.throws(() => resolveNetworkConditions({ downloadKbps: 0 }), /downloadKbps must be positive/);
+  assert.throws(() => resolveNetworkConditions({ preset: '5G' }), /Unknown network preset/);
+}
+
+async function checkServer() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-netem-'));
+  const fixture = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(`<!doctype html><title>Form ${req.url}</title><form><input name="q"></form>`);
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'network-emulation-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+  const timed = async (name, args) => {
+    const started = Date.now();
+    const result = await call(name, args);
+    return { result, ms: Date.now() - started };
+  };
+
+  await call('browser.launch', { headless: true });
+  await call('browser.goto', { url: baseUrl });
+
+  const slowed = await call('browser.emulate_network', { latencyMs: LATENCY_MS });
+  assert.equal(slowed.ok, true, slowed.error?.message);
+  assert.equal(slowed.status, 'emulating');
+  assert.equal(slowed.scope, 'page');
+  assert.deepEqual(slowed.pageIds, [1]);
+  const slowGoto = await timed('browser.goto', { url: `${baseUrl}slow` });
+  assert.equal(slowGoto.result.ok, true);
+  assert.ok(slowGoto.ms >= LATENCY_MS, `navigation took ${slowGoto.ms}ms`);
+
+  await call('browser.emulate_network', { preset: 'Offline' });
+  const offline = await call('browser.goto', { url: `${baseUrl}offline` });
+  assert.equal(offline.ok, false);
+  assert.match(offline.error.message, /ERR_INTERNET_DISCONNECTED/);
+
+  const cleared = await call('browser.emulate_network', { preset: 'No throttling' });
+  assert.equal(cleared.status, 'cleared');
+  assert.equal((await call('browser.goto', { url: `${baseUrl}back` })).ok, true);
+
+  // Context scope also covers pages opened afterwards.
+  const context = await call('browser.emulate_network', { preset: 'Slow 3G', latencyMs: LATENCY_MS, scope: 'context' });
+  assert.deepEqual(context.conditions, {
+    preset: 'Slow 3G',
+    offline: false,
+    latencyMs: LATENCY_MS,
+    downloadKbps: 400,
+    uploadKbps: 400
+  });
+  const opened = await call('browser.new_page');
+  const newPageGoto = await timed('browser.goto', { url: `${baseUrl}new-page` });
+  assert.equal(newPageGoto.result.pageId, opened.pageId);
+  assert.ok(newPageGoto.ms >= LATENCY_MS, `new page navigation took ${newPageGoto.ms}ms`);
+
+  const unknownPage = await call('browser.emulate_network', { preset: 'Fast 4G', pageId: 99 });
+  assert.match(unknownPage.error.message, /No open page for pageId 99/);
+
+  // A relaunch drops the emulation with the old context.
+  await call('browser.launch', { headless: true });
+  await call('browser.goto', { url: baseUrl });
+  await call('browser.new_page');
+  const fresh = await timed('browser.goto', { url: `${baseUrl}fresh` });
+  assert.ok(fresh.ms < LATENCY_MS, `fresh context navigation took ${fresh.ms}ms`);
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+}
+
+async function main() {
+  checkResolver();
+  await checkServer();
+  console.log('PASS network-emulation-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
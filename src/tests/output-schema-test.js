@@ -0,0 +1,258 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { AjvJsonSchemaValidator } from '@modelcontextprotocol/sdk/validation/ajv';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+const ENVELOPE_KEYS = ['ok', 'requestId', 'pageId', 'domVersion', 'activeFrameId'];
+
+const FIXTURE_HTML = `<!doctype html>
+<html>
+  <head><title>Schema Fixture</title></head>
+  <body>
+    <h1>Schema fixture</h1>
+    <a href="/other">Other page</a>
+    <a id="download" href="/download">Download</a>
+    <button id="popup" onclick="window.open('/other')">Open popup</button>
+    <button id="noop" aria-label="Noop button">Noop</button>
+    <form>
+      <label for="name">Name</label>
+      <input id="name" name="name" required />
+      <input id="file" type="file" />
+    </form>
+    <div id="box" style="height:60px;overflow:auto"><div style="height:400px">tall</div></div>
+    <div style="height:2000px"></div>
+    <script>console.log('fixture-ready')</script>
+  </body>
+</html>`;
+
+function startFixtureServer() {
+  const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/download')) {
+      res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Disposition': 'attachment; filename="fixture.txt"' });
+      res.end('fixture download');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(FIXTURE_HTML);
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function main() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-output-schema-'));
+  const outputDir = path.join(workspace, 'Auto', 'output');
+  await fs.mkdir(outputDir, { recursive: true });
+  const fixture = await startFixtureServer();
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'output-schema-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: {
+      ...process.env,
+      MCP_TRANSPORT: 'stdio',
+      MCP_HEADLESS: 'true',
+      MCP_ALLOW_EVALUATE: 'true',
+      MCP_WORKSPACE_DIR: workspace
+    },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+
+  const { tools } = await client.listTools();
+  assert.ok(tools.length > 0);
+  const validator = new AjvJsonSchemaValidator();
+  const validators = new Map();
+  for (const tool of tools) {
+    assert.ok(tool.outputSchema, `${tool.name} has no outputSchema`);
+    for (const key of ENVELOPE_KEYS) {
+      assert.ok(tool.outputSchema.properties?.[key], `${tool.name} outputSchema is missing envelope field ${key}`);
+    }
+    assert.ok(tool.outputSchema.properties.error, `${tool.name} outputSchema is missing the error shape`);
+    validators.set(tool.name, validator.getValidator(tool.outputSchema));
+  }
+
+  const called = new Set();
+  const call = async (name, args = {}) => {
+    const result = await client.callTool({ name, arguments: args });
+    called.add(name);
+    assert.ok(result.structuredContent, `${name} returned no structuredContent`);
+    assert.deepEqual(result.structuredContent, JSON.parse(result.content[0].text), `${name} text and structuredContent differ`);
+    const check = validators.get(name)(result.structuredContent);
+    assert.ok(check.valid, `${name} output does not match its schema: ${check.errorMessage}`);
+    return result.structuredContent;
+  };
+
+  await call('browser.set_capture_profile', { profile: 'balanced' });
+  await call('browser.get_capture_profile');
+  const launched = await call('browser.launch', { headless: true });
+  assert.equal(launched.ok, true, launched.error?.message);
+  await call('browser.list_sessions');
+  const audit = await call('browser.get_audit_log', { limit: 5 });
+  assert.ok(audit.entries.some((entry) => entry.tool === 'browser.launch'));
+  await call('browser.start_recording', { name: 'schema' });
+  await call('browser.start_tracing', { name: 'schema' });
+  await call('browser.goto', { url: baseUrl });
+  await call('browser.new_page');
+  const listed = await call('browser.list_pages');
+  const fixturePage = listed.pages.find((entry) => entry.url === baseUrl);
+  const blankPage = listed.pages.find((entry) => entry.url === 'about:blank');
+  assert.ok(fixturePage && blankPage);
+  await call('browser.close_page', { pageId: blankPage.pageId });
+  await call('browser.select_page', { pageId: fixturePage.pageId });
+  await call('browser.list_frames');
+  await call('browser.reload');
+  await call('browser.wait', { ms: 10 });
+  await call('browser.wait_for', { selector: '#name' });
+  await call('browser.wait_for', { networkIdleMs: 200 });
+  await call('browser.wait_for', { domStableMs: 200 });
+  await call('browser.wait_for', { role: 'textbox', timeoutMs: 2000 });
+
+  const snapshot = await call('browser.take_snapshot', { interactiveOnly: true });
+  await call('browser.take_snapshot', { interactiveOnly: true, mode: 'diff' });
+  const button = snapshot.nodes.find((node) => node.role === 'button');
+  assert.ok(button);
+  await call('browser.scroll_to_uid', { uid: button.uid });
+  await call('browser.snapshot', { includeHeadings: true, includeFormsSummary: true });
+  await call('browser.list');
+  await call('browser.list', { pierceShadow: false });
+  await call('browser.query_dom', { selector: 'a', includeText: true, includeBBox: true, attrs: ['href'] });
+  await call('browser.hover', { selector: '#noop' });
+  await call('browser.click', { selector: '#noop' });
+  await call('browser.type', { selector: '#name', text: 'Ada' });
+  await call('browser.fill', { selector: '#name', text: 'Ada Lovelace' });
+  await call('browser.press', { key: 'Tab' });
+  const uploadPath = path.join(outputDir, 'upload.txt');
+  await call('files.write_text', { path: uploadPath, text: 'upload' });
+  await call('files.read_text', { path: uploadPath });
+  await call('files.read_pdf_text', { path: uploadPath });
+  await call('files.list_dir', { path: outputDir });
+  await call('browser.set_input_files', { selector: '#file', paths: uploadPath });
+  await call('browser.extract_text', { selector: 'h1' });
+  await call('browser.extract_html', { selector: 'h1' });
+  await call('browser.extract_markdown', { maxChars: 500 });
+  await call('browser.screenshot', { inline: true });
+  await call('browser.visual_snapshot', { inline: true, limit: 5 });
+  // path + inline: the file stays a full-resolution PNG (from its extension); only the inline copy is downscaled.
+  for (const tool of ['browser.screenshot', 'browser.visual_snapshot']) {
+    const shotPath = path.join(outputDir, `${tool.split('.')[1]}.png`);
+    const shot = await client.callTool({ name: tool, arguments: { path: shotPath, inline: true, fullPage: false, maxDimension: 200 } });
+    const block = shot.content.find((item) => item.type === 'image');
+    assert.equal(block.mimeType, 'image/jpeg');
+    assert.ok(shot.structuredContent.image.width <= 200);
+    const file = await fs.readFile(shotPath);
+    assert.equal(file.subarray(1, 4).toString('latin1'), 'PNG');
+    assert.ok(file.readUInt32BE(16) > 200, 'the saved file is not downscaled');
+  }
+  await call('browser.click_at', { x: 1, y: 1 });
+  await call('browser.click_at_page', { x: 1, y: 1 });
+  await call('browser.form_audit');
+  await call('browser.form_audit', { pierceShadow: false });
+  await call('browser.fill_form', { fields: [{ selector: '#name', value: 'Ada' }, { label: 'Missing field', value: 'x' }] });
+  await call('browser.get_scroll_state');
+  await call('browser.scroll_by', { dy: 50 });
+  await call('browser.scroll_to', { y: 0 });
+  await call('browser.get_scrollables');
+  await call('browser.get_container_scroll_state', { selector: '#box' });
+  await call('browser.scroll_container', { selector: '#box', dy: 20 });
+  await call('browser.evaluate', { expression: '() => ({ answer: 42 })' });
+
+  await call('browser.set_cookies', { cookies: [{ name: 'schema', value: '1', url: baseUrl }] });
+  await call('browser.get_cookies');
+  await call('browser.clear_cookies');
+
+  await call('browser.list_console_messages');
+  const network = await call('browser.list_network_requests');
+  await call('browser.get_network_request', { requestId: network.requests[0].requestId, includeBody: true });
+  await call('browser.export_har', { path: path.join(outputDir, 'schema.har'), allPages: true, includeBodies: true });
+  await call('browser.route_from_har', { path: path.join(outputDir, 'schema.har'), notFound: 'continue' });
+  await call('browser.unroute_har');
+  const added = await call('browser.add_route', { pattern: '/schema-mock', action: 'fulfill', status: 503, body: 'down' });
+  await call('browser.list_routes');
+  await call('browser.remove_route', { routeId: added.route.routeId });
+  await call('browser.set_blocking', { resourceTypes: ['font'], allowOrigins: [baseUrl] });
+  await call('browser.set_blocking', {});
+  await call('browser.emulate_network', { preset: 'Fast 4G', scope: 'context' });
+  await call('browser.emulate_network', { preset: 'No throttling', scope: 'context' });
+  await call('browser.emulate', { geolocation: { latitude: 25.2, longitude: 55.27 }, permissions: ['clipboard-read'] });
+  await call('browser.emulate', { reset: true });
+
+  await call('browser.evaluate', { expression: '() => { setTimeout(() => confirm("schema?"), 0); return true; }' });
+  let dialogs = await call('browser.list_dialogs', { includeHandled: true });
+  for (let i = 0; i < 20 && dialogs.count === 0; i += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    dialogs = await call('browser.list_dialogs', { includeHandled: true });
+  }
+  await call('browser.handle_dialog', { dialogId: dialogs.dialogs[0].dialogId, action: 'accept' });
+
+  await call('browser.click', { selector: '#popup' });
+  await call('browser.wait_for_popup', { timeoutMs: 5000 });
+  await call('browser.expect_event', {
+    eventType: 'request',
+    afterAction: { toolName: 'browser.reload' }
+  });
+  await call('browser.click', { selector: '#download' });
+  const download = await call('browser.wait_for_download', { timeoutMs: 5000 });
+  await call('browser.save_download', { downloadId: download.downloadId, path: path.join(outputDir, 'fixture.txt') });
+
+  await call('forms.google_audit');
+  await call('forms.google_set_text', { question: 'Missing', value: 'x', timeoutMs: 1000 });
+  await call('forms.google_set_dropdown', { question: 'Missing', option: 'x', timeoutMs: 1000 });
+  await call('forms.google_set_checkbox', { question: 'Missing', option: 'x', timeoutMs: 1000 });
+  await call('forms.google_set_radio', { question: 'Missing', option: 'x', timeoutMs: 1000 });
+  await call('forms.google_set_grid', { question: 'Missing', row: 'x', column: 'y', timeoutMs: 1000 });
+  await call('jobs.extract_indeed');
+  await call('search.extract_google');
+  await call('jobs.indeed_next_page', { mode: 'direct' });
+  await call('browser.back');
+  await call('browser.forward');
+
+  const statePath = path.join(outputDir, 'state.json');
+  await call('browser.export_storage_state', { path: statePath, includeData: true });
+  await call('browser.import_storage_state', { path: statePath });
+  await call('browser.get_video');
+  await call('browser.stop_recording');
+  const trace = await call('browser.stop_tracing', { path: path.join(outputDir, 'schema-trace.zip') });
+  assert.equal(trace.ok, true, 'tracing carries over to the imported context');
+  await call('browser.batch', {
+    actions: [
+      { tool: 'browser.scroll_by', args: { dy: 10 } },
+      { tool: 'browser.click', args: { selector: '#missing', timeoutMs: 1000 }, onError: 'continue' }
+    ],
+    includeResults: true
+  });
+  await call('browser.run_script', {
+    steps: [{ tool: 'browser.wait', args: { ms: 10 }, expect: { urlContains: '127.0.0.1' } }]
+  });
+  await call('browser.export_recording', { path: path.join(outputDir, 'schema.spec.js') });
+  await call('browser.close');
+
+  // Remaining tools need a real Chrome or the public internet, so only their error envelopes are checked.
+  const failed = await call('search.google', { query: 'schema' });
+  assert.equal(failed.ok, false);
+  assert.equal(typeof failed.error.code, 'string');
+  await call('browser.launch_chrome_cdp', { profileDirectory: 'Default' });
+  await call('browser.connect_cdp', { endpoint: 'http://127.0.0.1:9' });
+
+  const missing = tools.map((tool) => tool.name).filter((name) => !called.has(name));
+  assert.deepEqual(missing, []);
+
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+  console.log('PASS output-schema-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
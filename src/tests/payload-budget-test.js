@@ -1,6 +1,6 @@
 import assert from 'node:assert/strict';
 
-import { enforcePayloadCeiling } from '../browser/payload-budget.js';
+import { enforcePayloadCeiling, enforceResponseCeiling } from '../browser/payload-budget.js';
 
 function makeLargePayload() {
   const items = [];
@@ -77,6 +77,23 @@ function main() {
   assert.equal(hardCap.finalBytes <= 12000, true);
   assert.equal(typeof hardCap.payload.truncated, 'boolean');
 
+  // Inline images count against the same budget; oversized blocks are dropped, not the envelope.
+  const image = { type: 'image', mimeType: 'image/jpeg', data: 'A'.repeat(8000) };
+  const fits = enforceResponseCeiling(small, [image], { maxBytes: 20000 });
+  assert.equal(fits.content.length, 1);
+  assert.equal(fits.truncated, false);
+  assert.equal(fits.finalBytes + fits.contentBytes <= 20000, true);
+
+  const dropped = enforceResponseCeiling(small, [image], { maxBytes: 6000 });
+  assert.equal(dropped.content.length, 0);
+  assert.equal(dropped.truncated, true);
+  assert.equal(dropped.payload.omittedContent?.[0]?.mimeType, 'image/jpeg');
+  assert.equal(dropped.payload.ok, true);
+
+  const shared = enforceResponseCeiling(large, [image], { maxBytes: 16000 });
+  assert.equal(shared.content.length, 1);
+  assert.equal(shared.finalBytes + shared.contentBytes <= 16000, true);
+
   console.log('PASS payload-budget-test');
 }
 
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { chromium } from 'playwright';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+import { abortableDelay, isAbortError, raceAbort, startProgress } from '../browser/progress.js';
+import { waitForPageEvent, waitForSelector } from '../browser/wait.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+async function checkHelpers() {
+  const sent = [];
+  const extra = {
+    _meta: { progressToken: 'tok' },
+    sendNotification: async (notification) => sent.push(notification)
+  };
+  const progress = startProgress(extra, { total: 50, intervalMs: 10, message: 'Waiting' });
+  await new Promise((resolve) => setTimeout(resolve, 120));
+  progress.report('Later step');
+  progress.stop();
+  const count = sent.length;
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(sent.length, count, 'no notifications after stop()');
+  assert.ok(sent.length >= 2);
+  const values = sent.map((n) => n.params.progress);
+  for (let i = 1; i < values.length; i += 1) assert.ok(values[i] > values[i - 1], 'progress strictly increases');
+  assert.ok(values.every((value) => value <= 50), 'progress never exceeds total');
+  assert.equal(sent[0].method, 'notifications/progress');
+  assert.equal(sent[0].params.progressToken, 'tok');
+  assert.equal(sent[0].params.message, 'Waiting');
+
+  const silent = startProgress({ sendNotification: async () => assert.fail('sent without a token') });
+  silent.report('ignored');
+  silent.stop();
+
+  const controller = new AbortController();
+  const delayed = abortableDelay(10000, controller.signal);
+  controller.abort();
+  await assert.rejects(delayed, (err) => isAbortError(err));
+
+  let detached = false;
+  const raced = raceAbort(new Promise(() => {}), AbortSignal.abort(), () => {
+    detached = true;
+  });
+  await assert.rejects(raced, (err) => isAbortError(err));
+  assert.equal(detached, true);
+}
+
+async function checkWaiters() {
+  const browser = await chromium.launch();
+  const page = await browser.newPage();
+  await page.setContent('<div id="root"></div>');
+
+  const baseline = page.listenerCount('popup');
+  const controller = new AbortController();
+  const popup = waitForPageEvent(page, 'popup', { timeoutMs: 30000, signal: controller.signal });
+  assert.equal(page.listenerCount('popup'), baseline + 1);
+  controller.abort();
+  await assert.rejects(popup, (err) => isAbortError(err));
+  assert.equal(page.listenerCount('popup'), baseline, 'aborted waiter detaches its listener');
+
+  const started = Date.now();
+  await assert.rejects(
+    waitForSelector(page, '#never', { timeoutMs: 30000, signal: AbortSignal.timeout(200) }),
+    (err) => isAbortError(err)
+  );
+  assert.ok(Date.now() - started < 5000, 'aborted selector wait returns promptly');
+
+  await browser.close();
+}
+
+async function checkServer() {
+  const client = new Client({ name: 'progress-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  await client.callTool({ name: 'browser.launch', arguments: { headless: true } });
+
+  const updates = [];
+  const controller = new AbortController();
+  const pending = client.callTool(
+    { name: 'browser.wait_for', arguments: { selector: '#never', timeoutMs: 60000 } },
+    undefined,
+    {
+      signal: controller.signal,
+      onprogress: (update) => {
+        updates.push(update);
+        if (updates.length === 2) controller.abort();
+      }
+    }
+  );
+  await assert.rejects(pending);
+  assert.ok(updates.length >= 2);
+  assert.equal(updates[0].total, 60000);
+  assert.match(updates[0].message, /#never/);
+
+  // The cancelled waiter must not hold the page; a follow-up call answers immediately.
+  const followUp = await client.callTool({ name: 'browser.wait', arguments: { ms: 10 } });
+  assert.equal(followUp.structuredContent.ok, true);
+
+  // Nested waits in a batch report nothing themselves; the batch's own progress keeps increasing.
+  const batchUpdates = [];
+  const waitNever = { tool: 'browser.wait_for', args: { selector: '#never', timeoutMs: 1500 }, onError: 'continue' };
+  const batch = await client.callTool(
+    { name: 'browser.batch', arguments: { actions: [waitNever, waitNever] } },
+    undefined,
+    { onprogress: (update) => batchUpdates.push(update) }
+  );
+  assert.equal(batch.structuredContent.failed, 2);
+  const batchValues = batchUpdates.map((update) => update.progress);
+  for (let i = 1; i < batchValues.length; i += 1) assert.ok(batchValues[i] > batchValues[i - 1], 'batch progress strictly increases');
+  assert.ok(batchUpdates.some((update) => /Action 2\/2/.test(update.message || '')));
+  assert.ok(!batchUpdates.some((update) => /#never/.test(update.message || '')), 'nested waits do not report');
+
+  await client.callTool({ name: 'browser.close', arguments: {} });
+  await client.close();
+}
+
+async function main() {
+  await checkHelpers();
+  await checkWaiters();
+  await checkServer();
+  console.log('PASS progress-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
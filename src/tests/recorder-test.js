@@ -0,0 +1,165 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { chromium } from 'playwright';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+import { buildPlaywrightSpec, createRecorder } from '../browser/recorder.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+const FIXTURE_HTML = `<!doctype html>
+<html>
+  <head><title>Recorder Fixture</title></head>
+  <body>
+    <label for="email">Email</label>
+    <input id="email" />
+    <label for="pw">Password</label>
+    <input id="pw" type="password" />
+    <button onclick="document.getElementById('out').textContent = document.getElementById('email').value + ':' + document.getElementById('pw').value">Sign in</button>
+    <div id="out"></div>
+  </body>
+</html>`;
+
+function checkSpecBuilder() {
+  const recorder = createRecorder();
+  recorder.add({ tool: 'browser.goto', action: 'goto', url: 'https://example.com' });
+  assert.equal(recorder.getSteps().length, 0, 'steps are ignored until recording starts');
+
+  recorder.start({ name: 'demo' });
+  recorder.add({ tool: 'browser.goto', action: 'goto', url: "https://example.com/it's" });
+  recorder.add({
+    tool: 'browser.fill',
+    action: 'fill',
+    target: { kind: 'css', selector: '#pw', inputType: 'password' },
+    value: 'hunter2'
+  });
+  recorder.add({ tool: 'browser.click', action: 'click', target: { kind: 'role', role: 'button', name: 'Go', frame: '#app' } });
+  recorder.add({ tool: 'browser.click', action: 'click', target: { kind: 'unresolved', reason: 'gone' } });
+  recorder.add({ tool: 'forms.google_set_radio', action: 'formRadio', question: 'Age (years)?', exact: false, option: '18+' });
+  recorder.stop();
+
+  const steps = recorder.getSteps();
+  assert.equal(steps.length, 5);
+  assert.equal(steps[1].secret, 'RECORDED_SECRET_1');
+  assert.equal(steps[1].value, undefined, 'secret values are never stored');
+
+  const { code, secrets } = buildPlaywrightSpec(steps, { title: 'demo' });
+  assert.deepEqual(secrets, ['RECORDED_SECRET_1']);
+  assert.match(code, /import \{ test \} from '@playwright\/test';/);
+  assert.ok(code.includes("await page.goto('https://example.com/it\\'s');"));
+  assert.ok(code.includes("await page.locator('#pw').first().fill(process.env.RECORDED_SECRET_1 ?? '');"));
+  assert.ok(code.includes("await page.frameLocator('#app').getByRole('button', { name: 'Go', exact: true }).first().click();"));
+  assert.ok(code.includes('// browser.click: target could not be resolved while recording (gone).'));
+  assert.ok(code.includes("formQuestion(page, /Age \\(years\\)\\?/i).getByRole('radio', { name: '18+', exact: true }).first().check();"));
+  assert.ok(!code.includes('hunter2'));
+}
+
+async function runSpec(specPath, baseEnv) {
+  // Stand-in for @playwright/test: collect the test body and run it against a plain Playwright page.
+  const source = await fs.readFile(specPath, 'utf8');
+  const shimmed = source.replace(
+    "import { test } from '@playwright/test';",
+    'export const tests = []; const test = (title, fn) => tests.push({ title, fn });'
+  );
+  const modulePath = specPath.replace(/\.spec\.js$/, '.replay.mjs');
+  await fs.writeFile(modulePath, shimmed, 'utf8');
+  const { tests } = await import(pathToFileURL(modulePath).href);
+  assert.equal(tests.length, 1);
+
+  const previousEnv = { ...process.env };
+  Object.assign(process.env, baseEnv);
+  const browser = await chromium.launch();
+  try {
+    const page = await browser.newPage();
+    await tests[0].fn({ page });
+    return await page.locator('#out').textContent();
+  } finally {
+    await browser.close();
+    process.env = previousEnv;
+  }
+}
+
+async function checkServerRecording() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-recorder-'));
+  const fixture = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(FIXTURE_HTML);
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'recorder-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => {
+    const result = await client.callTool({ name, arguments: args });
+    assert.equal(result.structuredContent.ok, true, `${name}: ${result.structuredContent.error?.message}`);
+    return result.structuredContent;
+  };
+
+  await call('browser.launch', { headless: true });
+  await call('browser.start_recording', { name: 'Sign in flow' });
+  await call('browser.goto', { url: baseUrl });
+  const snapshot = await call('browser.take_snapshot', { interactiveOnly: true });
+  const email = snapshot.nodes.find((node) => node.role === 'textbox' && node.name === 'Email');
+  const button = snapshot.nodes.find((node) => node.role === 'button');
+  assert.ok(email && button);
+  await call('browser.fill', { uid: email.uid, text: 'ada@example.com' });
+  await call('browser.fill', { selector: '#pw', text: 'hunter2' });
+  await call('browser.extract_text', { selector: '#out' });
+  await call('browser.click', { uid: button.uid });
+
+  const stopped = await call('browser.stop_recording');
+  assert.equal(stopped.active, false);
+  assert.deepEqual(
+    stopped.steps.map((step) => step.action),
+    ['goto', 'fill', 'fill', 'click'],
+    'only state-changing calls are recorded'
+  );
+  assert.equal(stopped.steps[1].target.kind, 'role');
+
+  const exported = await call('browser.export_recording');
+  assert.equal(exported.path, path.join(workspace, 'Auto', 'output', 'recordings', 'sign-in-flow.spec.js'));
+  assert.deepEqual(exported.secrets, ['RECORDED_SECRET_1']);
+  assert.ok(exported.code.includes("getByRole('textbox', { name: 'Email', exact: true })"));
+  assert.ok(!exported.code.includes('hunter2'));
+
+  const denied = await client.callTool({ name: 'browser.export_recording', arguments: { path: path.join(workspace, 'elsewhere.spec.js') } });
+  assert.equal(denied.structuredContent.ok, false);
+  assert.equal(denied.structuredContent.error.code, 'PERMISSION');
+
+  await call('browser.close');
+  // Exporting after close has no page title; the recording's title travels as payloadTitle.
+  const afterClose = await call('browser.export_recording', {
+    path: path.join(workspace, 'Auto', 'output', 'recordings', 'after-close.spec.js')
+  });
+  assert.equal(afterClose.payloadTitle, 'Sign in flow');
+  await client.close();
+
+  const out = await runSpec(exported.path, { RECORDED_SECRET_1: 'hunter2' });
+  assert.equal(out, 'ada@example.com:hunter2', 'exported spec replays the flow');
+
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+}
+
+async function main() {
+  checkSpecBuilder();
+  await checkServerRecording();
+  console.log('PASS recorder-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,158 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ResourceListChangedNotificationSchema, ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+
+import { buildResourceContent, downloadUri, isTextMimeType, networkBodyUri, snapshotUri } from '../browser/resources.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+const API_BODY = '{"jobs":[{"id":1,"title":"Engineer"}]}';
+
+const FIXTURE_HTML = `<!doctype html><title>Resources Fixture</title>
+  <h1>Jobs</h1>
+  <a id="download" href="/export.csv">Export</a>
+  <script>fetch('/api/jobs').then((res) => res.text()).then((text) => { document.title = 'Loaded ' + text.length; });</script>`;
+
+function checkHelpers() {
+  assert.equal(snapshotUri(3), 'browser://page/3/snapshot/latest');
+  assert.equal(networkBodyUri('1234.56'), 'browser://network/1234.56/body');
+  assert.equal(downloadUri('dl-1'), 'browser://download/dl-1');
+  assert.equal(networkBodyUri('a/b'), 'browser://network/a%2Fb/body');
+
+  assert.equal(isTextMimeType('application/json; charset=utf-8'), true);
+  assert.equal(isTextMimeType('text/html'), true);
+  assert.equal(isTextMimeType('image/png'), false);
+  assert.equal(isTextMimeType(''), false);
+
+  const json = buildResourceContent('browser://page/1/snapshot/latest', { mimeType: 'application/json', text: '{"a":1}' });
+  assert.deepEqual(json, { uri: 'browser://page/1/snapshot/latest', mimeType: 'application/json', text: '{"a":1}' });
+
+  const csv = buildResourceContent('browser://download/dl-1', { mimeType: 'text/csv', buffer: Buffer.from('a,b\n1,2') });
+  assert.equal(csv.text, 'a,b\n1,2');
+  assert.equal(csv.blob, undefined);
+
+  const bytes = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+  const png = buildResourceContent('browser://download/dl-2', { mimeType: 'image/png', buffer: bytes });
+  assert.equal(png.blob, bytes.toString('base64'));
+  assert.equal(png.text, undefined);
+
+  const unknown = buildResourceContent('browser://download/dl-3', { buffer: bytes });
+  assert.equal(unknown.mimeType, 'application/octet-stream');
+  assert.equal(typeof unknown.blob, 'string');
+
+}
+
+async function waitFor(predicate, what) {
+  for (let i = 0; i < 50; i += 1) {
+    if (predicate()) return;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  assert.fail(`Timed out waiting for ${what}`);
+}
+
+// End to end through the MCP client: resources/list, resources/read, subscribe and the update notifications.
+async function checkServer() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-resources-'));
+  const fixture = http.createServer((req, res) => {
+    if (req.url === '/api/jobs') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(API_BODY);
+    } else if (req.url === '/export.csv') {
+      res.writeHead(200, { 'Content-Type': 'text/csv', 'Content-Disposition': 'attachment; filename="jobs.csv"' });
+      res.end('id,title\n1,Engineer\n');
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(FIXTURE_HTML);
+    }
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'resources-test', version: '1.0.0' });
+  const updated = [];
+  let listChanged = 0;
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+    updated.push(notification.params.uri);
+  });
+  client.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+    listChanged += 1;
+  });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  assert.equal(client.getServerCapabilities().resources?.subscribe, true);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+  const listedUris = async () => (await client.listResources()).resources.map((resource) => resource.uri);
+
+  await call('browser.launch', { headless: true });
+  await call('browser.goto', { url: baseUrl });
+
+  // Snapshot: listed after the first take_snapshot, re-read in full, and pushed to subscribers when retaken.
+  const snapshot = await call('browser.take_snapshot', { interactiveOnly: false });
+  assert.equal(snapshot.resourceUri, snapshotUri(snapshot.pageId));
+  assert.ok((await listedUris()).includes(snapshot.resourceUri));
+  await client.subscribeResource({ uri: snapshot.resourceUri });
+  const retaken = await call('browser.take_snapshot', { interactiveOnly: false });
+  await waitFor(() => updated.includes(snapshot.resourceUri), 'snapshot update notification');
+  const stored = await client.readResource({ uri: snapshot.resourceUri });
+  assert.equal(stored.contents[0].mimeType, 'application/json');
+  assert.equal(JSON.parse(stored.contents[0].text).count, retaken.count);
+
+  // Network body: the fetched JSON is listed and readable without going through the tool.
+  let apiRequest = null;
+  for (let i = 0; i < 50 && !apiRequest; i += 1) {
+    const network = await call('browser.list_network_requests');
+    apiRequest = network.requests.find((entry) => entry.url.endsWith('/api/jobs') && entry.finished);
+    if (!apiRequest) await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  assert.ok(apiRequest, 'the /api/jobs request finished');
+  const bodyUri = networkBodyUri(apiRequest.requestId);
+  assert.ok((await listedUris()).includes(bodyUri));
+  const body = await client.readResource({ uri: bodyUri });
+  assert.equal(body.contents[0].text, API_BODY);
+  assert.match(body.contents[0].mimeType, /application\/json/);
+
+  // Download: announced with list_changed, readable before it is saved, and updated for subscribers on save.
+  const changesBefore = listChanged;
+  await call('browser.click', { selector: '#download' });
+  const download = await call('browser.wait_for_download');
+  assert.equal(download.resourceUri, downloadUri(download.downloadId));
+  await waitFor(() => listChanged > changesBefore, 'download list_changed notification');
+  assert.ok((await listedUris()).includes(download.resourceUri));
+  const file = await client.readResource({ uri: download.resourceUri });
+  assert.equal(file.contents[0].text ?? Buffer.from(file.contents[0].blob, 'base64').toString('utf8'), 'id,title\n1,Engineer\n');
+  await client.subscribeResource({ uri: download.resourceUri });
+  await call('browser.save_download', { downloadId: download.downloadId, path: path.join(workspace, 'Auto', 'output', 'jobs.csv') });
+  await waitFor(() => updated.includes(download.resourceUri), 'download update notification');
+
+  await client.unsubscribeResource({ uri: snapshot.resourceUri });
+  const seen = updated.length;
+  await call('browser.take_snapshot');
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  assert.equal(updated.length, seen, 'no notifications after unsubscribe');
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+}
+
+async function main() {
+  checkHelpers();
+  await checkServer();
+  console.log('PASS resources-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
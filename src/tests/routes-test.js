@@ -0,0 +1,156 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+const FIXTURE_HTML = `<!doctype html>
+<html><head><title>Routes Fixture</title></head><body>
+  <pre id="out"></pre>
+  <script>
+    window.probe = (url) => {
+      window.lastProbe = null;
+      fetch(url)
+        .then(async (res) => { window.lastProbe = { status: res.status, text: await res.text() }; })
+        .catch((error) => { window.lastProbe = { error: String(error) }; });
+      return true;
+    };
+  </script>
+</body></html>`;
+
+async function main() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-routes-'));
+  const fixture = http.createServer((req, res) => {
+    if (req.url.startsWith('/echo')) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ headers: req.headers }));
+    } else if (req.url.startsWith('/api/')) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"live":true}');
+    } else if (req.url.startsWith('/collect')) {
+      res.writeHead(204);
+      res.end();
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(FIXTURE_HTML);
+    }
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'routes-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: {
+      ...process.env,
+      MCP_TRANSPORT: 'stdio',
+      MCP_HEADLESS: 'true',
+      MCP_WORKSPACE_DIR: workspace,
+      MCP_AUDIT_LOG: 'false',
+      MCP_ALLOW_EVALUATE: 'true'
+    },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+  // browser.evaluate does not await promises, so the page parks the fetch outcome in window.lastProbe.
+  const probe = async (url) => {
+    await call('browser.evaluate', { expression: `probe(${JSON.stringify(url)})` });
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      const { result } = await call('browser.evaluate', { expression: 'window.lastProbe' });
+      if (result) return result;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error(`probe ${url} did not settle`);
+  };
+
+  const notLaunched = await call('browser.add_route', { pattern: '/api/', action: 'abort' });
+  assert.match(notLaunched.error.message, /not launched/);
+
+  await call('browser.launch', { headless: true });
+  await call('browser.goto', { url: baseUrl });
+  assert.equal((await call('browser.list_routes')).count, 0);
+
+  const blocked = await call('browser.add_route', { pattern: '/COLLECT', action: 'abort', errorCode: 'blockedbyclient' });
+  assert.equal(blocked.ok, true, blocked.error?.message);
+  assert.equal(blocked.route.routeId, 'route-1');
+  assert.deepEqual(blocked.activeRoutes, [{ routeId: 'route-1', pattern: '/COLLECT', action: 'abort', hits: 0 }]);
+  assert.match((await probe('/collect?event=view')).error, /Failed to fetch/);
+
+  const mocked = await call('browser.add_route', {
+    pattern: '/api/',
+    action: 'fulfill',
+    status: 500,
+    body: '{"error":"boom"}',
+    contentType: 'application/json'
+  });
+  assert.equal(mocked.count, 2);
+  assert.deepEqual(await probe('/api/jobs'), { status: 500, text: '{"error":"boom"}' });
+
+  // Newest rule wins, and times retires it so the older rule takes over again.
+  await call('browser.add_route', { pattern: '/api/jobs$', regex: true, action: 'fulfill', body: 'once', times: 1 });
+  assert.deepEqual(await probe('/api/jobs'), { status: 200, text: 'once' });
+  assert.equal((await probe('/api/jobs')).status, 500);
+  assert.equal((await call('browser.list_routes')).count, 2);
+
+  await call('browser.add_route', {
+    pattern: '/echo',
+    method: 'get',
+    action: 'continue',
+    setHeaders: { 'X-Test-Run': 'routes' },
+    removeHeaders: ['Accept-Language']
+  });
+  const echoed = JSON.parse((await probe('/echo')).text);
+  assert.equal(echoed.headers['x-test-run'], 'routes');
+  assert.equal(echoed.headers['accept-language'], undefined);
+
+  const listed = await call('browser.list_routes');
+  assert.deepEqual(listed.routes.map((route) => [route.routeId, route.action, route.hits]), [
+    ['route-1', 'abort', 1],
+    ['route-2', 'fulfill', 2],
+    ['route-4', 'continue', 1]
+  ]);
+  assert.equal(listed.routes[1].status, 500);
+  assert.equal(listed.activeRoutes.length, 3);
+
+  const removed = await call('browser.remove_route', { routeId: 'route-2' });
+  assert.equal(removed.removed, 1);
+  assert.deepEqual(await probe('/api/jobs'), { status: 200, text: '{"live":true}' });
+  const unknown = await call('browser.remove_route', { routeId: 'route-2' });
+  assert.match(unknown.error.message, /No route with routeId route-2/);
+
+  const misplaced = await call('browser.add_route', { pattern: '/api/', action: 'abort', status: 404 });
+  assert.match(misplaced.error.message, /status cannot be used with action "abort"/);
+  const badRegex = await call('browser.add_route', { pattern: '(', regex: true, action: 'abort' });
+  assert.match(badRegex.error.message, /Invalid regex pattern/);
+
+  // Rules belong to the context: a relaunch starts clean.
+  await call('browser.launch', { headless: true });
+  await call('browser.goto', { url: baseUrl });
+  const relaunched = await call('browser.list_routes');
+  assert.equal(relaunched.count, 0);
+  assert.equal(relaunched.activeRoutes, undefined);
+  assert.equal((await probe('/collect')).status, 204);
+
+  await call('browser.add_route', { pattern: '/api/', action: 'fulfill', body: 'mock' });
+  const cleared = await call('browser.remove_route', { all: true });
+  assert.equal(cleared.removed, 1);
+  assert.equal(cleared.activeRoutes, undefined);
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+  console.log('PASS routes-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+import { runScript } from '../browser/script-runner.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+const FIXTURE_HTML = `<!doctype html>
+<html>
+  <head><title>Script Fixture</title></head>
+  <body>
+    <input id="q" />
+    <button id="go" onclick="setTimeout(() => { document.getElementById('out').textContent = 'Results for ' + document.getElementById('q').value; }, 200)">Search</button>
+    <div id="out"></div>
+  </body>
+</html>`;
+
+async function checkRunner() {
+  const executed = [];
+  const summary = await runScript(
+    [{ tool: 'a' }, { tool: 'b', expect: { urlContains: 'x' } }, { tool: 'c' }],
+    {
+      executeStep: async (step) => {
+        executed.push(step.tool);
+        return { ok: true };
+      },
+      verifyStep: async () => [{ type: 'urlContains', expected: 'x', ok: false, actual: 'about:blank' }]
+    }
+  );
+  assert.deepEqual(executed, ['a', 'b'], 'stops after the first failed assertion');
+  assert.equal(summary.status, 'failed');
+  assert.equal(summary.failedStep, 2);
+  assert.equal(summary.stepsRun, 2);
+  assert.deepEqual(summary.steps.map((step) => step.status), ['passed', 'failed', 'skipped']);
+
+  const passing = await runScript([{ tool: 'a' }], {
+    executeStep: async () => ({ ok: true }),
+    verifyStep: async () => []
+  });
+  assert.equal(passing.status, 'completed');
+  assert.equal(passing.failedStep, null);
+}
+
+async function checkServer() {
+  const fixture = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(FIXTURE_HTML);
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'run-script-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const run = async (args) => (await client.callTool({ name: 'browser.run_script', arguments: args })).structuredContent;
+
+  await client.callTool({ name: 'browser.launch', arguments: { headless: true } });
+
+  const passed = await run({
+    steps: [
+      { tool: 'browser.goto', args: { url: baseUrl }, expect: { titleContains: 'Script Fixture' } },
+      { tool: 'browser.fill', args: { selector: '#q', text: 'playwright' } },
+      { tool: 'browser.click', args: { selector: '#go' }, expect: { textVisible: 'Results for playwright' } },
+      { tool: 'browser.extract_text', args: { selector: '#out' } }
+    ]
+  });
+  assert.equal(passed.ok, true);
+  assert.equal(passed.status, 'completed', JSON.stringify(passed.steps));
+  assert.equal(passed.stepsRun, 4);
+  assert.equal(passed.steps[0].url, baseUrl);
+  assert.equal(passed.steps[2].assertions[0].ok, true);
+  assert.equal(passed.steps[3].result.text, 'Results for playwright');
+
+  const failed = await run({
+    steps: [
+      { tool: 'browser.click', args: { selector: '#missing', timeoutMs: 1000 } },
+      { tool: 'browser.fill', args: { selector: '#q', text: 'never' } }
+    ],
+    includeResults: false
+  });
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.failedStep, 1);
+  assert.equal(failed.steps[0].ok, false);
+  assert.equal(failed.steps[0].error.code, 'TIMEOUT');
+  assert.equal(failed.steps[0].result, undefined);
+  assert.equal(failed.steps[1].status, 'skipped');
+
+  const assertionFailure = await run({
+    steps: [{ tool: 'browser.wait', args: { ms: 10 }, expect: { urlContains: '/elsewhere', timeoutMs: 200 } }]
+  });
+  assert.equal(assertionFailure.status, 'failed');
+  assert.deepEqual(
+    { type: assertionFailure.steps[0].assertions[0].type, ok: assertionFailure.steps[0].assertions[0].ok },
+    { type: 'urlContains', ok: false }
+  );
+
+  const invalid = await run({ steps: [{ tool: 'browser.goto', args: { url: 42 } }] });
+  assert.equal(invalid.ok, false);
+  assert.match(invalid.error.message, /Step 1 \(browser\.goto\): invalid args/);
+
+  const nested = await run({ steps: [{ tool: 'browser.run_script', args: { steps: [] } }] });
+  assert.equal(nested.ok, false);
+  assert.match(nested.error.message, /not allowed inside a script/);
+
+  await client.callTool({ name: 'browser.close', arguments: {} });
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+}
+
+async function main() {
+  await checkRunner();
+  await checkServer();
+  console.log('PASS run-script-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,7 +1,8 @@
 import assert from 'node:assert/strict';
 import fs from 'node:fs/promises';
+import path from 'node:path';
 
-import { assertAllowedReadPath, assertAllowedWritePath } from '../security/paths.js';
+import { AUDIT_LOG_DIR, assertAllowedReadPath, assertAllowedWritePath } from '../security/paths.js';
 
 async function main() {
   const allowedRel = 'output/security-test.txt';
@@ -22,6 +23,11 @@ async function main() {
   }
   assert.equal(threw, true);
 
+  // The audit log sits under Auto/logs but stays out of reach of every write tool.
+  await assert.rejects(assertAllowedWritePath(path.join(AUDIT_LOG_DIR, 'audit-2025-01-01.jsonl')), /not allowed/);
+  await assert.rejects(assertAllowedWritePath(AUDIT_LOG_DIR), /not allowed/);
+  assert.ok(await assertAllowedWritePath(path.join(path.dirname(AUDIT_LOG_DIR), 'audit-notes.txt')));
+
   threw = false;
   try {
     await assertAllowedReadPath('C:\\Windows\\win.ini');
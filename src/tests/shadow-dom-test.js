@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+// Two instances of the same component reuse the ids inside their shadow roots (as Lightning inputs do),
+// one of them nested in another component; the closed root must stay hidden.
+const FIXTURE_HTML = `<!doctype html><title>Shadow form</title>
+  <p id="out">idle</p>
+  <x-field id="billing" data-name="billing"></x-field>
+  <x-card id="card"></x-card>
+  <x-vault></x-vault>
+  <script>
+    customElements.define('x-field', class extends HTMLElement {
+      connectedCallback() {
+        const root = this.attachShadow({ mode: 'open' });
+        root.innerHTML = '<label for="email">Email</label><input id="email" required><button>Save</button>';
+        root.querySelector('button').onclick = () => {
+          document.getElementById('out').textContent = this.dataset.name + ':' + root.querySelector('input').value;
+        };
+      }
+    });
+    customElements.define('x-card', class extends HTMLElement {
+      connectedCallback() {
+        this.attachShadow({ mode: 'open' }).innerHTML = '<h2>Shipping</h2><x-field data-name="shipping"></x-field>';
+      }
+    });
+    customElements.define('x-vault', class extends HTMLElement {
+      connectedCallback() {
+        this.attachShadow({ mode: 'closed' }).innerHTML = '<button>Secret</button>';
+      }
+    });
+  </script>`;
+
+// Both components name their radio group "choice"; only the second one is still unanswered.
+// Neither host has an id, so the host selector must still tell them apart.
+const RADIO_HTML = `<!doctype html><title>Shadow radios</title>
+  <x-question></x-question>
+  <x-question></x-question>
+  <script>
+    customElements.define('x-question', class extends HTMLElement {
+      connectedCallback() {
+        this.attachShadow({ mode: 'open' }).innerHTML =
+          '<fieldset><legend>Pick one</legend><input type="radio" name="choice" value="a" required>' +
+          '<input type="radio" name="choice" value="b"></fieldset>';
+      }
+    });
+    document.querySelector('x-question').shadowRoot.querySelector('input').checked = true;
+  </script>`;
+
+async function main() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-shadow-dom-'));
+  const fixture = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(req.url === '/radios' ? RADIO_HTML : FIXTURE_HTML);
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+
+  const client = new Client({ name: 'shadow-dom-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+
+  await call('browser.launch', { headless: true });
+  await call('browser.goto', { url: `http://127.0.0.1:${fixture.address().port}/` });
+
+  const listed = await call('browser.list', { includeSelectors: true });
+  assert.equal(listed.ok, true, listed.error?.message);
+  assert.equal(listed.pierceShadow, true);
+  const saves = listed.items.filter((item) => item.text === 'Save');
+  const emails = listed.items.filter((item) => item.tag === 'input');
+  assert.equal(saves.length, 2);
+  assert.equal(emails.length, 2);
+  assert.deepEqual(saves[0].shadowHosts, ['#billing']);
+  assert.deepEqual(saves[1].shadowHosts, ['#card', 'x-field']);
+  assert.equal(emails[1].selector, '#card >> x-field >> #email');
+  assert.ok(!listed.items.some((item) => item.text === 'Secret'), 'closed shadow roots stay hidden');
+
+  // Both inputs are "#email" inside their own root; the cached host chain keeps them apart.
+  const filled = await call('browser.fill', { elementId: emails[1].id, text: 'ship@example.com' });
+  assert.equal(filled.ok, true, filled.error?.message);
+  const clicked = await call('browser.click', { elementId: saves[1].id });
+  assert.equal(clicked.ok, true, clicked.error?.message);
+  assert.equal((await call('browser.extract_text', { selector: '#out' })).text, 'shipping:ship@example.com');
+
+  const lightOnly = await call('browser.list', { pierceShadow: false });
+  assert.equal(lightOnly.pierceShadow, false);
+  assert.ok(lightOnly.items.every((item) => !item.shadowHosts && item.tag !== 'input'));
+
+  const visual = await call('browser.visual_snapshot', { inline: true, includeSelectors: true });
+  assert.equal(visual.ok, true, visual.error?.message);
+  const visualSaves = visual.items.filter((item) => item.tag === 'button');
+  assert.equal(visualSaves.length, 2);
+  assert.deepEqual(visualSaves[1].shadowHosts, ['#card', 'x-field']);
+  const visualClick = await call('browser.click', { elementId: visualSaves[0].id });
+  assert.equal(visualClick.ok, true, visualClick.error?.message);
+  assert.equal((await call('browser.extract_text', { selector: '#out' })).text, 'billing:');
+
+  // Only the billing field is still empty; its selector works as-is for browser.fill_form.
+  const audit = await call('browser.form_audit');
+  assert.equal(audit.ok, true, audit.error?.message);
+  assert.equal(audit.missingCount, 1);
+  assert.deepEqual(audit.missing[0], { kind: 'text', label: 'Email', selector: '#billing >> #email', shadowHosts: ['#billing'] });
+  const formFilled = await call('browser.fill_form', { fields: [{ selector: audit.missing[0].selector, value: 'bill@example.com' }] });
+  assert.equal(formFilled.failed, 0);
+  assert.equal((await call('browser.form_audit')).missingCount, 0);
+  assert.equal((await call('browser.form_audit', { pierceShadow: false })).missingCount, 0);
+
+  // Radio groups are per shadow root: the answered group in the first component does not cover the second one.
+  await call('browser.goto', { url: `http://127.0.0.1:${fixture.address().port}/radios` });
+  const radios = await call('browser.form_audit');
+  assert.equal(radios.missingCount, 1);
+  assert.equal(radios.missing[0].kind, 'radio');
+  assert.deepEqual(radios.missing[0].shadowHosts, ['x-question:nth-of-type(2)']);
+  const answered = await call('browser.click', { selector: radios.missing[0].selector });
+  assert.equal(answered.ok, true, answered.error?.message);
+  assert.equal((await call('browser.form_audit')).missingCount, 0);
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+  console.log('PASS shadow-dom-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
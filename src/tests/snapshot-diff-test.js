@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+import { baselineMismatch, createSnapshotBaseline } from '../browser/snapshot-diff.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+const FIXTURE_HTML = `<!doctype html>
+<html><head><title>Diff Fixture</title></head><body>
+  <h1>Application</h1>
+  <label for="email">Email</label><input id="email">
+  <label><input type="checkbox" id="terms"> I accept the terms</label>
+  <button id="help">Help</button>
+  <button id="open" aria-expanded="false"
+    onclick="this.setAttribute('aria-expanded', 'true'); document.getElementById('dialog').hidden = false; document.getElementById('help').remove()">Continue</button>
+  <div id="dialog" role="dialog" hidden><button id="confirm" onclick="document.title = 'Confirmed'">Confirm</button></div>
+  <a id="restart" href="/">Start over</a>
+</body></html>`;
+
+async function main() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-snapshot-diff-'));
+  const fixture = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(FIXTURE_HTML);
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'snapshot-diff-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+
+  await call('browser.launch', { headless: true });
+  await call('browser.goto', { url: baseUrl });
+
+  // Nothing to compare against yet: a full snapshot comes back.
+  const first = await call('browser.take_snapshot', { mode: 'diff' });
+  assert.equal(first.ok, true, first.error?.message);
+  assert.equal(first.mode, 'full');
+  assert.equal(first.diffFallback, 'no-baseline');
+  const byName = (nodes, name) => nodes.find((node) => node.name === name);
+  const terms = byName(first.nodes, 'I accept the terms');
+
+  const quiet = await call('browser.take_snapshot', { mode: 'diff' });
+  assert.equal(quiet.mode, 'diff');
+  assert.equal(quiet.nodes, undefined);
+  assert.deepEqual([quiet.added, quiet.removed, quiet.changed], [[], [], []]);
+  assert.equal(quiet.unchanged, first.count);
+  assert.equal(typeof quiet.baselineCapturedAt, 'string');
+
+  await call('browser.fill', { selector: '#email', text: 'ada@example.com' });
+  await call('browser.click', { uid: terms.uid });
+  const edited = await call('browser.take_snapshot', { mode: 'diff' });
+  assert.deepEqual(
+    edited.changed.map((entry) => [entry.name, entry.changes]),
+    [
+      ['Email', { value: { from: '', to: 'ada@example.com' } }],
+      ['I accept the terms', { checked: { from: false, to: true } }]
+    ]
+  );
+
+  await call('browser.click', { selector: '#open' });
+  const opened = await call('browser.take_snapshot', { mode: 'diff' });
+  assert.deepEqual(opened.added.map((node) => [node.role, node.name]), [['button', 'Confirm']]);
+  assert.deepEqual(opened.removed.map((node) => [node.role, node.name]), [['button', 'Help']]);
+  assert.deepEqual(opened.changed.map((entry) => entry.changes), [{ expanded: { from: false, to: true } }]);
+  assert.equal(opened.unchanged, opened.count - 2);
+
+  // uids of added nodes are clickable, and the full tree stays readable as a resource.
+  assert.equal((await call('browser.click', { uid: opened.added[0].uid })).ok, true);
+  const resource = await client.readResource({ uri: opened.resourceUri });
+  const stored = JSON.parse(resource.contents[0].text);
+  assert.equal(stored.count, opened.count);
+  assert.ok(byName(stored.nodes, 'Confirm'));
+
+  const filtered = await call('browser.take_snapshot', { mode: 'diff', query: 'confirm' });
+  assert.equal(filtered.diffFallback, 'options-changed');
+  assert.deepEqual(filtered.nodes.map((node) => node.name), ['Confirm']);
+
+  // A navigation started by the page keeps the uid store, but the new document gets new node ids.
+  await call('browser.click', { selector: '#restart' });
+  for (let i = 0; i < 50 && (await call('browser.list_frames')).title !== 'Diff Fixture'; i += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  const reloaded = await call('browser.take_snapshot', { mode: 'diff', query: 'confirm' });
+  assert.equal(reloaded.mode, 'full');
+  assert.equal(reloaded.diffFallback, 'navigated');
+  await call('browser.reload');
+  assert.equal((await call('browser.take_snapshot', { mode: 'diff' })).diffFallback, 'no-baseline');
+
+  // A tree cut off by maxNodes never diffs: its missing tail would show up as removed.
+  await call('browser.take_snapshot', { maxNodes: 2 });
+  const cut = await call('browser.take_snapshot', { mode: 'diff', maxNodes: 2 });
+  assert.equal(cut.truncated, true);
+  assert.equal(cut.mode, 'full');
+  assert.equal(cut.diffFallback, 'truncated');
+  const truncatedBaseline = createSnapshotBaseline([], { documentNodeId: 7, optionsKey: 'k', truncated: true });
+  assert.equal(baselineMismatch(truncatedBaseline, { documentNodeId: 7, optionsKey: 'k' }), 'truncated');
+  assert.equal(baselineMismatch(createSnapshotBaseline([], { documentNodeId: 7, optionsKey: 'k' }), { documentNodeId: 7, optionsKey: 'k' }), null);
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+  console.log('PASS snapshot-diff-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,7 +1,8 @@
 import assert from 'node:assert/strict';
 import { chromium } from 'playwright';
 
-import { takeA11ySnapshot } from '../browser/snapshot.js';
+import { isBackendNodeConnected } from '../browser/cdp.js';
+import { buildAxUid, takeA11ySnapshot } from '../browser/snapshot.js';
 
 async function main() {
   const browser = await chromium.launch();
@@ -39,6 +40,22 @@ async function main() {
   assert.ok(anyUid.startsWith('ax-'));
   assert.ok(uidToBackend.has(anyUid) || uidToBackend.size > 0);
 
+  // uids come from backendDOMNodeId: the same element keeps its uid across snapshots and DOM edits elsewhere.
+  const buttonUid = nodes.find((n) => n.role === 'button').uid;
+  assert.equal(buttonUid, `ax-${uidToBackend.get(buttonUid)}`);
+  await page.evaluate(() => document.body.insertAdjacentHTML('afterbegin', '<a href="#top">Top</a>'));
+  const again = await takeA11ySnapshot(page, { interestingOnly: true, maxNodes: 200 });
+  assert.ok(again.nodes.some((n) => n.role === 'link' && n.name === 'Top'));
+  assert.equal(again.nodes.find((n) => n.role === 'button').uid, buttonUid);
+
+  const buttonBackend = uidToBackend.get(buttonUid);
+  assert.equal(await isBackendNodeConnected(page, buttonBackend), true);
+  await page.evaluate(() => document.getElementById('submit').remove());
+  assert.equal(await isBackendNodeConnected(page, buttonBackend), false);
+
+  assert.equal(buildAxUid({ nodeId: '7', backendDOMNodeId: 42 }, 'f2'), 'ax-f2-42');
+  assert.equal(buildAxUid({ nodeId: '7' }), 'ax-n7');
+
   await browser.close();
   console.log('PASS snapshot-uid-test');
 }
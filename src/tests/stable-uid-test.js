@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+const FIXTURE_HTML = `<!doctype html>
+<html><head><title>Stable Uid Fixture</title></head><body>
+  <p id="log"></p>
+  <button id="count" onclick="document.getElementById('log').textContent += 'x'">Count</button>
+  <button id="frame" onclick="document.body.appendChild(document.createElement('iframe'))">Add frame</button>
+  <button id="drop" onclick="document.getElementById('count').remove()">Remove count</button>
+  <a id="leave" href="/next">Leave</a>
+</body></html>`;
+
+async function main() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-stable-uid-'));
+  const fixture = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(req.url === '/next' ? '<!doctype html><title>Next</title><button>Back</button>' : FIXTURE_HTML);
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'stable-uid-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+  const logText = async () => (await call('browser.extract_text', { selector: '#log' })).text;
+
+  await call('browser.launch', { headless: true });
+  await call('browser.goto', { url: baseUrl });
+
+  const first = await call('browser.take_snapshot');
+  const uidOf = (snapshot, name) => snapshot.nodes.find((node) => node.name === name).uid;
+  const countUid = uidOf(first, 'Count');
+
+  // A narrower snapshot neither renames nor forgets the uids handed out before.
+  const narrow = await call('browser.take_snapshot', { query: 'frame' });
+  assert.deepEqual(narrow.nodes.map((node) => node.name), ['Add frame']);
+  assert.equal(uidOf(narrow, 'Add frame'), uidOf(first, 'Add frame'));
+  assert.equal((await call('browser.click', { uid: countUid })).ok, true);
+  assert.equal(await logText(), 'x');
+
+  // Attaching a frame bumps domVersion, which used to invalidate every uid.
+  await call('browser.click', { uid: uidOf(first, 'Add frame') });
+  const afterFrame = await call('browser.click', { uid: countUid });
+  assert.equal(afterFrame.ok, true, afterFrame.error?.message);
+  assert.equal(await logText(), 'xx');
+  assert.equal(uidOf(await call('browser.take_snapshot'), 'Count'), countUid);
+
+  await call('browser.click', { uid: uidOf(first, 'Remove count') });
+  const stale = await call('browser.click', { uid: countUid });
+  assert.match(stale.error.message, /Stale uid "ax-\d+": the element is no longer in the document/);
+  const gone = await call('browser.wait_for', { uid: countUid, state: 'detached', timeoutMs: 2000 });
+  assert.equal(gone.ok, true, gone.error?.message);
+
+  const leaveUid = uidOf(first, 'Leave');
+  await call('browser.click', { uid: leaveUid });
+  await call('browser.wait_for', { text: 'Back' });
+  assert.match((await call('browser.click', { uid: leaveUid })).error.message, /Stale uid/);
+  assert.match((await call('browser.click', { uid: 'ax-999999' })).error.message, /Unknown uid "ax-999999"/);
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+  console.log('PASS stable-uid-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,148 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+import { createTracer, normalizeTraceMode, traceFileName } from '../browser/tracing.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+async function checkTracer() {
+  assert.equal(normalizeTraceMode(undefined), 'off');
+  assert.equal(normalizeTraceMode('true'), 'on');
+  assert.equal(normalizeTraceMode('Retain-On-Error'), 'retain-on-error');
+  assert.equal(normalizeTraceMode('bogus'), 'off');
+  assert.equal(traceFileName('Apply: Indeed!', new Date('2026-01-02T03:04:05.678Z')), 'apply-indeed-2026-01-02T03-04-05-678Z.zip');
+
+  const calls = [];
+  const context = {
+    tracing: {
+      start: async (opts) => calls.push(['start', opts]),
+      stop: async (opts) => calls.push(['stop', opts])
+    }
+  };
+  const tracer = createTracer();
+  tracer.noteError();
+  await tracer.start(context, { mode: 'retain-on-error', name: 'run' });
+  assert.deepEqual(calls[0], ['start', { screenshots: true, snapshots: true, sources: true, title: 'run' }]);
+  await assert.rejects(tracer.start(context), /already running/);
+  assert.equal(tracer.shouldKeep(), false, 'clean retain-on-error traces are dropped');
+  tracer.noteError();
+  assert.equal(tracer.shouldKeep(), true);
+  const finished = await tracer.stop({ path: '/tmp/t.zip' });
+  assert.equal(finished.errorCount, 1);
+  assert.deepEqual(calls[1], ['stop', { path: '/tmp/t.zip' }]);
+  assert.equal(tracer.isActive(), false);
+  await assert.rejects(tracer.stop(), /not running/);
+}
+
+async function listTraces(workspace) {
+  return fs.readdir(path.join(workspace, 'Auto', 'logs', 'traces')).catch(() => []);
+}
+
+async function checkServer() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-tracing-'));
+  const fixture = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<!doctype html><title>Trace Fixture</title><button id="go">Go</button>');
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'tracing-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+
+  // retain-on-error: a clean session leaves nothing behind.
+  const launched = await call('browser.launch', { headless: true, trace: 'retain-on-error' });
+  assert.equal(launched.trace, 'retain-on-error');
+  await call('browser.goto', { url: baseUrl });
+  const cleanClose = await call('browser.close');
+  assert.equal(cleanClose.tracePath, null);
+  assert.deepEqual(await listTraces(workspace), []);
+
+  // ...and a session with a failed call keeps its trace.
+  await call('browser.launch', { headless: true, trace: 'retain-on-error' });
+  await call('browser.goto', { url: baseUrl });
+  const failed = await call('browser.click', { selector: '#missing', timeoutMs: 1000 });
+  assert.equal(failed.ok, false);
+  const errorClose = await call('browser.close');
+  assert.ok(errorClose.tracePath.startsWith(path.join(workspace, 'Auto', 'logs', 'traces')));
+  assert.ok((await fs.stat(errorClose.tracePath)).size > 0);
+
+  await call('browser.launch', { headless: true });
+  const started = await call('browser.start_tracing', { name: 'manual run' });
+  assert.equal(started.active, true);
+  assert.equal(started.mode, 'manual');
+  await call('browser.goto', { url: baseUrl });
+  await call('browser.click', { selector: '#go' });
+
+  const denied = await call('browser.stop_tracing', { path: path.join(workspace, 'elsewhere.zip') });
+  assert.equal(denied.ok, false);
+  assert.equal(denied.error.code, 'PERMISSION');
+
+  const saved = await call('browser.stop_tracing');
+  assert.equal(saved.status, 'saved');
+  assert.match(path.basename(saved.path), /^manual-run-.*\.zip$/);
+  assert.ok(saved.bytes > 0);
+  const header = (await fs.readFile(saved.path)).subarray(0, 2).toString('latin1');
+  assert.equal(header, 'PK', 'trace is a zip archive');
+
+  const notRunning = await call('browser.stop_tracing');
+  assert.equal(notRunning.ok, false);
+  assert.match(notRunning.error.message, /not running/);
+
+  await call('browser.start_tracing');
+  const discarded = await call('browser.stop_tracing', { discard: true });
+  assert.equal(discarded.status, 'discarded');
+  assert.equal(discarded.path, null);
+  assert.equal((await listTraces(workspace)).length, 2);
+
+  await call('browser.close');
+  await client.close();
+
+  // A retain-on-error trace still running when the client goes away is written on the way out.
+  const exiting = new Client({ name: 'tracing-test-exit', version: '1.0.0' });
+  await exiting.connect(
+    new StdioClientTransport({
+      command: process.execPath,
+      args: [SERVER_PATH],
+      env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+      stderr: 'ignore'
+    })
+  );
+  await exiting.callTool({ name: 'browser.launch', arguments: { headless: true, trace: 'retain-on-error' } });
+  await exiting.callTool({ name: 'browser.goto', arguments: { url: baseUrl } });
+  await exiting.callTool({ name: 'browser.click', arguments: { selector: '#missing', timeoutMs: 500 } });
+  await exiting.close();
+  let traces = [];
+  for (let i = 0; i < 40 && traces.length < 3; i += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    traces = await listTraces(workspace);
+  }
+  assert.equal(traces.length, 3, 'trace saved on shutdown');
+
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+}
+
+async function main() {
+  await checkTracer();
+  await checkServer();
+  console.log('PASS tracing-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
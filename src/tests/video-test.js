@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+const WEBM_MAGIC = '1a45dfa3';
+
+async function assertWebm(filePath) {
+  const data = await fs.readFile(filePath);
+  assert.ok(data.length > 0);
+  assert.equal(data.subarray(0, 4).toString('hex'), WEBM_MAGIC, 'video is a webm file');
+}
+
+async function main() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-video-'));
+  const fixture = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<!doctype html><title>Video Fixture</title><h1>Recording</h1>');
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'video-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+  const videoDir = path.join(workspace, 'Auto', 'output', 'videos');
+
+  const launched = await call('browser.launch', { headless: true, recordVideo: true, videoSize: { width: 320, height: 240 } });
+  assert.equal(launched.recordVideo, true);
+  await call('browser.goto', { url: baseUrl });
+
+  const stillOpen = await call('browser.get_video', { pageId: 1 });
+  assert.equal(stillOpen.ok, false);
+  assert.match(stillOpen.error.message, /still open/);
+
+  await call('browser.new_page');
+  const saved = await call('browser.get_video', { pageId: 1, closePage: true });
+  assert.equal(saved.ok, true, saved.error?.message);
+  assert.equal(saved.pageUrl, baseUrl);
+  assert.ok(saved.path.startsWith(videoDir));
+  await assertWebm(saved.path);
+  const pages = await call('browser.list_pages', { includeClosed: true });
+  assert.equal(pages.pages.find((entry) => entry.pageId === 1).closed, true);
+  // new_page does not switch the active page, so its envelope pageId is still 1.
+  const secondId = pages.pages.find((entry) => !entry.closed).pageId;
+  const again = await call('browser.get_video', { pageId: 1 });
+  assert.match(again.error.message, /No video found/, 'a saved video is not kept twice');
+
+  // After the context is gone the finished file is still available by pageId.
+  await call('browser.close');
+  const denied = await call('browser.get_video', { pageId: secondId, path: path.join(workspace, 'elsewhere.webm') });
+  assert.equal(denied.error.code, 'PERMISSION');
+  const afterClose = await call('browser.get_video', { pageId: secondId, path: path.join(videoDir, 'second.webm') });
+  assert.equal(afterClose.ok, true, afterClose.error?.message);
+  assert.equal(afterClose.payloadPageId, secondId);
+  await assertWebm(afterClose.path);
+
+  // Imported contexts follow the launch setting unless told otherwise.
+  await call('browser.launch', { headless: true, recordVideo: true });
+  const statePath = path.join(workspace, 'Auto', 'output', 'state.json');
+  await call('browser.export_storage_state', { path: statePath });
+  const imported = await call('browser.import_storage_state', { path: statePath });
+  assert.equal(imported.recordVideo, true);
+  await call('browser.goto', { url: baseUrl });
+  const importedVideo = await call('browser.get_video', { closePage: true });
+  assert.equal(importedVideo.ok, true, importedVideo.error?.message);
+  const withoutVideo = await call('browser.import_storage_state', { path: statePath, recordVideo: false });
+  assert.equal(withoutVideo.recordVideo, false);
+  const none = await call('browser.get_video', { closePage: true });
+  assert.match(none.error.message, /No video found/);
+
+  // browser.emulate closes the recording context: its videos are saved, and the rebuilt context keeps recording.
+  await call('browser.import_storage_state', { path: statePath, recordVideo: true });
+  await call('browser.goto', { url: baseUrl });
+  const emulated = await call('browser.emulate', { locale: 'de-DE' });
+  assert.equal(emulated.rebuilt, true);
+  assert.equal(emulated.savedVideos.length, 1);
+  assert.equal(emulated.savedVideos[0].pageUrl, baseUrl);
+  assert.ok(emulated.savedVideos[0].path.startsWith(videoDir));
+  await assertWebm(emulated.savedVideos[0].path);
+  const rebuiltVideo = await call('browser.get_video', { closePage: true });
+  assert.equal(rebuiltVideo.ok, true, rebuiltVideo.error?.message);
+  assert.equal(rebuiltVideo.pageUrl, baseUrl);
+  assert.deepEqual(await fs.readdir(path.join(videoDir, 'raw')), [], 'raw recordings are removed once saved');
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+  console.log('PASS video-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
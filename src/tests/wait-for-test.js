@@ -1,7 +1,71 @@
 import assert from 'node:assert/strict';
+import http from 'node:http';
 import { chromium } from 'playwright';
 
-import { waitForSelector, waitForText } from '../browser/wait.js';
+import { ensureObservability } from '../browser/observability.js';
+import { waitForDomStable, waitForNetworkIdle, waitForSelector, waitForText } from '../browser/wait.js';
+
+async function checkNetworkIdle(page) {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/slow') {
+      setTimeout(() => res.end('slow'), 800);
+    } else if (req.url === '/hang') {
+      // never answers
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      const target = req.url === '/hanging' ? '/hang' : '/slow';
+      res.end(`<script>fetch('${target}').then(() => { window.done = true; });</script>`);
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  await ensureObservability(page);
+  await page.goto(`${baseUrl}/`);
+  const idle = await waitForNetworkIdle(page, { timeoutMs: 5000, quietMs: 300 });
+  assert.equal(idle.kind, 'network-idle');
+  assert.equal(await page.evaluate(() => window.done), true);
+
+  await page.goto(`${baseUrl}/hanging`);
+  await assert.rejects(waitForNetworkIdle(page, { timeoutMs: 1000, quietMs: 300 }), /still in flight: .*\/hang/);
+
+  await page.goto('about:blank');
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+}
+
+async function checkDomStable(page) {
+  await page.setContent(`
+    <ul id="list"></ul>
+    <iframe srcdoc="<p id='ticks'>0</p><script>let n = 0; const t = setInterval(() => { document.getElementById('ticks').textContent = ++n; if (n === 12) clearInterval(t); }, 100);</script>"></iframe>
+    <script>
+      let added = 0;
+      const timer = setInterval(() => {
+        document.getElementById('list').appendChild(document.createElement('li'));
+        if (++added === 6) clearInterval(timer);
+      }, 100);
+    </script>
+  `);
+  const stable = await waitForDomStable(page, { timeoutMs: 5000, quietMs: 400 });
+  assert.equal(stable.kind, 'dom-stable');
+  assert.equal(await page.locator('li').count(), 6);
+  // The iframe keeps mutating after the main document settles, so the wait covers it too.
+  assert.equal(await page.frames()[1].locator('#ticks').textContent(), '12');
+
+  await page.setContent(`<p id="clock"></p><script>setInterval(() => { document.getElementById('clock').textContent = Date.now(); }, 50);</script>`);
+  await assert.rejects(waitForDomStable(page, { timeoutMs: 1000, quietMs: 300 }), /Timeout waiting for DOM stability/);
+  // The mutation clock leaves no enumerable global behind for page scripts.
+  assert.equal(await page.evaluate(() => Object.keys(window).some((key) => /mcp/i.test(key))), false);
+
+  // A frame stuck in a long task cannot hold the wait past its timeout.
+  await page.setContent('<p>busy</p>');
+  void page.evaluate(() => setTimeout(() => { const end = Date.now() + 4000; while (Date.now() < end); }, 0));
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  const started = Date.now();
+  await assert.rejects(waitForDomStable(page, { timeoutMs: 1000, quietMs: 300 }), /Timeout waiting for DOM stability/);
+  assert.ok(Date.now() - started < 2000, 'a hung frame does not stretch the timeout');
+  await new Promise((resolve) => setTimeout(resolve, 4000));
+}
 
 async function main() {
   const browser = await chromium.launch();
@@ -38,6 +102,9 @@ async function main() {
   assert.equal(res3.status, 'ready');
   assert.equal(await page.locator('#btn').isEnabled(), true);
 
+  await checkNetworkIdle(page);
+  await checkDomStable(page);
+
   await browser.close();
   console.log('PASS wait-for-test');
 }
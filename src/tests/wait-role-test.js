@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../mcp-browser-server.js', import.meta.url));
+
+// Renders like a slow SPA: the form shows up late, the button enables later still.
+const FIXTURE_HTML = `<!doctype html>
+<html><head><title>Role Wait Fixture</title></head><body>
+  <div id="app"><p role="status">Loading…</p></div>
+  <script>
+    setTimeout(() => {
+      document.getElementById('app').innerHTML = \`
+        <label><input type="checkbox" id="terms"> I accept the terms</label>
+        <button id="more" aria-expanded="false" onclick="this.setAttribute('aria-expanded', 'true')">More options</button>
+        <button id="submit" disabled onclick="document.getElementById('done').textContent = 'Submitted'">Submit application</button>
+        <p id="done"></p>\`;
+    }, 400);
+    setTimeout(() => { document.getElementById('submit').disabled = false; }, 900);
+  </script>
+</body></html>`;
+
+// The consent button renders late inside a cross-origin iframe; the same-origin one holds a second "Accept".
+function framesHtml(port) {
+  return `<!doctype html><title>Frames</title>
+    <iframe id="inline" srcdoc="<button>Accept cookies</button>"></iframe>
+    <iframe id="consent" src="http://localhost:${port}/consent"></iframe>`;
+}
+
+const CONSENT_HTML = `<!doctype html><p id="state">pending</p>
+  <script>
+    setTimeout(() => {
+      const button = document.createElement('button');
+      button.textContent = 'Accept terms';
+      button.onclick = () => { document.getElementById('state').textContent = 'accepted'; };
+      document.body.append(button);
+    }, 400);
+  </script>`;
+
+async function main() {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-wait-role-'));
+  const fixture = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    if (req.url === '/frames') res.end(framesHtml(fixture.address().port));
+    else if (req.url === '/consent') res.end(CONSENT_HTML);
+    else res.end(FIXTURE_HTML);
+  });
+  await new Promise((resolve) => fixture.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${fixture.address().port}/`;
+
+  const client = new Client({ name: 'wait-role-test', version: '1.0.0' });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { ...process.env, MCP_TRANSPORT: 'stdio', MCP_HEADLESS: 'true', MCP_WORKSPACE_DIR: workspace, MCP_AUDIT_LOG: 'false' },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  const call = async (name, args = {}) => (await client.callTool({ name, arguments: args })).structuredContent;
+
+  await call('browser.launch', { headless: true });
+  await call('browser.goto', { url: baseUrl });
+
+  const gone = await call('browser.wait_for', { role: 'status', state: 'detached', timeoutMs: 5000 });
+  assert.equal(gone.ok, true, gone.error?.message);
+  assert.equal(gone.matches, 0);
+
+  // Substring name match by default; the uid is usable without a new snapshot.
+  const ready = await call('browser.wait_for', { role: 'button', name: 'submit', state: 'enabled', timeoutMs: 5000 });
+  assert.equal(ready.ok, true, ready.error?.message);
+  assert.equal(ready.kind, 'role');
+  assert.equal(ready.nodeName, 'Submit application');
+  assert.match(ready.uid, /^ax-/);
+  const clicked = await call('browser.click', { uid: ready.uid });
+  assert.equal(clicked.ok, true, clicked.error?.message);
+  assert.equal((await call('browser.extract_text', { selector: '#done' })).text, 'Submitted');
+
+  const exactMiss = await call('browser.wait_for', { role: 'button', name: 'submit', exact: true, timeoutMs: 1000 });
+  assert.match(exactMiss.error.message, /Timeout waiting for role "button" named "submit" to be visible \(1000ms\)\. No match found\./);
+
+  const more = await call('browser.wait_for', { role: 'button', name: 'More options', exact: true });
+  const notExpanded = await call('browser.wait_for', { role: 'button', name: 'More options', state: 'expanded', timeoutMs: 1000 });
+  assert.match(notExpanded.error.message, /1 match\(es\) found, none expanded/);
+  await call('browser.click', { uid: more.uid });
+  const expanded = await call('browser.wait_for', { role: 'button', name: 'More options', state: 'expanded', timeoutMs: 3000 });
+  assert.equal(expanded.ok, true, expanded.error?.message);
+
+  // Role uids join the snapshot's uid map instead of replacing it.
+  const snapshot = await call('browser.take_snapshot', { query: 'terms' });
+  const termsUid = snapshot.nodes.find((node) => node.role === 'checkbox').uid;
+  const again = await call('browser.wait_for', { role: 'button', name: 'More options' });
+  assert.equal(again.uid, more.uid);
+  assert.equal((await call('browser.click', { uid: termsUid })).ok, true);
+  const checked = await call('browser.wait_for', { role: 'checkbox', name: 'terms', state: 'checked', timeoutMs: 3000 });
+  assert.equal(checked.ok, true, checked.error?.message);
+  assert.equal(checked.uid, termsUid);
+
+  const badState = await call('browser.wait_for', { role: 'button', state: 'hidden' });
+  assert.match(badState.error.message, /state "hidden" is not supported with role/);
+  const nameOnly = await call('browser.wait_for', { selector: '#submit', name: 'Submit' });
+  assert.match(nameOnly.error.message, /name is only used together with role/);
+  const checkedSelector = await call('browser.wait_for', { selector: '#terms', state: 'checked' });
+  assert.match(checkedSelector.error.message, /only supported with role/);
+
+  // Nodes inside iframes match too, with a frame-qualified uid; frameSelector narrows the search.
+  await call('browser.goto', { url: `${baseUrl}frames` });
+  const frames = (await call('browser.list_frames')).frames;
+  const consentFrameId = frames.find((frame) => frame.url.endsWith('/consent')).frameId;
+  const terms = await call('browser.wait_for', { role: 'button', name: 'Accept terms', timeoutMs: 5000 });
+  assert.equal(terms.ok, true, terms.error?.message);
+  assert.equal(terms.frameId, consentFrameId);
+  assert.equal(terms.uid.startsWith(`ax-${consentFrameId}-`), true);
+  assert.equal((await call('browser.click', { uid: terms.uid })).ok, true);
+  const accepted = await call('browser.extract_text', { selector: '#state', frameSelector: '#consent' });
+  assert.equal(accepted.text, 'accepted');
+  const narrowed = await call('browser.wait_for', { role: 'button', name: 'Accept', frameSelector: '#inline' });
+  assert.equal(narrowed.nodeName, 'Accept cookies');
+  assert.equal(narrowed.matches, 1);
+
+  await call('browser.close');
+  await client.close();
+  await new Promise((resolve) => fixture.close(resolve));
+  await fs.rm(workspace, { recursive: true, force: true });
+  console.log('PASS wait-role-test');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
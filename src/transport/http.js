@@ -0,0 +1,269 @@
+// Streamable HTTP (plus legacy SSE) transport so several MCP clients can share one browser.
+// Every HTTP session gets its own McpServer from createServer(); tool handlers are shared.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 8931;
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '::1']);
+const MAX_EXPIRED_SESSIONS = 1000;
+
+function sendJsonRpcError(res, httpStatus, code, message) {
+  if (res.headersSent) return;
+  res.writeHead(httpStatus, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+function tokensMatch(expected, provided) {
+  const a = Buffer.from(String(expected || ''), 'utf8');
+  const b = Buffer.from(String(provided || ''), 'utf8');
+  if (a.length !== b.length) return false;
+  return crypto.timingSafeEqual(a, b);
+}
+
+function isAuthorized(req, token) {
+  if (!token) return true;
+  const header = String(req.headers['authorization'] || '');
+  const match = /^Bearer\s+(.+)$/i.exec(header.trim());
+  return Boolean(match) && tokensMatch(token, match[1].trim());
+}
+
+async function readJsonBody(req, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error(`Request body too large (limit ${maxBytes} bytes).`);
+    }
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString('utf8').trim();
+  if (!raw) return undefined;
+  return JSON.parse(raw);
+}
+
+// Host headers accepted by DNS-rebinding protection. extraHosts covers remote clients that connect by name or
+// through a proxy/port mapping: "name" (or "[v6addr]") matches with and without the bound port, "name:port" exactly.
+function buildAllowedHosts(host, port, extraHosts = []) {
+  const hosts = new Set([`${host}:${port}`, `127.0.0.1:${port}`, `localhost:${port}`, `[::1]:${port}`]);
+  for (const raw of extraHosts) {
+    const entry = String(raw || '').trim();
+    if (!entry) continue;
+    hosts.add(entry);
+    if (!entry.includes(':') || entry.endsWith(']')) hosts.add(`${entry}:${port}`);
+  }
+  return [...hosts];
+}
+
+export async function startHttpTransport(opts = {}) {
+  const createServer = opts.createServer;
+  if (typeof createServer !== 'function') {
+    throw new Error('startHttpTransport requires a createServer() factory.');
+  }
+  const host = String(opts.host || DEFAULT_HOST).trim() || DEFAULT_HOST;
+  const requestedPort = typeof opts.port === 'number' && opts.port >= 0 ? Math.floor(opts.port) : DEFAULT_PORT;
+  const token = opts.token ? String(opts.token) : null;
+  const extraHosts = Array.isArray(opts.allowedHosts) ? opts.allowedHosts : [];
+  const mcpPath = opts.mcpPath || '/mcp';
+  const ssePath = opts.ssePath || '/sse';
+  const messagesPath = opts.messagesPath || '/messages';
+  const onSessionCreated = typeof opts.onSessionCreated === 'function' ? opts.onSessionCreated : null;
+  const onSessionClosed = typeof opts.onSessionClosed === 'function' ? opts.onSessionClosed : null;
+
+  if (!token && !LOOPBACK_HOSTS.has(host.toLowerCase())) {
+    throw new Error(`Refusing to bind HTTP transport to non-loopback host "${host}" without a bearer token. Set MCP_HTTP_TOKEN.`);
+  }
+
+  const sessions = new Map(); // sessionId -> { transport, server, kind, createdAt }
+  const expiredSessions = new Set(); // ids closed by the idle sweep, so late requests get a clear error
+  let allowedHosts = [];
+
+  const unknownSessionMessage = (sessionId, label) =>
+    expiredSessions.has(sessionId)
+      ? `${label} "${sessionId}" expired after being idle. Start a new session.`
+      : `Unknown ${label} "${sessionId}".`;
+
+  // expired=true marks an idle timeout; the transport is closed the same way as a client DELETE.
+  const closeSession = async (sessionId, { expired = false } = {}) => {
+    const entry = sessions.get(sessionId);
+    if (!entry) return false;
+    sessions.delete(sessionId);
+    if (expired) {
+      expiredSessions.add(sessionId);
+      if (expiredSessions.size > MAX_EXPIRED_SESSIONS) expiredSessions.delete(expiredSessions.values().next().value);
+    }
+    try {
+      await entry.server.close();
+    } catch {
+      // best effort
+    }
+    if (onSessionClosed) {
+      try {
+        await onSessionClosed(sessionId);
+      } catch {
+        // best effort
+      }
+    }
+    return true;
+  };
+
+  const handleStreamable = async (req, res) => {
+    const sessionIdHeader = req.headers['mcp-session-id'];
+    const sessionId = Array.isArray(sessionIdHeader) ? sessionIdHeader[0] : sessionIdHeader;
+    const existing = sessionId ? sessions.get(sessionId) : null;
+
+    if (existing && existing.kind !== 'streamable') {
+      sendJsonRpcError(res, 400, -32000, 'Session belongs to a different transport.');
+      return;
+    }
+
+    if (req.method === 'POST') {
+      const body = await readJsonBody(req, MAX_BODY_BYTES);
+      if (existing) {
+        await existing.transport.handleRequest(req, res, body);
+        return;
+      }
+      if (sessionId) {
+        sendJsonRpcError(res, 404, -32001, unknownSessionMessage(sessionId, 'MCP session'));
+        return;
+      }
+      if (!isInitializeRequest(body)) {
+        sendJsonRpcError(res, 400, -32000, 'No valid session ID provided and request is not an initialize request.');
+        return;
+      }
+
+      const server = createServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        enableDnsRebindingProtection: true,
+        allowedHosts,
+        onsessioninitialized: (newSessionId) => {
+          sessions.set(newSessionId, { transport, server, kind: 'streamable', createdAt: Date.now() });
+          if (onSessionCreated) onSessionCreated(newSessionId, server);
+        }
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) void closeSession(transport.sessionId);
+      };
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      if (!existing) {
+        sendJsonRpcError(res, sessionId ? 404 : 400, -32001, sessionId ? unknownSessionMessage(sessionId, 'MCP session') : 'Missing MCP session ID.');
+        return;
+      }
+      await existing.transport.handleRequest(req, res);
+      return;
+    }
+
+    res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+  };
+
+  const handleSseOpen = async (req, res) => {
+    const server = createServer();
+    const transport = new SSEServerTransport(messagesPath, res, {
+      enableDnsRebindingProtection: true,
+      allowedHosts
+    });
+    sessions.set(transport.sessionId, { transport, server, kind: 'sse', createdAt: Date.now() });
+    if (onSessionCreated) onSessionCreated(transport.sessionId, server);
+    res.on('close', () => {
+      void closeSession(transport.sessionId);
+    });
+    await server.connect(transport);
+  };
+
+  const handleSseMessage = async (req, res, url) => {
+    const sessionId = url.searchParams.get('sessionId') || '';
+    const entry = sessions.get(sessionId);
+    if (!entry || entry.kind !== 'sse') {
+      sendJsonRpcError(res, 404, -32001, unknownSessionMessage(sessionId, 'SSE session'));
+      return;
+    }
+    const body = await readJsonBody(req, MAX_BODY_BYTES);
+    await entry.transport.handlePostMessage(req, res, body);
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      if (!isAuthorized(req, token)) {
+        res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+        res.end(JSON.stringify({ error: 'unauthorized' }));
+        return;
+      }
+
+      // The SDK transports reject unknown Host headers too, but without saying how to allow one.
+      const hostHeader = String(req.headers.host || '');
+      if (!allowedHosts.includes(hostHeader)) {
+        sendJsonRpcError(res, 403, -32000, `Host header "${hostHeader}" is not allowed. Add it to MCP_HTTP_ALLOWED_HOSTS.`);
+        return;
+      }
+
+      const url = new URL(req.url || '/', `http://${req.headers.host || `${host}:${requestedPort}`}`);
+      if (url.pathname === mcpPath) {
+        await handleStreamable(req, res);
+        return;
+      }
+      if (url.pathname === ssePath && req.method === 'GET') {
+        await handleSseOpen(req, res);
+        return;
+      }
+      if (url.pathname === messagesPath && req.method === 'POST') {
+        await handleSseMessage(req, res, url);
+        return;
+      }
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'not-found' }));
+    } catch (error) {
+      const msg = error && typeof error === 'object' && 'message' in error ? String(error.message) : String(error);
+      sendJsonRpcError(res, error instanceof SyntaxError ? 400 : 500, -32603, msg);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(requestedPort, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const port = typeof address === 'object' && address ? address.port : requestedPort;
+  // Transports are created per session after listen(), so they always see the bound port.
+  allowedHosts = buildAllowedHosts(host, port, extraHosts);
+  const urlHost = host.includes(':') ? `[${host}]` : host;
+
+  const close = async () => {
+    for (const sessionId of [...sessions.keys()]) {
+      await closeSession(sessionId);
+    }
+    await new Promise((resolve) => httpServer.close(() => resolve()));
+  };
+
+  const listSessions = () =>
+    [...sessions.entries()].map(([sessionId, entry]) => ({
+      sessionId,
+      kind: entry.kind,
+      createdAt: new Date(entry.createdAt).toISOString()
+    }));
+
+  return {
+    host,
+    port,
+    url: `http://${urlHost}:${port}${mcpPath}`,
+    sseUrl: `http://${urlHost}:${port}${ssePath}`,
+    close,
+    closeSession,
+    listSessions
+  };
+}